@@ -2,21 +2,35 @@
 // AI SYSTEM
 // ============================================
 //
-// Version: 1.1.0 - Enhanced AI difficulty scaling
+// Version: 2.17.1 - Counter-attacks after attacks recorded by combat
 //
-// This module implements AI decision-making for the enemy player, including
+// This module implements AI decision-making for the AI empires, including
 // ship construction priorities, fleet movement strategies, and difficulty scaling.
+// Each AI empire plays independently and treats every other empire (human or AI)
+// as a rival.
 //
 // Core Responsibilities:
-// - Process enemy turn actions (building ships, moving fleets)
+// - Process each AI empire's turn actions (building ships, moving fleets)
 // - Make strategic decisions based on difficulty settings (easy/medium/hard)
 // - Balance expansion (colonizers) vs military (combat ships) based on priorities
 // - Evaluate threats and opportunities for fleet movements
-// - Target neutral planets for colonization or enemy planets for attack
+// - Target neutral planets for colonization or rival planets for attack
 // - Scale aggressiveness, build efficiency, and decision quality by difficulty
 // - Calculate fleet compositions and military strength ratios
 // - Coordinate multi-planet fleet attacks (medium/hard)
 // - Implement defensive behaviors and home defense reserves
+// - Pick the next technology to research from the difficulty's priority list
+// - Queue planetary buildings (economy first, then shipyards, defenses and sensors)
+// - Judge distances by lane route length on hyperlane maps (straight line otherwise)
+// - Only attack empires it is at war with; skip neutral planets guarded by treaty partners
+// - Start the wonder as soon as it can afford it (only offered when wonder victory is active)
+// - Only build ships whose upkeep the empire's net energy income (minus ships in its queues) still covers
+// - Count planetary shields and batteries into a target's strength
+// - Bombard planets it is conquering while they have working defense buildings
+// - Design a warship for every hull it can use (medium/hard) and prefer those designs when building
+// - Count the attack bonus of veteran ships into a planet's strength
+// - Counter-attack (hard) the nearest planet of a rival that attacked one of its planets in the last
+//   ATTACK_MEMORY_TURNS turns (attacks are recorded by combat into gameState.recentAttacks)
 //
 // AI Decision Factors:
 // - expansionPriority: Likelihood of building colonizers vs military
@@ -31,88 +45,154 @@
 // - defenseThreshold: When to prioritize defense over offense
 // - homeDefenseRatio: Percentage of ships kept for defense
 // - counterAttackEnabled: Whether AI retaliates after being attacked
+// - respectsFogOfWar: Whether AI only knows what its sensors see (plus last-known intel)
+// - researchPriorities: Technologies in the order the AI researches them
+// - buildingPriority: Chance per turn to queue a building at a planet with an idle building queue
+// - designLoadout: Share of a warship design's slots per component (null: stock ship types only)
+// - peacefulness, tradeMargin, tributeRatio, betrayalRatio: Diplomatic personality (see diplomacy.js)
 //
 // Exports:
-// - processAITurn(): Main AI turn processor called at end of each turn
+// - processAITurn(): Runs the turn of every active AI empire (called at end of each turn)
+// - recordAttack(planetId, attackerId): Notes an attack on an empire's planet for counter-attacks
+// - countMilitary(owner, planets): Warships stationed at an empire's planets (diplomatic strength)
 //
-// Used by: turnSystem (called during endTurn() after player actions)
+// Used by: turnSystem (called during endTurn() after turn processing), diplomacy (strength ratios),
+//          combatSystem (attacks for counter-attacks)
+
+import { gameState, generateId, nextRandom, getActiveEmpires } from './gameState.js';
+import { calculateBuildTime, dispatchFleet } from './shipSystem.js';
+import { AI_CONFIG, HULL_SIZES, VETERANCY_RANKS } from './config.js';
+import { getKnownPlanets } from './visibility.js';
+import { isShipUnlocked, getAvailableTechs, setResearch } from './research.js';
+import { canQueueBuilding, canAffordBuilding, queueBuilding } from './buildings.js';
+import { getTravelDistance } from './hyperlanes.js';
+import { isAtWar, isClosedByTreaty } from './diplomacy.js';
+import { getNetIncome } from './economy.js';
+import { getPlanetDefenses, isFortified, orderBombardment } from './planetDefenses.js';
+import { getShipType, getShipDesigns, createDesign, isColonyShip } from './shipDesigns.js';
+import { getShipRank } from './veterancy.js';
+
+// Military ship preference, strongest first (locked hulls are skipped)
+const MILITARY_BUILD_ORDER = ['dreadnought', 'battleship', 'frigate', 'destroyer', 'scout'];
+
+// Economy building for each resource (the AI boosts what a planet is already good at)
+const RESOURCE_BUILDINGS = { energy: 'powerPlant', minerals: 'mine', food: 'farm' };
+
+// Turns an attack on one of its planets stays a reason to counter-attack
+const ATTACK_MEMORY_TURNS = 3;
+
+// Planets as the AI empire taking its turn knows them: the real planets, or for AIs that
+// respect fog of war, visible planets plus remembered copies of the rest
+let knownPlanets = [];
 
-import { gameState, generateId } from './gameState.js';
-import { calculateBuildTime } from './shipSystem.js';
-import { SHIP_TYPES, AI_CONFIG } from './config.js';
+export function processAITurn() {
+    // AI empires act one after another in registry order
+    for (const empire of getActiveEmpires()) {
+        if (empire.controller === 'ai') {
+            processEmpireTurn(empire);
+        }
+    }
 
-// Track recently attacked planets for counter-attack logic
-let recentlyAttackedPlanets = [];
+    // Forget attacks older than ATTACK_MEMORY_TURNS
+    gameState.recentAttacks = gameState.recentAttacks.filter(
+        entry => gameState.turn - entry.turn < ATTACK_MEMORY_TURNS
+    );
+}
 
-export function processAITurn() {
-    const difficulty = AI_CONFIG[gameState.difficulty];
-    const aiPlanets = gameState.planets.filter(p => p.owner === 'enemy');
+function processEmpireTurn(empire) {
+    const difficulty = AI_CONFIG[empire.difficulty];
+    knownPlanets = difficulty.respectsFogOfWar ? getKnownPlanets(empire.id) : gameState.planets;
+    const aiPlanets = knownPlanets.filter(p => p.owner === empire.id);
+
+    aiChooseResearch(empire, difficulty);
+    aiUpdateDesigns(empire, difficulty);
+    aiOrderBombardments(empire);
 
     // AI builds ships
     for (const planet of aiPlanets) {
-        if (Math.random() < difficulty.buildEfficiency) {
-            aiDecideBuild(planet, difficulty);
+        if (nextRandom('ai') < difficulty.buildEfficiency) {
+            aiDecideBuild(empire, planet, difficulty);
+        }
+    }
+
+    // AI builds infrastructure (one building at a time per planet)
+    for (const planet of aiPlanets) {
+        if (planet.buildingQueue.length === 0 && nextRandom('ai') < difficulty.buildingPriority) {
+            aiDecideBuilding(empire, planet);
         }
     }
 
     // AI moves ships - with fleet coordination if enabled
     if (difficulty.fleetCoordination) {
-        aiCoordinatedMovement(aiPlanets, difficulty);
+        aiCoordinatedMovement(empire, aiPlanets, difficulty);
     } else {
         // Individual planet decisions (easy mode)
         for (const planet of aiPlanets) {
-            if (planet.ships.length > 0 && Math.random() < difficulty.aggressiveness) {
-                aiDecideShipMovement(planet, difficulty);
+            if (planet.ships.length > 0 && nextRandom('ai') < difficulty.aggressiveness) {
+                aiDecideShipMovement(empire, planet, difficulty);
             }
         }
     }
+}
+
+// Bombard planets being conquered while they still have working defense buildings
+// (knocking them out keeps the planet from being retaken); spare the rest
+function aiOrderBombardments(empire) {
+    for (const conquest of gameState.pendingConquests.filter(c => c.newOwner === empire.id)) {
+        const planet = gameState.planets.find(p => p.id === conquest.planetId);
+        orderBombardment(empire.id, planet.id, isFortified(planet));
+    }
+}
 
-    // Clear old attack tracking
-    recentlyAttackedPlanets = recentlyAttackedPlanets.filter(
-        entry => gameState.turn - entry.turn < 3
-    );
+// Called by combat when an empire attacks another empire's planet (for counter-attack tracking).
+// Kept in gameState, so saves and replays remember the same attacks.
+export function recordAttack(planetId, attackerId) {
+    gameState.recentAttacks.push({ planetId, attackerId, turn: gameState.turn });
+}
+
+// Planets owned by empires this empire is at war with (unless treaty partners' ships guard them)
+function getRivalPlanets(empire) {
+    return knownPlanets.filter(p => p.owner && isAtWar(empire.id, p.owner) && !isClosedByTreaty(empire.id, p));
 }
 
-// Called externally when a player attacks an AI planet (for counter-attack tracking)
-export function recordPlayerAttack(planetId) {
-    recentlyAttackedPlanets.push({ planetId, turn: gameState.turn });
+// Neutral planets that treaty partners' ships do not keep closed
+function getNeutralPlanets(empire) {
+    return knownPlanets.filter(p => p.owner === null && !isClosedByTreaty(empire.id, p));
 }
 
-function aiDecideBuild(planet, difficulty) {
+function aiDecideBuild(empire, planet, difficulty) {
     // Determine what to build based on priorities
-    const militaryUnits = countEnemyMilitary('enemy');
-    const playerMilitary = countPlayerMilitary('player');
+    const militaryUnits = countMilitary(empire.id, knownPlanets);
+    const rivalMilitary = Math.max(0, ...getActiveEmpires()
+        .filter(e => e.id !== empire.id)
+        .map(e => countMilitary(e.id, knownPlanets)));
 
     let buildType = null;
 
     // Prioritize colonizers for expansion
-    if (Math.random() < difficulty.expansionPriority && canAfford('colonizer', 'enemy')) {
+    if (nextRandom('ai') < difficulty.expansionPriority && canAfford('colonizer', empire.id)) {
         buildType = 'colonizer';
     }
-    // Build military if player is strong or we need defense
-    else if (playerMilitary > militaryUnits * 0.7 && Math.random() < difficulty.militaryPriority) {
-        if (canAfford('battleship', 'enemy')) {
-            buildType = 'battleship';
-        } else if (canAfford('frigate', 'enemy')) {
-            buildType = 'frigate';
-        } else if (canAfford('scout', 'enemy')) {
-            buildType = 'scout';
-        }
+    // Build military if the strongest rival is strong or we need defense
+    else if (rivalMilitary > militaryUnits * 0.7 && nextRandom('ai') < difficulty.militaryPriority) {
+        buildType = getMilitaryBuildOrder(empire, difficulty).find(type =>
+            isShipUnlocked(empire.id, type) && canAfford(type, empire.id)
+        ) || null;
     }
     // Default to scouts
-    else if (canAfford('scout', 'enemy')) {
+    else if (canAfford('scout', empire.id)) {
         buildType = 'scout';
     }
 
-    if (buildType) {
-        const cost = SHIP_TYPES[buildType].cost;
-        const ai = gameState.players.enemy;
+    if (buildType && canSupport(empire, buildType)) {
+        const cost = getShipType(buildType).cost;
+        const ai = gameState.players[empire.id];
 
         ai.energy -= cost.energy;
         ai.minerals -= cost.minerals;
         ai.food -= cost.food;
 
-        const buildTime = calculateBuildTime(buildType, planet.population);
+        const buildTime = calculateBuildTime(buildType, planet, empire.id);
 
         planet.buildQueue.push({
             id: generateId(),
@@ -122,41 +202,116 @@ function aiDecideBuild(planet, difficulty) {
     }
 }
 
+// Keep one warship design for every hull the empire can use, fitted by the difficulty's loadout
+function aiUpdateDesigns(empire, difficulty) {
+    if (!difficulty.designLoadout) return;
+
+    const designs = getShipDesigns(empire.id);
+    for (const [hull, hullType] of Object.entries(HULL_SIZES)) {
+        if (designs.some(d => d.hull === hull)) continue;
+        createDesign(empire.id, null, hull, getLoadout(hullType.slots, difficulty.designLoadout));
+    }
+}
+
+// Splits a hull's slots by the loadout's shares; slots left over by rounding go to the largest share
+function getLoadout(slots, loadout) {
+    const components = {};
+    let used = 0;
+    for (const [type, share] of Object.entries(loadout)) {
+        components[type] = Math.floor(slots * share);
+        used += components[type];
+    }
+    const main = Object.keys(loadout).reduce((a, b) => loadout[b] > loadout[a] ? b : a);
+    components[main] += slots - used;
+    return components;
+}
+
+// Warships to build, preferred first: the empire's armed designs (strongest first), then the stock hulls
+function getMilitaryBuildOrder(empire, difficulty) {
+    if (!difficulty.designLoadout) return MILITARY_BUILD_ORDER;
+
+    const designs = getShipDesigns(empire.id)
+        .map(d => d.id)
+        .filter(type => getShipType(type).attack > 0)
+        .sort((a, b) => getShipType(b).attack - getShipType(a).attack);
+    return [...designs, ...MILITARY_BUILD_ORDER];
+}
+
+// Ships cost energy every turn: build only what the net income pays for, counting ships still queued
+function canSupport(empire, type) {
+    const queuedUpkeep = gameState.planets
+        .filter(p => p.owner === empire.id)
+        .flatMap(p => p.buildQueue)
+        .reduce((sum, item) => sum + getShipType(item.type).upkeep, 0);
+    return getNetIncome(empire.id).energy - queuedUpkeep >= getShipType(type).upkeep;
+}
+
+function aiDecideBuilding(empire, planet) {
+    const resourcesByOutput = Object.keys(RESOURCE_BUILDINGS)
+        .sort((a, b) => planet.resources[b] - planet.resources[a]);
+    const candidates = [
+        'wonder',
+        ...resourcesByOutput.map(resource => RESOURCE_BUILDINGS[resource]),
+        'shipyard',
+        'orbitalDefenses',
+        'sensorArray'
+    ];
+
+    const buildingType = candidates.find(type =>
+        canQueueBuilding(planet, type) && canAffordBuilding(empire.id, type)
+    );
+    if (buildingType) {
+        queueBuilding(empire.id, planet, buildingType);
+    }
+}
+
+// Start the first available technology on the difficulty's priority list (keeps researching
+// whatever is already in progress)
+function aiChooseResearch(empire, difficulty) {
+    if (gameState.players[empire.id].research.current) return;
+
+    const available = getAvailableTechs(empire.id);
+    const techId = difficulty.researchPriorities.find(id => available.includes(id));
+    if (techId) {
+        setResearch(empire.id, techId);
+    }
+}
+
 // Coordinated fleet movement for medium/hard AI
-function aiCoordinatedMovement(aiPlanets, difficulty) {
-    const neutralPlanets = gameState.planets.filter(p => p.owner === null);
-    const playerPlanets = gameState.planets.filter(p => p.owner === 'player');
+function aiCoordinatedMovement(empire, aiPlanets, difficulty) {
+    const neutralPlanets = getNeutralPlanets(empire);
+    const rivalPlanets = getRivalPlanets(empire);
 
     // Check if we should counter-attack (hard mode only)
-    if (difficulty.counterAttackEnabled && recentlyAttackedPlanets.length > 0) {
-        const attackSource = findAttackSource();
-        if (attackSource && Math.random() < difficulty.aggressiveness) {
-            coordinateAttackOnTarget(aiPlanets, attackSource, difficulty);
+    if (difficulty.counterAttackEnabled && gameState.recentAttacks.length > 0) {
+        const attackSource = findAttackSource(empire);
+        if (attackSource && nextRandom('ai') < difficulty.aggressiveness) {
+            coordinateAttackOnTarget(empire, aiPlanets, attackSource, difficulty);
             return;
         }
     }
 
     // Determine main strategy: attack or expand
-    const shouldAttack = Math.random() < difficulty.aggressiveness && playerPlanets.length > 0;
+    const shouldAttack = nextRandom('ai') < difficulty.aggressiveness && rivalPlanets.length > 0;
 
     if (shouldAttack) {
         // Find best target based on targeting strategy
-        const target = selectTarget(playerPlanets, aiPlanets, difficulty, 'attack');
+        const target = selectTarget(rivalPlanets, aiPlanets, difficulty, 'attack');
         if (target) {
-            coordinateAttackOnTarget(aiPlanets, target, difficulty);
+            coordinateAttackOnTarget(empire, aiPlanets, target, difficulty);
         }
     } else if (neutralPlanets.length > 0) {
         // Expansion: send colonizers with escorts
         for (const planet of aiPlanets) {
-            if (Math.random() < difficulty.aggressiveness) {
-                aiDecideColonization(planet, neutralPlanets, difficulty);
+            if (nextRandom('ai') < difficulty.aggressiveness) {
+                aiDecideColonization(empire, planet, neutralPlanets, difficulty);
             }
         }
     }
 }
 
 // Coordinate attack from multiple planets onto a single target
-function coordinateAttackOnTarget(aiPlanets, target, difficulty) {
+function coordinateAttackOnTarget(empire, aiPlanets, target, difficulty) {
     const targetDefense = calculatePlanetStrength(target);
     let totalAttackPower = 0;
     const contributingPlanets = [];
@@ -164,7 +319,7 @@ function coordinateAttackOnTarget(aiPlanets, target, difficulty) {
     // Calculate how much force we can muster
     for (const planet of aiPlanets) {
         const availableMilitary = getAvailableMilitary(planet, difficulty);
-        const strength = availableMilitary.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
+        const strength = availableMilitary.reduce((sum, s) => sum + getShipType(s.type).attack, 0);
         if (strength > 0) {
             contributingPlanets.push({ planet, ships: availableMilitary, strength });
             totalAttackPower += strength;
@@ -185,22 +340,22 @@ function coordinateAttackOnTarget(aiPlanets, target, difficulty) {
 
         const shipsToSend = ships.slice(0, Math.ceil(ships.length * difficulty.attackForceRatio));
         if (shipsToSend.length > 0) {
-            sendFleet(planet, target, shipsToSend);
-            sentPower += shipsToSend.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
+            sendFleet(empire, planet, target, shipsToSend);
+            sentPower += shipsToSend.reduce((sum, s) => sum + getShipType(s.type).attack, 0);
         }
     }
 }
 
 // Individual planet ship movement (for easy mode or colonization)
-function aiDecideShipMovement(planet, difficulty) {
-    const neutralPlanets = gameState.planets.filter(p => p.owner === null);
-    const playerPlanets = gameState.planets.filter(p => p.owner === 'player');
+function aiDecideShipMovement(empire, planet, difficulty) {
+    const neutralPlanets = getNeutralPlanets(empire);
+    const rivalPlanets = getRivalPlanets(empire);
 
     let target = null;
 
-    // Aggressive: attack player planets
-    if (Math.random() < difficulty.aggressiveness && playerPlanets.length > 0) {
-        target = selectTarget(playerPlanets, [planet], difficulty, 'attack');
+    // Aggressive: attack rival planets
+    if (nextRandom('ai') < difficulty.aggressiveness && rivalPlanets.length > 0) {
+        target = selectTarget(rivalPlanets, [planet], difficulty, 'attack');
     }
     // Expansion: colonize neutral planets
     else if (neutralPlanets.length > 0) {
@@ -209,15 +364,15 @@ function aiDecideShipMovement(planet, difficulty) {
 
     if (target) {
         const shipsToSend = [];
-        const hasColonizer = planet.ships.some(s => s.type === 'colonizer');
+        const hasColonizer = planet.ships.some(isColonyShip);
 
-        if (hasColonizer && target.owner !== 'player') {
+        if (hasColonizer && !target.owner) {
             // Send colonizer with escort based on difficulty
-            const colonizer = planet.ships.find(s => s.type === 'colonizer');
+            const colonizer = planet.ships.find(isColonyShip);
             shipsToSend.push(colonizer);
 
             // Add military escort based on escortSize
-            const military = planet.ships.filter(s => s.type !== 'colonizer').slice(0, difficulty.escortSize);
+            const military = planet.ships.filter(s => !isColonyShip(s)).slice(0, difficulty.escortSize);
             shipsToSend.push(...military);
         } else {
             // Send military ships based on attackForceRatio
@@ -225,7 +380,7 @@ function aiDecideShipMovement(planet, difficulty) {
 
             // Check overkill factor before attacking
             const targetStrength = calculatePlanetStrength(target);
-            const ourStrength = availableMilitary.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
+            const ourStrength = availableMilitary.reduce((sum, s) => sum + getShipType(s.type).attack, 0);
 
             if (ourStrength >= targetStrength * difficulty.overkillFactor) {
                 const count = Math.ceil(availableMilitary.length * difficulty.attackForceRatio);
@@ -234,29 +389,29 @@ function aiDecideShipMovement(planet, difficulty) {
         }
 
         if (shipsToSend.length > 0) {
-            sendFleet(planet, target, shipsToSend);
+            sendFleet(empire, planet, target, shipsToSend);
         }
     }
 }
 
 // Handle colonization missions
-function aiDecideColonization(planet, neutralPlanets, difficulty) {
-    const hasColonizer = planet.ships.some(s => s.type === 'colonizer');
+function aiDecideColonization(empire, planet, neutralPlanets, difficulty) {
+    const hasColonizer = planet.ships.some(isColonyShip);
     if (!hasColonizer) return;
 
     const target = selectTarget(neutralPlanets, [planet], difficulty, 'colonize');
     if (!target) return;
 
     const shipsToSend = [];
-    const colonizer = planet.ships.find(s => s.type === 'colonizer');
+    const colonizer = planet.ships.find(isColonyShip);
     shipsToSend.push(colonizer);
 
     // Add escort based on escortSize
-    const military = planet.ships.filter(s => s.type !== 'colonizer' && SHIP_TYPES[s.type].attack > 0);
+    const military = planet.ships.filter(s => !isColonyShip(s) && getShipType(s.type).attack > 0);
     const escortCount = Math.min(military.length, difficulty.escortSize);
     shipsToSend.push(...military.slice(0, escortCount));
 
-    sendFleet(planet, target, shipsToSend);
+    sendFleet(empire, planet, target, shipsToSend);
 }
 
 // Select target based on difficulty's targeting strategy
@@ -266,7 +421,7 @@ function selectTarget(candidates, fromPlanets, difficulty, purpose) {
     switch (difficulty.targetingStrategy) {
         case 'random':
             // Easy mode: random target
-            return candidates[Math.floor(Math.random() * candidates.length)];
+            return candidates[Math.floor(nextRandom('ai') * candidates.length)];
 
         case 'nearest':
             // Medium mode: nearest for colonization, weakest for attack
@@ -295,10 +450,7 @@ function findBestColonizationTarget(fromPlanet, candidates) {
     let bestScore = -Infinity;
 
     for (const planet of candidates) {
-        const distance = Math.sqrt(
-            (planet.x - fromPlanet.x) ** 2 +
-            (planet.y - fromPlanet.y) ** 2
-        );
+        const distance = getTravelDistance(fromPlanet, planet);
 
         // Score based on resources and distance (closer is better)
         const resourceScore = (planet.resources?.energy || 5) +
@@ -339,25 +491,26 @@ function findOptimalAttackTarget(candidates, fromPlanets) {
     return best || findWeakestPlanet(candidates);
 }
 
-// Find where the last attack on AI came from (for counter-attack)
-function findAttackSource() {
-    if (recentlyAttackedPlanets.length === 0) return null;
-
-    const playerPlanets = gameState.planets.filter(p => p.owner === 'player');
-    if (playerPlanets.length === 0) return null;
-
-    // Find the player planet closest to the attacked AI planet
-    const attackedPlanetId = recentlyAttackedPlanets[recentlyAttackedPlanets.length - 1].planetId;
-    const attackedPlanet = gameState.planets.find(p => p.id === attackedPlanetId);
+// Find where the last attack on this empire came from (for counter-attack)
+function findAttackSource(empire) {
+    const attacks = gameState.recentAttacks.filter(entry =>
+        knownPlanets.find(p => p.id === entry.planetId)?.owner === empire.id
+    );
+    if (attacks.length === 0) return null;
 
-    if (!attackedPlanet) return null;
+    const { planetId, attackerId } = attacks[attacks.length - 1];
+    if (!isAtWar(empire.id, attackerId)) return null;
+    const attackerPlanets = knownPlanets.filter(p => p.owner === attackerId);
+    if (attackerPlanets.length === 0) return null;
 
-    return findNearestPlanet(attackedPlanet, playerPlanets);
+    // Find the attacker's planet closest to the attacked AI planet
+    const attackedPlanet = knownPlanets.find(p => p.id === planetId);
+    return findNearestPlanet(attackedPlanet, attackerPlanets);
 }
 
 // Get military ships available for attack (respecting homeDefenseRatio)
 function getAvailableMilitary(planet, difficulty) {
-    const military = planet.ships.filter(s => SHIP_TYPES[s.type].attack > 0);
+    const military = planet.ships.filter(s => getShipType(s.type).attack > 0);
 
     // Keep some ships for defense
     const keepForDefense = Math.floor(military.length * difficulty.homeDefenseRatio);
@@ -366,69 +519,42 @@ function getAvailableMilitary(planet, difficulty) {
     return available;
 }
 
-// Calculate total military strength of a planet
+// Calculate total military strength of a planet: its ships plus its own defenses
+// (shields only soak up fire, so they count half)
 function calculatePlanetStrength(planet) {
-    return planet.ships.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
+    const { maxShields, batteries } = getPlanetDefenses(planet);
+    const attack = planet.ships.reduce((sum, s) => sum + getShipType(s.type).attack * (1 + VETERANCY_RANKS[getShipRank(s)].attackBonus), 0);
+    return attack + batteries + maxShields / 2;
 }
 
 // Send a fleet from one planet to another
-function sendFleet(fromPlanet, target, shipsToSend) {
-    const distance = Math.sqrt(
-        (target.x - fromPlanet.x) ** 2 +
-        (target.y - fromPlanet.y) ** 2
-    );
-
-    const avgSpeed = shipsToSend.reduce((sum, s) => sum + SHIP_TYPES[s.type].speed, 0) / shipsToSend.length;
-    const turnsToTravel = Math.max(1, Math.ceil(distance / (avgSpeed * 100)));
-
-    gameState.travelingShips.push({
-        id: generateId(),
-        ships: shipsToSend,
-        fromPlanetId: fromPlanet.id,
-        targetPlanetId: target.id,
-        turnsRemaining: turnsToTravel,
-        totalTurns: turnsToTravel,
-        owner: 'enemy'
-    });
-
-    // Remove ships from planet
-    for (const ship of shipsToSend) {
-        const idx = fromPlanet.ships.findIndex(s => s.id === ship.id);
-        if (idx !== -1) {
-            fromPlanet.ships.splice(idx, 1);
-        }
-    }
+function sendFleet(empire, fromPlanet, target, shipsToSend) {
+    dispatchFleet(empire.id, fromPlanet, shipsToSend, target);
 }
 
 function canAfford(type, owner) {
-    const cost = SHIP_TYPES[type].cost;
+    const cost = getShipType(type).cost;
     const player = gameState.players[owner];
     return player.energy >= cost.energy &&
            player.minerals >= cost.minerals &&
            player.food >= cost.food;
 }
 
-function countPlayerMilitary(owner) {
+// Military ships stationed at an empire's own planets (as far as `planets` tell)
+export function countMilitary(owner, planets = gameState.planets) {
     let count = 0;
-    for (const planet of gameState.planets.filter(p => p.owner === owner)) {
-        count += planet.ships.filter(s => SHIP_TYPES[s.type].attack > 0).length;
+    for (const planet of planets.filter(p => p.owner === owner)) {
+        count += planet.ships.filter(s => getShipType(s.type).attack > 0).length;
     }
     return count;
 }
 
-function countEnemyMilitary(owner) {
-    return countPlayerMilitary(owner);
-}
-
 function findNearestPlanet(fromPlanet, candidates) {
     let nearest = null;
     let minDist = Infinity;
 
     for (const planet of candidates) {
-        const dist = Math.sqrt(
-            (planet.x - fromPlanet.x) ** 2 +
-            (planet.y - fromPlanet.y) ** 2
-        );
+        const dist = getTravelDistance(fromPlanet, planet);
         if (dist < minDist) {
             minDist = dist;
             nearest = planet;
@@ -443,7 +569,7 @@ function findWeakestPlanet(candidates) {
     let minStrength = Infinity;
 
     for (const planet of candidates) {
-        const strength = planet.ships.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
+        const strength = calculatePlanetStrength(planet);
         if (strength < minStrength) {
             minStrength = strength;
             weakest = planet;
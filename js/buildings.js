@@ -0,0 +1,210 @@
+// ============================================
+// BUILDINGS - PLANETARY INFRASTRUCTURE
+// ============================================
+// Version: 1.2.0
+//
+// This module manages planetary buildings. Every planet has a building queue next to
+// its ship queue; completed buildings raise the planet's income, shorten its ship
+// build times, shield its defenders, strengthen the planet's own defenses or extend its
+// sensor range. When a planet is
+// conquered, part of its buildings are destroyed and the rest are damaged (and have
+// no effect) until they are repaired.
+//
+// Core Responsibilities:
+// - Queue, cancel (50% refund) and complete buildings per planet
+// - Compute a planet's building effects (yield, build time, shields, planet defenses, sensor range)
+// - Repair damaged buildings over time and damage buildings on conquest
+// - Record player building orders in the command log (replays)
+// - Offer the wonder only when wonder victory is active (one per empire)
+//
+// Planet Fields:
+// - planet.buildings = [{ id, type, damagedTurns }] (damagedTurns > 0 = damaged, no effect)
+// - planet.buildingQueue = [{ id, type, turnsRemaining }] (first item is under construction)
+//
+// Exports:
+// - getBuildingYield(planet): Extra income from the planet's working buildings
+// - getBuildTimeMultiplier(planet): Ship build time multiplier from shipyard upgrades
+// - getShieldBonus(planet): Fraction of max HP defending ships get as shields
+// - getDefenseBuildingBonus(planet): Planet shields and batteries added by buildings { shields, batteries }
+// - getPlanetSensorRange(planet): Sensor range of an owned planet
+// - isBuildingAvailable(type): False for buildings whose victory condition is not active
+// - canQueueBuilding(planet, type): True while the building is available and the per-planet and
+//   per-empire limits (built + queued) are not reached
+// - canAffordBuilding(owner, type): Checks resource availability
+// - queueBuilding(owner, planet, type): Pays for and queues a building (shared by player and AI)
+// - buildBuilding(type, planet): Player building order (defaults to selected planet)
+// - cancelBuilding(planetId, buildId): Cancels a queued building and refunds 50%
+// - processBuildingQueues(): Advances construction and repairs (called once per turn)
+// - damageBuildingsOnConquest(planet): Destroys or damages buildings of a conquered planet
+//
+// Events emitted: buildingCompleted { planetId, buildingType, owner }, notification (human empires)
+//
+// Used by: turnSystem (queues, income), shipSystem (build times), combatSystem (shields,
+//          conquest), planetDefenses (planet shields and batteries), visibility (sensor range),
+//          aiSystem (AI buildings), uiManager (shipyard), simulation (player commands)
+
+import { gameState, generateId, nextRandom, recordCommand, isHumanEmpire } from './gameState.js';
+import { BUILDING_TYPES, PLANET_SENSOR_RANGE, BUILDING_DESTROY_CHANCE, BUILDING_REPAIR_TURNS } from './config.js';
+import { emitGameEvent } from './gameEvents.js';
+import { isVictoryEnabled } from './victory.js';
+
+// Completed buildings that are not damaged
+function getWorkingBuildings(planet) {
+    return (planet.buildings || []).filter(b => b.damagedTurns === 0);
+}
+
+export function getBuildingYield(planet) {
+    const bonus = { energy: 0, minerals: 0, food: 0 };
+    for (const building of getWorkingBuildings(planet)) {
+        const buildingYield = BUILDING_TYPES[building.type].effects.yield || {};
+        for (const resource in buildingYield) {
+            bonus[resource] += buildingYield[resource];
+        }
+    }
+    return bonus;
+}
+
+export function getBuildTimeMultiplier(planet) {
+    return getWorkingBuildings(planet).reduce(
+        (multiplier, b) => multiplier * (BUILDING_TYPES[b.type].effects.buildTimeMultiplier || 1), 1
+    );
+}
+
+export function getShieldBonus(planet) {
+    return getWorkingBuildings(planet).reduce(
+        (sum, b) => sum + (BUILDING_TYPES[b.type].effects.shieldBonus || 0), 0
+    );
+}
+
+export function getDefenseBuildingBonus(planet) {
+    const bonus = { shields: 0, batteries: 0 };
+    for (const building of getWorkingBuildings(planet)) {
+        const effects = BUILDING_TYPES[building.type].effects;
+        bonus.shields += effects.planetShields || 0;
+        bonus.batteries += effects.batteries || 0;
+    }
+    return bonus;
+}
+
+export function getPlanetSensorRange(planet) {
+    return getWorkingBuildings(planet).reduce(
+        (range, b) => Math.max(range, BUILDING_TYPES[b.type].effects.sensorRange || 0), PLANET_SENSOR_RANGE
+    );
+}
+
+export function isBuildingAvailable(type) {
+    const requiresVictory = BUILDING_TYPES[type].requiresVictory;
+    return !requiresVictory || isVictoryEnabled(requiresVictory);
+}
+
+// Built plus queued buildings of a type
+function countBuildings(planets, type) {
+    return planets.reduce((sum, p) =>
+        sum + p.buildings.filter(b => b.type === type).length +
+        p.buildingQueue.filter(item => item.type === type).length, 0
+    );
+}
+
+export function canQueueBuilding(planet, type) {
+    const building = BUILDING_TYPES[type];
+    if (!isBuildingAvailable(type)) return false;
+    if (countBuildings([planet], type) >= building.maxPerPlanet) return false;
+
+    if (building.maxPerEmpire) {
+        const ownedPlanets = gameState.planets.filter(p => p.owner === planet.owner);
+        if (countBuildings(ownedPlanets, type) >= building.maxPerEmpire) return false;
+    }
+    return true;
+}
+
+export function canAffordBuilding(owner, type) {
+    const cost = BUILDING_TYPES[type].cost;
+    const player = gameState.players[owner];
+    return player.energy >= cost.energy &&
+           player.minerals >= cost.minerals &&
+           player.food >= cost.food;
+}
+
+export function queueBuilding(owner, planet, type) {
+    if (planet.owner !== owner) return false;
+    if (!canQueueBuilding(planet, type) || !canAffordBuilding(owner, type)) return false;
+
+    const building = BUILDING_TYPES[type];
+    const player = gameState.players[owner];
+    player.energy -= building.cost.energy;
+    player.minerals -= building.cost.minerals;
+    player.food -= building.cost.food;
+
+    planet.buildingQueue.push({
+        id: generateId(),
+        type: type,
+        turnsRemaining: building.buildTime
+    });
+    return true;
+}
+
+export function buildBuilding(type, planet = gameState.selectedPlanet) {
+    if (!planet) return false;
+    if (!queueBuilding('player', planet, type)) return false;
+
+    recordCommand({ type: 'buildBuilding', planetId: planet.id, buildingType: type });
+    return true;
+}
+
+export function cancelBuilding(planetId, buildId) {
+    const planet = gameState.planets.find(p => p.id == planetId);
+    if (!planet || planet.owner !== 'player') return false;
+
+    const idx = planet.buildingQueue.findIndex(b => b.id === buildId);
+    if (idx === -1) return false;
+
+    const cost = BUILDING_TYPES[planet.buildingQueue[idx].type].cost;
+
+    // Refund 50%
+    gameState.players.player.energy += Math.floor(cost.energy * 0.5);
+    gameState.players.player.minerals += Math.floor(cost.minerals * 0.5);
+    gameState.players.player.food += Math.floor(cost.food * 0.5);
+
+    planet.buildingQueue.splice(idx, 1);
+    recordCommand({ type: 'cancelBuilding', planetId: planet.id, buildId: buildId });
+    return true;
+}
+
+export function processBuildingQueues() {
+    for (const planet of gameState.planets) {
+        if (!planet.owner) continue;
+
+        // Damaged buildings are repaired while the planet stays owned
+        for (const building of planet.buildings) {
+            if (building.damagedTurns > 0) {
+                building.damagedTurns--;
+            }
+        }
+
+        if (planet.buildingQueue.length === 0) continue;
+
+        const item = planet.buildingQueue[0];
+        item.turnsRemaining--;
+
+        if (item.turnsRemaining <= 0) {
+            planet.buildingQueue.shift();
+            planet.buildings.push({ id: generateId(), type: item.type, damagedTurns: 0 });
+
+            emitGameEvent('buildingCompleted', { planetId: planet.id, buildingType: item.type, owner: planet.owner });
+            if (isHumanEmpire(planet.owner)) {
+                const building = BUILDING_TYPES[item.type];
+                emitGameEvent('notification', { message: `${building.icon} ${building.name} completed at ${planet.name}` });
+            }
+        }
+    }
+}
+
+// Conquest wrecks part of the infrastructure; unfinished buildings are lost
+export function damageBuildingsOnConquest(planet) {
+    planet.buildingQueue = [];
+    planet.buildings = planet.buildings.filter(building => {
+        if (nextRandom('combat') < BUILDING_DESTROY_CHANCE) return false;
+        building.damagedTurns = BUILDING_REPAIR_TURNS;
+        return true;
+    });
+}
@@ -5,7 +5,7 @@
 // This module handles all combat mechanics, including battle resolution,
 // casualty calculations, conquest mechanics, and battle result displays.
 //
-// Version: 2.0.12 - Colonizers now die last when escorted
+// Version: 2.13.1 - Records attacks on empire planets for AI counter-attacks
 //
 // Core Responsibilities:
 // - Resolve combat using realistic HP-based round-by-round calculations
@@ -18,171 +18,157 @@
 // - Manage planet ownership changes and neutralization after successful attacks
 // - Implement tactical withdrawal with damage and destination selection
 // - Ensure colonizers with escorts are destroyed last (protected by military ships)
+// - Predict battles by fighting them many times on cloned ships (win chance, expected losses)
+// - Write round-by-round reports of battles fought by human empires into the battle history
+// - Let owned planets fight for their owner (shields and batteries) and bombard planets under conquest
+// - Treat every colony ship (colonizers and designs with a colony pod) as a colonizer
+// - Credit kills to the ships that fired and award experience to the survivors (veterancy.js)
+// - Record every battle at another empire's planet as an attack on that empire (aiSystem.recordAttack)
 //
 // Combat Mechanics (v2.0.12):
 // - Ships fire in rounds until one side is eliminated
 // - Each round has ±15% damage randomness
 // - Defenders receive 10% HP bonus (not strength multiplier)
 // - Equal strength battles cause significant damage to winners
-// - Withdrawal incurs 30-40% of defender firepower as damage
+// - Withdrawal incurs 30-40% of the opposing fleet's firepower as damage
+// - Defenders who withdraw leave the planet to the attackers (v2.5.0)
 // - Colonizers are protected by escorts and only destroyed after all military ships die
+// - Attack values include the owner's weapon technologies; HP caps are per ship (v2.7.0)
+// - Orbital defenses give the owner's defending ships temporary shield HP (v2.8.0)
+// - Completed conquests destroy or damage the planet's buildings (v2.8.0)
+// - Predictions run the same battle code with a private random stream, so they never
+//   shift the seeded combat rolls (v2.9.0)
+// - Battles with a human empire on either side are reported in gameState.battleHistory:
+//   every volley's firepower, random roll and damage, and each hit ship's HP before and
+//   after. Only the last BATTLE_HISTORY_LENGTH reports are kept (v2.10.0)
+// - A planet fights for its owner while its shields are up (v2.11.0): the shields take the
+//   enemy fire aimed at the owner's side first, and the batteries fire with the owner's
+//   ships. Attackers only win once the defending ships are gone and the shields are down.
+//   Conquering fleets may bombard the planet each turn of the conquest timer
+// - Veteran ships fire harder and fight with extra HP, both dropped after the battle (v2.13.0).
+//   Each volley's kills are shared out among the ships that fired it (fewest kills first); surviving
+//   warships of a battle with at least one round of fire gain experience afterwards
+//
+// Battle report:
+// { number, turn, planetId, planetName, attacker, defender, planetOwner,
+//   attackers: [{ id, type, owner, hitPoints, maxHitPoints, rank, captain }], defenders: [...], shieldBonus, colonizersLost: { attackers, defenders },
+//   planetDefense: { side, shields, maxShields, batteries } | null,
+//   rounds: [{ round, volleys: [{ side, firepower, batteries, roll, damage, absorbed, planetShields,
+//                                 hits: [{ shipId, type, owner, hpBefore, hpAfter, destroyed }] }] }],
+//   outcome, attackersSurvived, defendersSurvived, attackersDestroyed, defendersDestroyed }
 //
 // Exports:
 // - resolveBattleChoice(choice): Processes player's fight/withdraw decision
 // - resolveCombat(attackers, defenders, planet): Core combat resolution algorithm
-// - showBattleResults(result, isDefending): Displays detailed battle outcome
-// - resolveWithdraw(ships, planet, isDefending): Handles retreat with damage and destination
+// - predictBattle(attackers, defenders, planet, simulations): Monte-Carlo outcome estimate
+// - getPlanetBattleDefense(planet, attackers, defenders): The planet's side, shields and batteries in a battle (or null)
+// - resolveWithdraw(ships, planet, isDefending, owner): Handles retreat with damage and destination
 // - completeRetreat(planetId): Finalizes retreat to chosen friendly planet
-// - processPendingConquests(): Updates conquest timers each turn
+// - processPendingConquests(): Updates conquest timers (and bombards planets) each turn
 //
-// Used by: turnSystem (ship arrivals, new ship construction), uiManager (battle dialogs),
-//          inputHandler (retreat destination selection)
-
-import { gameState, generateId } from './gameState.js';
-import { SHIP_TYPES } from './config.js';
-import { showNotification } from './uiManager.js';
-
-// Combat system now uses actual attack power and hit points from SHIP_TYPES config
+// Events emitted:
+// - battleChoiceMade { choice }: Player answered the fight/withdraw dialog
+// - battleResult { result, isDefending, planetId }: Fight resolved (UI shows results dialog)
+// - retreatDestinationRequired { planetIds, casualties }: Player must pick a retreat planet
+// - retreatCompleted { planetId, casualties }: Retreating ships arrived at chosen planet
+// - notification { message }: Human-readable event for the notification feed
+//
+// Used by: turnSystem (ship arrivals, new ship construction), simulation (battle commands),
+//          inputHandler (retreat destination selection), uiManager (battle predictions, planet defenses)
+
+import { gameState, generateId, nextRandom, recordCommand, isHumanEmpire } from './gameState.js';
+import { getShipStats } from './research.js';
+import { mulberry32 } from './seededRandom.js';
+import { BATTLE_PREDICTION_SIMULATIONS, BATTLE_HISTORY_LENGTH } from './config.js';
+import { getShieldBonus, damageBuildingsOnConquest } from './buildings.js';
+import { getPlanetDefenses, bombardPlanet } from './planetDefenses.js';
+import { isColonyShip } from './shipDesigns.js';
+import { getShipRank, getShipAttack, getBattleHitPointBonus, awardBattleExperience, reportLostVeterans } from './veterancy.js';
+import { emitGameEvent } from './gameEvents.js';
+import { updateIntel } from './visibility.js';
+import { recordAttack } from './aiSystem.js';
+
+// Combat system now uses actual attack power and hit points of the ship types (stock or designs, plus research and veterancy)
 // No longer needs abstract strength values
 
+// Rolls of real battles come from the game's seeded combat stream (replays depend on it)
+const combatRandom = () => nextRandom('combat');
+
 export function resolveBattleChoice(choice) {
     if (!gameState.battlePending) return;
 
-    const { attackingShips, planet, isDefending } = gameState.battlePending;
+    // Battles queued before v2.5.0 have no empireId (always the player)
+    const { attackingShips, planet, isDefending, empireId = 'player' } = gameState.battlePending;
+    recordCommand({ type: 'battleChoice', choice: choice });
 
-    document.getElementById('battleDialog').style.display = 'none';
+    emitGameEvent('battleChoiceMade', { choice });
 
     let result = null;
     if (choice === 'fight') {
-        result = resolveCombat(attackingShips, planet.ships, planet);
-        // Show battle results window
-        showBattleResults(result, isDefending);
+        // Attackers already stationed on the planet (occupiers facing a newly built ship)
+        // must not also be counted as defenders
+        const defendingShips = planet.ships.filter(s => !attackingShips.includes(s));
+        result = resolveCombat(attackingShips, defendingShips, planet);
+        // Battle results window is shown by the UI layer
+        emitGameEvent('battleResult', { result, isDefending, planetId: planet.id });
     } else if (choice === 'withdraw') {
-        resolveWithdraw(attackingShips, planet, isDefending);
+        resolveWithdraw(attackingShips, planet, isDefending, empireId);
     }
 
     gameState.battlePending = null;
+    updateIntel();
 }
 
-export function showBattleResults(result, isDefending) {
-    const dialog = document.getElementById('battleResultsDialog');
-
-    let title = '';
-    let summary = '';
-
-    if (isDefending) {
-        if (result.victory) {
-            // Attackers won (enemy won)
-            title = '⚔️ DEFEAT!';
-            summary = `Enemy forces have overwhelmed your defenses!`;
-        } else {
-            // Defenders won (player won)
-            title = '🛡️ VICTORY!';
-            summary = `You successfully repelled the attack!`;
-        }
-    } else {
-        if (result.victory) {
-            title = '⚔️ VICTORY!';
-            summary = `Your forces prevailed!`;
-            if (result.conquered) {
-                summary += ' Planet conquered!';
-            } else if (result.conquering) {
-                summary += ' Conquest in progress!';
-            }
-        } else {
-            title = '⚔️ DEFEAT!';
-            summary = `Your attack was repelled!`;
-        }
-    }
-
-    let casualties = '<div class="casualties-grid">';
-
-    // Attacker casualties
-    casualties += '<div class="casualty-side">';
-    casualties += `<h4>${isDefending ? 'Enemy' : 'Your'} Forces</h4>`;
-    casualties += `<div class="casualty-stat"><span>Ships Destroyed:</span> <span class="stat-value">${result.attackersDestroyed}</span></div>`;
-    casualties += `<div class="casualty-stat"><span>Ships Survived:</span> <span class="stat-value">${result.attackersSurvived}</span></div>`;
-
-    if (result.damagedAttackers.length > 0) {
-        casualties += '<div class="damaged-ships"><strong>Damaged Ships:</strong>';
-        for (const ship of result.damagedAttackers) {
-            const shipType = SHIP_TYPES[ship.type];
-            const healthPercent = Math.round((ship.hitPoints / shipType.maxHitPoints) * 100);
-            casualties += `<div>${shipType.icon} ${shipType.name} (${healthPercent}% HP)</div>`;
-        }
-        casualties += '</div>';
-    }
-    casualties += '</div>';
-
-    // Defender casualties
-    casualties += '<div class="casualty-side">';
-    casualties += `<h4>${isDefending ? 'Your' : 'Enemy'} Forces</h4>`;
-    casualties += `<div class="casualty-stat"><span>Ships Destroyed:</span> <span class="stat-value">${result.defendersDestroyed}</span></div>`;
-    casualties += `<div class="casualty-stat"><span>Ships Survived:</span> <span class="stat-value">${result.defendersSurvived}</span></div>`;
-
-    if (result.damagedDefenders.length > 0) {
-        casualties += '<div class="damaged-ships"><strong>Damaged Ships:</strong>';
-        for (const ship of result.damagedDefenders) {
-            const shipType = SHIP_TYPES[ship.type];
-            const healthPercent = Math.round((ship.hitPoints / shipType.maxHitPoints) * 100);
-            casualties += `<div>${shipType.icon} ${shipType.name} (${healthPercent}% HP)</div>`;
-        }
-        casualties += '</div>';
-    }
-    casualties += '</div>';
-
-    casualties += '</div>';
-
-    dialog.innerHTML = `
-        <h2>${title}</h2>
-        <p class="battle-summary">${summary}</p>
-        ${casualties}
-        <button class="battle-results-btn" onclick="window.closeBattleResults()">CONTINUE</button>
-    `;
-
-    dialog.style.display = 'block';
-}
-
-export function resolveWithdraw(attackingShips, planet, isDefending) {
-    // Calculate withdrawal damage (defenders get one free attack)
-    const defenders = planet.ships;
-    const defenderPower = calculateFleetPower(defenders);
+// `owner` is the empire that chose to withdraw: the defender's ships when isDefending,
+// otherwise the arriving attackers.
+export function resolveWithdraw(attackingShips, planet, isDefending, owner = 'player') {
+    const withdrawingShips = isDefending ? planet.ships.filter(s => s.owner === owner) : attackingShips;
+    const opposingShips = isDefending ? attackingShips : planet.ships;
 
-    // Withdrawing forces take 30-40% of defender firepower as damage
-    const withdrawalDamage = defenderPower * (0.30 + Math.random() * 0.10);
+    // Withdrawing forces take 30-40% of the opposing fleet's firepower as damage
+    // (attackers pulling out also draw fire from the planet's batteries while its shields hold)
+    const defense = isDefending ? null : getPlanetBattleDefense(planet, attackingShips, planet.ships);
+    const batteries = isShielded(defense, 'defenders') ? defense.batteries : 0;
+    const withdrawalDamage = (calculateFleetPower(opposingShips) + batteries) * (0.30 + nextRandom('combat') * 0.10);
 
-    // Create a copy of attacking ships to apply damage
-    let retreatingShips = attackingShips.map(s => ({...s}));
+    // Create a copy of withdrawing ships to apply damage
+    let retreatingShips = withdrawingShips.map(s => ({...s}));
     const destroyedDuringRetreat = [];
 
     // Apply withdrawal damage
     applyDamageToFleet(retreatingShips, withdrawalDamage, destroyedDuringRetreat);
     retreatingShips = retreatingShips.filter(s => s.hitPoints > 0);
+    reportLostVeterans(destroyedDuringRetreat, planet);
 
     if (isDefending) {
-        // Defending forces retreat - find friendly planets to retreat to
+        // Defenders leave immediately; the attackers take on whoever is left on the planet
+        // (usually nobody, so the planet is occupied or conquered as after a lost fight)
+        planet.ships = planet.ships.filter(s => s.owner !== owner);
+        resolveCombat(attackingShips, planet.ships.filter(s => !attackingShips.includes(s)), planet);
+
+        // Find friendly planets to retreat to
         const friendlyPlanets = gameState.planets.filter(p =>
-            p.owner === 'player' && p.id !== planet.id
+            p.owner === owner && p.id !== planet.id
         );
 
         if (friendlyPlanets.length === 0) {
             // No retreat option - ships are destroyed
-            showNotification('🏃 No friendly planets to retreat to! Ships destroyed!');
-            planet.ships = planet.ships.filter(s => s.owner !== 'player');
+            emitGameEvent('notification', { message: '🏃 No friendly planets to retreat to! Ships destroyed!' });
         } else if (friendlyPlanets.length === 1) {
             // Auto-retreat to only friendly planet
             const retreatPlanet = friendlyPlanets[0];
-            planet.ships = planet.ships.filter(s => s.owner !== 'player');
             retreatPlanet.ships.push(...retreatingShips);
 
             const casualties = destroyedDuringRetreat.length;
-            showNotification(`🏃 Retreated to ${retreatPlanet.name}! ${casualties} ships lost during retreat.`);
+            emitGameEvent('notification', { message: `🏃 Retreated to ${retreatPlanet.name}! ${casualties} ships lost during retreat.` });
         } else {
             // Show planet selection dialog
             gameState.retreatingShips = retreatingShips;
-            gameState.retreatSource = planet;
             gameState.retreatCasualties = destroyedDuringRetreat.length;
-            showRetreatDialog(friendlyPlanets, destroyedDuringRetreat.length);
+            emitGameEvent('retreatDestinationRequired', {
+                planetIds: friendlyPlanets.map(p => p.id),
+                casualties: destroyedDuringRetreat.length
+            });
         }
     } else {
         // Attacking forces retreat - they came from somewhere
@@ -196,102 +182,67 @@ export function resolveWithdraw(attackingShips, planet, isDefending) {
                 retreatPlanet.ships.push(...retreatingShips);
 
                 const casualties = destroyedDuringRetreat.length;
-                showNotification(`🏃 Withdrew to ${retreatPlanet.name}! ${casualties} ships lost during retreat.`);
+                emitGameEvent('notification', { message: `🏃 Withdrew to ${retreatPlanet.name}! ${casualties} ships lost during retreat.` });
             } else {
                 // Show planet selection dialog
                 gameState.retreatingShips = retreatingShips;
                 gameState.retreatCasualties = destroyedDuringRetreat.length;
-                showRetreatDialog(friendlyPlanets, destroyedDuringRetreat.length);
+                emitGameEvent('retreatDestinationRequired', {
+                planetIds: friendlyPlanets.map(p => p.id),
+                casualties: destroyedDuringRetreat.length
+            });
             }
         } else {
             // Fallback - ships just disappear with message
             const casualties = destroyedDuringRetreat.length;
-            showNotification(`🏃 Withdrew from battle! ${casualties} ships lost during retreat.`);
+            emitGameEvent('notification', { message: `🏃 Withdrew from battle! ${casualties} ships lost during retreat.` });
         }
     }
 }
 
-function showRetreatDialog(friendlyPlanets, casualties) {
-    const dialog = document.getElementById('battleDialog');
-
-    let planetsHtml = '';
-    for (const planet of friendlyPlanets) {
-        planetsHtml += `
-            <button class="battle-btn" style="width: 100%; margin: 5px 0;"
-                onclick="window.completeRetreat('${planet.id}')">
-                Retreat to ${planet.name}
-            </button>
-        `;
-    }
-
-    dialog.innerHTML = `
-        <h2>🏃 SELECT RETREAT DESTINATION</h2>
-        <div class="battle-info">
-            <p>${casualties} ships were destroyed during the retreat.</p>
-            <p>Choose a friendly planet to retreat to:</p>
-        </div>
-        <div class="battle-buttons" style="flex-direction: column;">
-            ${planetsHtml}
-        </div>
-    `;
-
-    dialog.style.display = 'block';
-}
-
 export function resolveCombat(attackingShips, defendingShips, planet) {
-    let attackers = [...attackingShips];
-    let defenders = [...defendingShips];
+    // A battle at another empire's planet is an attack on that empire (AI counter-attacks)
+    const attackerId = attackingShips[0]?.owner;
+    if (planet.owner && attackerId && attackerId !== planet.owner) {
+        recordAttack(planet.id, attackerId);
+    }
 
-    const destroyedAttackers = [];
-    const destroyedDefenders = [];
-    const damagedAttackers = [];
-    const damagedDefenders = [];
+    const defense = getPlanetBattleDefense(planet, attackingShips, defendingShips);
+    const report = isReportedBattle(attackingShips, defendingShips, planet, defense)
+        ? createBattleReport(attackingShips, defendingShips, planet, defense)
+        : null;
 
-    // Special case: Colonizers are auto-destroyed if facing enemies without escort
-    const attackerColonizers = attackers.filter(s => s.type === 'colonizer');
-    const attackerEscorts = attackers.filter(s => s.type !== 'colonizer');
+    const { combatResult, destroyedAttackers, destroyedDefenders } =
+        fightBattle(attackingShips, defendingShips, planet, combatRandom, defense, report?.rounds);
 
-    if (attackerColonizers.length > 0 && attackerEscorts.length === 0 && defenders.length > 0) {
-        for (const colonizer of attackerColonizers) {
-            destroyedAttackers.push({ type: colonizer.type, owner: colonizer.owner });
-        }
-        attackers = attackers.filter(s => s.type !== 'colonizer');
+    // The planet keeps whatever shields survived the battle
+    const planetHolds = defense?.side === 'defenders' && defense.shields > 0;
+    if (defense) {
+        planet.shields = defense.shields;
     }
 
-    const defenderColonizers = defenders.filter(s => s.type === 'colonizer');
-    const defenderEscorts = defenders.filter(s => s.type !== 'colonizer');
-
-    if (defenderColonizers.length > 0 && defenderEscorts.length === 0 && attackers.length > 0) {
-        for (const colonizer of defenderColonizers) {
-            destroyedDefenders.push({ type: colonizer.type, owner: colonizer.owner });
-        }
-        defenders = defenders.filter(s => s.type !== 'colonizer');
+    if (report) {
+        report.colonizersLost = { attackers: destroyedAttackers.length, defenders: destroyedDefenders.length };
     }
 
-    // Apply defender advantage (10% extra HP if planet is owned)
-    if (planet.owner) {
-        for (const ship of defenders) {
-            if (ship.type !== 'colonizer') {
-                const shipType = SHIP_TYPES[ship.type];
-                ship.hitPoints = Math.min(ship.hitPoints * 1.1, shipType.maxHitPoints);
-            }
-        }
-    }
+    const damagedAttackers = [];
+    const damagedDefenders = [];
 
-    // Simulate combat (no longer needs win chance parameter)
-    const combatResult = simulateCombat(attackers, defenders, null);
+    // Survivors of a battle that was fought learn from it
+    const survivingWarships = [...combatResult.survivingAttackers, ...combatResult.survivingDefenders].filter(s => !isColonyShip(s));
+    const promotions = combatResult.roundsFought > 0 ? awardBattleExperience(survivingWarships, planet) : [];
 
     // Process casualties
     for (const ship of combatResult.destroyedAttackers) {
-        destroyedAttackers.push({ type: ship.type, owner: ship.owner });
-        // Track enemy ships destroyed (defenders destroyed attackers)
-        const defenderOwner = defendingShips[0]?.owner;
+        destroyedAttackers.push(ship);
+        // Track enemy ships destroyed (defenders or their planet destroyed attackers)
+        const defenderOwner = defendingShips[0]?.owner ?? planet.owner;
         if (defenderOwner && gameState.players[defenderOwner]) {
             gameState.players[defenderOwner].enemyShipsDestroyed++;
         }
     }
     for (const ship of combatResult.destroyedDefenders) {
-        destroyedDefenders.push({ type: ship.type, owner: ship.owner });
+        destroyedDefenders.push(ship);
         // Track enemy ships destroyed (attackers destroyed defenders)
         const attackerOwner = attackingShips[0]?.owner;
         if (attackerOwner && gameState.players[attackerOwner]) {
@@ -301,20 +252,20 @@ export function resolveCombat(attackingShips, defendingShips, planet) {
 
     // Track damaged ships
     for (const ship of combatResult.survivingAttackers) {
-        const shipType = SHIP_TYPES[ship.type];
-        if (ship.hitPoints < shipType.maxHitPoints) {
-            damagedAttackers.push({ type: ship.type, owner: ship.owner, hitPoints: ship.hitPoints });
+        if (ship.hitPoints < ship.maxHitPoints) {
+            damagedAttackers.push({ type: ship.type, owner: ship.owner, hitPoints: ship.hitPoints, maxHitPoints: ship.maxHitPoints });
         }
     }
     for (const ship of combatResult.survivingDefenders) {
-        const shipType = SHIP_TYPES[ship.type];
-        if (ship.hitPoints < shipType.maxHitPoints) {
-            damagedDefenders.push({ type: ship.type, owner: ship.owner, hitPoints: ship.hitPoints });
+        if (ship.hitPoints < ship.maxHitPoints) {
+            damagedDefenders.push({ type: ship.type, owner: ship.owner, hitPoints: ship.hitPoints, maxHitPoints: ship.maxHitPoints });
         }
     }
 
-    attackers = combatResult.survivingAttackers;
-    defenders = combatResult.survivingDefenders;
+    reportLostVeterans([...destroyedAttackers, ...destroyedDefenders], planet);
+
+    const attackers = combatResult.survivingAttackers;
+    const defenders = combatResult.survivingDefenders;
 
     // Update planet ships with survivors
     planet.ships = defenders;
@@ -328,12 +279,13 @@ export function resolveCombat(attackingShips, defendingShips, planet) {
         destroyedAttackers,
         destroyedDefenders,
         damagedAttackers,
-        damagedDefenders
+        damagedDefenders,
+        promotions
     };
 
-    // If attackers won and planet is not theirs, attempt conquest
-    if (attackers.length > 0 && defenders.length === 0) {
-        const hasColonizer = attackers.some(s => s.type === 'colonizer');
+    // If attackers won (no defending ships, planet shields down) and planet is not theirs, attempt conquest
+    if (attackers.length > 0 && defenders.length === 0 && !planetHolds) {
+        const hasColonizer = attackers.some(isColonyShip);
         const previousOwner = planet.owner;
 
         if (planet.owner === null) {
@@ -342,7 +294,7 @@ export function resolveCombat(attackingShips, defendingShips, planet) {
                 const attackerOwner = attackingShips[0].owner;
                 planet.owner = attackerOwner;
                 planet.population = 10;
-                planet.ships = attackers.filter(s => s.type !== 'colonizer');
+                planet.ships = attackers.filter(s => !isColonyShip(s));
 
                 result.conquered = true;
             } else {
@@ -350,8 +302,9 @@ export function resolveCombat(attackingShips, defendingShips, planet) {
             }
         } else {
             // Enemy planet - shipyard is destroyed by successful attack
-            // Cancel all build queue items
+            // Cancel all build queue items (ships and buildings)
             planet.buildQueue = [];
+            planet.buildingQueue = [];
 
             if (hasColonizer) {
                 const attackerOwner = attackingShips[0].owner;
@@ -361,7 +314,8 @@ export function resolveCombat(attackingShips, defendingShips, planet) {
                 gameState.pendingConquests.push({
                     planetId: planet.id,
                     newOwner: attackerOwner,
-                    turnsRemaining: 3
+                    turnsRemaining: 3,
+                    bombard: false // Set by the conqueror's bombardment order (see planetDefenses.js)
                 });
 
                 result.conquering = true;
@@ -386,93 +340,301 @@ export function resolveCombat(attackingShips, defendingShips, planet) {
         planet.ships = [...defenders, ...attackers];
     }
 
+    if (report) {
+        recordBattleReport(report, result);
+        result.reportNumber = report.number; // Battle log entry of this fight
+    }
+
     return result;
 }
 
+// Battles a human empire fought in (AI-only battles stay hidden, like the rest of their war)
+function isReportedBattle(attackingShips, defendingShips, planet, defense) {
+    const fighters = [...attackingShips, ...defendingShips].map(s => s.owner);
+    if (defense) fighters.push(planet.owner);
+    return attackingShips.length > 0 && (defendingShips.length > 0 || defense !== null) &&
+        fighters.some(owner => isHumanEmpire(owner));
+}
+
+// Report skeleton with both fleets as they entered the battle; fightBattle fills in the rounds
+function createBattleReport(attackingShips, defendingShips, planet, defense) {
+    const snapshot = ships => ships.map(s => ({
+        id: s.id,
+        type: s.type,
+        owner: s.owner,
+        hitPoints: roundStat(s.hitPoints),
+        maxHitPoints: s.maxHitPoints,
+        rank: getShipRank(s),
+        captain: s.captain ?? null
+    }));
+
+    return {
+        number: (gameState.battleHistory.at(-1)?.number ?? 0) + 1,
+        turn: gameState.turn,
+        planetId: planet.id,
+        planetName: planet.name,
+        attacker: attackingShips[0].owner,
+        defender: defendingShips[0]?.owner ?? planet.owner,
+        planetOwner: planet.owner,
+        attackers: snapshot(attackingShips),
+        defenders: snapshot(defendingShips),
+        shieldBonus: planet.owner ? getShieldBonus(planet) : 0,
+        planetDefense: defense && {
+            side: defense.side,
+            shields: roundStat(defense.shields),
+            maxShields: roundStat(defense.maxShields),
+            batteries: roundStat(defense.batteries)
+        },
+        colonizersLost: null,
+        rounds: []
+    };
+}
+
+function recordBattleReport(report, result) {
+    let outcome = 'stalemate'; // Round limit reached with survivors on both sides
+    if (result.conquered) outcome = 'conquered';
+    else if (result.conquering) outcome = 'conquering';
+    else if (result.occupied) outcome = 'occupied';
+    else if (result.attackersSurvived > 0 && result.defendersSurvived === 0) outcome = 'cleared';
+    else if (result.attackersSurvived === 0) outcome = 'repelled';
+
+    Object.assign(report, {
+        outcome,
+        attackersSurvived: result.attackersSurvived,
+        defendersSurvived: result.defendersSurvived,
+        attackersDestroyed: result.attackersDestroyed,
+        defendersDestroyed: result.defendersDestroyed
+    });
+
+    gameState.battleHistory.push(report);
+    if (gameState.battleHistory.length > BATTLE_HISTORY_LENGTH) {
+        gameState.battleHistory.splice(0, gameState.battleHistory.length - BATTLE_HISTORY_LENGTH);
+    }
+}
+
+// Reports keep one decimal (enough for the log, and keeps saves small)
+function roundStat(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Monte-Carlo estimate of a battle: fights it `simulations` times on cloned ships and
+// averages the outcomes. Uses its own random stream, so predicting never changes the game.
+// Ships without hit points (remembered intel) count as undamaged.
+// Returns { simulations, attackerWinChance, defenderWinChance, attackers, defenders } where
+// each side is { ships, lossesByType: { type: expected losses }, expectedSurvivors }.
+export function predictBattle(attackingShips, defendingShips, planet, simulations = BATTLE_PREDICTION_SIMULATIONS) {
+    const random = createPredictionRandom(planet.id, attackingShips.length, defendingShips.length);
+    const defense = getPlanetBattleDefense(planet, attackingShips, defendingShips);
+    const attackers = { ships: attackingShips.length, lossesByType: {}, expectedSurvivors: 0 };
+    const defenders = { ships: defendingShips.length, lossesByType: {}, expectedSurvivors: 0 };
+    let attackerWins = 0;
+    let defenderWins = 0;
+
+    for (let i = 0; i < simulations; i++) {
+        const { combatResult, destroyedAttackers, destroyedDefenders } = fightBattle(
+            cloneForPrediction(attackingShips, 'a'),
+            cloneForPrediction(defendingShips, 'd'),
+            planet,
+            random,
+            defense && { ...defense }
+        );
+
+        const attackersLeft = combatResult.survivingAttackers.length;
+        const defendersLeft = combatResult.survivingDefenders.length;
+        if (attackersLeft > 0 && defendersLeft === 0 && !combatResult.planetHolds) attackerWins++;
+        if (attackersLeft === 0) defenderWins++;
+
+        attackers.expectedSurvivors += attackersLeft;
+        defenders.expectedSurvivors += defendersLeft;
+        for (const ship of [...destroyedAttackers, ...combatResult.destroyedAttackers]) {
+            attackers.lossesByType[ship.type] = (attackers.lossesByType[ship.type] || 0) + 1;
+        }
+        for (const ship of [...destroyedDefenders, ...combatResult.destroyedDefenders]) {
+            defenders.lossesByType[ship.type] = (defenders.lossesByType[ship.type] || 0) + 1;
+        }
+    }
+
+    for (const side of [attackers, defenders]) {
+        side.expectedSurvivors /= simulations;
+        for (const type in side.lossesByType) {
+            side.lossesByType[type] /= simulations;
+        }
+    }
+
+    return {
+        simulations,
+        attackerWinChance: attackerWins / simulations,
+        defenderWinChance: defenderWins / simulations,
+        attackers,
+        defenders
+    };
+}
+
+function cloneForPrediction(ships, prefix) {
+    return ships.map((ship, i) => {
+        const maxHitPoints = ship.maxHitPoints ?? getShipStats(ship.owner, ship.type).maxHitPoints;
+        return {
+            ...ship,
+            id: ship.id ?? `${prefix}${i}`,
+            hitPoints: ship.hitPoints ?? maxHitPoints,
+            maxHitPoints
+        };
+    });
+}
+
+// The same battle always gets the same prediction (no flicker when the dialog reopens)
+function createPredictionRandom(...seedParts) {
+    let state = seedParts.reduce((hash, part) => Math.imul(hash ^ part, 0x9E3779B1) >>> 0, 0x5EED);
+    return () => {
+        const next = mulberry32(state);
+        state = next.state;
+        return next.value;
+    };
+}
+
+// One battle between two fleets: colonizers without escort, the defender bonus and the
+// combat rounds. Shared by resolveCombat (the real ships, game random stream) and
+// predictBattle (cloned ships, private random stream) so predictions follow the same rules.
+// `defense` is the planet's part in the battle (getPlanetBattleDefense, updated in place).
+// When `rounds` is given (battle report), every combat round is logged into it.
+function fightBattle(attackingShips, defendingShips, planet, random, defense = null, rounds = null) {
+    let attackers = [...attackingShips];
+    let defenders = [...defendingShips];
+
+    const destroyedAttackers = [];
+    const destroyedDefenders = [];
+
+    // Special case: Colonizers are auto-destroyed if facing enemies without escort
+    const attackerColonizers = attackers.filter(isColonyShip);
+    const attackerEscorts = attackers.filter(s => !isColonyShip(s));
+
+    if (attackerColonizers.length > 0 && attackerEscorts.length === 0 && (defenders.length > 0 || defense?.side === 'defenders')) {
+        for (const colonizer of attackerColonizers) {
+            destroyedAttackers.push({ type: colonizer.type, owner: colonizer.owner });
+        }
+        attackers = attackers.filter(s => !isColonyShip(s));
+    }
+
+    const defenderColonizers = defenders.filter(isColonyShip);
+    const defenderEscorts = defenders.filter(s => !isColonyShip(s));
+
+    if (defenderColonizers.length > 0 && defenderEscorts.length === 0 && (attackers.length > 0 || defense?.side === 'attackers')) {
+        for (const colonizer of defenderColonizers) {
+            destroyedDefenders.push({ type: colonizer.type, owner: colonizer.owner });
+        }
+        defenders = defenders.filter(s => !isColonyShip(s));
+    }
+
+    // Apply defender advantage (10% extra HP if planet is owned), plus orbital defense
+    // shields for the owner's ships (shields only last for this battle)
+    if (planet.owner) {
+        const shieldBonus = getShieldBonus(planet);
+        for (const ship of defenders) {
+            if (!isColonyShip(ship)) {
+                ship.hitPoints = Math.min(ship.hitPoints * 1.1, ship.maxHitPoints);
+                if (ship.owner === planet.owner) {
+                    ship.hitPoints += ship.maxHitPoints * shieldBonus;
+                }
+            }
+        }
+    }
+
+    const combatResult = simulateCombat(attackers, defenders, random, defense, rounds);
+
+    // Remaining shields drop after the battle
+    for (const ship of combatResult.survivingDefenders) {
+        ship.hitPoints = Math.min(ship.hitPoints, ship.maxHitPoints);
+    }
+
+    return { combatResult, destroyedAttackers, destroyedDefenders };
+}
+
 function calculateFleetPower(ships) {
     // Calculate total firepower of a fleet
     let power = 0;
     for (const ship of ships) {
-        if (ship.type === 'colonizer') continue;
-        const shipType = SHIP_TYPES[ship.type];
-        power += shipType.attack;
+        if (isColonyShip(ship)) continue;
+        power += getShipAttack(ship);
     }
     return power;
 }
 
-function simulateCombat(attackers, defenders, attackerWinChance) {
+function simulateCombat(attackers, defenders, random, defense = null, rounds = null) {
     const survivingAttackers = [];
     const survivingDefenders = [];
     const destroyedAttackers = [];
     const destroyedDefenders = [];
 
-    // Make copies to avoid modifying originals during simulation
-    let attackerShips = attackers.filter(s => s.type !== 'colonizer').map(s => ({...s}));
-    let defenderShips = defenders.filter(s => s.type !== 'colonizer').map(s => ({...s}));
+    // Make copies to avoid modifying originals during simulation; veterans fight with extra HP
+    const prepare = s => ({ ...s, hitPoints: s.hitPoints + getBattleHitPointBonus(s) });
+    let attackerShips = attackers.filter(s => !isColonyShip(s)).map(prepare);
+    let defenderShips = defenders.filter(s => !isColonyShip(s)).map(prepare);
+
+    // A side fights on while it has warships or its planet's shields hold
+    const attackersStand = () => attackerShips.length > 0 || isShielded(defense, 'attackers');
+    const defendersStand = () => defenderShips.length > 0 || isShielded(defense, 'defenders');
 
     // Combat rounds until one side is eliminated
     let round = 0;
     const maxRounds = 50; // Prevent infinite loops
 
-    while (attackerShips.length > 0 && defenderShips.length > 0 && round < maxRounds) {
+    while (attackersStand() && defendersStand() && round < maxRounds) {
         round++;
+        const volleys = rounds ? [] : null;
+        rounds?.push({ round, volleys });
 
         // Attackers fire at defenders
-        const attackerDamage = calculateFleetPower(attackerShips);
-        // Add small randomness (±15%)
-        const actualAttackerDamage = attackerDamage * (0.85 + Math.random() * 0.3);
-        applyDamageToFleet(defenderShips, actualAttackerDamage, destroyedDefenders);
+        fireVolley('attackers', attackerShips, defenderShips, destroyedDefenders, random, defense, volleys);
 
         // Remove destroyed ships from defenders
         defenderShips = defenderShips.filter(s => s.hitPoints > 0);
 
-        if (defenderShips.length === 0) break;
+        if (!defendersStand()) break;
 
         // Defenders fire at attackers
-        const defenderDamage = calculateFleetPower(defenderShips);
-        // Add small randomness (±15%)
-        const actualDefenderDamage = defenderDamage * (0.85 + Math.random() * 0.3);
-        applyDamageToFleet(attackerShips, actualDefenderDamage, destroyedAttackers);
+        fireVolley('defenders', defenderShips, attackerShips, destroyedAttackers, random, defense, volleys);
 
         // Remove destroyed ships from attackers
         attackerShips = attackerShips.filter(s => s.hitPoints > 0);
     }
 
-    // Update survivors
+    // Update survivors (extra HP from veterancy drops after the battle)
     for (const ship of attackerShips) {
+        ship.hitPoints = Math.min(ship.hitPoints, ship.maxHitPoints);
         survivingAttackers.push(ship);
     }
     for (const ship of defenderShips) {
+        ship.hitPoints = Math.min(ship.hitPoints, ship.maxHitPoints);
         survivingDefenders.push(ship);
     }
 
-    // Add colonizers to survivors ONLY if their side won (has surviving military ships)
+    // Add colonizers to survivors ONLY if their side won (has surviving military ships or shields)
     // Colonizers without friendly escort are destroyed when their army is defeated
-    if (attackerShips.length > 0) {
+    if (attackersStand()) {
         for (const ship of attackers) {
-            if (ship.type === 'colonizer') {
+            if (isColonyShip(ship)) {
                 survivingAttackers.push(ship);
             }
         }
     } else {
         // Army defeated - colonizers are destroyed (added to destroyedAttackers)
         for (const ship of attackers) {
-            if (ship.type === 'colonizer') {
+            if (isColonyShip(ship)) {
                 destroyedAttackers.push({ type: ship.type, owner: ship.owner });
             }
         }
     }
 
-    if (defenderShips.length > 0) {
+    if (defendersStand()) {
         for (const ship of defenders) {
-            if (ship.type === 'colonizer') {
+            if (isColonyShip(ship)) {
                 survivingDefenders.push(ship);
             }
         }
     } else {
         // Army defeated - colonizers are destroyed (added to destroyedDefenders)
         for (const ship of defenders) {
-            if (ship.type === 'colonizer') {
+            if (isColonyShip(ship)) {
                 destroyedDefenders.push({ type: ship.type, owner: ship.owner });
             }
         }
@@ -482,11 +644,78 @@ function simulateCombat(attackers, defenders, attackerWinChance) {
         survivingAttackers,
         survivingDefenders,
         destroyedAttackers,
-        destroyedDefenders
+        destroyedDefenders,
+        planetHolds: isShielded(defense, 'defenders'),
+        roundsFought: round
     };
 }
 
-function applyDamageToFleet(ships, totalDamage, destroyedList) {
+// One side's fire for a round: fleet firepower (plus the planet's batteries on its owner's
+// side) with small randomness (±15%). The planet's shields take the fire aimed at its side
+// first; the rest is spread over the target ships. Logged into `volleys` when the battle is reported.
+function fireVolley(side, firingShips, targetShips, destroyedList, random, defense, volleys) {
+    const batteries = isShielded(defense, side) ? defense.batteries : 0;
+    const firepower = calculateFleetPower(firingShips) + batteries;
+    const roll = 0.85 + random() * 0.3;
+    const damage = firepower * roll;
+
+    let absorbed = 0;
+    if (defense && defense.side !== side) {
+        absorbed = Math.min(defense.shields, damage);
+        defense.shields -= absorbed;
+    }
+
+    const hits = volleys ? [] : null;
+    const killsBefore = destroyedList.length;
+    applyDamageToFleet(targetShips, damage - absorbed, destroyedList, random, hits);
+
+    // Each kill goes to the firing ship with the fewest kills so far (batteries alone earn no experience)
+    if (firingShips.length > 0) {
+        const killsOf = ship => (ship.kills || 0) + (ship.battleKills || 0);
+        for (let kill = killsBefore; kill < destroyedList.length; kill++) {
+            const ship = firingShips.reduce((fewest, s) => killsOf(s) < killsOf(fewest) ? s : fewest);
+            ship.battleKills = (ship.battleKills || 0) + 1;
+        }
+    }
+
+    volleys?.push({
+        side,
+        firepower: roundStat(firepower),
+        batteries: roundStat(batteries),
+        roll: Math.round(roll * 1000) / 1000,
+        damage: roundStat(damage),
+        absorbed: roundStat(absorbed),
+        planetShields: defense ? roundStat(defense.shields) : null,
+        hits
+    });
+}
+
+function isShielded(defense, side) {
+    return defense !== null && defense.side === side && defense.shields > 0;
+}
+
+// The planet's part in a battle at it, or null when it stays out: only owned planets with
+// shields up fight, and only for their owner (attacking from the planet or defending it).
+// Planets without a recorded shield value (remembered intel) count with full shields.
+export function getPlanetBattleDefense(planet, attackingShips, defendingShips) {
+    if (!planet.owner) return null;
+
+    let side = null;
+    if (attackingShips.some(s => s.owner === planet.owner)) {
+        side = 'attackers';
+    } else if (defendingShips.length === 0 || defendingShips.some(s => s.owner === planet.owner)) {
+        side = 'defenders';
+    }
+
+    const { maxShields, batteries } = getPlanetDefenses(planet);
+    const shields = Math.min(planet.shields ?? maxShields, maxShields);
+    if (!side || shields <= 0) return null;
+
+    return { side, shields, maxShields, batteries };
+}
+
+// `hits` (optional) receives every hit as { shipId, type, owner, hpBefore, hpAfter, destroyed }
+function applyDamageToFleet(ships, totalDamage, destroyedList, random = combatRandom, hits = null) {
     // Distribute damage across fleet
     // Damage is distributed randomly but weighted by HP (weaker ships more likely to be hit)
     // Colonizers are protected while military ships are present (they die last)
@@ -494,14 +723,14 @@ function applyDamageToFleet(ships, totalDamage, destroyedList) {
 
     while (remainingDamage > 0 && ships.length > 0) {
         // Separate military ships from colonizers
-        const militaryShips = ships.filter(s => s.type !== 'colonizer');
+        const militaryShips = ships.filter(s => !isColonyShip(s));
         const targetableShips = militaryShips.length > 0 ? militaryShips : ships;
 
         // Pick a random ship weighted by HP (ships with more HP are bigger targets)
         const totalHP = targetableShips.reduce((sum, s) => sum + s.hitPoints, 0);
         if (totalHP <= 0) break;
 
-        let roll = Math.random() * totalHP;
+        let roll = random() * totalHP;
         let target = null;
 
         for (let i = 0; i < targetableShips.length; i++) {
@@ -514,12 +743,22 @@ function applyDamageToFleet(ships, totalDamage, destroyedList) {
 
         if (!target) target = targetableShips[targetableShips.length - 1];
 
+        const hpBefore = target.hitPoints;
         const damage = Math.min(remainingDamage, target.hitPoints);
         target.hitPoints -= damage;
         remainingDamage -= damage;
 
+        hits?.push({
+            shipId: target.id,
+            type: target.type,
+            owner: target.owner,
+            hpBefore: roundStat(hpBefore),
+            hpAfter: roundStat(Math.max(target.hitPoints, 0)),
+            destroyed: target.hitPoints <= 0
+        });
+
         if (target.hitPoints <= 0) {
-            destroyedList.push({type: target.type, owner: target.owner});
+            destroyedList.push({ type: target.type, owner: target.owner, rank: getShipRank(target), captain: target.captain ?? null });
             // Find and remove from original ships array
             const targetIndex = ships.findIndex(s => s.id === target.id);
             if (targetIndex !== -1) {
@@ -532,25 +771,19 @@ function applyDamageToFleet(ships, totalDamage, destroyedList) {
 export function completeRetreat(planetId) {
     const retreatPlanet = gameState.planets.find(p => p.id === planetId);
     if (!retreatPlanet || !gameState.retreatingShips) return;
+    recordCommand({ type: 'retreat', planetId: planetId });
 
-    // Move retreating ships to chosen planet
-    if (gameState.retreatSource) {
-        // Remove from source planet if defending
-        gameState.retreatSource.ships = gameState.retreatSource.ships.filter(s => s.owner !== 'player');
-    }
-
+    // Move retreating ships to chosen planet (they already left the battle planet)
     retreatPlanet.ships.push(...gameState.retreatingShips);
 
     // Show notification
-    showNotification(`🏃 Retreated to ${retreatPlanet.name}! ${gameState.retreatCasualties} ships lost during retreat.`);
+    emitGameEvent('notification', { message: `🏃 Retreated to ${retreatPlanet.name}! ${gameState.retreatCasualties} ships lost during retreat.` });
+    emitGameEvent('retreatCompleted', { planetId: retreatPlanet.id, casualties: gameState.retreatCasualties });
 
     // Clean up
     gameState.retreatingShips = null;
-    gameState.retreatSource = null;
     gameState.retreatCasualties = 0;
-
-    // Close dialog
-    document.getElementById('battleDialog').style.display = 'none';
+    updateIntel();
 }
 
 export function processPendingConquests() {
@@ -570,12 +803,18 @@ export function processPendingConquests() {
             continue;
         }
 
+        if (conquest.bombard) {
+            bombardPlanet(planet, conquest.newOwner);
+        }
+
         conquest.turnsRemaining--;
 
         if (conquest.turnsRemaining <= 0) {
             // Conquest complete!
             planet.owner = conquest.newOwner;
             planet.population = Math.max(10, Math.floor(planet.population * 0.3));
+            planet.shields = 0; // The new owner's shields charge from zero
+            damageBuildingsOnConquest(planet);
 
             gameState.pendingConquests.splice(i, 1);
         }
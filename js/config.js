@@ -5,8 +5,7 @@
 // This module contains all core game configuration constants that define
 // gameplay parameters, ship statistics, map sizes, and AI behavior settings.
 //
-// Version: 1.1.0 - Enhanced AI difficulty parameters with strategic intelligence,
-//                  fleet composition, and defensive behaviors
+// Version: 1.19.1 - Start balancing evened out against the average start
 //
 // Ship Stats (v1.0.2):
 // - Colonizer: 0 attack, 1 HP (non-combat)
@@ -15,21 +14,309 @@
 // - Battleship: 15 attack, 10 HP (heavy warship)
 // - All ships have 0 defense (defense stat removed)
 //
+// Sensor Ranges (v1.3.0, world units):
+// - Scout 500, Battleship 350, Frigate 300, Colonizer 200
+// - Owned planets see PLANET_SENSOR_RANGE around them
+//
+// Research (v1.4.0):
+// - Destroyer: 5 attack, 4 HP, fast (needs Destroyer Hulls)
+// - Dreadnought: 25 attack, 18 HP, slow (needs Dreadnought Hulls)
+// - Each turn an empire invests RESEARCH_ENERGY_PER_PLANET energy per owned planet
+//   into its current technology
+//
+// Buildings (v1.5.0):
+// - Mines, farms and power plants add planet income
+// - Shipyard upgrades shorten ship build times, orbital defenses shield defending ships,
+//   sensor arrays extend the planet's sensor range
+// - Conquered planets lose BUILDING_DESTROY_CHANCE of their buildings; the rest are damaged
+//   (no effect) for BUILDING_REPAIR_TURNS turns
+//
+// Fleets (v1.6.0):
+// - Standing orders: patrol, guard, escort colonizers, return for repairs
+// - Repair orders trigger below FLEET_REPAIR_THRESHOLD of the fleet's total max HP
+//
+// Diplomacy (v1.7.0):
+// - Empires without a treaty are at war; treaties are ceasefire < non-aggression pact < alliance
+// - The AI signs a treaty when the proposer's relative strength plus its peacefulness (and
+//   any gifts) reaches the treaty's requiredRatio
+// - Resources and planets are valued with PLANET_TRADE_VALUE per point of planet resources
+//
+// Upkeep (v1.9.0):
+// - Every ship costs `upkeep` energy per turn; every point of population eats FOOD_PER_POPULATION food
+// - An empty food store starves STARVATION_POPULATION_LOSS of every planet's population; an empty
+//   energy store wears down every ship by ATTRITION_DAMAGE of its max HP (ships at 0 HP are lost)
+//
+// Victory (v1.8.0):
+// - Conquest is always active; domination, score (at the turn limit), economic, capital
+//   capture and wonder victories are optional
+// - The wonder (Ascension Gate) can only be built when wonder victory is active
+//
+// Saves (v1.10.0):
+// - Every turn writes a new autosave; only the last AUTOSAVE_ROTATION autosaves of a game are kept
+// - Up to MAX_SAVE_SLOTS named saves per backend (browser or cloud)
+// - Exported save files (v1.11.0) are JSON tagged with SAVE_FILE_FORMAT and SAVE_FILE_VERSION
+//
+// Battle predictions (v1.12.0):
+// - The battle dialog and the combat calculator fight each battle BATTLE_PREDICTION_SIMULATIONS times
+//
+// Battle history (v1.13.0):
+// - The battle log keeps the round-by-round reports of the last BATTLE_HISTORY_LENGTH battles
+//
+// Planetary defenses (v1.14.0):
+// - Owned planets have shields (PLANET_SHIELDS_PER_POPULATION) and batteries (PLANET_BATTERIES_PER_POPULATION),
+//   plus the planetShields / batteries effects of working buildings
+// - Shields recover PLANET_SHIELD_RECHARGE of their maximum per turn
+// - Bombarding a planet under conquest kills BOMBARDMENT_POPULATION_LOSS of its population per turn
+//
+// Ship designs (v1.15.0):
+// - A design is a hull from HULL_SIZES fitted with up to `slots` components from SHIP_COMPONENTS;
+//   its stats are the hull's plus those of its components (see shipDesigns.js)
+// - Colony pods make a design a colony ship (no weapons); the largest hull needs Dreadnought Hulls
+// - Each empire keeps up to MAX_SHIP_DESIGNS designs in service
+//
+// Veterancy (v1.16.0):
+// - Warships earn 1 experience per battle survived and KILL_EXPERIENCE per enemy ship destroyed
+// - VETERANCY_RANKS raise attack (and from Veteran on, battle HP); Veterans get a captain from CAPTAIN_NAMES
+//
+// Supply (v1.17.0):
+// - Territory is the Voronoi cell of each planet (influence zones); own and allied territory supplies ships
+// - Ships farther than SUPPLY_RANGE from every own or allied planet (outside friendly territory) lose
+//   SUPPLY_ATTRITION of their max HP per turn, down to SUPPLY_ATTRITION_FLOOR
+// - Fleets fly TERRITORY_SPEED_BONUS faster through friendly territory
+//
+// Territory (v1.18.0):
+// - The score counts 1 point per TERRITORY_SCORE_AREA square units of an empire's territory
+//
+// Start balancing (v1.19.0):
+// - Starts are scored by the resources and maxPopulation (x START_POPULATION_WEIGHT) within
+//   START_RICHNESS_SPACINGS, and lose up to half when a rival starts closer than START_RIVAL_SPACINGS
+// - Resources around the starts are evened out until the weakest start scores START_EVEN_FAIRNESS
+//   of the average start (v1.19.1)
+// - Maps whose weakest start scores below LOPSIDED_MAP_FAIRNESS of the average start are lopsided
+//
 // Exports:
-// - SHIP_TYPES: Defines all ship types with their stats (cost, combat, speed, HP)
+// - SHIP_TYPES: Defines all ship types with their stats (cost, upkeep, combat, speed, HP, sensors)
+// - HULL_SIZES / SHIP_COMPONENTS / MAX_SHIP_DESIGNS: Ship designer hulls, components and design limit
+// - VETERANCY_RANKS / KILL_EXPERIENCE / CAPTAIN_RANK / CAPTAIN_NAMES: Ship experience, ranks and captains
+// - SUPPLY_RANGE / SUPPLY_ATTRITION / SUPPLY_ATTRITION_FLOOR / TERRITORY_SPEED_BONUS: Supply and territory
+// - TERRITORY_SCORE_AREA: Territory area worth one point of score
+// - START_RICHNESS_SPACINGS / START_POPULATION_WEIGHT / START_RIVAL_SPACINGS / START_EVEN_FAIRNESS / LOPSIDED_MAP_FAIRNESS: Start balancing
+// - PLANET_SENSOR_RANGE: How far an owned planet sees
+// - FOOD_PER_POPULATION / STARVATION_POPULATION_LOSS / ATTRITION_DAMAGE: Upkeep and shortages
+// - BATTLE_PREDICTION_SIMULATIONS: Monte-Carlo runs behind a battle prediction
+// - BATTLE_HISTORY_LENGTH: Battle reports kept per game (battle log)
+// - PLANET_SHIELDS_PER_POPULATION / PLANET_BATTERIES_PER_POPULATION / PLANET_SHIELD_RECHARGE: Planetary defenses
+// - BOMBARDMENT_POPULATION_LOSS: Population killed per turn of bombardment
+// - TECHNOLOGIES: Research tree (cost, prerequisites, effects)
+// - RESEARCH_ENERGY_PER_PLANET: Energy invested in research per owned planet per turn
+// - BUILDING_TYPES: Planetary buildings (cost, build time, per-planet limit, effects)
+// - BUILDING_DESTROY_CHANCE / BUILDING_REPAIR_TURNS: What conquest does to buildings
+// - FLEET_ORDERS: Standing orders a fleet can be given (name, icon, description)
+// - FLEET_REPAIR_THRESHOLD: HP fraction below which repair orders send a fleet home
+// - TREATY_TYPES: Diplomatic treaties (name, icon, rank, duration, strength the AI asks for)
+// - DIPLOMACY_GIFT_VALUE / PLANET_TRADE_VALUE: How the AI values resources and planets in proposals
+// - VICTORY_TYPES: Victory conditions (name, icon, thresholds, game over message)
+// - GAME_LENGTHS: Turn limits for score victories
+// - AUTOSAVE_ROTATION / MAX_SAVE_SLOTS: Autosaves kept per game and named save slots
+// - SAVE_FILE_FORMAT / SAVE_FILE_VERSION: Tag and version of exported save files
 // - MAP_SIZES: Defines galaxy sizes (compact, standard, vast) with planet counts
+// - MIN_EMPIRES / MAX_EMPIRES: Allowed number of empires per game (player included)
 // - AI_CONFIG: Defines AI difficulty levels and their behavioral parameters
 //
 // Used by: All game modules that need access to ship stats, map generation,
 // or AI decision-making parameters
 
 export const SHIP_TYPES = {
-    scout: { name: 'Scout', icon: '🔭', color: '#00ffff', speed: 1.5, attack: 2, defense: 0, maxHitPoints: 2, cost: { energy: 10, minerals: 5, food: 0 }, baseBuildTime: 2, minBuildTime: 1 },
-    colonizer: { name: 'Colonizer', icon: '🚀', color: '#ffff00', speed: 1.0, attack: 0, defense: 0, maxHitPoints: 1, cost: { energy: 30, minerals: 20, food: 20 }, baseBuildTime: 5, minBuildTime: 2 },
-    frigate: { name: 'Frigate', icon: '⚔️', color: '#ff8800', speed: 1.2, attack: 7, defense: 0, maxHitPoints: 5, cost: { energy: 25, minerals: 30, food: 5 }, baseBuildTime: 4, minBuildTime: 2 },
-    battleship: { name: 'Battleship', icon: '🛡️', color: '#ff0088', speed: 0.9, attack: 15, defense: 0, maxHitPoints: 10, cost: { energy: 50, minerals: 60, food: 10 }, baseBuildTime: 8, minBuildTime: 4 }
+    scout: { name: 'Scout', icon: '🔭', color: '#00ffff', speed: 1.5, attack: 2, defense: 0, maxHitPoints: 2, sensorRange: 500, cost: { energy: 10, minerals: 5, food: 0 }, upkeep: 0.5, baseBuildTime: 2, minBuildTime: 1 },
+    colonizer: { name: 'Colonizer', icon: '🚀', color: '#ffff00', speed: 1.0, attack: 0, defense: 0, maxHitPoints: 1, sensorRange: 200, cost: { energy: 30, minerals: 20, food: 20 }, upkeep: 0.5, baseBuildTime: 5, minBuildTime: 2, colonyPods: 1 },
+    frigate: { name: 'Frigate', icon: '⚔️', color: '#ff8800', speed: 1.2, attack: 7, defense: 0, maxHitPoints: 5, sensorRange: 300, cost: { energy: 25, minerals: 30, food: 5 }, upkeep: 1, baseBuildTime: 4, minBuildTime: 2 },
+    battleship: { name: 'Battleship', icon: '🛡️', color: '#ff0088', speed: 0.9, attack: 15, defense: 0, maxHitPoints: 10, sensorRange: 350, cost: { energy: 50, minerals: 60, food: 10 }, upkeep: 2, baseBuildTime: 8, minBuildTime: 4 },
+    // Research-locked hulls (requiresTech = TECHNOLOGIES key)
+    destroyer: { name: 'Destroyer', icon: '🗡️', color: '#88ff44', speed: 1.6, attack: 5, defense: 0, maxHitPoints: 4, sensorRange: 400, cost: { energy: 20, minerals: 20, food: 5 }, upkeep: 1, baseBuildTime: 3, minBuildTime: 1, requiresTech: 'destroyerHulls' },
+    dreadnought: { name: 'Dreadnought', icon: '🏰', color: '#ff4444', speed: 0.7, attack: 25, defense: 0, maxHitPoints: 18, sensorRange: 350, cost: { energy: 90, minerals: 110, food: 20 }, upkeep: 3, baseBuildTime: 12, minBuildTime: 6, requiresTech: 'dreadnoughtHulls' }
+};
+
+// Ship designer hulls: base stats of a design before components (requiresTech = TECHNOLOGIES key)
+export const HULL_SIZES = {
+    small: { name: 'Small Hull', icon: '🛸', slots: 2, speed: 1.4, maxHitPoints: 2, sensorRange: 250, cost: { energy: 8, minerals: 6, food: 0 }, upkeep: 0.5, baseBuildTime: 2, minBuildTime: 1 },
+    medium: { name: 'Medium Hull', icon: '🛩️', slots: 4, speed: 1.1, maxHitPoints: 4, sensorRange: 300, cost: { energy: 15, minerals: 18, food: 5 }, upkeep: 1, baseBuildTime: 3, minBuildTime: 2 },
+    large: { name: 'Large Hull', icon: '🚢', slots: 6, speed: 0.9, maxHitPoints: 7, sensorRange: 350, cost: { energy: 30, minerals: 36, food: 10 }, upkeep: 2, baseBuildTime: 5, minBuildTime: 3 },
+    huge: { name: 'Huge Hull', icon: '🛳️', slots: 9, speed: 0.7, maxHitPoints: 12, sensorRange: 350, cost: { energy: 50, minerals: 65, food: 15 }, upkeep: 3, baseBuildTime: 8, minBuildTime: 5, requiresTech: 'dreadnoughtHulls' }
+};
+
+// Ship designer components: what one slot adds to a design (buildTime in turns, summed and
+// rounded). A design takes the color of the component it carries most of (colony ships
+// the colony pod's).
+export const SHIP_COMPONENTS = {
+    weapon: { name: 'Laser Battery', icon: '🔫', color: '#ff8800', attack: 3, cost: { energy: 4, minerals: 5, food: 0 }, buildTime: 0.5 },
+    armor: { name: 'Armor Plating', icon: '🧱', color: '#bbbbbb', maxHitPoints: 3, cost: { energy: 2, minerals: 5, food: 0 }, buildTime: 0.5 },
+    engine: { name: 'Ion Engine', icon: '🔥', color: '#00ffff', speed: 0.15, cost: { energy: 6, minerals: 4, food: 0 }, buildTime: 0.25 },
+    sensor: { name: 'Sensor Array', icon: '📡', color: '#88ff44', sensorRange: 100, cost: { energy: 6, minerals: 2, food: 0 }, buildTime: 0.25 },
+    colonyPod: { name: 'Colony Pod', icon: '🏠', color: '#ffff00', colonyPods: 1, maxPerDesign: 1, cost: { energy: 20, minerals: 12, food: 20 }, buildTime: 2 }
+};
+
+// Designs in service per empire (retired designs do not count)
+export const MAX_SHIP_DESIGNS = 10;
+
+// Veterancy ranks (see veterancy.js), lowest first. A ship holds the highest rank whose
+// `experience` it has reached. attackBonus raises its firepower; hitPointBonus gives it extra
+// HP (fraction of its max HP) for the length of a battle, like shields.
+export const VETERANCY_RANKS = [
+    { name: 'Green', badge: '', experience: 0, attackBonus: 0, hitPointBonus: 0 },
+    { name: 'Regular', badge: '★', experience: 3, attackBonus: 0.1, hitPointBonus: 0 },
+    { name: 'Veteran', badge: '★★', experience: 8, attackBonus: 0.2, hitPointBonus: 0.1 },
+    { name: 'Elite', badge: '★★★', experience: 15, attackBonus: 0.3, hitPointBonus: 0.2 }
+];
+
+// Experience per enemy ship destroyed (surviving a battle is worth 1)
+export const KILL_EXPERIENCE = 2;
+
+// Ships reaching this rank (index into VETERANCY_RANKS) are given a named captain
+export const CAPTAIN_RANK = 2;
+export const CAPTAIN_NAMES = [
+    'Adebayo', 'Brandt', 'Castellanos', 'Dufresne', 'Eriksen', 'Fujimori', 'Galloway', 'Haddad',
+    'Ivanova', 'Jansen', 'Kowalski', 'Laurent', 'Mbeki', 'Nakamura', 'Okafor', 'Petrov',
+    'Quintero', 'Rasmussen', 'Sato', 'Thorne', 'Urquhart', 'Vance', 'Whitlock', 'Zhao'
+];
+
+// Supply (see supply.js): distance from own and allied planets within which ships outside
+// friendly territory are spared attrition (they still cannot repair); HP fraction lost per turn
+// out of supply and the HP fraction attrition stops at; extra speed on the share of a flight
+// that crosses friendly territory
+export const SUPPLY_RANGE = 600;
+export const SUPPLY_ATTRITION = 0.1;
+export const SUPPLY_ATTRITION_FLOOR = 0.25;
+export const TERRITORY_SPEED_BONUS = 0.5;
+
+// Score (see gameState.calculateScore): square units of territory worth one point
+export const TERRITORY_SCORE_AREA = 10000;
+
+// Start balancing (see startBalancing.js): radius whose planets make up a start's score, weight
+// of a planet's maxPopulation against its resources, distance below which a rival start lowers
+// the score (radius and distance in average planet spacings), the fairness (weakest / average start)
+// the resources around the starts are evened out to, and the fairness below which a map counts as lopsided
+export const START_RICHNESS_SPACINGS = 1.5;
+export const START_POPULATION_WEIGHT = 0.25;
+export const START_RIVAL_SPACINGS = 2;
+export const START_EVEN_FAIRNESS = 0.9;
+export const LOPSIDED_MAP_FAIRNESS = 0.8;
+
+// Upkeep (see economy.js): food eaten per point of population per turn, and what
+// shortages cost (fraction of population starved / fraction of max HP lost per turn)
+export const FOOD_PER_POPULATION = 0.05;
+export const STARVATION_POPULATION_LOSS = 0.1;
+export const ATTRITION_DAMAGE = 0.2;
+
+// Simulated battles behind every battle prediction (battle dialog, combat calculator)
+export const BATTLE_PREDICTION_SIMULATIONS = 500;
+
+// Battle reports kept per game for the battle log (oldest are dropped first; reports are saved)
+export const BATTLE_HISTORY_LENGTH = 30;
+
+// Planetary defenses (see planetDefenses.js): a 50-population planet has 10 shield points and
+// 5 battery firepower (about a frigate) before buildings
+export const PLANET_SHIELDS_PER_POPULATION = 0.2;
+export const PLANET_BATTERIES_PER_POPULATION = 0.1;
+export const PLANET_SHIELD_RECHARGE = 0.25;
+export const BOMBARDMENT_POPULATION_LOSS = 0.15;
+
+// Research tree. Effects stack across all completed technologies:
+// - attack / maxHitPoints / speed: added to every ship type (attack only for warships)
+// - buildTimeMultiplier: multiplies base and minimum build times
+// - healRate: added to the HP stationed ships regain per turn
+// - yield: added to every owned planet's income
+// Ship types unlocked by a technology name it in their `requiresTech`.
+export const TECHNOLOGIES = {
+    laserBatteries: { name: 'Laser Batteries', icon: '🔫', cost: 60, requires: [], effects: { attack: 1 }, description: '+1 attack for all warships' },
+    plasmaCannons: { name: 'Plasma Cannons', icon: '☄️', cost: 140, requires: ['laserBatteries'], effects: { attack: 2 }, description: '+2 attack for all warships' },
+    compositeArmor: { name: 'Composite Armor', icon: '🧱', cost: 60, requires: [], effects: { maxHitPoints: 1 }, description: '+1 max HP for all ships' },
+    neutroniumPlating: { name: 'Neutronium Plating', icon: '🪨', cost: 140, requires: ['compositeArmor'], effects: { maxHitPoints: 2 }, description: '+2 max HP for all ships' },
+    ionDrives: { name: 'Ion Drives', icon: '💨', cost: 70, requires: [], effects: { speed: 0.2 }, description: '+0.2 speed for all ships' },
+    orbitalShipyards: { name: 'Orbital Shipyards', icon: '🏗️', cost: 90, requires: [], effects: { buildTimeMultiplier: 0.75 }, description: '-25% ship build time' },
+    naniteRepair: { name: 'Nanite Repair', icon: '🔧', cost: 60, requires: [], effects: { healRate: 0.3 }, description: '+0.3 HP repaired per turn at friendly planets' },
+    fusionReactors: { name: 'Fusion Reactors', icon: '⚛️', cost: 50, requires: [], effects: { yield: { energy: 1 } }, description: '+1 energy per planet' },
+    deepCoreMining: { name: 'Deep Core Mining', icon: '⛏️', cost: 50, requires: [], effects: { yield: { minerals: 1 } }, description: '+1 minerals per planet' },
+    hydroponics: { name: 'Hydroponics', icon: '🌱', cost: 50, requires: [], effects: { yield: { food: 1 } }, description: '+1 food per planet' },
+    destroyerHulls: { name: 'Destroyer Hulls', icon: '🗡️', cost: 80, requires: ['ionDrives'], effects: {}, description: 'Unlocks the Destroyer' },
+    dreadnoughtHulls: { name: 'Dreadnought Hulls', icon: '🏰', cost: 180, requires: ['laserBatteries', 'compositeArmor'], effects: {}, description: 'Unlocks the Dreadnought' }
+};
+
+export const RESEARCH_ENERGY_PER_PLANET = 2;
+
+// Planetary buildings. Effects stack per completed, undamaged building:
+// - yield: added to the planet's income
+// - buildTimeMultiplier: multiplies the planet's ship build times
+// - shieldBonus: defending ships of the planet owner get this fraction of max HP as shields in battle
+// - sensorRange: planet sensor range (the longest range counts)
+export const BUILDING_TYPES = {
+    mine: { name: 'Mine', icon: '⛏️', cost: { energy: 20, minerals: 10, food: 0 }, buildTime: 3, maxPerPlanet: 3, effects: { yield: { minerals: 2 } }, description: '+2 minerals per turn' },
+    farm: { name: 'Farm', icon: '🌾', cost: { energy: 15, minerals: 15, food: 0 }, buildTime: 3, maxPerPlanet: 3, effects: { yield: { food: 2 } }, description: '+2 food per turn' },
+    powerPlant: { name: 'Power Plant', icon: '🔋', cost: { energy: 10, minerals: 25, food: 0 }, buildTime: 3, maxPerPlanet: 3, effects: { yield: { energy: 2 } }, description: '+2 energy per turn' },
+    shipyard: { name: 'Shipyard Upgrade', icon: '🏭', cost: { energy: 40, minerals: 50, food: 0 }, buildTime: 5, maxPerPlanet: 2, effects: { buildTimeMultiplier: 0.8 }, description: '-20% ship build time here' },
+    orbitalDefenses: { name: 'Orbital Defenses', icon: '🛰️', cost: { energy: 30, minerals: 40, food: 0 }, buildTime: 4, maxPerPlanet: 2, effects: { shieldBonus: 0.25, planetShields: 15, batteries: 4 }, description: 'Defending ships get +25% HP as shields; planet +15 shields, +4 batteries' },
+    sensorArray: { name: 'Sensor Array', icon: '📡', cost: { energy: 25, minerals: 15, food: 0 }, buildTime: 3, maxPerPlanet: 1, effects: { sensorRange: 600 }, description: 'Planet sensor range 600' },
+    // Only available when wonder victory is active (requiresVictory = VICTORY_TYPES key); one per empire
+    wonder: { name: 'Ascension Gate', icon: '🌟', cost: { energy: 400, minerals: 400, food: 200 }, buildTime: 20, maxPerPlanet: 1, maxPerEmpire: 1, requiresVictory: 'wonder', effects: {}, description: 'Wins the game when completed' }
+};
+
+export const BUILDING_DESTROY_CHANCE = 0.5;
+export const BUILDING_REPAIR_TURNS = 5;
+
+// Standing fleet orders, carried out at the end of every turn (see fleets.js)
+export const FLEET_ORDERS = {
+    patrol: { name: 'Patrol', icon: '🔁', description: 'Fly back and forth between two planets' },
+    guard: { name: 'Guard', icon: '🛡️', description: 'Hold a planet and return to it when away' },
+    escort: { name: 'Escort', icon: '🤝', description: 'Travel with colonizers leaving the fleet\'s planet' },
+    repair: { name: 'Repair', icon: '🔧', description: 'Return to the nearest owned planet when badly damaged' }
 };
 
+export const FLEET_REPAIR_THRESHOLD = 0.5;
+
+// Diplomatic treaties (see diplomacy.js). Empires without a treaty are at war.
+// - rank: treaties can only be upgraded to a higher rank by proposal
+// - duration: turns until the treaty lapses back to war (null = until war is declared)
+// - requiredRatio: proposer strength / AI strength (plus AI peacefulness) the AI asks for
+export const TREATY_TYPES = {
+    ceasefire: { name: 'Ceasefire', icon: '🏳️', rank: 1, duration: 10, requiredRatio: 0.8, description: 'No fighting for 10 turns' },
+    pact: { name: 'Non-Aggression Pact', icon: '🤝', rank: 2, duration: null, requiredRatio: 1.1, description: 'No fighting until war is declared' },
+    alliance: { name: 'Alliance', icon: '🛡️', rank: 3, duration: null, requiredRatio: 1.5, description: 'No fighting and shared sensors' }
+};
+
+// Resources of a gift that count as +1.0 strength ratio when the AI weighs a treaty
+export const DIPLOMACY_GIFT_VALUE = 200;
+
+// Trade value of a planet per point of energy + minerals + food output (plus its population)
+export const PLANET_TRADE_VALUE = 10;
+
+// Victory conditions (see victory.js). Elimination is always active; the others are
+// picked on the start screen and recorded with completed games.
+export const VICTORY_TYPES = {
+    elimination: { name: 'Conquest', icon: '💀', description: 'Be the last empire standing', victoryMessage: 'You have conquered the galaxy!' },
+    domination: { name: 'Domination', icon: '🌌', planetShare: 0.6, description: 'Own 60% of all planets', victoryMessage: 'Your empire dominates the galaxy!' },
+    score: { name: 'Score', icon: '🏆', description: 'Highest score when the turn limit is reached', victoryMessage: 'Your empire leads the galaxy at the turn limit!' },
+    economic: { name: 'Economic', icon: '💰', stockpile: { energy: 2000, minerals: 2000, food: 2000 }, description: 'Stockpile 2000 energy, minerals and food', victoryMessage: 'Your treasury outshines every rival!' },
+    capital: { name: 'Capital Capture', icon: '👑', description: 'Hold the capital of every other empire', victoryMessage: 'Every rival capital flies your flag!' },
+    wonder: { name: 'Wonder', icon: '🌟', description: 'Complete the Ascension Gate', victoryMessage: 'The Ascension Gate opens a new age for your empire!' }
+};
+
+// Game lengths: turn limit of score victories
+export const GAME_LENGTHS = {
+    short: { name: 'Short', turnLimit: 100 },
+    standard: { name: 'Standard', turnLimit: 200 },
+    long: { name: 'Long', turnLimit: 300 }
+};
+
+// Saves (see saveSystem.js): autosaves kept per game, named save slots per backend
+export const AUTOSAVE_ROTATION = 5;
+export const MAX_SAVE_SLOTS = 10;
+
+// Exported save files (bump the version when the file wrapper changes)
+export const SAVE_FILE_FORMAT = '4xspace-save';
+export const SAVE_FILE_VERSION = 1;
+
+// Sensor range of every owned planet (measured from the planet center)
+export const PLANET_SENSOR_RANGE = 300;
+
 // Map sizes now use a base area for density calculations
 // The actual width/height will be calculated dynamically to fit the viewport
 export const MAP_SIZES = {
@@ -38,6 +325,11 @@ export const MAP_SIZES = {
     vast: { planets: 30, baseArea: 12800000 }      // ~4000x3200
 };
 
+// Empires per game, including the player. A map never gets more empires than
+// half its planet count so every empire has room to expand.
+export const MIN_EMPIRES = 2;
+export const MAX_EMPIRES = 8;
+
 export const AI_CONFIG = {
     easy: {
         // Decision frequency
@@ -56,7 +348,20 @@ export const AI_CONFIG = {
         // Defensive behavior (Proposal 5)
         defenseThreshold: 0.0,           // Never holds ships back for defense
         homeDefenseRatio: 0.0,           // Sends everything
-        counterAttackEnabled: false      // No retaliation logic
+        counterAttackEnabled: false,     // No retaliation logic
+        // Information (v1.3.0)
+        respectsFogOfWar: false,         // Sees the whole map
+        // Research (v1.4.0) - first available technology in the list is researched next
+        researchPriorities: ['fusionReactors', 'deepCoreMining', 'hydroponics', 'laserBatteries', 'compositeArmor'],
+        // Buildings (v1.5.0) - chance per turn to queue a building at a planet with an idle building queue
+        buildingPriority: 0.15,
+        // Ship designs (v1.15.0) - share of a warship design's slots per component (null: no designs)
+        designLoadout: null,             // Only builds the stock ship types
+        // Diplomacy (v1.7.0) - how the AI answers proposals (see diplomacy.js)
+        peacefulness: 0.4,               // Eager for peace
+        tradeMargin: 0.0,                // Accepts even trades
+        tributeRatio: 1.5,               // Pays tribute to empires 1.5x stronger
+        betrayalRatio: null              // Never breaks a treaty
     },
     medium: {
         // Decision frequency
@@ -75,7 +380,21 @@ export const AI_CONFIG = {
         // Defensive behavior (Proposal 5)
         defenseThreshold: 0.3,           // Defends if player has 30% more military
         homeDefenseRatio: 0.2,           // Keeps 20% at home
-        counterAttackEnabled: false      // No retaliation logic
+        counterAttackEnabled: false,     // No retaliation logic
+        // Information (v1.3.0)
+        respectsFogOfWar: true,          // Only what its sensors see (plus last-known intel)
+        // Research (v1.4.0) - first available technology in the list is researched next
+        researchPriorities: ['deepCoreMining', 'laserBatteries', 'compositeArmor', 'orbitalShipyards', 'ionDrives',
+            'destroyerHulls', 'naniteRepair', 'fusionReactors', 'hydroponics', 'plasmaCannons', 'neutroniumPlating'],
+        // Buildings (v1.5.0) - chance per turn to queue a building at a planet with an idle building queue
+        buildingPriority: 0.3,
+        // Ship designs (v1.15.0) - share of a warship design's slots per component (null: no designs)
+        designLoadout: { weapon: 0.5, armor: 0.5 },
+        // Diplomacy (v1.7.0) - how the AI answers proposals (see diplomacy.js)
+        peacefulness: 0.2,               // Somewhat peaceful
+        tradeMargin: 0.2,                // Wants 20% profit on trades
+        tributeRatio: 2.0,               // Pays tribute to empires 2x stronger
+        betrayalRatio: 3.0               // Breaks treaties when 3x stronger
     },
     hard: {
         // Decision frequency
@@ -94,6 +413,20 @@ export const AI_CONFIG = {
         // Defensive behavior (Proposal 5)
         defenseThreshold: 0.5,           // More cautious about defending
         homeDefenseRatio: 0.3,           // Always keeps 30% for defense
-        counterAttackEnabled: true       // Retaliates after being attacked
+        counterAttackEnabled: true,      // Retaliates after being attacked
+        // Information (v1.3.0)
+        respectsFogOfWar: true,          // Only what its sensors see (plus last-known intel)
+        // Research (v1.4.0) - first available technology in the list is researched next
+        researchPriorities: ['orbitalShipyards', 'laserBatteries', 'deepCoreMining', 'compositeArmor', 'plasmaCannons',
+            'dreadnoughtHulls', 'neutroniumPlating', 'naniteRepair', 'fusionReactors', 'ionDrives', 'destroyerHulls', 'hydroponics'],
+        // Buildings (v1.5.0) - chance per turn to queue a building at a planet with an idle building queue
+        buildingPriority: 0.4,
+        // Ship designs (v1.15.0) - share of a warship design's slots per component (null: no designs)
+        designLoadout: { weapon: 0.6, armor: 0.3, engine: 0.1 },
+        // Diplomacy (v1.7.0) - how the AI answers proposals (see diplomacy.js)
+        peacefulness: 0.0,               // Only signs from a position of weakness
+        tradeMargin: 0.4,                // Wants 40% profit on trades
+        tributeRatio: 3.0,               // Pays tribute to empires 3x stronger
+        betrayalRatio: 2.0               // Breaks treaties when 2x stronger
     }
 };
@@ -0,0 +1,363 @@
+// ============================================
+// DIPLOMACY - TREATIES & PROPOSALS
+// ============================================
+// Version: 1.0.0
+//
+// This module manages diplomatic relations between empires. Empires without a treaty
+// are at war; a ceasefire, non-aggression pact or alliance stops all fighting between
+// the two empires, and allies also share their sensors. The player makes proposals to
+// AI empires (a treaty, a resource trade, a planet exchange, a tribute demand or any
+// mix of them) and the AI answers at once from its relative strength and its AI_CONFIG
+// personality. The answer only depends on the game state, so replays reproduce it.
+//
+// Core Responsibilities:
+// - Track treaties between pairs of empires and answer relation queries
+// - Validate player proposals and let the AI accept or reject them
+// - Transfer resources and planets of accepted proposals
+// - Turn ships away from planets of empires they are at peace with (no battles)
+// - Expire ceasefires and let AI empires break treaties with much weaker partners
+// - Record the player's proposals and war declarations in the command log (replays)
+//
+// Diplomacy State:
+// - gameState.treaties = [{ empireIds: [a, b], type, turnsRemaining, signedTurn }]
+//   (type = TREATY_TYPES key; turnsRemaining = null for treaties without a duration)
+// - Proposal terms = { energy, minerals, food, planetIds } for both `offer` (what the
+//   proposer gives) and `request` (what the proposer asks for)
+//
+// AI Acceptance Model:
+// - strength ratio = (proposer warships + 1) / (AI warships + 1), counted with countMilitary
+//   on the planets the AI knows about
+// - A treaty is signed when ratio + peacefulness + gifts / DIPLOMACY_GIFT_VALUE reaches
+//   the treaty's requiredRatio
+// - Anything the AI gives up must be paid for with tradeMargin profit, unless the proposer
+//   is tributeRatio times stronger (tribute)
+// - The AI never gives up its last planet or more resources than it has
+//
+// Exports:
+// - getTreaty(empireA, empireB): Treaty between two empires (null = war)
+// - getRelation(empireA, empireB): 'war' or a TREATY_TYPES key
+// - isAtWar(empireA, empireB): True when the two empires fight each other
+// - getAllies(empireId): Empires allied with an empire (shared sensors)
+// - isClosedByTreaty(empireId, planet): True when an empire at peace holds or guards the planet
+// - turnAwayShips(owner, planet, ships, fromPlanetId): Sends ships back from a planet they may not enter
+// - makeProposal(empireId, proposal): Player proposal to an AI empire (answered immediately)
+// - declareWar(empireId): Player ends its treaty with an empire
+// - processDiplomacy(): Expires ceasefires and runs AI betrayals (called once per turn)
+//
+// Events emitted: proposalAnswered { empireId, accepted, reason }, treatySigned { empireIds, treaty },
+//                 treatyEnded { empireIds, treaty, brokenBy }, notification (human empires)
+//
+// Used by: turnSystem (arrivals, encounters, turn processing), aiSystem (targets), visibility
+//          (allied sensors), uiManager (diplomacy panel), inputHandler, simulation (player commands)
+
+import { gameState, getEmpire, isHumanEmpire, getActiveEmpires, recordCommand } from './gameState.js';
+import { AI_CONFIG, TREATY_TYPES, DIPLOMACY_GIFT_VALUE, PLANET_TRADE_VALUE } from './config.js';
+import { countMilitary } from './aiSystem.js';
+import { getKnownPlanets } from './visibility.js';
+import { dispatchFleet } from './shipSystem.js';
+import { getTravelDistance } from './hyperlanes.js';
+import { emitGameEvent } from './gameEvents.js';
+
+const RESOURCES = ['energy', 'minerals', 'food'];
+
+export function getTreaty(empireA, empireB) {
+    if (empireA === empireB) return null;
+    return gameState.treaties.find(t => t.empireIds.includes(empireA) && t.empireIds.includes(empireB)) || null;
+}
+
+export function getRelation(empireA, empireB) {
+    return getTreaty(empireA, empireB)?.type ?? 'war';
+}
+
+export function isAtWar(empireA, empireB) {
+    return empireA !== empireB && !getTreaty(empireA, empireB);
+}
+
+export function getAllies(empireId) {
+    return gameState.treaties
+        .filter(t => t.type === 'alliance' && t.empireIds.includes(empireId))
+        .map(t => t.empireIds.find(id => id !== empireId));
+}
+
+// The owner or any ship at the planet belongs to an empire the arriving empire is at peace with
+export function isClosedByTreaty(empireId, planet) {
+    const presentEmpires = [planet.owner, ...planet.ships.map(s => s.owner)];
+    return presentEmpires.some(id => id && id !== empireId && !isAtWar(empireId, id));
+}
+
+// Ships that may not enter a planet fly back to where they came from, or to the owner's
+// nearest planet if that was lost. Ships with nowhere to go are lost.
+export function turnAwayShips(owner, planet, ships, fromPlanetId) {
+    const haven = findHavenPlanet(owner, planet, fromPlanetId);
+
+    // Turned-away ships take off from the planet like any departure (keeps fleets intact)
+    for (const ship of ships) {
+        if (!planet.ships.includes(ship)) planet.ships.push(ship);
+    }
+
+    if (haven) {
+        dispatchFleet(owner, planet, ships, haven);
+    } else {
+        planet.ships = planet.ships.filter(s => !ships.includes(s));
+    }
+
+    if (isHumanEmpire(owner)) {
+        emitGameEvent('notification', {
+            message: haven
+                ? `🕊️ ${ships.length} ships turned away at ${planet.name}, returning to ${haven.name}`
+                : `🕊️ ${ships.length} ships turned away at ${planet.name} with nowhere to go were lost`
+        });
+    }
+}
+
+function findHavenPlanet(owner, planet, fromPlanetId) {
+    const fromPlanet = gameState.planets.find(p => p.id === fromPlanetId);
+    if (fromPlanet && fromPlanet !== planet && fromPlanet.owner === owner) return fromPlanet;
+
+    let nearest = null;
+    let minDistance = Infinity;
+    for (const candidate of gameState.planets) {
+        if (candidate === planet || candidate.owner !== owner) continue;
+        const distance = getTravelDistance(planet, candidate);
+        if (distance < minDistance) {
+            minDistance = distance;
+            nearest = candidate;
+        }
+    }
+
+    // Empires without planets (colonizers only) head back where they came from
+    return nearest || (fromPlanet && fromPlanet !== planet ? fromPlanet : null);
+}
+
+// proposal = { treaty: null | TREATY_TYPES key, offer: terms, request: terms }
+export function makeProposal(empireId, proposal) {
+    const terms = {
+        treaty: proposal.treaty || null,
+        offer: normalizeTerms(proposal.offer),
+        request: normalizeTerms(proposal.request)
+    };
+    if (!isValidProposal('player', empireId, terms)) return false;
+
+    const answer = evaluateProposal('player', empireId, terms);
+    recordCommand({ type: 'propose', empireId: empireId, ...terms });
+
+    const empire = getEmpire(empireId);
+    if (answer.accepted) {
+        applyTerms('player', empireId, terms.offer);
+        applyTerms(empireId, 'player', terms.request);
+        if (terms.treaty) {
+            signTreaty('player', empireId, terms.treaty);
+        }
+        emitGameEvent('notification', { message: `🤝 The ${empire.name} accepted your proposal` });
+    } else {
+        emitGameEvent('notification', { message: `✋ The ${empire.name} rejected your proposal: ${answer.reason}` });
+    }
+
+    emitGameEvent('proposalAnswered', { empireId, accepted: answer.accepted, reason: answer.reason });
+    return true;
+}
+
+export function declareWar(empireId) {
+    const treaty = getTreaty('player', empireId);
+    if (!treaty) return false;
+
+    endTreaty(treaty, 'player');
+    recordCommand({ type: 'declareWar', empireId: empireId });
+    return true;
+}
+
+export function processDiplomacy() {
+    // Treaties end with the elimination of either empire
+    gameState.treaties = gameState.treaties.filter(t => t.empireIds.every(id => !getEmpire(id)?.eliminated));
+
+    for (const treaty of [...gameState.treaties]) {
+        if (treaty.turnsRemaining === null) continue;
+
+        treaty.turnsRemaining--;
+        if (treaty.turnsRemaining <= 0) {
+            endTreaty(treaty, null);
+        }
+    }
+
+    // AI empires break lasting treaties once they have far outgrown their partner
+    for (const empire of getActiveEmpires()) {
+        if (empire.controller !== 'ai') continue;
+
+        const difficulty = AI_CONFIG[empire.difficulty];
+        if (difficulty.betrayalRatio === null) continue;
+
+        for (const treaty of gameState.treaties.filter(t => t.empireIds.includes(empire.id))) {
+            if (TREATY_TYPES[treaty.type].duration !== null) continue;
+
+            const partnerId = treaty.empireIds.find(id => id !== empire.id);
+            if (getStrengthRatio(empire.id, partnerId, empire.id) >= difficulty.betrayalRatio) {
+                endTreaty(treaty, empire.id);
+            }
+        }
+    }
+}
+
+function normalizeTerms(terms = {}) {
+    const normalized = {};
+    for (const resource of RESOURCES) {
+        normalized[resource] = Math.max(0, Math.floor(terms[resource] || 0));
+    }
+    normalized.planetIds = [...new Set(terms.planetIds || [])];
+    return normalized;
+}
+
+function isValidProposal(fromId, toId, terms) {
+    const empire = getEmpire(toId);
+    if (!empire || empire.eliminated || empire.controller !== 'ai') return false;
+
+    // Fighting in progress is settled before anything is signed
+    if (gameState.battlePending || gameState.battleQueue.length > 0) return false;
+
+    if (terms.treaty) {
+        const current = getTreaty(fromId, toId);
+        if (!TREATY_TYPES[terms.treaty]) return false;
+        if (current && TREATY_TYPES[current.type].rank >= TREATY_TYPES[terms.treaty].rank) return false;
+    }
+
+    const player = gameState.players[fromId];
+    if (RESOURCES.some(r => terms.offer[r] > player[r])) return false;
+
+    const ownedPlanets = gameState.planets.filter(p => p.owner === fromId);
+    if (!terms.offer.planetIds.every(id => ownedPlanets.some(p => p.id === id))) return false;
+    if (terms.offer.planetIds.length >= ownedPlanets.length) return false;
+    if (!terms.request.planetIds.every(id => gameState.planets.find(p => p.id === id)?.owner === toId)) return false;
+
+    return terms.treaty !== null || getTermsValue(terms.offer) > 0 || getTermsValue(terms.request) > 0;
+}
+
+// Warships of one empire relative to another's, as far as the judging AI empire knows
+// (+1 so empires without warships compare as equals)
+function getStrengthRatio(empireId, otherId, judgeId) {
+    const difficulty = AI_CONFIG[getEmpire(judgeId).difficulty];
+    const planets = difficulty.respectsFogOfWar ? getKnownPlanets(judgeId) : gameState.planets;
+    return (countMilitary(empireId, planets) + 1) / (countMilitary(otherId, planets) + 1);
+}
+
+function getTermsValue(terms) {
+    let value = RESOURCES.reduce((sum, r) => sum + terms[r], 0);
+    for (const planetId of terms.planetIds) {
+        const planet = gameState.planets.find(p => p.id === planetId);
+        value += (planet.resources.energy + planet.resources.minerals + planet.resources.food) * PLANET_TRADE_VALUE +
+            planet.population;
+    }
+    return value;
+}
+
+function evaluateProposal(fromId, toId, terms) {
+    const difficulty = AI_CONFIG[getEmpire(toId).difficulty];
+    const ratio = getStrengthRatio(fromId, toId, toId);
+    const offerValue = getTermsValue(terms.offer);
+    const requestValue = getTermsValue(terms.request);
+    const profit = offerValue - requestValue;
+
+    const ai = gameState.players[toId];
+    if (RESOURCES.some(r => terms.request[r] > ai[r])) {
+        return { accepted: false, reason: 'they cannot pay that much' };
+    }
+    const aiPlanetCount = gameState.planets.filter(p => p.owner === toId).length;
+    if (terms.request.planetIds.length >= aiPlanetCount) {
+        return { accepted: false, reason: 'they will not give up their last planet' };
+    }
+
+    if (terms.treaty) {
+        const goodwill = ratio + difficulty.peacefulness + Math.max(0, profit) / DIPLOMACY_GIFT_VALUE;
+        if (goodwill < TREATY_TYPES[terms.treaty].requiredRatio) {
+            return { accepted: false, reason: 'they do not trust you enough to sign' };
+        }
+    }
+
+    if (requestValue > 0 && profit < requestValue * difficulty.tradeMargin && ratio < difficulty.tributeRatio) {
+        return {
+            accepted: false,
+            reason: offerValue > 0 ? 'they want a better deal' : 'they do not fear you enough to pay tribute'
+        };
+    }
+
+    return { accepted: true, reason: null };
+}
+
+function applyTerms(giverId, receiverId, terms) {
+    const giver = gameState.players[giverId];
+    const receiver = gameState.players[receiverId];
+    for (const resource of RESOURCES) {
+        giver[resource] -= terms[resource];
+        receiver[resource] += terms[resource];
+    }
+
+    for (const planetId of terms.planetIds) {
+        transferPlanet(gameState.planets.find(p => p.id === planetId), receiverId);
+    }
+}
+
+// The new owner takes over the planet and its buildings; the old owner's ships and
+// unfinished builds leave with it
+function transferPlanet(planet, newOwner) {
+    const previousOwner = planet.owner;
+    planet.owner = newOwner;
+    planet.buildQueue = [];
+    planet.buildingQueue = [];
+    gameState.pendingConquests = gameState.pendingConquests.filter(c => c.planetId !== planet.id);
+
+    const leavingShips = planet.ships.filter(s => s.owner === previousOwner);
+    if (leavingShips.length > 0) {
+        turnAwayShips(previousOwner, planet, leavingShips, planet.id);
+    }
+}
+
+function signTreaty(empireA, empireB, type) {
+    gameState.treaties = gameState.treaties.filter(t => t !== getTreaty(empireA, empireB));
+    gameState.treaties.push({
+        empireIds: [empireA, empireB],
+        type: type,
+        turnsRemaining: TREATY_TYPES[type].duration,
+        signedTurn: gameState.turn
+    });
+
+    separateEmpires(empireA, empireB);
+    emitGameEvent('treatySigned', { empireIds: [empireA, empireB], treaty: type });
+}
+
+// Ships of one side at the other side's planets (occupiers) leave; where both sides have
+// ships at a planet neither of them owns, the second empire's ships leave
+function separateEmpires(empireA, empireB) {
+    for (const planet of gameState.planets) {
+        const hasShipsA = planet.ships.some(s => s.owner === empireA);
+        const hasShipsB = planet.ships.some(s => s.owner === empireB);
+
+        let guestId = null;
+        if (planet.owner === empireA && hasShipsB) guestId = empireB;
+        else if (planet.owner === empireB && hasShipsA) guestId = empireA;
+        else if (hasShipsA && hasShipsB) guestId = empireB;
+
+        if (guestId) {
+            turnAwayShips(guestId, planet, planet.ships.filter(s => s.owner === guestId), planet.id);
+        }
+    }
+}
+
+// brokenBy = empire that declared war (null when a treaty ran out)
+function endTreaty(treaty, brokenBy) {
+    gameState.treaties = gameState.treaties.filter(t => t !== treaty);
+    emitGameEvent('treatyEnded', { empireIds: [...treaty.empireIds], treaty: treaty.type, brokenBy });
+
+    for (const empireId of treaty.empireIds) {
+        if (!isHumanEmpire(empireId)) continue;
+
+        const other = getEmpire(treaty.empireIds.find(id => id !== empireId));
+        const treatyName = TREATY_TYPES[treaty.type].name;
+        let message;
+        if (brokenBy === null) {
+            message = `⚔️ ${treatyName} with the ${other.name} has ended - you are at war again`;
+        } else if (brokenBy === empireId) {
+            message = `⚔️ You declared war on the ${other.name}`;
+        } else {
+            message = `⚔️ The ${other.name} broke your ${treatyName} and declared war!`;
+        }
+        emitGameEvent('notification', { message });
+    }
+}
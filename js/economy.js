@@ -0,0 +1,135 @@
+// ============================================
+// ECONOMY - INCOME & UPKEEP
+// ============================================
+// Version: 1.1.0
+//
+// This module computes each empire's per-turn income and upkeep and charges the upkeep
+// at the end of every turn. Ships drain energy, population eats food, and running out
+// of either hurts: an empty food store starves every planet's population, an empty
+// energy store wears down every ship until the fleet fits the economy again.
+//
+// Core Responsibilities:
+// - Sum planet and building output of an empire (income)
+// - Sum ship upkeep (energy, ship designs included) and population food consumption (upkeep)
+// - Charge upkeep once per turn, after income is collected
+// - Starve population on a food shortage and damage ships on an energy shortage
+//   (ships at 0 HP are lost; empty traveling groups are removed)
+//
+// Exports:
+// - getIncome(owner): Per-turn output of an empire's planets and buildings { energy, minerals, food }
+// - getUpkeep(owner): Per-turn upkeep { energy (ships), minerals, food (population) }
+// - getNetIncome(owner): Income minus upkeep
+// - processUpkeep(): Charges every active empire's upkeep (called once per turn)
+//
+// Events emitted: upkeepShortage { empireId, resource }, notification (human empires)
+//
+// Used by: turnSystem (income and upkeep), aiSystem (fleet size within the energy budget),
+//          uiManager (top bar per-turn rates)
+
+import { gameState, getActiveEmpires, isHumanEmpire } from './gameState.js';
+import { FOOD_PER_POPULATION, STARVATION_POPULATION_LOSS, ATTRITION_DAMAGE } from './config.js';
+import { getPlanetYield } from './research.js';
+import { getBuildingYield } from './buildings.js';
+import { getShipType } from './shipDesigns.js';
+import { emitGameEvent } from './gameEvents.js';
+
+// Ships of an empire that need upkeep: stationed anywhere or traveling
+function getOwnedShips(owner) {
+    const ships = [];
+    for (const planet of gameState.planets) {
+        ships.push(...planet.ships.filter(s => s.owner === owner));
+    }
+    for (const group of gameState.travelingShips) {
+        if (group.owner === owner) ships.push(...group.ships);
+    }
+    return ships;
+}
+
+export function getIncome(owner) {
+    const income = { energy: 0, minerals: 0, food: 0 };
+    for (const planet of gameState.planets) {
+        if (planet.owner !== owner) continue;
+
+        const planetYield = getPlanetYield(owner, planet);
+        const buildingYield = getBuildingYield(planet);
+        for (const resource in income) {
+            income[resource] += planetYield[resource] + buildingYield[resource];
+        }
+    }
+    return income;
+}
+
+export function getUpkeep(owner) {
+    const population = gameState.planets
+        .filter(p => p.owner === owner)
+        .reduce((sum, p) => sum + p.population, 0);
+
+    return {
+        energy: getOwnedShips(owner).reduce((sum, s) => sum + getShipType(s.type).upkeep, 0),
+        minerals: 0,
+        food: population * FOOD_PER_POPULATION
+    };
+}
+
+export function getNetIncome(owner) {
+    const income = getIncome(owner);
+    const upkeep = getUpkeep(owner);
+    return {
+        energy: income.energy - upkeep.energy,
+        minerals: income.minerals - upkeep.minerals,
+        food: income.food - upkeep.food
+    };
+}
+
+export function processUpkeep() {
+    for (const empire of getActiveEmpires()) {
+        const player = gameState.players[empire.id];
+        const upkeep = getUpkeep(empire.id);
+
+        player.energy -= upkeep.energy;
+        player.food -= upkeep.food;
+
+        if (player.food < 0) {
+            player.food = 0;
+            starvePopulation(empire.id);
+            reportShortage(empire.id, 'food', '🍽️ Famine! Your population is starving');
+        }
+
+        if (player.energy < 0) {
+            player.energy = 0;
+            wearDownShips(empire.id);
+            reportShortage(empire.id, 'energy', '⚡ Energy shortage! Unpaid ships are falling apart');
+        }
+    }
+}
+
+function starvePopulation(owner) {
+    for (const planet of gameState.planets) {
+        if (planet.owner !== owner || planet.population <= 0) continue;
+        planet.population = Math.max(0, planet.population - Math.ceil(planet.population * STARVATION_POPULATION_LOSS));
+    }
+}
+
+// Every ship loses a share of its max HP; wrecks are removed from planets and groups
+function wearDownShips(owner) {
+    for (const ship of getOwnedShips(owner)) {
+        ship.hitPoints -= ship.maxHitPoints * ATTRITION_DAMAGE;
+    }
+
+    for (const planet of gameState.planets) {
+        planet.ships = planet.ships.filter(s => s.owner !== owner || s.hitPoints > 0);
+    }
+    for (const group of gameState.travelingShips) {
+        if (group.owner === owner) {
+            group.ships = group.ships.filter(s => s.hitPoints > 0);
+        }
+    }
+    gameState.travelingShips = gameState.travelingShips.filter(g => g.ships.length > 0);
+}
+
+function reportShortage(owner, resource, message) {
+    emitGameEvent('upkeepShortage', { empireId: owner, resource });
+    if (isHumanEmpire(owner)) {
+        emitGameEvent('notification', { message });
+    }
+}
@@ -0,0 +1,378 @@
+// ============================================
+// FLEETS - NAMED FLEETS & STANDING ORDERS
+// ============================================
+// Version: 1.2.1
+//
+// This module manages persistent named fleets. A fleet is a named group of ships that
+// moves as a unit and can be given a standing order. Ships stay in planet.ships and
+// traveling groups like any other ship and are tagged with their fleet's id, so combat,
+// arrivals and retreats keep the fleet together without knowing about fleets; a
+// traveling group that carries a fleet references it with group.fleetId.
+//
+// Core Responsibilities:
+// - Create, merge, split, rename and disband fleets (player commands, recorded for replays)
+// - Move a fleet as a unit (the whole fleet flies in one traveling group)
+// - Release ships from their fleet when only part of a fleet is sent somewhere
+// - Carry out standing orders at the end of every turn (patrol, guard, repair)
+// - Attach escort fleets to colony ships that leave the escort's planet
+// - Forget fleets whose ships have all been destroyed
+//
+// Fleet State:
+// - gameState.fleets = [{ id, name, owner, order }]
+// - order = null | { type: 'patrol', planetIds: [a, b], nextIndex } | { type: 'guard', planetId }
+//         | { type: 'escort' } | { type: 'repair' }
+// - ship.fleetId = id of the ship's fleet (absent for loose ships)
+// - group.fleetId = fleet flying in a traveling group (null for loose ships)
+//
+// Exports:
+// - getFleet(fleetId): Fleet by id
+// - getFleetShips(fleet): Every ship of a fleet, stationed or traveling
+// - getFleetPlanet(fleet): Planet the fleet is stationed at (null while traveling or in battle)
+// - getFleetsAt(planet, owner): Fleets stationed at a planet
+// - createFleet(planetId, shipIds, name), splitFleet(fleetId, shipIds, name): New fleet from stationed ships
+// - addShipsToFleet(fleetId, shipIds), mergeFleets(fleetId, intoFleetId): Grow a fleet
+// - renameFleet(fleetId, name), disbandFleet(fleetId): Fleet management
+// - setFleetOrder(fleetId, orderType, targetPlanetId): Standing order (null order type = idle)
+// - sendFleet(fleetId, targetPlanetId, waypointIds): Moves the fleet as a unit (clears patrol and guard orders)
+// - startFleetDestinationSelection(fleetId, purpose), completeFleetDestination(planet, waypointIds): Map targeting for 'move' / 'patrol'
+// - prepareFleetsForDeparture(owner, fromPlanet, ships): Ships that actually leave (adds escorts, releases partial fleets)
+// - processFleetOrders(): Carries out standing orders (called once per turn)
+//
+// Events emitted: destinationSelectionStarted (fleet targeting), notification (human fleets)
+//
+// Used by: shipSystem (fleet dispatch), turnSystem (standing orders), uiManager (fleet panel),
+//          inputHandler (fleet buttons), simulation (player commands)
+
+import { gameState, generateId, recordCommand, isHumanEmpire } from './gameState.js';
+import { FLEET_ORDERS, FLEET_REPAIR_THRESHOLD } from './config.js';
+import { dispatchFleet, getOrderStops, cancelDestinationSelection } from './shipSystem.js';
+import { getTravelDistance } from './hyperlanes.js';
+import { isColonyShip } from './shipDesigns.js';
+import { emitGameEvent } from './gameEvents.js';
+
+const MAX_FLEET_NAME_LENGTH = 24;
+
+export function getFleet(fleetId) {
+    return gameState.fleets.find(f => f.id === fleetId) || null;
+}
+
+export function getFleetShips(fleet) {
+    return getAllShips().filter(s => s.fleetId === fleet.id);
+}
+
+export function getFleetPlanet(fleet) {
+    if (gameState.travelingShips.some(g => g.ships.some(s => s.fleetId === fleet.id))) return null;
+    return gameState.planets.find(p => p.ships.some(s => s.fleetId === fleet.id)) || null;
+}
+
+export function getFleetsAt(planet, owner) {
+    const fleetIds = new Set(planet.ships.filter(s => s.owner === owner && s.fleetId).map(s => s.fleetId));
+    return gameState.fleets.filter(f => fleetIds.has(f.id));
+}
+
+// Ships anywhere in the game, including ships waiting for a battle or retreat decision
+function getAllShips() {
+    const ships = [];
+    for (const planet of gameState.planets) ships.push(...planet.ships);
+    for (const group of gameState.travelingShips) ships.push(...group.ships);
+    for (const battle of gameState.battleQueue) ships.push(...battle.attackingShips);
+    if (gameState.battlePending) ships.push(...gameState.battlePending.attackingShips);
+    if (gameState.retreatingShips) ships.push(...gameState.retreatingShips);
+    return ships;
+}
+
+// Stationed ships of the player at a planet, in the order of shipIds
+function findPlayerShips(planet, shipIds) {
+    const ids = new Set(shipIds);
+    return planet.ships.filter(s => ids.has(s.id) && s.owner === 'player');
+}
+
+function getPlayerFleet(fleetId) {
+    const fleet = getFleet(fleetId);
+    return fleet && fleet.owner === 'player' ? fleet : null;
+}
+
+function cleanFleetName(name) {
+    const cleaned = typeof name === 'string' ? name.trim().slice(0, MAX_FLEET_NAME_LENGTH) : '';
+    return cleaned || null;
+}
+
+function nextFleetName(owner) {
+    const number = ++gameState.players[owner].fleetsCreated;
+    const suffix = (number % 100 >= 11 && number % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th');
+    return `${number}${suffix} Fleet`;
+}
+
+function formFleet(owner, ships, name) {
+    const fleet = { id: generateId(), name: cleanFleetName(name) || nextFleetName(owner), owner: owner, order: null };
+    gameState.fleets.push(fleet);
+    for (const ship of ships) {
+        ship.fleetId = fleet.id;
+    }
+    pruneFleets();
+    return fleet;
+}
+
+export function createFleet(planetId, shipIds, name = null) {
+    const planet = gameState.planets.find(p => p.id === planetId);
+    if (!planet) return null;
+
+    const ships = findPlayerShips(planet, shipIds);
+    if (ships.length === 0) return null;
+
+    // Ships taken from other fleets leave them
+    const fleet = formFleet('player', ships, name);
+    recordCommand({ type: 'createFleet', planetId: planet.id, shipIds: ships.map(s => s.id), name: name });
+    return fleet;
+}
+
+export function splitFleet(fleetId, shipIds, name = null) {
+    const fleet = getPlayerFleet(fleetId);
+    const planet = fleet && getFleetPlanet(fleet);
+    if (!planet) return null;
+
+    const ships = findPlayerShips(planet, shipIds).filter(s => s.fleetId === fleet.id);
+    // Splitting off every ship would just rename the fleet
+    if (ships.length === 0 || ships.length === getFleetShips(fleet).length) return null;
+
+    const newFleet = formFleet('player', ships, name);
+    newFleet.order = fleet.order?.type === 'patrol' ? null : structuredClone(fleet.order);
+    recordCommand({ type: 'splitFleet', fleetId: fleet.id, shipIds: ships.map(s => s.id), name: name });
+    return newFleet;
+}
+
+export function addShipsToFleet(fleetId, shipIds) {
+    const fleet = getPlayerFleet(fleetId);
+    const planet = fleet && getFleetPlanet(fleet);
+    if (!planet) return false;
+
+    const ships = findPlayerShips(planet, shipIds).filter(s => s.fleetId !== fleet.id);
+    if (ships.length === 0) return false;
+
+    for (const ship of ships) {
+        ship.fleetId = fleet.id;
+    }
+    pruneFleets();
+    recordCommand({ type: 'addShipsToFleet', fleetId: fleet.id, shipIds: ships.map(s => s.id) });
+    return true;
+}
+
+// Merge one fleet into another at the same planet; the merged fleet's order is dropped
+export function mergeFleets(fleetId, intoFleetId) {
+    const fleet = getPlayerFleet(fleetId);
+    const target = getPlayerFleet(intoFleetId);
+    if (!fleet || !target || fleet === target) return false;
+
+    const planet = getFleetPlanet(fleet);
+    if (!planet || planet !== getFleetPlanet(target)) return false;
+
+    for (const ship of planet.ships) {
+        if (ship.fleetId === fleet.id) ship.fleetId = target.id;
+    }
+    pruneFleets();
+    recordCommand({ type: 'mergeFleets', fleetId: fleet.id, intoFleetId: target.id });
+    return true;
+}
+
+export function renameFleet(fleetId, name) {
+    const fleet = getPlayerFleet(fleetId);
+    const cleaned = cleanFleetName(name);
+    if (!fleet || !cleaned) return false;
+
+    fleet.name = cleaned;
+    recordCommand({ type: 'renameFleet', fleetId: fleet.id, name: cleaned });
+    return true;
+}
+
+export function disbandFleet(fleetId) {
+    const fleet = getPlayerFleet(fleetId);
+    if (!fleet) return false;
+
+    for (const ship of getFleetShips(fleet)) {
+        delete ship.fleetId;
+    }
+    for (const group of gameState.travelingShips) {
+        if (group.fleetId === fleet.id) group.fleetId = null;
+    }
+    gameState.fleets = gameState.fleets.filter(f => f !== fleet);
+    recordCommand({ type: 'disbandFleet', fleetId: fleet.id });
+    return true;
+}
+
+// Patrol and guard orders need a stationed fleet; guard defaults to the fleet's current planet
+export function setFleetOrder(fleetId, orderType, targetPlanetId = null) {
+    const fleet = getPlayerFleet(fleetId);
+    if (!fleet) return false;
+
+    let order = null;
+    if (orderType) {
+        if (!FLEET_ORDERS[orderType]) return false;
+
+        const planet = getFleetPlanet(fleet);
+        const target = gameState.planets.find(p => p.id === targetPlanetId) || null;
+
+        if (orderType === 'patrol') {
+            if (!planet || !target || target === planet) return false;
+            order = { type: 'patrol', planetIds: [planet.id, target.id], nextIndex: 0 };
+        } else if (orderType === 'guard') {
+            const guarded = target || planet;
+            if (!guarded) return false;
+            order = { type: 'guard', planetId: guarded.id };
+        } else {
+            order = { type: orderType };
+        }
+    }
+
+    fleet.order = order;
+    recordCommand({ type: 'fleetOrder', fleetId: fleet.id, orderType: orderType || null, targetPlanetId: targetPlanetId });
+    return true;
+}
+
+// Waypoints are flown in order before the target; a round trip may end where it started
+export function sendFleet(fleetId, targetPlanetId, waypointIds = []) {
+    const fleet = getPlayerFleet(fleetId);
+    const planet = fleet && getFleetPlanet(fleet);
+    const target = gameState.planets.find(p => p.id === targetPlanetId);
+    if (!planet || !target) return false;
+    if (waypointIds.some(id => !gameState.planets.some(p => p.id === id))) return false;
+    if (getOrderStops(planet, target, waypointIds).length === 0) return false;
+
+    // A direct order overrides where the fleet would otherwise fly on its own
+    if (fleet.order?.type === 'patrol' || fleet.order?.type === 'guard') {
+        fleet.order = null;
+    }
+
+    const command = { type: 'sendFleet', fleetId: fleet.id, targetPlanetId: target.id };
+    if (waypointIds.length > 0) {
+        command.waypointIds = [...waypointIds];
+    }
+    recordCommand(command);
+    moveFleet(fleet, planet, target, waypointIds);
+    return true;
+}
+
+function moveFleet(fleet, planet, target, waypointIds = []) {
+    const ships = planet.ships.filter(s => s.fleetId === fleet.id);
+    return dispatchFleet(fleet.owner, planet, ships, target, waypointIds);
+}
+
+// Map targeting reuses the ship destination selection mode (see shipSystem.completeShipSend)
+export function startFleetDestinationSelection(fleetId, purpose) {
+    const fleet = getPlayerFleet(fleetId);
+    const planet = fleet && getFleetPlanet(fleet);
+    if (!planet) return false;
+
+    gameState.fleetDestination = { fleetId: fleet.id, purpose: purpose };
+    gameState.sourcePlanet = planet;
+    gameState.shipsToSend = planet.ships.filter(s => s.fleetId === fleet.id);
+    gameState.pendingWaypoints = [];
+    gameState.selectingDestination = true;
+
+    emitGameEvent('destinationSelectionStarted', { sourcePlanetId: planet.id, fleetId: fleet.id, purpose: purpose });
+    return true;
+}
+
+// Patrols run between two planets, so waypoints only apply to moves
+export function completeFleetDestination(targetPlanet, waypointIds = []) {
+    const { fleetId, purpose } = gameState.fleetDestination;
+    const result = purpose === 'patrol'
+        ? setFleetOrder(fleetId, 'patrol', targetPlanet.id)
+        : sendFleet(fleetId, targetPlanet.id, waypointIds);
+
+    cancelDestinationSelection();
+    return result;
+}
+
+// Called by dispatchFleet before ships leave a planet. Ships sent without the rest of their
+// fleet leave it; escort fleets stationed at the planet join departing colonizers.
+export function prepareFleetsForDeparture(owner, fromPlanet, ships) {
+    const departing = new Set(ships);
+
+    for (const ship of ships) {
+        if (!ship.fleetId) continue;
+        const leftBehind = fromPlanet.ships.some(s => s.fleetId === ship.fleetId && !departing.has(s));
+        if (leftBehind) {
+            delete ship.fleetId;
+        }
+    }
+
+    const escorts = [];
+    if (ships.some(isColonyShip)) {
+        for (const fleet of getFleetsAt(fromPlanet, owner)) {
+            if (fleet.order?.type !== 'escort') continue;
+            escorts.push(...fromPlanet.ships.filter(s => s.fleetId === fleet.id && !departing.has(s)));
+        }
+    }
+
+    pruneFleets();
+    return [...ships, ...escorts];
+}
+
+export function processFleetOrders() {
+    pruneFleets();
+
+    for (const fleet of gameState.fleets) {
+        if (!fleet.order) continue;
+
+        const planet = getFleetPlanet(fleet);
+        if (!planet) continue; // Traveling or waiting for a battle
+
+        const target = getOrderTarget(fleet, planet);
+        if (target && target !== planet) {
+            moveFleet(fleet, planet, target);
+        }
+    }
+}
+
+function getOrderTarget(fleet, planet) {
+    const order = fleet.order;
+
+    switch (order.type) {
+        case 'patrol':
+            if (planet.id === order.planetIds[order.nextIndex]) {
+                order.nextIndex = (order.nextIndex + 1) % order.planetIds.length;
+            }
+            return gameState.planets.find(p => p.id === order.planetIds[order.nextIndex]);
+
+        case 'guard':
+            return gameState.planets.find(p => p.id === order.planetId);
+
+        case 'repair':
+            return getRepairTarget(fleet, planet);
+
+        default:
+            return null; // Escorts only move with colonizers
+    }
+}
+
+// Every owned planet has a shipyard that repairs stationed ships (see turnSystem.healStationedShips)
+function getRepairTarget(fleet, planet) {
+    if (planet.owner === fleet.owner) return null;
+
+    const ships = planet.ships.filter(s => s.fleetId === fleet.id);
+    const hitPoints = ships.reduce((sum, s) => sum + s.hitPoints, 0);
+    const maxHitPoints = ships.reduce((sum, s) => sum + s.maxHitPoints, 0);
+    if (hitPoints >= maxHitPoints * FLEET_REPAIR_THRESHOLD) return null;
+
+    let nearest = null;
+    let minDist = Infinity;
+    for (const candidate of gameState.planets) {
+        if (candidate.owner !== fleet.owner) continue;
+        const dist = getTravelDistance(planet, candidate);
+        if (dist < minDist) {
+            minDist = dist;
+            nearest = candidate;
+        }
+    }
+
+    if (nearest && isHumanEmpire(fleet.owner)) {
+        emitGameEvent('notification', { message: `${FLEET_ORDERS.repair.icon} ${fleet.name} returning to ${nearest.name} for repairs` });
+    }
+    return nearest;
+}
+
+// Fleets are forgotten once their last ship is gone
+function pruneFleets() {
+    const fleetIds = new Set(getAllShips().map(s => s.fleetId));
+    gameState.fleets = gameState.fleets.filter(f => fleetIds.has(f.id));
+}
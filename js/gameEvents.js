@@ -0,0 +1,71 @@
+// ============================================
+// GAME EVENTS
+// ============================================
+// Version: 1.0.0
+//
+// This module is a minimal synchronous event bus that lets the rules core
+// (turnSystem, combatSystem, shipSystem, aiSystem) report what happened without
+// touching the DOM. The browser layer subscribes to these events and turns them
+// into notifications, dialogs and panel refreshes.
+//
+// Core Responsibilities:
+// - Register and unregister event listeners by event type (or '*' for all events)
+// - Emit events synchronously in the order the rules core produces them
+// - Capture events into a list instead of dispatching them (headless runs)
+//
+// Event Shape:
+// - Every event is a plain object: { type, ...payload }
+// - Payloads only contain serializable data or references into the game state
+//
+// Exports:
+// - onGameEvent(type, handler): Subscribes to an event type, returns an unsubscribe function
+// - emitGameEvent(type, payload): Emits an event to listeners (or to the active capture)
+// - captureGameEvents(fn): Runs fn and returns { value, events } without notifying listeners
+//
+// Used by: turnSystem, combatSystem, shipSystem (emit), uiManager (subscribe),
+//          simulation (capture for headless runs)
+
+const listeners = new Map();
+
+// Stack of event buffers for nested captures (innermost capture receives events)
+const captureStack = [];
+
+export function onGameEvent(type, handler) {
+    if (!listeners.has(type)) {
+        listeners.set(type, new Set());
+    }
+    listeners.get(type).add(handler);
+
+    return () => listeners.get(type).delete(handler);
+}
+
+export function emitGameEvent(type, payload = {}) {
+    const event = { type, ...payload };
+
+    // While capturing (headless simulation), events are recorded but not dispatched
+    if (captureStack.length > 0) {
+        captureStack[captureStack.length - 1].push(event);
+        return event;
+    }
+
+    for (const handler of listeners.get(type) || []) {
+        handler(event);
+    }
+    for (const handler of listeners.get('*') || []) {
+        handler(event);
+    }
+
+    return event;
+}
+
+export function captureGameEvents(fn) {
+    const events = [];
+    captureStack.push(events);
+
+    try {
+        const value = fn();
+        return { value, events };
+    } finally {
+        captureStack.pop();
+    }
+}
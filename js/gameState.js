@@ -2,8 +2,8 @@
 // GAME STATE & INITIALIZATION
 // ============================================
 //
-// Version: 2.0.10
-// Last Modified: 04/02/2026
+// Version: 2.25.3
+// Last Modified: 18/10/2026
 //
 // This module manages the central game state and handles game initialization,
 // including planet generation, canvas setup, and start screen configuration.
@@ -11,22 +11,49 @@
 // Core Responsibilities:
 // - Maintains the gameState object (turn counter, planets, ships, players, resources)
 // - Manages camera viewport and background stars with dynamic zoom constraints
-// - Generates random galaxy with planets and resource distributions
+// - Generates random galaxy with planets and resource distributions, in the galaxy shape
+//   chosen on the start screen (gameState.mapShape, see mapGenerators.js)
+// - Balances the start planets and keeps the map's start fairness (gameState.mapFairness, see startBalancing.js)
 // - Handles canvas resizing and coordinate system setup
 // - Processes start screen options (difficulty, map size)
-// - Calculates player scores based on planets, population, ships, and combat
+// - Calculates player scores based on planets, population, territory, ships, and combat
+// - Creates fresh state objects and swaps the active state for headless simulation
+// - Owns the seeded random streams (combat, ai, ids) so every turn is reproducible
+// - Records every player command so a game can be replayed from its seed
+// - Keeps the empire registry (2-8 empires, human or AI controlled)
+// - Holds each empire's research progress (players[id].research)
+// - Generates the hyperlane network for lane-travel maps (travel mode chosen on the start screen)
+// - Holds the named fleets (gameState.fleets) and saves them with the game
+// - Holds the diplomatic treaties between empires (gameState.treaties) and saves them with the game
+// - Holds the victory conditions and game length chosen on the start screen; marks each empire's capital
+// - Tracks which game a save belongs to (gameId) so autosaves can be rotated per game
+// - Writes the save schema version; loading upgrades and validates saves first (saveMigrations.js)
+// - Holds the battle history (gameState.battleHistory) shown by the battle log and saves it with the game
+// - Holds the recent attacks on empire planets (gameState.recentAttacks, AI counter-attacks) and saves them
+// - Holds every empire's ship designs (gameState.shipDesigns, see shipDesigns.js) and saves them with the game
+// - Starting ships begin without experience (battles, kills and captain, see veterancy.js)
 //
 // Exports:
 // - gameState: Central mutable state object accessed by all modules
 // - camera: Viewport position and zoom level
 // - backgroundStars: Decorative star positions for rendering
 // - Functions: init(), startGame(), generatePlanets(), calculateScore(), generateId()
+// - createGameState(settings): Builds a fresh, DOM-free game state object
+// - setGameState(state): Makes the given state object the active gameState
+// - nextRandom(stream): Next value in [0, 1) from one of the game's seeded random streams
+// - recordCommand(command): Appends a player command to the game's command log
+// - getReplayData(): Seed, settings and command log needed to re-simulate the game
+// - createEmpires(options), getEmpire(id), isHumanEmpire(id), getActiveEmpires(): Empire registry
 //
 // Used by: All game modules that need to read or modify game state
 
-import { MAP_SIZES, SHIP_TYPES } from './config.js';
-import { invalidateZoneCache } from './influenceZones.js';
-import { SeededRandom, generateMapSeed } from './seededRandom.js';
+import { MAP_SIZES, SHIP_TYPES, MIN_EMPIRES, MAX_EMPIRES, TERRITORY_SCORE_AREA } from './config.js';
+import { invalidateZoneCache, getTerritoryAreas } from './influenceZones.js';
+import { SeededRandom, generateMapSeed, createRandomStreams, mulberry32 } from './seededRandom.js';
+import { generateHyperlanes } from './hyperlanes.js';
+import { MAP_GENERATORS, DEFAULT_MAP_SHAPE, LEGACY_MAP_SHAPE, getStartCandidates } from './mapGenerators.js';
+import { balanceStartPlanets } from './startBalancing.js';
+import { upgradeSaveState, SAVE_SCHEMA_VERSION } from './saveMigrations.js';
 
 // Planet name theme collections
 export const PLANET_NAME_THEMES = {
@@ -69,46 +96,178 @@ export const COLOR_OPTIONS = {
     purple: { name: 'Purple', hex: '#a855f7', glowRgba: '168, 85, 247', planetGlow: 'rgba(168, 85, 247, 0.3)' },
     green: { name: 'Green', hex: '#00ff88', glowRgba: '0, 255, 136', planetGlow: 'rgba(0, 255, 136, 0.3)' },
     white: { name: 'White', hex: '#ffffff', glowRgba: '255, 255, 255', planetGlow: 'rgba(255, 255, 255, 0.3)' },
-    orange: { name: 'Orange', hex: '#ff8800', glowRgba: '255, 136, 0', planetGlow: 'rgba(255, 136, 0, 0.3)' }
+    orange: { name: 'Orange', hex: '#ff8800', glowRgba: '255, 136, 0', planetGlow: 'rgba(255, 136, 0, 0.3)' },
+    // Only assigned to additional AI empires (not offered in the color pickers)
+    yellow: { name: 'Yellow', hex: '#ffd700', glowRgba: '255, 215, 0', planetGlow: 'rgba(255, 215, 0, 0.3)' },
+    cyan: { name: 'Cyan', hex: '#00e5ff', glowRgba: '0, 229, 255', planetGlow: 'rgba(0, 229, 255, 0.3)' }
 };
 
 // Game state object
-export let gameState = {
-    turn: 1,
-    mapSize: 'compact',
-    difficulty: 'easy',
-    playerColor: 'blue', // Empire color choice
-    aiColor: 'red', // AI color choice
-    planetNameTheme: 'greek', // Planet name collection (greek, norse, stars)
-    influenceTransparency: 0.10, // 0.02 to 0.25 (default: 10%)
-    worldWidth: 1500,
-    worldHeight: 1200,
-    planets: [],
-    travelingShips: [],
-    pendingConquests: [], // Track planets being conquered
-    players: {
-        player: { energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0 },
-        enemy: { energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0 }
-    },
-    selectedPlanet: null,
-    selectingDestination: false,
-    shipsToSend: null,
-    sourcePlanet: null,
-    selectedShipIds: new Set(), // Track individually selected ships
-    battlePending: null, // Currently active battle for fight/withdraw choice
-    battleQueue: [], // Queue of pending battles to resolve sequentially
-    fleetTab: 'stationed', // Current fleet tab
-    gameOver: false, // Track if game has ended
-    // New fields for Supabase integration
-    mapSeed: null, // Seed for reproducible map generation
-    currentSaveId: null, // UUID of active save (null for new/guest games)
-    userId: null, // Current authenticated user ID (null for guests)
-    username: null // Current authenticated username
-};
+export let gameState = createGameState();
 
 // Seeded random instance for current game
 let gameRandom = null;
 
+// Starting resources and statistics for every empire, keyed by empire id
+function createPlayers(empires) {
+    const players = {};
+    for (const empire of empires) {
+        players[empire.id] = {
+            energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0,
+            fleetsCreated: 0, // Numbers default fleet names ("1st Fleet", ...)
+            research: createResearchState()
+        };
+    }
+    return players;
+}
+
+// Research progress of one empire (see research.js)
+function createResearchState() {
+    return { current: null, progress: 0, completed: [] };
+}
+
+// ============================================
+// EMPIRE REGISTRY
+// ============================================
+
+// Build the empire list for a new game. The human always has id 'player' and the first
+// AI keeps id 'enemy', so two-empire saves and leaderboard records stay compatible;
+// additional AIs are 'enemy3' ... 'enemy8' and get the first colors nobody picked.
+// `mapSize` caps the count at half the map's planets.
+export function createEmpires({ count = MIN_EMPIRES, mapSize = null, playerColor = 'blue', aiColor = 'red', difficulty = 'easy' } = {}) {
+    let empireCount = Math.max(MIN_EMPIRES, Math.min(MAX_EMPIRES, count));
+    if (mapSize) {
+        empireCount = Math.max(MIN_EMPIRES, Math.min(empireCount, Math.floor(MAP_SIZES[mapSize].planets / 2)));
+    }
+
+    const freeColors = Object.keys(COLOR_OPTIONS).filter(c => c !== playerColor && c !== aiColor);
+    const empires = [
+        createEmpire('player', playerColor, 'human', null),
+        createEmpire('enemy', aiColor, 'ai', difficulty)
+    ];
+    for (let i = 3; i <= empireCount; i++) {
+        empires.push(createEmpire(`enemy${i}`, freeColors[i - 3], 'ai', difficulty));
+    }
+    return empires;
+}
+
+function createEmpire(id, color, controller, difficulty) {
+    return {
+        id,
+        name: `${COLOR_OPTIONS[color].name} Empire`,
+        color,
+        controller, // 'human' | 'ai'
+        difficulty, // AI_CONFIG profile used by this empire's AI (null for humans)
+        eliminated: false // Set by checkGameEnd() when the empire has no planets and no colonizers
+        // capitalPlanetId: starting planet, set by generatePlanets() (capital capture victory)
+    };
+}
+
+export function getEmpire(id) {
+    return gameState.empires.find(e => e.id === id) || null;
+}
+
+export function isHumanEmpire(id) {
+    return getEmpire(id)?.controller === 'human';
+}
+
+export function getActiveEmpires() {
+    return gameState.empires.filter(e => !e.eliminated);
+}
+
+// Build a fresh game state object (no planets yet). Used for the browser's initial
+// state and for headless simulation, where settings override the defaults,
+// e.g. { mapSize, difficulty, mapSeed, worldWidth, worldHeight }.
+export function createGameState(settings = {}) {
+    const empires = settings.empires || createEmpires({
+        count: settings.empireCount,
+        mapSize: settings.mapSize,
+        playerColor: settings.playerColor,
+        aiColor: settings.aiColor,
+        difficulty: settings.difficulty
+    });
+
+    return {
+        turn: 1,
+        mapSize: 'compact',
+        mapShape: DEFAULT_MAP_SHAPE, // Galaxy shape (MAP_GENERATORS key, see mapGenerators.js)
+        mapFairness: null, // Weakest / average start score of the map, 0-1 (null before v2.26.0, see startBalancing.js)
+        difficulty: 'easy',
+        playerColor: 'blue', // Empire color choice
+        aiColor: 'red', // AI color choice
+        planetNameTheme: 'greek', // Planet name collection (greek, norse, stars)
+        travelMode: 'free', // 'free' (fly anywhere) or 'hyperlanes' (fly along lanes, see hyperlanes.js)
+        influenceTransparency: 0.10, // 0.02 to 0.25 (default: 10%)
+        worldWidth: 1500,
+        worldHeight: 1200,
+        planets: [],
+        hyperlanes: [], // Lane list [[planetIdA, planetIdB], ...] (empty in free travel mode)
+        travelingShips: [],
+        fleets: [], // Named fleets [{ id, name, owner, order }] (see fleets.js)
+        treaties: [], // Diplomatic treaties [{ empireIds, type, turnsRemaining, signedTurn }]; no treaty = war (see diplomacy.js)
+        victoryTypes: [], // Optional victory conditions on top of conquest (VICTORY_TYPES keys, see victory.js)
+        gameLength: 'standard', // GAME_LENGTHS key - turn limit of score victories
+        pendingConquests: [], // Track planets being conquered
+        empireCount: MIN_EMPIRES, // Number of empires for new games, player included (start screen)
+        empires: empires, // Empire registry for the current game (see createEmpires)
+        players: createPlayers(empires), // Resources and statistics keyed by empire id
+        intel: {}, // Last-known planet intel per empire (see visibility.js)
+        revealMap: false, // Ignore fog of war (replay viewer)
+        selectedPlanet: null,
+        selectingDestination: false,
+        shipsToSend: null,
+        sourcePlanet: null,
+        fleetDestination: null, // { fleetId, purpose: 'move' | 'patrol' } while targeting for a named fleet
+        redirectGroupId: null, // Traveling group being redirected while targeting
+        pendingWaypoints: [], // Stops shift-clicked so far while targeting
+        selectedFleetId: null, // Fleet highlighted in the fleet panel (merge / add-to-fleet target)
+        selectedShipIds: new Set(), // Track individually selected ships
+        battlePending: null, // Currently active battle for fight/withdraw choice
+        battleQueue: [], // Queue of pending battles to resolve sequentially
+        battleHistory: [], // Round-by-round reports of recent battles (battle log, see combatSystem.js)
+        recentAttacks: [], // Attacks on empire planets of the last turns { planetId, attackerId, turn } (AI counter-attacks, see aiSystem.js)
+        shipDesigns: [], // Custom ship types of every empire (ship designer, see shipDesigns.js)
+        fleetTab: 'stationed', // Current fleet tab
+        gameOver: false, // Track if game has ended
+        // New fields for Supabase integration
+        mapSeed: null, // Seed for reproducible map generation
+        randomStreams: null, // Seeded RNG stream states (combat, ai, ids); derived from mapSeed when null
+        commandLog: [], // Player commands since turn 1 (null when unknown, e.g. a save from before v2.4.0)
+        currentSaveId: null, // Id of the save last written or loaded (null for unsaved games)
+        gameId: null, // Id shared by all saves of this game (assigned on first save)
+        userId: null, // Current authenticated user ID (null for guests)
+        username: null, // Current authenticated username
+        ...settings
+    };
+}
+
+// Swap the active game state. Every module reads the live `gameState` binding,
+// so the rules core operates on whichever state object is active.
+export function setGameState(state) {
+    gameState = state;
+}
+
+// Draw the next random number from a seeded stream of the active game.
+// All game-affecting randomness goes through here (never Math.random), and the
+// stream states live in gameState so saves and replays continue the same sequence.
+export function nextRandom(stream) {
+    if (!gameState.randomStreams) {
+        gameState.randomStreams = createRandomStreams(gameState.mapSeed);
+    }
+
+    const { state, value } = mulberry32(gameState.randomStreams[stream]);
+    gameState.randomStreams[stream] = state;
+    return value;
+}
+
+// Append a player command (same shape as simulation.applyCommand input) to the log.
+// Together with the seed, the log reproduces the whole game (see getReplayData).
+export function recordCommand(command) {
+    if (gameState.commandLog) {
+        gameState.commandLog.push(command);
+    }
+}
+
 // Camera/viewport
 export let camera = {
     x: 0,
@@ -198,6 +357,16 @@ export function setupStartScreen() {
         });
     });
 
+    // Galaxy shape buttons
+    document.querySelectorAll('[data-shape]').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.shape === gameState.mapShape);
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('[data-shape]').forEach(b => b.classList.remove('selected'));
+            btn.classList.add('selected');
+            gameState.mapShape = btn.dataset.shape;
+        });
+    });
+
     // Difficulty buttons
     document.querySelectorAll('[data-difficulty]').forEach(btn => {
         btn.addEventListener('click', () => {
@@ -207,6 +376,48 @@ export function setupStartScreen() {
         });
     });
 
+    // Travel mode buttons
+    document.querySelectorAll('[data-travel]').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.travel === gameState.travelMode);
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('[data-travel]').forEach(b => b.classList.remove('selected'));
+            btn.classList.add('selected');
+            gameState.travelMode = btn.dataset.travel;
+        });
+    });
+
+    // Victory condition toggles (conquest is always active)
+    document.querySelectorAll('[data-victory]').forEach(btn => {
+        btn.classList.toggle('selected', gameState.victoryTypes.includes(btn.dataset.victory));
+        btn.addEventListener('click', () => {
+            const type = btn.dataset.victory;
+            gameState.victoryTypes = gameState.victoryTypes.includes(type)
+                ? gameState.victoryTypes.filter(t => t !== type)
+                : [...gameState.victoryTypes, type];
+            btn.classList.toggle('selected', gameState.victoryTypes.includes(type));
+        });
+    });
+
+    // Game length buttons (turn limit of score victories)
+    document.querySelectorAll('[data-length]').forEach(btn => {
+        btn.classList.toggle('selected', btn.dataset.length === gameState.gameLength);
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('[data-length]').forEach(b => b.classList.remove('selected'));
+            btn.classList.add('selected');
+            gameState.gameLength = btn.dataset.length;
+        });
+    });
+
+    // Empire count buttons (player included; capped by map size when the game starts)
+    document.querySelectorAll('[data-empires]').forEach(btn => {
+        btn.classList.toggle('selected', parseInt(btn.dataset.empires) === gameState.empireCount);
+        btn.addEventListener('click', () => {
+            document.querySelectorAll('[data-empires]').forEach(b => b.classList.remove('selected'));
+            btn.classList.add('selected');
+            gameState.empireCount = parseInt(btn.dataset.empires);
+        });
+    });
+
     // Player color picker
     const playerColorPicker = document.getElementById('playerColorPicker');
     playerColorPicker.querySelectorAll('.color-tile').forEach(tile => {
@@ -296,28 +507,47 @@ export function startGame(providedSeed = null) {
     // Generate or use provided map seed
     gameState.mapSeed = providedSeed || generateMapSeed();
     gameRandom = new SeededRandom(gameState.mapSeed);
+    gameState.randomStreams = createRandomStreams(gameState.mapSeed);
+    gameState.commandLog = [];
 
     // Reset save ID for new games (unless loading a saved game)
     if (!providedSeed) {
         gameState.currentSaveId = null;
     }
+    // Every new game (also a restart on the same map) gets its own autosaves
+    gameState.gameId = null;
 
     // Reset game state for new game
     gameState.turn = 1;
     gameState.travelingShips = [];
+    gameState.fleets = [];
+    gameState.treaties = [];
     gameState.pendingConquests = [];
-    gameState.players = {
-        player: { energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0 },
-        enemy: { energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0 }
-    };
+    gameState.empires = createEmpires({
+        count: gameState.empireCount,
+        mapSize: gameState.mapSize,
+        playerColor: gameState.playerColor,
+        aiColor: gameState.aiColor,
+        difficulty: gameState.difficulty
+    });
+    gameState.players = createPlayers(gameState.empires);
+    gameState.intel = {};
     gameState.selectedPlanet = null;
     gameState.selectingDestination = false;
     gameState.shipsToSend = null;
     gameState.sourcePlanet = null;
+    gameState.fleetDestination = null;
+    gameState.redirectGroupId = null;
+    gameState.pendingWaypoints = [];
+    gameState.selectedFleetId = null;
     gameState.selectedShipIds = new Set();
     gameState.battlePending = null;
     gameState.battleQueue = [];
+    gameState.battleHistory = [];
+    gameState.recentAttacks = [];
+    gameState.shipDesigns = [];
     gameState.fleetTab = 'stationed';
+    gameState.gameOver = false;
 
     const sizeConfig = MAP_SIZES[gameState.mapSize];
 
@@ -355,6 +585,11 @@ export function startGame(providedSeed = null) {
     generatePlanets(sizeConfig.planets);
     generateBackgroundStars();
 
+    // Center camera on player's starting planet
+    const playerStart = gameState.planets.find(p => p.owner === 'player');
+    camera.x = playerStart.x - canvas.width / 2;
+    camera.y = playerStart.y - canvas.height / 2;
+
     // Initialize influence zones for immediate display
     invalidateZoneCache();
 
@@ -363,37 +598,31 @@ export function startGame(providedSeed = null) {
     document.getElementById('zoomIndicator').style.display = 'block';
 }
 
-export function generatePlanets(count) {
+// Generate planets into the active game state. Pure rules code (no canvas/camera access)
+// so it can also run headless; `random` defaults to the current game's seeded generator.
+export function generatePlanets(count, random = gameRandom) {
     gameState.planets = [];
-    const padding = 150;
-    const minDistance = 200;
+    const generator = MAP_GENERATORS[gameState.mapShape] || MAP_GENERATORS[DEFAULT_MAP_SHAPE];
+    const map = {
+        index: 0,
+        count: count,
+        placed: gameState.planets,
+        random: random, // Seeded, so the same seed and shape always give the same galaxy
+        width: gameState.worldWidth,
+        height: gameState.worldHeight,
+        padding: 150,
+        minDistance: 200,
+        empireCount: gameState.empires.length
+    };
 
     const theme = PLANET_NAME_THEMES[gameState.planetNameTheme] || PLANET_NAME_THEMES.greek;
     const planetNames = theme.names;
 
     for (let i = 0; i < count; i++) {
-        let x, y, valid;
-        let attempts = 0;
-
-        do {
-            // Use seeded random for reproducible maps
-            const randX = gameRandom.random();
-            const randY = gameRandom.random();
-            x = padding + randX * (gameState.worldWidth - padding * 2);
-            y = padding + randY * (gameState.worldHeight - padding * 2);
-            valid = true;
-
-            for (const planet of gameState.planets) {
-                const dist = Math.sqrt((x - planet.x) ** 2 + (y - planet.y) ** 2);
-                if (dist < minDistance) {
-                    valid = false;
-                    break;
-                }
-            }
-            attempts++;
-        } while (!valid && attempts < 100);
+        map.index = i;
+        const { x, y } = generator.placePlanet(map);
 
-        const size = 20 + gameRandom.random() * 25;
+        const size = 20 + random.random() * 25;
         const planet = {
             id: i,
             name: planetNames[i] || `Planet-${i}`,
@@ -402,41 +631,46 @@ export function generatePlanets(count) {
             population: 0,
             maxPopulation: Math.floor(size * 4),
             resources: {
-                energy: Math.floor(gameRandom.random() * 10) + 5,
-                minerals: Math.floor(gameRandom.random() * 10) + 5,
-                food: Math.floor(gameRandom.random() * 10) + 5
+                energy: Math.floor(random.random() * 10) + 5,
+                minerals: Math.floor(random.random() * 10) + 5,
+                food: Math.floor(random.random() * 10) + 5
             },
             ships: [],
             buildQueue: [],
-            color: `hsl(${gameRandom.random() * 360}, 60%, 50%)`
+            buildings: [], // See buildings.js
+            buildingQueue: [],
+            shields: 0, // Planetary shield points, recharged while owned (see planetDefenses.js)
+            color: `hsl(${random.random() * 360}, 60%, 50%)`
         };
 
         gameState.planets.push(planet);
     }
 
-    // Assign starting planets - player and enemy get equal start
-    const playerStart = gameState.planets[0];
-    playerStart.owner = 'player';
-    playerStart.population = 50;
-    playerStart.ships = [
-        { type: 'scout', id: generateId(), hitPoints: SHIP_TYPES.scout.maxHitPoints, maxHitPoints: SHIP_TYPES.scout.maxHitPoints, owner: 'player' },
-        { type: 'scout', id: generateId(), hitPoints: SHIP_TYPES.scout.maxHitPoints, maxHitPoints: SHIP_TYPES.scout.maxHitPoints, owner: 'player' },
-        { type: 'frigate', id: generateId(), hitPoints: SHIP_TYPES.frigate.maxHitPoints, maxHitPoints: SHIP_TYPES.frigate.maxHitPoints, owner: 'player' }
-    ];
-
-    // Enemy starts on opposite side
-    const enemyStart = gameState.planets[gameState.planets.length - 1];
-    enemyStart.owner = 'enemy';
-    enemyStart.population = 50;
-    enemyStart.ships = [
-        { type: 'scout', id: generateId(), hitPoints: SHIP_TYPES.scout.maxHitPoints, maxHitPoints: SHIP_TYPES.scout.maxHitPoints, owner: 'enemy' },
-        { type: 'scout', id: generateId(), hitPoints: SHIP_TYPES.scout.maxHitPoints, maxHitPoints: SHIP_TYPES.scout.maxHitPoints, owner: 'enemy' },
-        { type: 'frigate', id: generateId(), hitPoints: SHIP_TYPES.frigate.maxHitPoints, maxHitPoints: SHIP_TYPES.frigate.maxHitPoints, owner: 'enemy' }
-    ];
+    // Assign starting planets - the most even combination of planets near each empire's anchor
+    // (shapes that pick their own starts, like Classic maps, are not rated)
+    let startPlanets;
+    let fairness = null;
+    if (generator.startPlanets) {
+        startPlanets = generator.startPlanets(gameState.planets, map);
+    } else {
+        const candidates = getStartCandidates(gameState.planets, generator.startAnchors(map), map.minDistance);
+        ({ starts: startPlanets, fairness } = balanceStartPlanets(gameState.planets, candidates));
+    }
+    gameState.mapFairness = fairness;
+    gameState.empires.forEach((empire, i) => {
+        const start = startPlanets[i];
+        start.owner = empire.id;
+        start.population = 50;
+        empire.capitalPlanetId = start.id;
+        start.ships = [
+            { type: 'scout', id: generateId(), hitPoints: SHIP_TYPES.scout.maxHitPoints, maxHitPoints: SHIP_TYPES.scout.maxHitPoints, owner: empire.id, battles: 0, kills: 0, captain: null },
+            { type: 'scout', id: generateId(), hitPoints: SHIP_TYPES.scout.maxHitPoints, maxHitPoints: SHIP_TYPES.scout.maxHitPoints, owner: empire.id, battles: 0, kills: 0, captain: null },
+            { type: 'frigate', id: generateId(), hitPoints: SHIP_TYPES.frigate.maxHitPoints, maxHitPoints: SHIP_TYPES.frigate.maxHitPoints, owner: empire.id, battles: 0, kills: 0, captain: null }
+        ];
+    });
 
-    // Center camera on player's starting planet
-    camera.x = playerStart.x - canvas.width / 2;
-    camera.y = playerStart.y - canvas.height / 2;
+    // Lanes depend only on planet positions, so the same seed always yields the same network
+    gameState.hyperlanes = gameState.travelMode === 'hyperlanes' ? generateHyperlanes(gameState.planets) : [];
 }
 
 export function generateBackgroundStars() {
@@ -452,8 +686,9 @@ export function generateBackgroundStars() {
     }
 }
 
+// Ids come from the seeded 'ids' stream so replays produce identical ship/build ids
 export function generateId() {
-    return Math.random().toString(36).substr(2, 9);
+    return nextRandom('ids').toString(36).substr(2, 9);
 }
 
 export function calculateScore(owner) {
@@ -470,14 +705,17 @@ export function calculateScore(owner) {
     const totalShips = stationedShips + travelingShips;
 
     const player = gameState.players[owner];
+    const territoryArea = getTerritoryAreas()[owner] || 0;
 
     // Score formula:
     // - 100 points per planet
     // - 1 point per population
+    // - 1 point per TERRITORY_SCORE_AREA square units of territory
     // - 10 points per ship in service
     // - 20 points per enemy ship destroyed
     const score = (ownedPlanets.length * 100) +
         totalPopulation +
+        Math.round(territoryArea / TERRITORY_SCORE_AREA) +
         (totalShips * 10) +
         (player.enemyShipsDestroyed * 20);
 
@@ -494,9 +732,8 @@ export function getAIColor() {
 }
 
 export function getOwnerColor(owner) {
-    if (owner === 'player') return getPlayerColor();
-    if (owner === 'enemy') return getAIColor();
-    return null;
+    const empire = getEmpire(owner);
+    return empire ? COLOR_OPTIONS[empire.color] : null;
 }
 
 // Settings persistence
@@ -505,11 +742,21 @@ export function saveSettings() {
         playerColor: gameState.playerColor,
         aiColor: gameState.aiColor,
         influenceTransparency: gameState.influenceTransparency,
-        planetNameTheme: gameState.planetNameTheme
+        planetNameTheme: gameState.planetNameTheme,
+        empireCount: gameState.empireCount,
+        travelMode: gameState.travelMode,
+        mapShape: gameState.mapShape,
+        victoryTypes: gameState.victoryTypes,
+        gameLength: gameState.gameLength
     };
     localStorage.setItem('4xSpaceSettings', JSON.stringify(settings));
 }
 
+// Shapes the start screen offers (hidden shapes only come from records)
+function isStartScreenShape(shape) {
+    return shape in MAP_GENERATORS && !MAP_GENERATORS[shape].hidden;
+}
+
 export function loadSettings() {
     const saved = localStorage.getItem('4xSpaceSettings');
     if (saved) {
@@ -519,6 +766,11 @@ export function loadSettings() {
             gameState.aiColor = settings.aiColor || 'red';
             gameState.influenceTransparency = settings.influenceTransparency || 0.25;
             gameState.planetNameTheme = settings.planetNameTheme || 'greek';
+            gameState.empireCount = settings.empireCount || MIN_EMPIRES;
+            gameState.travelMode = settings.travelMode || 'free';
+            gameState.mapShape = isStartScreenShape(settings.mapShape) ? settings.mapShape : DEFAULT_MAP_SHAPE;
+            gameState.victoryTypes = settings.victoryTypes || [];
+            gameState.gameLength = settings.gameLength || 'standard';
         } catch (e) {
             console.error('Failed to load settings:', e);
         }
@@ -529,11 +781,14 @@ export function loadSettings() {
 // SERIALIZATION FOR SAVE/LOAD
 // ============================================
 
-// Serialize game state for saving to Supabase
+// Serialize game state for saving (save backends and save files)
 export function serializeGameState() {
     return {
+        schemaVersion: SAVE_SCHEMA_VERSION, // See saveMigrations.js
         turn: gameState.turn,
         mapSize: gameState.mapSize,
+        mapShape: gameState.mapShape,
+        mapFairness: gameState.mapFairness,
         difficulty: gameState.difficulty,
         playerColor: gameState.playerColor,
         aiColor: gameState.aiColor,
@@ -541,20 +796,37 @@ export function serializeGameState() {
         worldWidth: gameState.worldWidth,
         worldHeight: gameState.worldHeight,
         mapSeed: gameState.mapSeed,
+        gameId: gameState.gameId,
+        randomStreams: gameState.randomStreams ? { ...gameState.randomStreams } : null,
+        travelMode: gameState.travelMode,
+        hyperlanes: gameState.hyperlanes.map(lane => [...lane]),
         planets: gameState.planets.map(p => ({
             ...p,
             ships: [...p.ships],
-            buildQueue: [...p.buildQueue]
+            buildQueue: [...p.buildQueue],
+            buildings: p.buildings.map(b => ({ ...b })),
+            buildingQueue: [...p.buildingQueue]
         })),
         travelingShips: gameState.travelingShips.map(g => ({
             ...g,
-            ships: [...g.ships]
+            ships: [...g.ships],
+            route: [...(g.route || [])],
+            waypoints: [...(g.waypoints || [])]
         })),
+        fleets: structuredClone(gameState.fleets),
+        treaties: structuredClone(gameState.treaties),
+        victoryTypes: [...gameState.victoryTypes],
+        gameLength: gameState.gameLength,
         pendingConquests: [...gameState.pendingConquests],
-        players: {
-            player: { ...gameState.players.player },
-            enemy: { ...gameState.players.enemy }
-        },
+        // Battles still waiting for a fight/withdraw choice (planets stored by id)
+        battleQueue: gameState.battleQueue.map(serializeBattle),
+        battleHistory: structuredClone(gameState.battleHistory),
+        recentAttacks: structuredClone(gameState.recentAttacks),
+        shipDesigns: structuredClone(gameState.shipDesigns),
+        commandLog: gameState.commandLog ? [...gameState.commandLog] : null,
+        empires: gameState.empires.map(e => ({ ...e })),
+        players: structuredClone(gameState.players),
+        intel: structuredClone(gameState.intel),
         // Convert Set to Array for JSON serialization
         selectedShipIds: Array.from(gameState.selectedShipIds),
         selectedPlanetId: gameState.selectedPlanet?.id ?? null,
@@ -562,10 +834,19 @@ export function serializeGameState() {
     };
 }
 
-// Deserialize game state from Supabase save
-export function deserializeGameState(data) {
+// Deserialize game state from a save. Older saves are upgraded and every save is
+// validated first (see saveMigrations.js); a rejected save leaves the current game
+// untouched. Returns { success, error }.
+export function deserializeGameState(saved) {
+    const { state: data, error } = upgradeSaveState(saved);
+    if (error) {
+        return { success: false, error };
+    }
+
     gameState.turn = data.turn;
     gameState.mapSize = data.mapSize;
+    gameState.mapShape = data.mapShape;
+    gameState.mapFairness = data.mapFairness;
     gameState.difficulty = data.difficulty;
     gameState.playerColor = data.playerColor;
     gameState.aiColor = data.aiColor;
@@ -573,23 +854,93 @@ export function deserializeGameState(data) {
     gameState.worldWidth = data.worldWidth;
     gameState.worldHeight = data.worldHeight;
     gameState.mapSeed = data.mapSeed;
+    gameState.gameId = data.gameId;
+    gameState.randomStreams = data.randomStreams;
     gameState.planets = data.planets;
     gameState.travelingShips = data.travelingShips;
+    gameState.travelMode = data.travelMode;
+    gameState.hyperlanes = data.hyperlanes;
+    gameState.fleets = data.fleets;
+    gameState.treaties = data.treaties;
+    gameState.victoryTypes = data.victoryTypes;
+    gameState.gameLength = data.gameLength;
     gameState.pendingConquests = data.pendingConquests;
+    gameState.empires = data.empires;
     gameState.players = data.players;
-    gameState.selectedShipIds = new Set(data.selectedShipIds || []);
+    gameState.intel = data.intel;
+    gameState.selectedShipIds = new Set(data.selectedShipIds);
     gameState.selectedPlanet = data.selectedPlanetId !== null
-        ? gameState.planets.find(p => p.id === data.selectedPlanetId)
+        ? gameState.planets.find(p => p.id === data.selectedPlanetId) || null
         : null;
-    gameState.fleetTab = data.fleetTab || 'stationed';
+    gameState.fleetTab = data.fleetTab;
     gameState.selectingDestination = false;
     gameState.shipsToSend = null;
     gameState.sourcePlanet = null;
+    gameState.fleetDestination = null;
+    gameState.redirectGroupId = null;
+    gameState.pendingWaypoints = [];
+    gameState.selectedFleetId = null;
     gameState.battlePending = null;
-    gameState.battleQueue = [];
+    gameState.battleQueue = data.battleQueue.map(deserializeBattle);
+    gameState.battleHistory = data.battleHistory;
+    gameState.recentAttacks = data.recentAttacks;
+    gameState.shipDesigns = data.shipDesigns;
+    gameState.commandLog = data.commandLog; // null for games that cannot be replayed
 
     // Reinitialize seeded random (not needed for loaded games, but good for consistency)
     gameRandom = new SeededRandom(gameState.mapSeed);
+
+    return { success: true };
+}
+
+function serializeBattle(battle) {
+    return {
+        planetId: battle.planet.id,
+        attackingShips: battle.attackingShips.map(s => ({ ...s })),
+        isDefending: battle.isDefending,
+        retreatOptionIds: battle.retreatOptions ? battle.retreatOptions.map(p => p.id) : null
+    };
+}
+
+// Re-link a saved battle to the loaded planets. Attackers that are stationed on the
+// planet (occupiers fighting a newly built ship) must be the same objects as planet.ships.
+function deserializeBattle(data) {
+    const planet = gameState.planets.find(p => p.id === data.planetId);
+    const battle = {
+        attackingShips: data.attackingShips.map(s => planet.ships.find(ps => ps.id === s.id) || s),
+        planet: planet,
+        isDefending: data.isDefending
+    };
+    if (data.retreatOptionIds) {
+        battle.retreatOptions = data.retreatOptionIds
+            .map(id => gameState.planets.find(p => p.id === id))
+            .filter(Boolean);
+    }
+    return battle;
+}
+
+// Everything needed to re-simulate the game from turn 1 (replay viewer, leaderboard records).
+// Returns null when the command log is incomplete.
+export function getReplayData() {
+    if (!gameState.commandLog) return null;
+
+    return {
+        mapSeed: gameState.mapSeed,
+        mapSize: gameState.mapSize,
+        mapShape: gameState.mapShape,
+        difficulty: gameState.difficulty,
+        planetNameTheme: gameState.planetNameTheme,
+        travelMode: gameState.travelMode,
+        victoryTypes: [...gameState.victoryTypes],
+        gameLength: gameState.gameLength,
+        playerColor: gameState.playerColor,
+        aiColor: gameState.aiColor,
+        worldWidth: gameState.worldWidth,
+        worldHeight: gameState.worldHeight,
+        // Registry as it was at turn 1 (elimination is re-derived while replaying)
+        empires: gameState.empires.map(({ eliminated, ...empire }) => empire),
+        commands: [...gameState.commandLog]
+    };
 }
 
 // Get a minimal map state for completed game records (leaderboard viewing)
@@ -597,6 +948,8 @@ export function getMinimalMapState() {
     return {
         mapSeed: gameState.mapSeed,
         mapSize: gameState.mapSize,
+        mapShape: gameState.mapShape,
+        mapFairness: gameState.mapFairness,
         worldWidth: gameState.worldWidth,
         worldHeight: gameState.worldHeight,
         planets: gameState.planets.map(p => ({
@@ -611,8 +964,13 @@ export function getMinimalMapState() {
             color: p.color,
             shipCount: p.ships.length
         })),
+        travelMode: gameState.travelMode,
+        hyperlanes: gameState.hyperlanes.map(lane => [...lane]),
+        victoryTypes: [...gameState.victoryTypes],
+        gameLength: gameState.gameLength,
         playerColor: gameState.playerColor,
         aiColor: gameState.aiColor,
+        empires: gameState.empires.map(e => ({ id: e.id, name: e.name, color: e.color })),
         influenceTransparency: gameState.influenceTransparency
     };
 }
@@ -634,8 +992,13 @@ export function restartWithSameSeed() {
 // Start game from a completed game's map state (replay from leaderboard)
 export function startGameFromMapState(mapState) {
     gameState.mapSize = mapState.mapSize;
+    gameState.mapShape = mapState.mapShape || LEGACY_MAP_SHAPE; // Map states from before v2.25.0 are Classic maps
     gameState.playerColor = mapState.playerColor;
     gameState.aiColor = mapState.aiColor;
+    gameState.empireCount = mapState.empires?.length || MIN_EMPIRES;
+    gameState.travelMode = mapState.travelMode || 'free';
+    gameState.victoryTypes = mapState.victoryTypes || [];
+    gameState.gameLength = mapState.gameLength || 'standard';
     gameState.influenceTransparency = mapState.influenceTransparency;
 
     startGame(mapState.mapSeed);
@@ -663,21 +1026,42 @@ export function setMapSeed(seed) {
 export function resetGameState() {
     gameState.turn = 1;
     gameState.planets = [];
+    gameState.mapFairness = null;
+    if (!isStartScreenShape(gameState.mapShape)) {
+        gameState.mapShape = DEFAULT_MAP_SHAPE; // Classic maps are only played from their records
+    }
+    gameState.hyperlanes = [];
     gameState.travelingShips = [];
+    gameState.fleets = [];
+    gameState.treaties = [];
     gameState.pendingConquests = [];
-    gameState.players = {
-        player: { energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0 },
-        enemy: { energy: 100, minerals: 100, food: 100, score: 0, shipsBuilt: 0, enemyShipsDestroyed: 0 }
-    };
+    gameState.empires = createEmpires({
+        count: gameState.empireCount,
+        playerColor: gameState.playerColor,
+        aiColor: gameState.aiColor,
+        difficulty: gameState.difficulty
+    });
+    gameState.players = createPlayers(gameState.empires);
+    gameState.intel = {};
     gameState.selectedPlanet = null;
     gameState.selectingDestination = false;
     gameState.shipsToSend = null;
     gameState.sourcePlanet = null;
+    gameState.fleetDestination = null;
+    gameState.redirectGroupId = null;
+    gameState.pendingWaypoints = [];
+    gameState.selectedFleetId = null;
     gameState.selectedShipIds = new Set();
     gameState.battlePending = null;
+    gameState.battleHistory = [];
+    gameState.recentAttacks = [];
+    gameState.shipDesigns = [];
     gameState.fleetTab = 'stationed';
     gameState.mapSeed = null;
+    gameState.randomStreams = null;
+    gameState.commandLog = [];
     gameState.currentSaveId = null;
+    gameState.gameId = null;
     gameState.gameOver = false;
     gameState.planetNameTheme = 'greek';
 }
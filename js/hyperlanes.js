@@ -0,0 +1,150 @@
+// ============================================
+// HYPERLANES - LANE NETWORK & ROUTING
+// ============================================
+// Version: 1.1.0
+//
+// This module implements the optional hyperlane map mode. In 'hyperlanes' travel mode
+// the galaxy is connected by a lane graph and fleets may only fly along lanes, hopping
+// from planet to planet; in 'free' mode (the classic game) fleets fly straight to any
+// planet and every function here falls back to straight-line distances.
+//
+// The lane graph is a relative neighborhood graph: two planets are connected unless a
+// third planet is closer to both of them. It is always connected (it contains the
+// minimum spanning tree), has no crossing lanes and leaves few routes between regions,
+// so well-placed planets become chokepoints.
+//
+// Core Responsibilities:
+// - Generate the lane graph from planet positions (deterministic, no randomness)
+// - Find the shortest lane route between two planets (Dijkstra over lane lengths)
+// - Chain routes through player waypoints (one leg per waypoint)
+// - Report travel distances for AI targeting (lane distance or straight line)
+//
+// Lane Storage:
+// - gameState.travelMode = 'free' | 'hyperlanes'
+// - gameState.hyperlanes = [[planetIdA, planetIdB], ...] (empty in free mode)
+// - Traveling groups fly one lane at a time: targetPlanetId is the next hop and
+//   group.route holds the remaining hops (last entry = final destination)
+// - group.waypoints holds the remaining stops the player picked (subset of target + route)
+//
+// Exports:
+// - generateHyperlanes(planets): Lane list for a set of planets
+// - hasHyperlanes(): True when the active game uses lane travel
+// - getLaneNeighbors(planetId): Planet ids connected to a planet by a lane
+// - findRoute(fromPlanetId, toPlanetId): Hops to fly (excluding the start), or null if unreachable
+// - findRouteThrough(fromPlanetId, stopIds): Hops through several stops in order, or null if one is unreachable
+// - getTravelDistance(fromPlanet, toPlanet): Route length in world units
+// - getFinalDestinationId(group): Where a traveling group is ultimately headed
+//
+// Used by: gameState (map generation), shipSystem (fleet dispatch), turnSystem (multi-hop
+//          movement), aiSystem (graph distance), renderer (lanes and routes), uiManager
+
+import { gameState } from './gameState.js';
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+}
+
+export function generateHyperlanes(planets) {
+    const lanes = [];
+
+    for (let i = 0; i < planets.length; i++) {
+        for (let j = i + 1; j < planets.length; j++) {
+            const a = planets[i];
+            const b = planets[j];
+            const length = distance(a, b);
+
+            // Relative neighborhood: no third planet closer to both ends than they are to each other
+            const blocked = planets.some(c =>
+                c !== a && c !== b && Math.max(distance(a, c), distance(b, c)) < length
+            );
+            if (!blocked) {
+                lanes.push([a.id, b.id]);
+            }
+        }
+    }
+
+    return lanes;
+}
+
+export function hasHyperlanes() {
+    return gameState.travelMode === 'hyperlanes' && (gameState.hyperlanes?.length ?? 0) > 0;
+}
+
+export function getLaneNeighbors(planetId) {
+    const neighbors = [];
+    for (const [a, b] of gameState.hyperlanes || []) {
+        if (a === planetId) neighbors.push(b);
+        else if (b === planetId) neighbors.push(a);
+    }
+    return neighbors;
+}
+
+// In free travel mode the route is a single hop straight to the target
+export function findRoute(fromPlanetId, toPlanetId) {
+    if (fromPlanetId === toPlanetId) return [];
+    if (!hasHyperlanes()) return [toPlanetId];
+
+    const planetsById = new Map(gameState.planets.map(p => [p.id, p]));
+    const dist = new Map([[fromPlanetId, 0]]);
+    const previous = new Map();
+    const visited = new Set();
+
+    // Plain Dijkstra; maps have at most a few dozen planets
+    while (true) {
+        let current = null;
+        for (const [id, d] of dist) {
+            if (!visited.has(id) && (current === null || d < dist.get(current))) {
+                current = id;
+            }
+        }
+        if (current === null) return null;
+        if (current === toPlanetId) break;
+
+        visited.add(current);
+        for (const neighbor of getLaneNeighbors(current)) {
+            const candidate = dist.get(current) + distance(planetsById.get(current), planetsById.get(neighbor));
+            if (!dist.has(neighbor) || candidate < dist.get(neighbor)) {
+                dist.set(neighbor, candidate);
+                previous.set(neighbor, current);
+            }
+        }
+    }
+
+    const route = [];
+    for (let id = toPlanetId; id !== fromPlanetId; id = previous.get(id)) {
+        route.unshift(id);
+    }
+    return route;
+}
+
+export function findRouteThrough(fromPlanetId, stopIds) {
+    const route = [];
+    let previous = fromPlanetId;
+    for (const stopId of stopIds) {
+        const leg = findRoute(previous, stopId);
+        if (!leg) return null;
+        route.push(...leg);
+        previous = stopId;
+    }
+    return route;
+}
+
+export function getTravelDistance(fromPlanet, toPlanet) {
+    if (!hasHyperlanes()) return distance(fromPlanet, toPlanet);
+
+    const route = findRoute(fromPlanet.id, toPlanet.id);
+    if (!route) return Infinity;
+
+    let total = 0;
+    let previous = gameState.planets.find(p => p.id === fromPlanet.id);
+    for (const id of route) {
+        const next = gameState.planets.find(p => p.id === id);
+        total += distance(previous, next);
+        previous = next;
+    }
+    return total;
+}
+
+export function getFinalDestinationId(group) {
+    return group.route?.length > 0 ? group.route[group.route.length - 1] : group.targetPlanetId;
+}
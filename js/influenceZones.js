@@ -3,40 +3,58 @@
 // ============================================
 //
 // This module calculates and renders influence zones using Voronoi diagrams
-// to visualize territorial control across the galaxy map.
+// to visualize territorial control across the galaxy map, and answers which
+// empire's territory a point lies in (supply and travel speed, see supply.js).
 //
-// Version: 1.0.6 - Rewritten for continuous territories
+// Version: 2.0.0 - Territory polygons (voronoi.js), border lines, areas and hit-testing
 //
 // Core Responsibilities:
-// - Generate standard Voronoi diagram (equal-sized regions per planet)
+// - Compute the Voronoi cell polygon of every planet, clipped to the world bounds (voronoi.js)
+// - Cache the cells until invalidateZoneCache() or a new map (planet positions never change)
 // - Create continuous merged territories per empire (like countries)
 // - Render semi-transparent colored zones using custom empire colors
+// - Draw crisp border lines where territories meet, in the colors of both sides
 // - Support toggle visibility of influence zones
-// - Use nearest-neighbor algorithm for territory boundaries
+// - Answer territory queries: owner, cell and area of territory (rules use the true owners)
 //
 // Influence Calculation:
 // - Voronoi includes ALL planets (owned + neutral) for proper boundary calculation
 // - Neutral planets create Voronoi cells that act as barriers/holes
 // - Only owned planet cells are rendered with color (neutral cells invisible)
-// - Territories merge: all player planets form one region, all AI planets form another
+// - Territories merge: all planets of an empire form one region in that empire's color
 // - Neutral planets block territory expansion (zones stop at neutral boundaries)
 // - Borders are equidistant between nearest planets (owned or neutral)
+// - Only the geometry is cached; owners are read on every call, so conquests show at once
+// - Ownership comes from the player's view: out-of-sight planets use last-known intel,
+//   never-seen planets count as neutral
+// - Gameplay queries (no viewer) use the true owners, so rules never depend on what the
+//   player has seen
 //
 // Exports:
-// - calculateInfluenceZones(): Generates Voronoi diagram data
-// - renderInfluenceZones(ctx): Draws continuous empire territories
+// - ownerAt(x, y, viewer): Owner of the territory at a point (nearest planet's owner, null when neutral)
+// - getTerritoryAt(x, y, viewer): Cell at a point { planet, owner, polygon, area } (hit-testing)
+// - getTerritoryAreas(viewer): Territory area per owner { owner: squareUnits }
+// - getTerritoryBorders(viewer): Border edges between territories of different owners
+// - calculateInfluenceZones(): Cells and borders as the player sees them (rendering)
+// - renderInfluenceZones(ctx): Draws continuous empire territories and their borders
 // - toggleInfluenceZones(): Shows/hides influence zone display
+// - invalidateZoneCache(): Drops the cached cells (new or loaded map)
 //
-// Used by: renderer.js (main rendering loop), inputHandler.js (toggle control)
+// Used by: renderer.js (main rendering loop), inputHandler.js (toggle control), supply.js (territory),
+//          gameState.js (territory score)
 
-import { gameState, canvas, getPlayerColor, getAIColor } from './gameState.js';
+import { gameState, getOwnerColor } from './gameState.js';
 import { camera } from './gameState.js';
-import { SHIP_TYPES } from './config.js';
+import { getPlanetView } from './visibility.js';
+import { computeVoronoiCells, polygonArea, pointInPolygon } from './voronoi.js';
+
+// Border lines: width in screen pixels and opacity
+const BORDER_WIDTH = 2;
+const BORDER_ALPHA = 0.7;
 
 // Influence zones state
 export let influenceZonesVisible = true;
-let cachedZones = null;
-let cacheInvalidated = true;
+let cachedCells = null; // { planets, width, height, cells }
 
 export function toggleInfluenceZones() {
     influenceZonesVisible = !influenceZonesVisible;
@@ -44,52 +62,104 @@ export function toggleInfluenceZones() {
 }
 
 export function invalidateZoneCache() {
-    cacheInvalidated = true;
+    cachedCells = null;
 }
 
-// Generate Voronoi diagram for influence zones (standard, equal-sized regions)
-export function calculateInfluenceZones() {
-    if (cachedZones && !cacheInvalidated) {
-        return cachedZones;
+// Territory is the Voronoi cell of the nearest planet, so a point belongs to that planet's
+// owner (null in neutral cells). `viewer` reads owners from that empire's view (intel)
+// instead of the true owners.
+export function ownerAt(x, y, viewer = null) {
+    const planet = findNearestSite(gameState.planets, x, y);
+    if (!planet) return null;
+    return getCellOwner(planet, viewer);
+}
+
+// Nearest of a list of { x, y } sites (null for an empty list)
+function findNearestSite(sites, x, y) {
+    let nearest = null;
+    let nearestDist = Infinity;
+    for (const site of sites) {
+        const dx = x - site.x;
+        const dy = y - site.y;
+        const dist = dx * dx + dy * dy;
+        if (dist < nearestDist) {
+            nearestDist = dist;
+            nearest = site;
+        }
     }
+    return nearest;
+}
 
-    // Only process owned planets - neutral planets are completely excluded
-    const ownedPlanets = gameState.planets.filter(p => p.owner !== null);
-    if (ownedPlanets.length === 0) {
-        cachedZones = { playerSites: [], enemySites: [] };
-        cacheInvalidated = false;
-        return cachedZones;
+function getCellOwner(planet, viewer) {
+    return viewer ? getPlanetView(viewer, planet).owner : planet.owner;
+}
+
+// Cell of every planet (in gameState.planets order): { planet, polygon, neighbors, area }.
+// Recomputed only when the cache was invalidated or the game has a different map.
+function getTerritoryCells() {
+    const planets = gameState.planets;
+    if (cachedCells && cachedCells.planets === planets && cachedCells.count === planets.length &&
+        cachedCells.width === gameState.worldWidth && cachedCells.height === gameState.worldHeight) {
+        return cachedCells.cells;
     }
 
-    // Create one site per owned planet only
-    const playerSites = [];
-    const enemySites = [];
-
-    for (const planet of ownedPlanets) {
-        const site = {
-            x: planet.x,
-            y: planet.y,
-            owner: planet.owner,
-            planet: planet
-        };
-
-        if (planet.owner === 'player') {
-            playerSites.push(site);
-        } else if (planet.owner === 'enemy') {
-            enemySites.push(site);
-        }
+    const bounds = { width: gameState.worldWidth, height: gameState.worldHeight };
+    const cells = computeVoronoiCells(planets, bounds).map((cell, i) => ({
+        planet: planets[i],
+        polygon: cell.polygon,
+        neighbors: cell.neighbors,
+        area: polygonArea(cell.polygon)
+    }));
+
+    cachedCells = { planets, count: planets.length, width: bounds.width, height: bounds.height, cells };
+    return cells;
+}
+
+export function getTerritoryAt(x, y, viewer = null) {
+    const cell = getTerritoryCells().find(c => pointInPolygon(x, y, c.polygon));
+    if (!cell) return null;
+    return { planet: cell.planet, owner: getCellOwner(cell.planet, viewer), polygon: cell.polygon, area: cell.area };
+}
+
+// Neutral territory is left out
+export function getTerritoryAreas(viewer = null) {
+    const areas = {};
+    for (const cell of getTerritoryCells()) {
+        const owner = getCellOwner(cell.planet, viewer);
+        if (owner !== null) areas[owner] = (areas[owner] || 0) + cell.area;
     }
+    return areas;
+}
+
+// Edges shared by two cells of different owners, at least one of them an empire:
+// [{ x1, y1, x2, y2, planets: [a, b], owners: [ownerA, ownerB] }] (each edge once)
+export function getTerritoryBorders(viewer = null) {
+    const cells = getTerritoryCells();
+    const owners = cells.map(cell => getCellOwner(cell.planet, viewer));
+    const borders = [];
+
+    cells.forEach((cell, i) => {
+        cell.neighbors.forEach((j, edge) => {
+            if (j <= i || owners[i] === owners[j]) return;
+            const [x1, y1] = cell.polygon[edge];
+            const [x2, y2] = cell.polygon[(edge + 1) % cell.polygon.length];
+            borders.push({ x1, y1, x2, y2, planets: [cell.planet, cells[j].planet], owners: [owners[i], owners[j]] });
+        });
+    });
+    return borders;
+}
 
-    cachedZones = { playerSites, enemySites };
-    cacheInvalidated = false;
-    return cachedZones;
+// Territory as the player sees it
+export function calculateInfluenceZones() {
+    const cells = getTerritoryCells().map(cell => ({ ...cell, owner: getCellOwner(cell.planet, 'player') }));
+    return { cells, borders: getTerritoryBorders('player') };
 }
 
 export function renderInfluenceZones(ctx) {
     if (!influenceZonesVisible) return;
 
     const zones = calculateInfluenceZones();
-    if (!zones.playerSites.length && !zones.enemySites.length) return;
+    if (!zones.cells.some(cell => cell.owner !== null)) return;
 
     ctx.save();
 
@@ -97,127 +167,65 @@ export function renderInfluenceZones(ctx) {
     ctx.scale(camera.zoom, camera.zoom);
     ctx.translate(-camera.x, -camera.y);
 
-    // Render continuous territories using Voronoi nearest-neighbor algorithm
-    renderVoronoiTerritories(ctx, zones);
+    renderTerritories(ctx, zones.cells);
+    renderBorders(ctx, zones.borders);
 
     ctx.restore();
 }
 
-function renderVoronoiTerritories(ctx, zones) {
-    // Include ALL planets in Voronoi calculation (owned + neutral)
-    // This ensures neutral planets create boundaries that block territory expansion
-    const ownedSites = [...zones.playerSites, ...zones.enemySites];
-    const neutralSites = gameState.planets
-        .filter(p => p.owner === null)
-        .map(p => ({ x: p.x, y: p.y, owner: null, planet: p }));
-
-    const allSites = [...ownedSites, ...neutralSites];
-    if (allSites.length === 0) return;
-
-    // Use d3-delaunay for smooth Voronoi polygons
-    if (typeof d3 === 'undefined' || !d3.Delaunay) {
-        // Fallback to pixel-based rendering if library not loaded
-        renderVoronoiFallback(ctx, zones, ownedSites, neutralSites);
-        return;
-    }
-
-    const playerColor = getPlayerColor();
-    const enemyColor = getAIColor();
+// One path per empire, so neighbouring cells of the same empire show no seams
+function renderTerritories(ctx, cells) {
     const alpha = gameState.influenceTransparency;
+    const owners = new Set(cells.map(cell => cell.owner).filter(owner => owner !== null));
 
-    // Prepare points array for Delaunay triangulation
-    const points = allSites.map(site => [site.x, site.y]);
-
-    // Create Delaunay triangulation and Voronoi diagram
-    const delaunay = d3.Delaunay.from(points);
-    const voronoi = delaunay.voronoi([0, 0, gameState.worldWidth, gameState.worldHeight]);
+    for (const owner of owners) {
+        const ownerColor = getOwnerColor(owner);
+        if (!ownerColor) continue;
 
-    // Render each Voronoi cell - ONLY for owned planets (skip neutral cells)
-    for (let i = 0; i < allSites.length; i++) {
-        const site = allSites[i];
-
-        // Skip rendering neutral planet cells (they create boundaries but no color)
-        if (site.owner === null) continue;
-
-        const polygon = voronoi.cellPolygon(i);
-        if (!polygon) continue;
-
-        // Set color based on owner
-        if (site.owner === 'player') {
-            ctx.fillStyle = `rgba(${playerColor.glowRgba}, ${alpha})`;
-        } else if (site.owner === 'enemy') {
-            ctx.fillStyle = `rgba(${enemyColor.glowRgba}, ${alpha})`;
-        }
-
-        // Draw the smooth polygon
+        ctx.fillStyle = `rgba(${ownerColor.glowRgba}, ${alpha})`;
         ctx.beginPath();
-        ctx.moveTo(polygon[0][0], polygon[0][1]);
-        for (let j = 1; j < polygon.length; j++) {
-            ctx.lineTo(polygon[j][0], polygon[j][1]);
+        for (const cell of cells) {
+            if (cell.owner !== owner || cell.polygon.length === 0) continue;
+            ctx.moveTo(cell.polygon[0][0], cell.polygon[0][1]);
+            for (let i = 1; i < cell.polygon.length; i++) {
+                ctx.lineTo(cell.polygon[i][0], cell.polygon[i][1]);
+            }
+            ctx.closePath();
         }
-        ctx.closePath();
         ctx.fill();
     }
 }
 
-// Fallback pixel-based rendering (used if d3-delaunay not available)
-function renderVoronoiFallback(ctx, zones, ownedSites, neutralSites) {
-    const allSites = [...ownedSites, ...neutralSites];
-    const resolution = 5;
-    const width = Math.ceil(gameState.worldWidth / resolution);
-    const height = Math.ceil(gameState.worldHeight / resolution);
-
-    const ownerMap = new Map();
-
-    for (let py = 0; py < height; py++) {
-        for (let px = 0; px < width; px++) {
-            const worldX = px * resolution;
-            const worldY = py * resolution;
-
-            let nearestDist = Infinity;
-            let nearestOwner = null;
-
-            for (const site of allSites) {
-                const dx = worldX - site.x;
-                const dy = worldY - site.y;
-                const dist = dx * dx + dy * dy;
-
-                if (dist < nearestDist) {
-                    nearestDist = dist;
-                    nearestOwner = site.owner;
-                }
+// Each empire's side of a border is drawn just inside its own territory, so a border between
+// two empires shows both colors side by side
+function renderBorders(ctx, borders) {
+    const width = BORDER_WIDTH / camera.zoom;
+    ctx.lineWidth = width;
+    ctx.lineCap = 'round';
+
+    for (const border of borders) {
+        const length = Math.hypot(border.x2 - border.x1, border.y2 - border.y1);
+        if (length === 0) continue;
+
+        border.owners.forEach((owner, side) => {
+            const ownerColor = owner !== null && getOwnerColor(owner);
+            if (!ownerColor) return;
+
+            // Normal of the edge, turned towards this side's planet
+            const planet = border.planets[side];
+            let nx = -(border.y2 - border.y1) / length;
+            let ny = (border.x2 - border.x1) / length;
+            if ((planet.x - border.x1) * nx + (planet.y - border.y1) * ny < 0) {
+                nx = -nx;
+                ny = -ny;
             }
-
-            // Only store if it's an owned planet (skip neutral)
-            if (nearestOwner !== null) {
-                ownerMap.set(`${px},${py}`, nearestOwner);
-            }
-        }
-    }
-
-    const playerColor = getPlayerColor();
-    const enemyColor = getAIColor();
-    const alpha = gameState.influenceTransparency;
-
-    // Draw player territory
-    ctx.fillStyle = `rgba(${playerColor.glowRgba}, ${alpha})`;
-    ctx.beginPath();
-    for (const [key, owner] of ownerMap) {
-        if (owner === 'player') {
-            const [px, py] = key.split(',').map(Number);
-            ctx.rect(px * resolution, py * resolution, resolution, resolution);
-        }
-    }
-    ctx.fill();
-
-    // Draw enemy territory
-    ctx.fillStyle = `rgba(${enemyColor.glowRgba}, ${alpha})`;
-    ctx.beginPath();
-    for (const [key, owner] of ownerMap) {
-        if (owner === 'enemy') {
-            const [px, py] = key.split(',').map(Number);
-            ctx.rect(px * resolution, py * resolution, resolution, resolution);
-        }
+            const offset = width / 2;
+
+            ctx.strokeStyle = `rgba(${ownerColor.glowRgba}, ${BORDER_ALPHA})`;
+            ctx.beginPath();
+            ctx.moveTo(border.x1 + nx * offset, border.y1 + ny * offset);
+            ctx.lineTo(border.x2 + nx * offset, border.y2 + ny * offset);
+            ctx.stroke();
+        });
     }
-    ctx.fill();
 }
@@ -1,6 +1,7 @@
 // ============================================
 // INPUT HANDLER
 // ============================================
+// Version: 2.21.0
 //
 // This module handles all user input including mouse, touch, and keyboard events,
 // translating them into game actions and UI interactions.
@@ -11,10 +12,17 @@
 // - Detect planet clicks for selection and destination targeting
 // - Manage camera panning with mouse drag or touch drag
 // - Implement mouse wheel and pinch zoom with constraints (0.5x-3x)
-// - Process "End Turn" button click with AI turn and game state updates
-// - Expose window functions for HTML onclick handlers (build, send, cancel, battle)
+// - Process "End Turn" button click (rules core turn, game over, auto-save, UI refresh)
+// - Expose window functions for HTML onclick handlers (build, buildings, send, fleets, cancel, battle, research)
+// - Open/close the research overlay (button and 'R' keyboard shortcut)
+// - Open/close the diplomacy overlay (button and 'D' keyboard shortcut) and send proposals
+// - Open/close the battle log (button, 'L' keyboard shortcut, battle results) and switch its filters
+// - Save the game to a named slot or export it to a save file from the settings overlay
 // - Distinguish between drag (camera pan) and click (planet selection)
-// - Handle destination selection mode for fleet movement
+// - Handle destination selection mode for fleet movement (shift-click adds waypoints)
+// - Show the combat calculator for the planet under the mouse while choosing a destination
+// - Start and stop the bombardment of planets the player is conquering
+// - Open/close the ship designer (button and 'G' keyboard shortcut), fit components, save and retire designs
 //
 // Event Flow:
 // 1. Mouse/touch down → Track start position, begin potential drag
@@ -24,27 +32,60 @@
 //
 // Exports:
 // - setupEventListeners(): Binds all event handlers to canvas and UI elements
+// - showNextBattle(): Opens the battle dialog for the next queued battle (after end turn or load)
 //
 // Window Functions (for HTML onclick):
 // - buildShipType(), cancelBuildItem(), sendSelectedShips(), resolveBattle(), completeRetreat(), etc.
+// - buildBuildingType(type), cancelBuildingItem(planetId, buildId): Planet buildings
+// - toggleBombardment(planetId): Bombard a planet under conquest (or stop)
+// - selectDesignHull(hull), changeDesignComponent(type, delta), saveShipDesign(), retireShipDesign(designId),
+//   closeShipDesigner(): Ship designer overlay
+// - selectResearch(techId), closeResearch(): Research overlay
+// - createFleetFromSelection(), splitSelectionFromFleet(fleetId), addSelectionToFleet(fleetId): Fleet membership
+// - selectFleet(fleetId), renameFleetTo(fleetId, name), mergeFleetInto(fleetId, intoFleetId), disbandFleetById(fleetId)
+// - moveFleetTo(fleetId), setFleetOrderType(fleetId, orderType): Fleet movement and standing orders
+// - recallTravelingGroup(groupId), redirectTravelingGroup(groupId), cancelGroupWaypoint(groupId, index): Groups in flight
+// - proposeTreatyTo(empireId, treaty), declareWarOn(empireId), sendProposal(), closeDiplomacy(): Diplomacy overlay
+// - openBattleLog(reportNumber), filterBattleLog(), showBattleReport(number), closeBattleLog(): Battle log overlay
 //
 // Used by: main.js (called once during initialization)
 //
 // Version History:
+// - 2.21.0: Ship designer overlay (button, 'G' shortcut, save and retire designs)
+// - 2.20.0: Bombardment toggle for the player's conquests in the planet panel
+// - 2.19.0: Battle log overlay (button, 'L' shortcut, link from the battle results)
+// - 2.18.0: Combat calculator for the hovered planet while choosing a destination
+// - 2.16.0: Export the current game to a save file from the settings overlay
+// - 2.15.0: Autosave and game completion for guests too (browser storage); named save slots in settings
+// - 2.13.0: Game over screen and leaderboard record name the victory condition that ended the game
+// - 2.12.0: Diplomacy overlay (button, 'D' shortcut, treaties, proposals, war declarations)
+// - 2.11.0: Shift-click waypoint chains; recall, redirect and waypoint removal for groups in flight
+// - 2.10.0: Named fleet actions from the fleet panel (create, split, merge, rename, move, standing orders)
+// - 2.8.0: Building orders from the shipyard panel
+// - 2.7.0: Research overlay (button, 'R' shortcut, technology selection)
+// - 2.4.0: Planet clicks ignored while the replay viewer is open (camera pan/zoom still work)
+// - 2.3.0: showNextBattle exported so battles restored from a save are shown after loading
+// - 2.2.0: End turn delegates AI and victory check to turnSystem.endTurn(); auto-save triggered here
 // - 2.0.9: Added battle queue for sequential multi-battle resolution
 // - 1.0.3: Added influence zone toggle controls (button and 'I' keyboard shortcut)
 // - 1.0.2: Added completeRetreat function for tactical withdrawal destination selection
 
 import { gameState, camera, canvas, saveSettings } from './gameState.js';
 import { screenToWorld, clampCamera, updateZoomIndicator, getPlanetAt } from './camera.js';
-import { selectPlanet, updateDisplay, updatePlanetPanel, updateFleetPanel, updateShipyardPanel, showBattleDialog, closePlanetPanel, switchFleetTab, showNotification, showGameOver } from './uiManager.js';
-import { completeShipSend, buildShip, cancelBuild, sendSelectedShips } from './shipSystem.js';
-import { endTurn, checkGameEnd } from './turnSystem.js';
-import { processAITurn } from './aiSystem.js';
+import { selectPlanet, updateDisplay, updatePlanetPanel, updateFleetPanel, updateShipyardPanel, updateResearchPanel, updateDiplomacyPanel, updateBattleLogPanel, updateShipDesignerPanel, getShipDesignerDraft, showBattleDialog, closePlanetPanel, switchFleetTab, showNotification, showGameOver, showCombatCalculator, hideCombatCalculator } from './uiManager.js';
+import { completeShipSend, addPendingWaypoint, buildShip, cancelBuild, sendSelectedShips, recallGroup, startRedirectSelection, cancelWaypoint } from './shipSystem.js';
+import { endTurn } from './turnSystem.js';
 import { resolveBattleChoice, completeRetreat } from './combatSystem.js';
-import { SHIP_TYPES } from './config.js';
+import { SHIP_TYPES, TECHNOLOGIES, BUILDING_TYPES, FLEET_ORDERS, AUTOSAVE_ROTATION, MAX_SAVE_SLOTS } from './config.js';
+import { startPlayerResearch } from './research.js';
+import { buildBuilding, cancelBuilding } from './buildings.js';
+import { setBombardment } from './planetDefenses.js';
+import { createPlayerDesign, retireDesign } from './shipDesigns.js';
+import { makeProposal, declareWar } from './diplomacy.js';
+import { getFleet, createFleet, splitFleet, addShipsToFleet, mergeFleets, renameFleet, disbandFleet, setFleetOrder, startFleetDestinationSelection } from './fleets.js';
 import { toggleInfluenceZones, invalidateZoneCache, influenceZonesVisible } from './influenceZones.js';
-import { completeGame } from './saveSystem.js';
+import { autoSaveGame, completeGame, saveGameToSlot, getSaveBackend, exportSaveFile } from './saveSystem.js';
+import { isReplayActive } from './replayViewer.js';
 
 export function setupEventListeners() {
     // Mouse events
@@ -62,6 +103,10 @@ export function setupEventListeners() {
     // UI buttons
     document.getElementById('endTurnBtn').addEventListener('click', handleEndTurn);
     document.getElementById('settingsBtn').addEventListener('click', openSettings);
+    document.getElementById('researchBtn').addEventListener('click', openResearch);
+    document.getElementById('diplomacyBtn').addEventListener('click', openDiplomacy);
+    document.getElementById('battleLogBtn').addEventListener('click', () => window.openBattleLog());
+    document.getElementById('shipDesignerBtn').addEventListener('click', openShipDesigner);
 
     // In-game transparency slider
     const gameTransparencySlider = document.getElementById('gameTransparencySlider');
@@ -80,11 +125,21 @@ export function setupEventListeners() {
         handleInfluenceToggle();
     });
 
+    // Named save slot
+    document.getElementById('saveSlotBtn').addEventListener('click', handleSaveToSlot);
+    document.getElementById('saveSlotName').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleSaveToSlot();
+    });
+    document.getElementById('exportSaveBtn').addEventListener('click', handleExportSave);
+
     // Keyboard shortcuts
     document.addEventListener('keydown', handleKeyDown);
 }
 
 function handleKeyDown(e) {
+    // Letters typed into a text field (save name) are not shortcuts
+    if (e.target.type === 'text' && e.key !== 'Escape') return;
+
     // Open settings with 'S' key
     if (e.key === 's' || e.key === 'S') {
         const settingsOverlay = document.getElementById('settingsOverlay');
@@ -93,12 +148,60 @@ function handleKeyDown(e) {
         }
     }
 
-    // Close settings with ESC key
+    // Open research with 'R' key
+    if (e.key === 'r' || e.key === 'R') {
+        const researchOverlay = document.getElementById('researchOverlay');
+        if (!researchOverlay.classList.contains('active')) {
+            openResearch();
+        }
+    }
+
+    // Open diplomacy with 'D' key
+    if (e.key === 'd' || e.key === 'D') {
+        const diplomacyOverlay = document.getElementById('diplomacyOverlay');
+        if (!diplomacyOverlay.classList.contains('active')) {
+            openDiplomacy();
+        }
+    }
+
+    // Open the battle log with 'L' key
+    if (e.key === 'l' || e.key === 'L') {
+        const battleLogOverlay = document.getElementById('battleLogOverlay');
+        if (!battleLogOverlay.classList.contains('active')) {
+            window.openBattleLog();
+        }
+    }
+
+    // Open the ship designer with 'G' key
+    if (e.key === 'g' || e.key === 'G') {
+        const shipDesignerOverlay = document.getElementById('shipDesignerOverlay');
+        if (!shipDesignerOverlay.classList.contains('active')) {
+            openShipDesigner();
+        }
+    }
+
+    // Close settings, research, diplomacy, the battle log or the ship designer with ESC key
     if (e.key === 'Escape') {
         const settingsOverlay = document.getElementById('settingsOverlay');
         if (settingsOverlay.classList.contains('active')) {
             closeSettings();
         }
+        const researchOverlay = document.getElementById('researchOverlay');
+        if (researchOverlay.classList.contains('active')) {
+            closeResearch();
+        }
+        const diplomacyOverlay = document.getElementById('diplomacyOverlay');
+        if (diplomacyOverlay.classList.contains('active')) {
+            closeDiplomacy();
+        }
+        const battleLogOverlay = document.getElementById('battleLogOverlay');
+        if (battleLogOverlay.classList.contains('active')) {
+            closeBattleLog();
+        }
+        const shipDesignerOverlay = document.getElementById('shipDesignerOverlay');
+        if (shipDesignerOverlay.classList.contains('active')) {
+            closeShipDesigner();
+        }
     }
 }
 
@@ -132,14 +235,186 @@ function openSettings() {
     // Sync toggle with current game state
     influenceZonesToggle.checked = influenceZonesVisible;
 
+    // Suggest a save name and say where saves go
+    const backend = getSaveBackend();
+    document.getElementById('saveSlotName').value = `Turn ${gameState.turn}`;
+    document.getElementById('saveSlotBtn').disabled = !backend;
+    document.getElementById('saveSlotHint').textContent = backend
+        ? `${backend.label}: ${MAX_SAVE_SLOTS} named slots; the last ${AUTOSAVE_ROTATION} turns are autosaved`
+        : 'Saving is not available in this browser';
+
     settingsOverlay.classList.add('active');
 }
 
+// Download the current game as a save file
+function handleExportSave() {
+    const { fileName, contents } = exportSaveFile();
+    const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    showNotification(`💾 Exported ${fileName}`);
+}
+
+async function handleSaveToSlot() {
+    const name = document.getElementById('saveSlotName').value;
+    const result = await saveGameToSlot(name);
+
+    if (result.success) {
+        showNotification(result.overwritten ? `💾 Overwrote save "${name.trim()}"` : `💾 Saved as "${name.trim()}"`);
+    } else {
+        showNotification(`💾 ${typeof result.error === 'string' ? result.error : 'Save failed'}`);
+    }
+}
+
 window.closeSettings = function() {
     const settingsOverlay = document.getElementById('settingsOverlay');
     settingsOverlay.classList.remove('active');
 };
 
+function openResearch() {
+    updateResearchPanel();
+    document.getElementById('researchOverlay').classList.add('active');
+}
+
+window.closeResearch = function() {
+    document.getElementById('researchOverlay').classList.remove('active');
+};
+
+window.selectResearch = (techId) => {
+    if (isReplayActive()) return; // Replay snapshots are read-only
+    if (startPlayerResearch(techId)) {
+        showNotification(`🔬 Researching ${TECHNOLOGIES[techId].name}`);
+        updateResearchPanel();
+        updateDisplay();
+    }
+};
+
+function openDiplomacy() {
+    updateDiplomacyPanel();
+    document.getElementById('diplomacyOverlay').classList.add('active');
+}
+
+window.closeDiplomacy = function() {
+    document.getElementById('diplomacyOverlay').classList.remove('active');
+};
+
+// Opens on the given report (battle results link) or the newest battle
+window.openBattleLog = (reportNumber = null) => {
+    updateBattleLogPanel({ turn: 'all', planetId: 'all', number: reportNumber });
+    document.getElementById('battleLogOverlay').classList.add('active');
+};
+
+window.filterBattleLog = () => {
+    updateBattleLogPanel({
+        turn: document.getElementById('battleLogTurn').value,
+        planetId: document.getElementById('battleLogPlanet').value,
+        number: null
+    });
+};
+
+window.showBattleReport = (number) => {
+    updateBattleLogPanel({ number });
+};
+
+window.closeBattleLog = function() {
+    document.getElementById('battleLogOverlay').classList.remove('active');
+};
+
+function openShipDesigner() {
+    updateShipDesignerPanel();
+    document.getElementById('shipDesignerOverlay').classList.add('active');
+}
+
+window.closeShipDesigner = function() {
+    document.getElementById('shipDesignerOverlay').classList.remove('active');
+};
+
+window.selectDesignHull = (hull) => {
+    updateShipDesignerPanel({ hull });
+};
+
+window.changeDesignComponent = (componentType, delta) => {
+    const { components } = getShipDesignerDraft();
+    components[componentType] = Math.max(0, (components[componentType] || 0) + delta);
+    updateShipDesignerPanel({ components });
+};
+
+window.saveShipDesign = () => {
+    if (isReplayActive()) return; // Replay snapshots are read-only
+    const { hull, components } = getShipDesignerDraft();
+    const design = createPlayerDesign(document.getElementById('designName').value, hull, components);
+    if (design) {
+        showNotification(`🛠️ Design saved: ${design.name}`);
+        updateShipDesignerPanel({ components: {}, name: '' });
+        updateShipyardPanel();
+    }
+};
+
+window.retireShipDesign = (designId) => {
+    if (isReplayActive()) return;
+    if (retireDesign(designId)) {
+        updateShipDesignerPanel();
+        updateShipyardPanel();
+    }
+};
+
+// Accepted proposals can move resources and planets
+function refreshAfterDiplomacy() {
+    updateDiplomacyPanel();
+    updateDisplay();
+    if (gameState.selectedPlanet) {
+        selectPlanet(gameState.selectedPlanet);
+    }
+}
+
+window.proposeTreatyTo = (empireId, treaty) => {
+    if (isReplayActive()) return; // Replay snapshots are read-only
+    if (!makeProposal(empireId, { treaty })) {
+        showNotification('Resolve pending battles before negotiating');
+        return;
+    }
+    refreshAfterDiplomacy();
+};
+
+window.declareWarOn = (empireId) => {
+    if (isReplayActive()) return;
+    if (declareWar(empireId)) {
+        refreshAfterDiplomacy();
+    }
+};
+
+window.sendProposal = () => {
+    if (isReplayActive()) return;
+
+    const readTerms = (prefix) => {
+        const planetId = document.getElementById(`${prefix}Planet`).value;
+        return {
+            energy: parseInt(document.getElementById(`${prefix}Energy`).value) || 0,
+            minerals: parseInt(document.getElementById(`${prefix}Minerals`).value) || 0,
+            food: parseInt(document.getElementById(`${prefix}Food`).value) || 0,
+            planetIds: planetId === '' ? [] : [Number(planetId)]
+        };
+    };
+
+    const empireId = document.getElementById('proposalEmpire').value;
+    const proposal = {
+        treaty: document.getElementById('proposalTreaty').value || null,
+        offer: readTerms('offer'),
+        request: readTerms('request')
+    };
+
+    if (!makeProposal(empireId, proposal)) {
+        showNotification('Invalid proposal - check the treaty, amounts and planets');
+        return;
+    }
+    refreshAfterDiplomacy();
+};
+
 function handleMouseDown(e) {
     camera.isDragging = true;
     camera.lastX = e.clientX;
@@ -147,7 +422,10 @@ function handleMouseDown(e) {
 }
 
 function handleMouseMove(e) {
-    if (!camera.isDragging) return;
+    if (!camera.isDragging) {
+        updateCombatCalculator(e.clientX, e.clientY);
+        return;
+    }
 
     const dx = e.clientX - camera.lastX;
     const dy = e.clientY - camera.lastY;
@@ -161,6 +439,22 @@ function handleMouseMove(e) {
     camera.lastY = e.clientY;
 }
 
+// While choosing a destination, predict the fight at the planet under the mouse
+function updateCombatCalculator(screenX, screenY) {
+    if (!gameState.selectingDestination || isReplayActive()) {
+        hideCombatCalculator();
+        return;
+    }
+
+    const world = screenToWorld(screenX, screenY);
+    const planet = getPlanetAt(world.x, world.y);
+    if (planet) {
+        showCombatCalculator(planet, screenX, screenY);
+    } else {
+        hideCombatCalculator();
+    }
+}
+
 function handleMouseUp(e) {
     camera.isDragging = false;
 }
@@ -192,12 +486,16 @@ function handleWheel(e) {
 
 function handleClick(e) {
     if (camera.isDragging) return;
+    if (isReplayActive()) return;
 
     const worldPos = screenToWorld(e.clientX, e.clientY);
     const planet = getPlanetAt(worldPos.x, worldPos.y);
 
     if (planet) {
-        if (gameState.selectingDestination) {
+        if (gameState.selectingDestination && e.shiftKey) {
+            // Chain another stop; the next plain click picks the final destination
+            addPendingWaypoint(planet);
+        } else if (gameState.selectingDestination) {
             // Complete ship sending
             completeShipSend(planet);
             updateDisplay();
@@ -264,7 +562,7 @@ function handleTouchMove(e) {
 function handleTouchEnd(e) {
     camera.isDragging = false;
 
-    if (e.touches.length === 0 && e.changedTouches.length === 1) {
+    if (e.touches.length === 0 && e.changedTouches.length === 1 && !isReplayActive()) {
         // Single tap - handle click
         const touch = e.changedTouches[0];
         const worldPos = screenToWorld(touch.clientX, touch.clientY);
@@ -287,24 +585,20 @@ function handleTouchEnd(e) {
     }
 }
 
-async function handleEndTurn() {
-    await endTurn();
+function handleEndTurn() {
+    // Rules core: turn phases, AI turn and victory check
+    const result = endTurn();
 
     // Invalidate influence zone cache
     invalidateZoneCache();
 
-    // Process AI turn
-    processAITurn();
-
-    // Check game end
-    const result = checkGameEnd();
     if (result.gameOver) {
-        gameState.gameOver = true;
-        // Save to leaderboard (for authenticated users, victories only)
-        if (gameState.userId) {
-            completeGame(result.victory).catch(err => console.error('Failed to save game completion:', err));
-        }
-        showGameOver(result.victory);
+        // Save to leaderboard (for authenticated users, victories only) and drop the autosaves
+        completeGame(result.victory, result.condition).catch(err => console.error('Failed to save game completion:', err));
+        showGameOver(result.victory, result.condition, result.winner);
+    } else {
+        // Auto-save to the cloud or this browser (runs async, doesn't block)
+        autoSaveGame().catch(err => console.error('Auto-save failed:', err));
     }
 
     // Show first queued battle (subsequent battles shown after each resolution)
@@ -344,6 +638,31 @@ window.cancelBuildItem = (planetId, buildId) => {
     }
 };
 
+window.buildBuildingType = (type) => {
+    if (buildBuilding(type)) {
+        showNotification(`Constructing ${BUILDING_TYPES[type].name}`);
+        updateDisplay();
+        updateShipyardPanel();
+    }
+};
+
+window.cancelBuildingItem = (planetId, buildId) => {
+    if (cancelBuilding(planetId, buildId)) {
+        showNotification('Construction cancelled (50% refund)');
+        updateDisplay();
+        updateShipyardPanel();
+    }
+};
+
+window.toggleBombardment = (planetId) => {
+    const conquest = gameState.pendingConquests.find(c => c.planetId === planetId && c.newOwner === 'player');
+    if (conquest && setBombardment(planetId, !conquest.bombard)) {
+        const planet = gameState.planets.find(p => p.id === planetId);
+        showNotification(conquest.bombard ? `☄️ Bombarding ${planet.name}` : `Bombardment of ${planet.name} stopped`);
+        updatePlanetPanel(planet);
+    }
+};
+
 window.resolveBattle = (choice) => {
     resolveBattleChoice(choice);
     updateDisplay();
@@ -358,11 +677,14 @@ window.toggleShipSelection = (shipId) => {
     updateFleetPanel();
 };
 
-// Toggle selection of one ship of a given type (click to select, click again to deselect)
-window.toggleShipTypeSelection = (shipType) => {
+// Toggle selection of one ship of a given type (click to select, click again to deselect).
+// Loose ships and each fleet's ships are selected separately.
+window.toggleShipTypeSelection = (shipType, fleetId = null) => {
     if (!gameState.selectedPlanet) return;
 
-    const playerShips = gameState.selectedPlanet.ships.filter(s => s.owner === 'player' && s.type === shipType);
+    const playerShips = gameState.selectedPlanet.ships.filter(s =>
+        s.owner === 'player' && s.type === shipType && (s.fleetId || null) === fleetId
+    );
     if (playerShips.length === 0) return;
 
     // Find first unselected ship of this type
@@ -386,6 +708,99 @@ window.sendSelectedShips = () => {
     updateFleetPanel();
 };
 
+function getSelectedShipIds() {
+    return Array.from(gameState.selectedShipIds);
+}
+
+window.createFleetFromSelection = () => {
+    if (!gameState.selectedPlanet) return;
+
+    const fleet = createFleet(gameState.selectedPlanet.id, getSelectedShipIds());
+    if (fleet) {
+        gameState.selectedShipIds.clear();
+        showNotification(`⚑ ${fleet.name} formed`);
+    }
+    updateFleetPanel();
+};
+
+window.splitSelectionFromFleet = (fleetId) => {
+    const fleet = splitFleet(fleetId, getSelectedShipIds());
+    if (fleet) {
+        gameState.selectedShipIds.clear();
+        showNotification(`⚑ ${fleet.name} split off`);
+    }
+    updateFleetPanel();
+};
+
+window.addSelectionToFleet = (fleetId) => {
+    if (addShipsToFleet(fleetId, getSelectedShipIds())) {
+        gameState.selectedShipIds.clear();
+    }
+    updateFleetPanel();
+};
+
+// Highlighted fleet = target for merges and for adding loose ships (click again to clear)
+window.selectFleet = (fleetId) => {
+    gameState.selectedFleetId = gameState.selectedFleetId === fleetId ? null : fleetId;
+    updateFleetPanel();
+};
+
+window.renameFleetTo = (fleetId, name) => {
+    renameFleet(fleetId, name);
+    updateFleetPanel();
+};
+
+window.mergeFleetInto = (fleetId, intoFleetId) => {
+    if (mergeFleets(fleetId, intoFleetId)) {
+        showNotification(`⚑ Fleets merged into ${getFleet(intoFleetId).name}`);
+    }
+    updateFleetPanel();
+};
+
+window.disbandFleetById = (fleetId) => {
+    if (gameState.selectedFleetId === fleetId) {
+        gameState.selectedFleetId = null;
+    }
+    disbandFleet(fleetId);
+    updateFleetPanel();
+};
+
+window.recallTravelingGroup = (groupId) => {
+    if (recallGroup(groupId)) {
+        showNotification('↩ Fleet recalled');
+    }
+    updateFleetPanel();
+};
+
+window.redirectTravelingGroup = (groupId) => {
+    startRedirectSelection(groupId);
+};
+
+window.cancelGroupWaypoint = (groupId, index) => {
+    cancelWaypoint(groupId, index);
+    updateFleetPanel();
+};
+
+window.moveFleetTo = (fleetId) => {
+    startFleetDestinationSelection(fleetId, 'move');
+};
+
+// Clicking the active order clears it; patrol asks for the second planet on the map
+window.setFleetOrderType = (fleetId, orderType) => {
+    const fleet = getFleet(fleetId);
+    if (!fleet) return;
+
+    if (fleet.order?.type === orderType) {
+        setFleetOrder(fleetId, null);
+        showNotification(`⚑ ${fleet.name} is idle`);
+    } else if (orderType === 'patrol') {
+        startFleetDestinationSelection(fleetId, 'patrol');
+    } else if (setFleetOrder(fleetId, orderType)) {
+        showNotification(`${FLEET_ORDERS[orderType].icon} ${fleet.name}: ${FLEET_ORDERS[orderType].name}`);
+    }
+    updateFleetPanel();
+};
+
 window.closeBattleResults = () => {
     document.getElementById('battleResultsDialog').style.display = 'none';
     updateDisplay();
@@ -400,7 +815,7 @@ window.closeBattleResults = () => {
     showNextBattle();
 };
 
-function showNextBattle() {
+export function showNextBattle() {
     if (gameState.battleQueue.length > 0) {
         gameState.battlePending = gameState.battleQueue.shift();
         showBattleDialog(
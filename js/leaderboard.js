@@ -1,23 +1,29 @@
 // ============================================
 // LEADERBOARD MODULE
 // ============================================
-// Version: 2.0.12
+// Version: 2.15.1
 //
 // This module handles all leaderboard operations including:
 // - Fetching personal best scores by difficulty
 // - Fetching global top scores by difficulty
 // - Getting completed game details for map viewing
+// - Filtering scores by the victory condition that ended the game
+// - Flagging victories on lopsided maps (start fairness below LOPSIDED_MAP_FAIRNESS)
 //
 // Exports:
 // - getPersonalTop10() - Get user's best victories (legacy)
 // - getGlobalTop10() - Get global best victories (legacy)
-// - getPersonalBestByDifficulty() - Get user's best score for each difficulty
-// - getGlobalTop5ByDifficulty() - Get global top 5 for each difficulty
+// - getPersonalBestByDifficulty(victoryType) - Get user's best score for each difficulty
+// - getGlobalTop5ByDifficulty(victoryType) - Get global top 5 for each difficulty
+//   (victoryType = VICTORY_TYPES key, or null for all victories)
 // - getCompletedGameDetails(gameId) - Fetch full game details for viewing/replay
 // - renderLeaderboardByDifficulty() - Render difficulty-grouped leaderboard
 
 import { supabase } from './supabaseClient.js';
 import { gameState } from './gameState.js';
+import { VICTORY_TYPES } from './config.js';
+import { MAP_GENERATORS, LEGACY_MAP_SHAPE } from './mapGenerators.js';
+import { isLopsidedMap } from './startBalancing.js';
 
 // Get user's personal top 10 victories (legacy - still used for backward compatibility)
 export async function getPersonalTop10() {
@@ -50,17 +56,21 @@ export async function getGlobalTop10() {
 }
 
 // Get user's personal best for each difficulty
-export async function getPersonalBestByDifficulty() {
+export async function getPersonalBestByDifficulty(victoryType = null) {
     if (!gameState.userId) {
         return { easy: null, medium: null, hard: null };
     }
 
-    const { data, error } = await supabase
+    let query = supabase
         .from('completed_games')
         .select('*')
         .eq('user_id', gameState.userId)
-        .eq('victory', true)
-        .order('final_score', { ascending: false });
+        .eq('victory', true);
+    if (victoryType) {
+        query = query.eq('victory_type', victoryType);
+    }
+
+    const { data, error } = await query.order('final_score', { ascending: false });
 
     if (error) {
         console.error('Error fetching personal bests:', error);
@@ -80,15 +90,20 @@ export async function getPersonalBestByDifficulty() {
 }
 
 // Get global top 5 for each difficulty
-export async function getGlobalTop5ByDifficulty() {
+export async function getGlobalTop5ByDifficulty(victoryType = null) {
     const result = { easy: [], medium: [], hard: [] };
 
     for (const difficulty of ['easy', 'medium', 'hard']) {
-        const { data, error } = await supabase
+        let query = supabase
             .from('completed_games')
             .select('*')
             .eq('difficulty', difficulty)
-            .eq('victory', true)
+            .eq('victory', true);
+        if (victoryType) {
+            query = query.eq('victory_type', victoryType);
+        }
+
+        const { data, error } = await query
             .order('final_score', { ascending: false })
             .limit(5);
 
@@ -221,7 +236,7 @@ export function renderLeaderboardByDifficulty(personalBests, globalTop5, showPer
                         <div class="pb-label">Your Best</div>
                         <div class="pb-content">
                             <span class="pb-score">${pb.final_score.toLocaleString()}</span>
-                            <span class="pb-details">${sizeLabels[pb.map_size] || pb.map_size} | Turn ${pb.final_turn} | ${date}</span>
+                            <span class="pb-details">${getVictoryIcon(pb)}${getLopsidedMapFlag(pb)} ${sizeLabels[pb.map_size] || pb.map_size} | Turn ${pb.final_turn} | ${date}</span>
                         </div>
                     </div>
                 `;
@@ -252,7 +267,7 @@ export function renderLeaderboardByDifficulty(personalBests, globalTop5, showPer
                         <div class="leaderboard-player">
                             <div class="leaderboard-player-name">${escapeHtml(entry.username)}</div>
                             <div class="leaderboard-player-details">
-                                ${sizeLabels[entry.map_size] || entry.map_size} | Turn ${entry.final_turn} | ${date}
+                                ${getVictoryIcon(entry)}${getLopsidedMapFlag(entry)} ${sizeLabels[entry.map_size] || entry.map_size} | Turn ${entry.final_turn} | ${date}
                             </div>
                         </div>
                         <div class="leaderboard-score">${entry.final_score.toLocaleString()}</div>
@@ -267,6 +282,22 @@ export function renderLeaderboardByDifficulty(personalBests, globalTop5, showPer
     return html;
 }
 
+// Icon of the victory condition that ended a game (records from before v2.13.0 are conquests)
+function getVictoryIcon(entry) {
+    const victoryType = VICTORY_TYPES[entry.victory_type] || VICTORY_TYPES.elimination;
+    return `<span title="${victoryType.name} victory">${victoryType.icon}</span>`;
+}
+
+// Flag for victories on lopsided maps (records from before v2.26.0 have no fairness)
+function getLopsidedMapFlag(entry) {
+    if (!isLopsidedMap(entry.map_fairness)) return '';
+    return ` <span class="lopsided-map" title="Lopsided map: start fairness ${formatFairness(entry.map_fairness)}">⚖️</span>`;
+}
+
+function formatFairness(fairness) {
+    return `${Math.round(fairness * 100)}%`;
+}
+
 // HTML escape helper
 function escapeHtml(text) {
     const div = document.createElement('div');
@@ -297,6 +328,10 @@ export function renderMapViewerInfo(gameData) {
             <span class="map-viewer-stat-label">Score</span>
             <span class="map-viewer-stat-value">${gameData.final_score.toLocaleString()}</span>
         </div>
+        <div class="map-viewer-stat">
+            <span class="map-viewer-stat-label">Victory</span>
+            <span class="map-viewer-stat-value">${(VICTORY_TYPES[gameData.victory_type] || VICTORY_TYPES.elimination).name}</span>
+        </div>
         <div class="map-viewer-stat">
             <span class="map-viewer-stat-label">Turn</span>
             <span class="map-viewer-stat-value">${gameData.final_turn}</span>
@@ -305,6 +340,16 @@ export function renderMapViewerInfo(gameData) {
             <span class="map-viewer-stat-label">Map Size</span>
             <span class="map-viewer-stat-value">${sizeLabels[gameData.map_size] || gameData.map_size}</span>
         </div>
+        <div class="map-viewer-stat">
+            <span class="map-viewer-stat-label">Galaxy Shape</span>
+            <span class="map-viewer-stat-value">${(MAP_GENERATORS[gameData.final_map_state?.mapShape] || MAP_GENERATORS[LEGACY_MAP_SHAPE]).name}</span>
+        </div>
+        <div class="map-viewer-stat">
+            <span class="map-viewer-stat-label">Start Fairness</span>
+            <span class="map-viewer-stat-value${isLopsidedMap(gameData.map_fairness) ? ' lopsided-map' : ''}">${typeof gameData.map_fairness === 'number'
+                ? `${formatFairness(gameData.map_fairness)}${isLopsidedMap(gameData.map_fairness) ? ' ⚖️ Lopsided' : ''}`
+                : 'Unknown'}</span>
+        </div>
         <div class="map-viewer-stat">
             <span class="map-viewer-stat-label">Difficulty</span>
             <span class="map-viewer-stat-value">${difficultyLabels[gameData.difficulty] || gameData.difficulty}</span>
@@ -349,9 +394,33 @@ export function drawMapPreview(canvas, mapState, playerColor, aiColor) {
         purple: '#a855f7',
         green: '#00ff88',
         white: '#ffffff',
-        orange: '#ff8800'
+        orange: '#ff8800',
+        yellow: '#ffd700',
+        cyan: '#00e5ff'
     };
 
+    // Owner id -> color name (map states from before v2.5.0 have no empire list)
+    const empireColors = { player: playerColor, enemy: aiColor };
+    for (const empire of mapState.empires || []) {
+        empireColors[empire.id] = empire.color;
+    }
+
+    // Draw hyperlanes (map states from lane-travel games)
+    if (mapState.hyperlanes?.length > 0) {
+        const planetsById = new Map(planets.map(p => [p.id, p]));
+        ctx.strokeStyle = 'rgba(120, 170, 255, 0.35)';
+        ctx.lineWidth = 1;
+        for (const [a, b] of mapState.hyperlanes) {
+            const from = planetsById.get(a);
+            const to = planetsById.get(b);
+            if (!from || !to) continue;
+            ctx.beginPath();
+            ctx.moveTo(offsetX + from.x * scale, offsetY + from.y * scale);
+            ctx.lineTo(offsetX + to.x * scale, offsetY + to.y * scale);
+            ctx.stroke();
+        }
+    }
+
     // Draw planets
     for (const planet of planets) {
         const x = offsetX + planet.x * scale;
@@ -362,12 +431,8 @@ export function drawMapPreview(canvas, mapState, playerColor, aiColor) {
         let fillColor = '#444'; // Neutral
         let glowColor = 'rgba(100, 100, 100, 0.3)';
 
-        if (planet.owner === 'player') {
-            fillColor = colorOptions[playerColor] || '#0096ff';
-            glowColor = fillColor.replace('#', 'rgba(').replace(/([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})/i, (_, r, g, b) =>
-                `${parseInt(r, 16)}, ${parseInt(g, 16)}, ${parseInt(b, 16)}, 0.4)`);
-        } else if (planet.owner === 'enemy') {
-            fillColor = colorOptions[aiColor] || '#ff3232';
+        if (planet.owner) {
+            fillColor = colorOptions[empireColors[planet.owner]] || (planet.owner === 'player' ? '#0096ff' : '#ff3232');
             glowColor = fillColor.replace('#', 'rgba(').replace(/([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})/i, (_, r, g, b) =>
                 `${parseInt(r, 16)}, ${parseInt(g, 16)}, ${parseInt(b, 16)}, 0.4)`);
         }
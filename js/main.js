@@ -1,7 +1,7 @@
 // ============================================
 // MAIN - GAME INITIALIZATION & ORCHESTRATION
 // ============================================
-// Version: 2.0.11
+// Version: 2.18.1
 //
 // This is the entry point for the game. It coordinates the initialization
 // of all game systems and starts the game loop when the page loads.
@@ -20,8 +20,9 @@
 // 1. Check auth state and show appropriate screen
 // 2. gameState.init() - Sets up canvas, camera, planets, and start screen
 // 3. setupEventListeners() - Binds mouse, touch, and UI event handlers
-// 4. gameLoop() - Starts continuous requestAnimationFrame rendering
-// 5. updateDisplay() - Shows initial resource and score values
+// 4. setupGameEventHandlers() - Subscribes the UI to rules-core game events
+// 5. gameLoop() - Starts continuous requestAnimationFrame rendering
+// 6. updateDisplay() - Shows initial resource and score values
 //
 // This module imports from all other modules but exports nothing - it is
 // purely an orchestration layer that brings the game to life.
@@ -29,18 +30,32 @@
 // Used by: index.html (loaded as the final module script)
 //
 // Version History:
+// - 2.18.0: Leaderboard replays restart with the recorded galaxy shape
+// - 2.17.0: Saves and save files that fail to load show why under the saved games list
+// - 2.16.0: Import a save file from the start screen
+// - 2.15.0: Guests get the saved games list too (browser storage); saves show their slot name or "Autosave"
+// - 2.13.0: Leaderboard filter by victory condition; leaderboard replays restart with the recorded victory conditions
+// - 2.9.0: Leaderboard replays restart with the recorded travel mode (free or hyperlanes)
+// - 2.5.0: Leaderboard replays restart with the recorded number of empires
+// - 2.4.0: Replay viewer for leaderboard games and the game that just ended
+// - 2.3.0: Battles pending in a save are shown again after loading it
+// - 2.2.0: UI subscribes to game events emitted by the DOM-free rules core
 // - 1.1.0: Added Supabase authentication, saved games, and leaderboards
 
-import { init, gameState, setMapSeed, restartWithSameSeed, resetGameState, updateColorPickers } from './gameState.js';
-import { setupEventListeners } from './inputHandler.js';
+import { init, gameState, setMapSeed, restartWithSameSeed, resetGameState, updateColorPickers, getReplayData } from './gameState.js';
+import { setupEventListeners, showNextBattle } from './inputHandler.js';
 import { gameLoop } from './renderer.js';
-import { updateDisplay } from './uiManager.js';
+import { updateDisplay, setupGameEventHandlers } from './uiManager.js';
 import { initAuth, signIn, signUp, signOut, getProfile, applyProfileToGameState, saveSettingsToProfile, updateProfile, requestPasswordReset, updatePassword, onAuthStateChange } from './auth.js';
-import { listSavedGames, loadSavedGame, deleteSavedGame, completeGame, clearCurrentSave } from './saveSystem.js';
+import { listSavedGames, loadSavedGame, deleteSavedGame, completeGame, clearCurrentSave, importSaveFile } from './saveSystem.js';
 import { getPersonalTop10, getGlobalTop10, getPersonalBestByDifficulty, getGlobalTop5ByDifficulty, getCompletedGameDetails, renderLeaderboardEntries, renderLeaderboardByDifficulty, renderMapViewerInfo, drawMapPreview } from './leaderboard.js';
 import { invalidateZoneCache } from './influenceZones.js';
+import { MIN_EMPIRES } from './config.js';
+import { LEGACY_MAP_SHAPE } from './mapGenerators.js';
+import { startReplay, setupReplayControls } from './replayViewer.js';
 
 let currentLeaderboardTab = 'personal';
+let currentVictoryFilter = null; // VICTORY_TYPES key shown on the leaderboard (null = all)
 let pendingDeleteSaveId = null;
 let currentMapViewerData = null;
 
@@ -54,6 +69,8 @@ window.addEventListener('DOMContentLoaded', async () => {
         init();
         console.log('Calling setupEventListeners()...');
         setupEventListeners();
+        console.log('Calling setupGameEventHandlers()...');
+        setupGameEventHandlers();
         console.log('Calling gameLoop()...');
         gameLoop();
 
@@ -66,6 +83,7 @@ window.addEventListener('DOMContentLoaded', async () => {
         setupLeaderboardHandlers();
         console.log('Setting up game over handlers...');
         setupGameOverHandlers();
+        setupReplayControls();
         console.log('All handlers setup complete!');
 
         // Listen for PASSWORD_RECOVERY event (when user clicks email reset link)
@@ -125,13 +143,9 @@ function showStartScreen(profile = null) {
         document.getElementById('userInfo').style.display = 'flex';
         document.getElementById('nicknameDisplay').textContent = gameState.username || 'User';
 
-        // Show saved games container and leaderboard button
-        document.getElementById('savedGamesContainer').style.display = 'block';
+        // Show leaderboard button
         document.getElementById('leaderboardBtn').style.display = 'inline-block';
 
-        // Load saved games
-        loadAndDisplaySavedGames();
-
         // Apply profile preferences to UI (if profile exists)
         if (profile) {
             applyProfileToUI(profile);
@@ -140,9 +154,12 @@ function showStartScreen(profile = null) {
     } else {
         // Guest mode - hide authenticated-only features
         document.getElementById('userInfo').style.display = 'none';
-        document.getElementById('savedGamesContainer').style.display = 'none';
         document.getElementById('leaderboardBtn').style.display = 'none';
     }
+
+    // Saved games: the user's cloud saves, or this browser's saves for guests
+    document.getElementById('savedGamesContainer').style.display = 'block';
+    loadAndDisplaySavedGames();
 }
 
 function applyProfileToUI(profile) {
@@ -210,6 +227,7 @@ async function loadAndDisplaySavedGames() {
     const result = await listSavedGames();
     const container = document.getElementById('savedGamesList');
     const moreBtn = document.getElementById('savedGamesMoreBtn');
+    document.getElementById('savedGamesError').textContent = '';
 
     if (!result.success || result.saves.length === 0) {
         container.innerHTML = '<p class="no-saves">No saved games</p>';
@@ -235,17 +253,21 @@ function renderSavedGames() {
         : allSavedGames.slice(0, SAVED_GAMES_COLLAPSED_COUNT);
 
     container.innerHTML = savesToShow.map(save => {
-        const updatedDate = new Date(save.updated_at).toLocaleDateString();
+        const updatedDate = new Date(save.updatedAt).toLocaleDateString();
+        const saveName = save.kind === 'manual'
+            ? `<span class="save-name">💾 ${escapeHtml(save.name)}</span>`
+            : '<span class="save-name autosave">Autosave</span>';
         return `
             <div class="saved-game-item" data-save-id="${save.id}">
                 <div class="save-info">
-                    <span class="save-turn">Turn ${save.current_turn}</span>
-                    <span class="save-details">${save.map_size} | ${save.difficulty}</span>
+                    <span class="save-turn">Turn ${save.turn}</span>
+                    ${saveName}
+                    <span class="save-details">${save.mapSize} | ${save.difficulty}</span>
                     <span class="save-date">${updatedDate}</span>
                 </div>
                 <div class="save-stats">
-                    <span class="planets-owned">🪐 ${save.player_planets}</span>
-                    <span class="score">⭐ ${save.player_score}</span>
+                    <span class="planets-owned">🪐 ${save.playerPlanets}</span>
+                    <span class="score">⭐ ${save.score}</span>
                 </div>
                 <div class="save-actions">
                     <button class="resume-btn" onclick="resumeSavedGame('${save.id}')">RESUME</button>
@@ -264,6 +286,13 @@ function renderSavedGames() {
     }
 }
 
+// Save names are player input
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 function toggleSavedGamesExpanded() {
     savedGamesExpanded = !savedGamesExpanded;
     renderSavedGames();
@@ -436,6 +465,25 @@ function setupStartScreenHandlers() {
         toggleSavedGamesExpanded();
     });
 
+    // Import a save file (opens the file picker)
+    document.getElementById('importSaveBtn').addEventListener('click', () => {
+        document.getElementById('savedGamesError').textContent = '';
+        document.getElementById('importSaveInput').click();
+    });
+
+    document.getElementById('importSaveInput').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow picking the same file again
+        if (!file) return;
+
+        const result = importSaveFile(await file.text());
+        if (result.success) {
+            showLoadedGame();
+        } else {
+            document.getElementById('savedGamesError').textContent = result.error;
+        }
+    });
+
     // Edit nickname button
     document.getElementById('editNicknameBtn').addEventListener('click', () => {
         const currentNickname = document.getElementById('nicknameDisplay').textContent;
@@ -487,6 +535,13 @@ function setupLeaderboardHandlers() {
         }
     });
 
+    // Watch the recorded game turn by turn
+    document.getElementById('watchReplayBtn').addEventListener('click', () => {
+        if (currentMapViewerData?.replay) {
+            watchReplay(currentMapViewerData.replay);
+        }
+    });
+
     // Delete confirmation buttons
     document.getElementById('confirmDeleteBtn').addEventListener('click', async () => {
         if (pendingDeleteSaveId) {
@@ -527,6 +582,14 @@ function setupGameOverHandlers() {
         }
     });
 
+    // Watch the game that just ended
+    document.getElementById('gameOverWatchReplayBtn').addEventListener('click', () => {
+        const replay = getReplayData();
+        if (replay) {
+            watchReplay(replay);
+        }
+    });
+
     // Leaderboard from game over
     document.getElementById('gameOverLeaderboardBtn').addEventListener('click', () => {
         openLeaderboard();
@@ -570,8 +633,8 @@ async function loadLeaderboardTab(tab) {
     });
 
     // Load data by difficulty
-    const personalBests = tab === 'personal' ? await getPersonalBestByDifficulty() : { easy: null, medium: null, hard: null };
-    const globalTop5 = await getGlobalTop5ByDifficulty();
+    const personalBests = tab === 'personal' ? await getPersonalBestByDifficulty(currentVictoryFilter) : { easy: null, medium: null, hard: null };
+    const globalTop5 = await getGlobalTop5ByDifficulty(currentVictoryFilter);
 
     // Render by difficulty (show personal bests only on personal tab)
     content.innerHTML = renderLeaderboardByDifficulty(personalBests, globalTop5, tab === 'personal');
@@ -594,10 +657,24 @@ async function viewLeaderboardGame(gameId) {
     const canvas = document.getElementById('mapViewerCanvas');
     drawMapPreview(canvas, gameData.final_map_state, gameData.player_color, gameData.ai_color);
 
+    // Games finished before replays were recorded have no command log
+    document.getElementById('watchReplayBtn').style.display = gameData.replay ? 'inline-block' : 'none';
+
     // Show modal
     document.getElementById('mapViewerModal').style.display = 'flex';
 }
 
+// Play a recorded game on the main canvas; the screens that were open come back when it closes
+function watchReplay(replay) {
+    const screenIds = ['mapViewerModal', 'leaderboardPanel', 'startScreen', 'gameOverScreen', 'ui'];
+    const previousDisplay = screenIds.map(id => document.getElementById(id).style.display);
+    screenIds.forEach(id => document.getElementById(id).style.display = 'none');
+
+    startReplay(replay, () => {
+        screenIds.forEach((id, i) => document.getElementById(id).style.display = previousDisplay[i]);
+    });
+}
+
 function replayFromLeaderboard(gameData) {
     // Close modals
     document.getElementById('mapViewerModal').style.display = 'none';
@@ -609,6 +686,11 @@ function replayFromLeaderboard(gameData) {
     gameState.difficulty = gameData.difficulty;
     gameState.playerColor = gameData.player_color;
     gameState.aiColor = gameData.ai_color;
+    gameState.empireCount = gameData.final_map_state?.empires?.length || MIN_EMPIRES;
+    gameState.travelMode = gameData.final_map_state?.travelMode || 'free';
+    gameState.mapShape = gameData.final_map_state?.mapShape || LEGACY_MAP_SHAPE; // Records from before v2.25.0 are Classic maps
+    gameState.victoryTypes = gameData.final_map_state?.victoryTypes || [];
+    gameState.gameLength = gameData.final_map_state?.gameLength || 'standard';
     gameState.influenceTransparency = gameData.influence_transparency || 0.10;
 
     // Clear any existing save reference
@@ -629,15 +711,23 @@ function replayFromLeaderboard(gameData) {
 window.resumeSavedGame = async (saveId) => {
     const result = await loadSavedGame(saveId);
     if (result.success) {
-        invalidateZoneCache();
-        document.getElementById('startScreen').style.display = 'none';
-        document.getElementById('ui').style.display = 'flex';
-        updateDisplay();
+        showLoadedGame();
     } else {
         console.error('Failed to load saved game:', result.error);
+        document.getElementById('savedGamesError').textContent =
+            typeof result.error === 'string' ? result.error : 'Could not load the saved game';
     }
 };
 
+// Switch from the start screen to a game restored from a save or save file
+function showLoadedGame() {
+    invalidateZoneCache();
+    document.getElementById('startScreen').style.display = 'none';
+    document.getElementById('ui').style.display = 'flex';
+    updateDisplay();
+    showNextBattle();
+}
+
 window.confirmDeleteSave = (saveId) => {
     pendingDeleteSaveId = saveId;
     document.getElementById('deleteConfirmDialog').style.display = 'flex';
@@ -651,6 +741,11 @@ window.switchLeaderboardTab = (tab) => {
     loadLeaderboardTab(tab);
 };
 
+window.filterLeaderboardByVictory = (victoryType) => {
+    currentVictoryFilter = victoryType || null;
+    loadLeaderboardTab(currentLeaderboardTab);
+};
+
 window.viewLeaderboardGame = viewLeaderboardGame;
 
 window.closeMapViewer = () => {
@@ -0,0 +1,292 @@
+// ============================================
+// MAP GENERATORS - GALAXY SHAPES & START POSITIONS
+// ============================================
+// Version: 1.2.1
+//
+// This module holds the galaxy shapes a map can be generated in. Every generator answers
+// the same two calls, so gameState.generatePlanets() does not care which shape it builds:
+//
+//   placePlanet(map)  -> { x, y }        position of planet map.index (planets so far in map.placed)
+//   startAnchors(map) -> [{ x, y }, ...] one ideal start point per empire, in empire order
+//
+// A shape may pick its start planets itself instead (startPlanets(planets, map) -> one planet
+// per empire); those starts are not balanced or rated. Hidden shapes are not offered on the
+// start screen.
+//
+// The map context is { index, count, placed, random, width, height, padding, minDistance,
+// empireCount }. Generators draw only from map.random (the map's seeded generator), so a
+// seed always gives the same galaxy. Positions keep minDistance from earlier planets where
+// the shape allows it (MAX_PLACEMENT_ATTEMPTS tries, then the last try is kept).
+//
+// Start anchors are laid out symmetrically for the shape (arm tips, evenly around a ring,
+// one home cluster each, ...). getStartCandidates() lists the planets near each anchor;
+// startBalancing.js picks the combination of candidates whose starts are most alike and evens
+// out the resources around them, so no empire starts in a desert while another sits in a rich
+// cluster.
+//
+// Adding a shape: add an entry to MAP_GENERATORS and a data-shape button on the start screen.
+//
+// Records from before v2.25.0 (saves, replays, leaderboard maps without a shape) are Classic
+// maps: scattered like Scatter, with the start planets games had then (planet 0 for the player,
+// the last planet for the first AI, then the planet farthest from all starts so far). Replaying
+// them or playing their map again puts every empire on its original home planet.
+//
+// Exports:
+// - MAP_GENERATORS: Galaxy shapes { name, icon, description, placePlanet, startAnchors }
+// - DEFAULT_MAP_SHAPE: Shape of new games unless another is picked (uniform scatter)
+// - LEGACY_MAP_SHAPE: Shape of records from before v2.25.0 (scatter with the start planets of that time)
+// - getStartCandidates(planets, anchors, minDistance): Possible start planets of every anchor
+//
+// Used by: gameState (generatePlanets), saveMigrations (map shape validation), leaderboard and main (shape of records)
+
+// Rejection sampling tries per planet before a spot closer than minDistance is accepted
+const MAX_PLACEMENT_ATTEMPTS = 100;
+
+// Start candidates per anchor, and the radius (in minDistances) around an anchor they are
+// taken from
+const START_CANDIDATES = 8;
+const HOME_RADIUS_FACTOR = 6;
+
+// Turn of a spiral arm from the core to its tip, and the width of an arm (radians)
+const SPIRAL_TWIST = Math.PI * 1.2;
+const SPIRAL_ARM_WIDTH = 1.2;
+
+export const DEFAULT_MAP_SHAPE = 'scatter';
+export const LEGACY_MAP_SHAPE = 'classic';
+
+export const MAP_GENERATORS = {
+    scatter: {
+        name: 'Scatter', icon: '🎲',
+        description: 'Planets spread evenly across the map',
+        placePlanet: map => placeSpaced(map, () => [
+            map.padding + map.random.random() * (map.width - map.padding * 2),
+            map.padding + map.random.random() * (map.height - map.padding * 2)
+        ]),
+        startAnchors: map => anchorsOnEllipse(map, 0.75)
+    },
+
+    spiral: {
+        name: 'Spiral', icon: '🌀',
+        description: 'One spiral arm per empire around a shared core',
+        placePlanet: map => {
+            const arms = getSpiralArms(map);
+            const arm = map.index % arms;
+            return placeSpaced(map, () => {
+                const t = 0.1 + map.random.random() * 0.9;
+                const angle = getArmAngle(arm, arms, t) + (map.random.random() - 0.5) * SPIRAL_ARM_WIDTH;
+                return pointOnEllipse(map, angle, t);
+            });
+        },
+        startAnchors: map => {
+            const arms = getSpiralArms(map);
+            return Array.from({ length: map.empireCount }, (_, i) => {
+                const [x, y] = pointOnEllipse(map, getArmAngle(i % arms, arms, 0.85), 0.85);
+                return { x, y };
+            });
+        }
+    },
+
+    ring: {
+        name: 'Ring', icon: '⭕',
+        description: 'A ring of planets around an empty core',
+        placePlanet: map => placeSpaced(map, () =>
+            pointOnEllipse(map, map.random.random() * Math.PI * 2, 0.55 + map.random.random() * 0.45)
+        ),
+        startAnchors: map => anchorsOnEllipse(map, 0.82)
+    },
+
+    clusters: {
+        name: 'Clusters', icon: '✨',
+        description: 'A home cluster per empire and contested clusters in between',
+        placePlanet: map => {
+            const centers = getClusterCenters(map);
+            const center = centers[map.index % centers.length];
+            const radius = getClusterRadius(map, centers.length);
+            return placeSpaced(map, () => {
+                const angle = map.random.random() * Math.PI * 2;
+                const distance = Math.sqrt(map.random.random()) * radius;
+                return clampToMap(map, center.x + Math.cos(angle) * distance, center.y + Math.sin(angle) * distance);
+            });
+        },
+        startAnchors: map => getClusterCenters(map).slice(0, map.empireCount)
+    },
+
+    twin: {
+        name: 'Twin Galaxies', icon: '♊',
+        description: 'Two galaxies joined by a narrow bridge',
+        placePlanet: map => {
+            // Every fifth planet lies on the bridge between the galaxies
+            if (map.index % 5 === 4) {
+                return placeSpaced(map, () => clampToMap(map,
+                    map.width / 2 + (map.random.random() - 0.5) * map.width * 0.3,
+                    map.height / 2 + (map.random.random() - 0.5) * map.height * 0.2
+                ));
+            }
+            const galaxy = getTwinGalaxy(map, map.index % 2);
+            return placeSpaced(map, () => {
+                const angle = map.random.random() * Math.PI * 2;
+                const distance = Math.sqrt(map.random.random());
+                return clampToMap(map,
+                    galaxy.x + Math.cos(angle) * distance * galaxy.rx,
+                    galaxy.y + Math.sin(angle) * distance * galaxy.ry
+                );
+            });
+        },
+        // Empires alternate between the galaxies and spread over the outer two thirds of each,
+        // away from the bridge
+        startAnchors: map => Array.from({ length: map.empireCount }, (_, i) => {
+            const side = i % 2;
+            const galaxy = getTwinGalaxy(map, side);
+            const empiresHere = Math.ceil((map.empireCount - side) / 2);
+            const spread = empiresHere > 1 ? Math.floor(i / 2) / (empiresHere - 1) - 0.5 : 0;
+            const angle = (side === 0 ? Math.PI : 0) + spread * Math.PI * 4 / 3;
+            return { x: galaxy.x + Math.cos(angle) * galaxy.rx * 0.7, y: galaxy.y + Math.sin(angle) * galaxy.ry * 0.7 };
+        })
+    },
+
+    grid: {
+        name: 'Grid', icon: '🔲',
+        description: 'Planets in loose rows and columns',
+        placePlanet: map => {
+            const cols = Math.ceil(Math.sqrt(map.count * map.width / map.height));
+            const rows = Math.ceil(map.count / cols);
+            const row = Math.floor(map.index / cols);
+            // The last, partly filled row is centered
+            const inRow = Math.min(cols, map.count - row * cols);
+            const col = map.index % cols + (cols - inRow) / 2;
+            const cellWidth = (map.width - map.padding * 2) / cols;
+            const cellHeight = (map.height - map.padding * 2) / rows;
+            return placeSpaced(map, () => [
+                map.padding + (col + 0.5 + (map.random.random() - 0.5) * 0.5) * cellWidth,
+                map.padding + (row + 0.5 + (map.random.random() - 0.5) * 0.5) * cellHeight
+            ]);
+        },
+        startAnchors: map => anchorsOnEllipse(map, 0.85)
+    },
+
+    ellipse: {
+        name: 'Ellipse', icon: '🥚',
+        description: 'An elliptical galaxy, densest towards the middle',
+        // Distance from the center drawn uniformly, so planets crowd towards the middle
+        placePlanet: map => placeSpaced(map, () =>
+            pointOnEllipse(map, map.random.random() * Math.PI * 2, map.random.random())
+        ),
+        startAnchors: map => anchorsOnEllipse(map, 0.8)
+    },
+
+    // Maps of records from before v2.25.0; Scatter draws the same positions
+    classic: {
+        name: 'Classic Scatter', icon: '🎲',
+        description: 'Planets spread evenly, with the start planets of games before v2.25.0',
+        hidden: true,
+        placePlanet: map => MAP_GENERATORS.scatter.placePlanet(map),
+        startPlanets: (planets, map) => pickClassicStartPlanets(planets, map.empireCount)
+    }
+};
+
+// Draws positions until one keeps minDistance from every planet placed so far
+function placeSpaced(map, sample) {
+    let x, y, valid;
+    let attempts = 0;
+
+    do {
+        [x, y] = sample();
+        valid = map.placed.every(p => Math.hypot(x - p.x, y - p.y) >= map.minDistance);
+        attempts++;
+    } while (!valid && attempts < MAX_PLACEMENT_ATTEMPTS);
+
+    return { x, y };
+}
+
+// Point at `scale` (0 = center, 1 = padded edge) of the map's ellipse, as [x, y]
+function pointOnEllipse(map, angle, scale) {
+    const rx = map.width / 2 - map.padding;
+    const ry = map.height / 2 - map.padding;
+    return [map.width / 2 + Math.cos(angle) * rx * scale, map.height / 2 + Math.sin(angle) * ry * scale];
+}
+
+// One anchor per empire, evenly around the map's ellipse; the player starts on the left
+function anchorsOnEllipse(map, scale) {
+    return Array.from({ length: map.empireCount }, (_, i) => {
+        const [x, y] = pointOnEllipse(map, Math.PI + i * Math.PI * 2 / map.empireCount, scale);
+        return { x, y };
+    });
+}
+
+function clampToMap(map, x, y) {
+    return [
+        Math.min(map.width - map.padding, Math.max(map.padding, x)),
+        Math.min(map.height - map.padding, Math.max(map.padding, y))
+    ];
+}
+
+function getSpiralArms(map) {
+    return Math.max(2, map.empireCount);
+}
+
+function getArmAngle(arm, arms, t) {
+    return Math.PI + arm * Math.PI * 2 / arms + t * SPIRAL_TWIST;
+}
+
+// Home clusters evenly around the map (in empire order), then the contested clusters
+// on a small inner circle (or the center when there is only one)
+function getClusterCenters(map) {
+    const homes = anchorsOnEllipse(map, 0.7);
+    const contested = Math.max(1, Math.floor(map.empireCount / 2));
+    const inner = Array.from({ length: contested }, (_, i) => {
+        if (contested === 1) return { x: map.width / 2, y: map.height / 2 };
+        const [x, y] = pointOnEllipse(map, i * Math.PI * 2 / contested, 0.25);
+        return { x, y };
+    });
+    return [...homes, ...inner];
+}
+
+// Large enough to fit a cluster's share of the planets at minDistance from each other
+function getClusterRadius(map, clusterCount) {
+    const perCluster = Math.ceil(map.count / clusterCount);
+    return Math.sqrt(perCluster / Math.PI) * map.minDistance * 1.4;
+}
+
+function getTwinGalaxy(map, side) {
+    return {
+        x: side === 0 ? map.width * 0.27 : map.width * 0.73,
+        y: map.height / 2,
+        rx: map.width * 0.22,
+        ry: map.height / 2 - map.padding
+    };
+}
+
+// Player starts on the first planet and the first AI on the last one. Each further empire
+// takes the planet farthest from all starts chosen so far.
+function pickClassicStartPlanets(planets, count) {
+    const starts = [planets[0], planets[planets.length - 1]];
+
+    while (starts.length < count) {
+        let best = null;
+        let bestDist = -1;
+
+        for (const planet of planets) {
+            if (starts.includes(planet)) continue;
+            const dist = Math.min(...starts.map(s => (s.x - planet.x) ** 2 + (s.y - planet.y) ** 2));
+            if (dist > bestDist) {
+                bestDist = dist;
+                best = planet;
+            }
+        }
+        starts.push(best);
+    }
+
+    return starts.slice(0, count);
+}
+
+// Start candidates of every anchor (in empire order): its nearest planet, plus the next
+// nearest ones within the home radius. Candidates of neighbouring anchors may overlap, so a
+// sparse anchor can borrow a planet towards a richer area; startBalancing.js keeps rivals apart.
+export function getStartCandidates(planets, anchors, minDistance) {
+    const homeRadius = minDistance * HOME_RADIUS_FACTOR;
+    return anchors.map(anchor => [...planets]
+        .sort((a, b) => Math.hypot(a.x - anchor.x, a.y - anchor.y) - Math.hypot(b.x - anchor.x, b.y - anchor.y))
+        .filter((p, k) => k === 0 || Math.hypot(p.x - anchor.x, p.y - anchor.y) <= homeRadius)
+        .slice(0, START_CANDIDATES)
+    );
+}
@@ -0,0 +1,112 @@
+// ============================================
+// PLANET DEFENSES - SHIELDS, BATTERIES & BOMBARDMENT
+// ============================================
+// Version: 1.0.0
+//
+// This module gives owned planets a combat value of their own. Every owned planet has
+// shields and defense batteries that grow with its population and its Orbital Defenses.
+// In a battle at the planet the shields take the enemy fire aimed at the owner's side
+// before any ship is hit, and the batteries fire along with the owner's ships while the
+// shields hold (see combatSystem.js). Shields lost in battle recharge over the next turns.
+//
+// Fleets conquering a planet (the 3-turn pendingConquests timer) can bombard it: every
+// turn of bombardment kills part of the population, keeps the shields down and knocks out
+// one working defense building, so the planet cannot support a counter-attack.
+//
+// Core Responsibilities:
+// - Compute a planet's maximum shields and battery firepower
+// - Recharge shields once per turn (unowned planets have none)
+// - Bombard planets whose conquerors ordered it
+// - Record player bombardment orders in the command log (replays)
+//
+// Planet Fields:
+// - planet.shields: Current shield points (recharged up to getPlanetDefenses().maxShields)
+// - pendingConquests[].bombard: Whether the conquering fleet bombards the planet each turn
+//
+// Exports:
+// - getPlanetDefenses(planet): { maxShields, batteries } of an owned planet (zero for neutral planets)
+// - isFortified(planet): True while the planet has a working defense building
+// - orderBombardment(owner, planetId, enabled): Starts or stops a bombardment (shared by player and AI)
+// - setBombardment(planetId, enabled): Player bombardment order
+// - processPlanetShields(): Recharges every planet's shields (called once per turn)
+// - bombardPlanet(planet, owner): One turn of bombardment (called by processPendingConquests)
+//
+// Events emitted: planetBombarded { planetId, owner, populationLost }, notification (human empires)
+//
+// Used by: combatSystem (battles, conquest timer), turnSystem (shield recharge), aiSystem
+//          (target strength, bombardment), uiManager (planet panel), simulation (player commands)
+
+import { gameState, recordCommand, isHumanEmpire, getEmpire } from './gameState.js';
+import { BUILDING_TYPES, BUILDING_REPAIR_TURNS, PLANET_SHIELDS_PER_POPULATION, PLANET_BATTERIES_PER_POPULATION, PLANET_SHIELD_RECHARGE, BOMBARDMENT_POPULATION_LOSS } from './config.js';
+import { getDefenseBuildingBonus } from './buildings.js';
+import { emitGameEvent } from './gameEvents.js';
+
+export function getPlanetDefenses(planet) {
+    if (!planet.owner) {
+        return { maxShields: 0, batteries: 0 };
+    }
+
+    const population = planet.population || 0;
+    const bonus = getDefenseBuildingBonus(planet);
+    return {
+        maxShields: population * PLANET_SHIELDS_PER_POPULATION + bonus.shields,
+        batteries: population * PLANET_BATTERIES_PER_POPULATION + bonus.batteries
+    };
+}
+
+// Working buildings that add to the planet's defenses
+function getDefenseBuildings(planet) {
+    return (planet.buildings || []).filter(b => {
+        const effects = BUILDING_TYPES[b.type].effects;
+        return b.damagedTurns === 0 && (effects.planetShields || effects.batteries);
+    });
+}
+
+export function isFortified(planet) {
+    return getDefenseBuildings(planet).length > 0;
+}
+
+export function orderBombardment(owner, planetId, enabled) {
+    const conquest = gameState.pendingConquests.find(c => c.planetId === planetId && c.newOwner === owner);
+    if (!conquest) return false;
+
+    conquest.bombard = enabled;
+    return true;
+}
+
+export function setBombardment(planetId, enabled) {
+    if (!orderBombardment('player', planetId, enabled)) return false;
+
+    recordCommand({ type: 'bombard', planetId: planetId, enabled: enabled });
+    return true;
+}
+
+export function processPlanetShields() {
+    for (const planet of gameState.planets) {
+        const { maxShields } = getPlanetDefenses(planet);
+        planet.shields = Math.min(maxShields, (planet.shields || 0) + maxShields * PLANET_SHIELD_RECHARGE);
+    }
+}
+
+export function bombardPlanet(planet, owner) {
+    // Population never drops below 1, so the planet is not abandoned (and neutralized) under fire
+    const populationLost = Math.min(
+        Math.max(1, Math.floor(planet.population * BOMBARDMENT_POPULATION_LOSS)),
+        Math.max(0, planet.population - 1)
+    );
+    planet.population -= populationLost;
+    planet.shields = 0;
+
+    const building = getDefenseBuildings(planet)[0];
+    if (building) {
+        building.damagedTurns = BUILDING_REPAIR_TURNS;
+    }
+
+    emitGameEvent('planetBombarded', { planetId: planet.id, owner, populationLost });
+    if (isHumanEmpire(owner)) {
+        emitGameEvent('notification', { message: `☄️ Bombarded ${planet.name}: ${populationLost} population killed` });
+    }
+    if (isHumanEmpire(planet.owner)) {
+        emitGameEvent('notification', { message: `☄️ ${getEmpire(owner)?.name || 'The enemy'} is bombarding ${planet.name}! ${populationLost} population killed` });
+    }
+}
@@ -5,16 +5,20 @@
 // This module handles all canvas rendering for the game, including the game loop,
 // background, planets, ships, travel routes, and UI overlays.
 //
-// Version: 1.0.3 - Added influence zones visualization
+// Version: 1.4.0 - Ship design colors
 //
 // Core Responsibilities:
 // - Main game loop using requestAnimationFrame for smooth 60fps rendering
 // - Draw background gradient and decorative stars
 // - Render influence zones using Voronoi diagrams (toggleable)
 // - Render all planets with ownership colors, names, and orbital effects
-// - Display ship icons and counts at planets
+// - Display ship icons and counts at planets (ship designs in the color of their main component)
 // - Visualize traveling ship groups with animated routes
+// - Draw the hyperlane network and the remaining hops of the player's fleets
+// - Split player routes into legs at each waypoint, with the ETA of every stop
+// - Draw the waypoint chain being plotted while a destination is selected
 // - Show destination selection indicators and travel paths
+// - Hide unseen fleets and draw out-of-sight planets from last-known intel (dimmed)
 // - Apply camera transformations for pan and zoom
 //
 // Exports:
@@ -24,8 +28,10 @@
 // Used by: main.js (starts the game loop on initialization)
 
 import { gameState, camera, canvas, ctx, backgroundStars, getOwnerColor } from './gameState.js';
-import { SHIP_TYPES } from './config.js';
 import { renderInfluenceZones } from './influenceZones.js';
+import { getPlanetView, isFleetVisible, getFleetPosition } from './visibility.js';
+import { getWaypointETAs } from './shipSystem.js';
+import { getShipType } from './shipDesigns.js';
 
 export function gameLoop() {
     render();
@@ -67,9 +73,16 @@ export function render() {
     ctx.scale(camera.zoom, camera.zoom);
     ctx.translate(-camera.x, -camera.y);
 
-    // Draw travel routes
+    // Draw hyperlanes (lane-travel maps only)
+    if (gameState.hyperlanes.length > 0) {
+        drawHyperlanes();
+    }
+
+    // Draw travel routes (enemy fleets only while observed)
     for (const group of gameState.travelingShips) {
-        drawTravelRoute(group);
+        if (isFleetVisible('player', group)) {
+            drawTravelRoute(group);
+        }
     }
 
     // Draw planets
@@ -77,13 +90,14 @@ export function render() {
         drawPlanet(planet);
     }
 
-    // Draw destination indicators
-    if (gameState.selectingDestination && gameState.sourcePlanet) {
+    // Draw destination indicators (redirects have no source planet)
+    if (gameState.selectingDestination) {
         for (const planet of gameState.planets) {
             if (planet !== gameState.sourcePlanet) {
                 drawDestinationIndicator(planet);
             }
         }
+        drawPendingWaypoints();
     }
 
     ctx.restore();
@@ -93,10 +107,17 @@ function drawPlanet(planet) {
     const x = planet.x;
     const y = planet.y;
     const size = planet.size;
+    const view = getPlanetView('player', planet);
+
+    // Planets out of sensor range are drawn dimmed from last-known intel
+    ctx.save();
+    if (!view.visible) {
+        ctx.globalAlpha = 0.5;
+    }
 
     // Glow effect for owned planets
-    if (planet.owner) {
-        const ownerColor = getOwnerColor(planet.owner);
+    if (view.owner) {
+        const ownerColor = getOwnerColor(view.owner);
         const glowColor = ownerColor ? ownerColor.planetGlow : 'rgba(255, 255, 255, 0.3)';
         const glow = ctx.createRadialGradient(x, y, size * 0.5, x, y, size * 2);
         glow.addColorStop(0, glowColor);
@@ -134,14 +155,14 @@ function drawPlanet(planet) {
     ctx.fillText(planet.name, x, y + size + 18);
 
     // Draw ship indicators (dots on right side)
-    if (planet.ships.length > 0) {
-        drawShipDots(planet);
+    if (view.ships.length > 0) {
+        drawShipDots(planet, view.ships);
     }
 
-    // Draw build queue indicator
-    if (planet.buildQueue.length > 0) {
+    // Draw build queue indicator (only visible planets)
+    if (view.visible && planet.buildQueue.length > 0) {
         const item = planet.buildQueue[0];
-        const shipType = SHIP_TYPES[item.type];
+        const shipType = getShipType(item.type);
         ctx.fillStyle = shipType.color;
         ctx.font = 'bold 14px Orbitron';
         ctx.fillText(item.turnsRemaining.toString(), x, y + size + 35);
@@ -152,17 +173,20 @@ function drawPlanet(planet) {
             ctx.fillText(`+${planet.buildQueue.length - 1}`, x + 15, y + size + 35);
         }
     }
+
+    ctx.restore();
 }
 
-function drawShipDots(planet) {
+// `ships` is what the player knows is at the planet (live or last-known intel)
+function drawShipDots(planet, ships) {
     const dotSize = 4;
     const dotSpacing = 10;
     const rowSpacing = 12;
     const maxDotsPerRow = 5;
 
     // Separate ships by owner
-    const playerShips = planet.ships.filter(s => s.owner === 'player');
-    const enemyShips = planet.ships.filter(s => s.owner === 'enemy');
+    const playerShips = ships.filter(s => s.owner === 'player');
+    const enemyShips = ships.filter(s => s.owner !== 'player');
 
     // Draw player ships on the RIGHT side
     if (playerShips.length > 0) {
@@ -174,7 +198,7 @@ function drawShipDots(planet) {
 
         let rowIndex = 0;
         for (const [type, count] of Object.entries(playerGroups)) {
-            const shipType = SHIP_TYPES[type];
+            const shipType = getShipType(type);
             const dotsToShow = Math.min(count, maxDotsPerRow);
             const rowY = planet.y - planet.size / 2 + rowIndex * rowSpacing;
 
@@ -211,7 +235,7 @@ function drawShipDots(planet) {
 
         let rowIndex = 0;
         for (const [type, count] of Object.entries(enemyGroups)) {
-            const shipType = SHIP_TYPES[type];
+            const shipType = getShipType(type);
             const dotsToShow = Math.min(count, maxDotsPerRow);
             const rowY = planet.y - planet.size / 2 + rowIndex * rowSpacing;
 
@@ -239,29 +263,71 @@ function drawShipDots(planet) {
     }
 }
 
+function drawHyperlanes() {
+    ctx.strokeStyle = 'rgba(120, 170, 255, 0.25)';
+    ctx.lineWidth = 2;
+
+    for (const [a, b] of gameState.hyperlanes) {
+        const from = gameState.planets.find(p => p.id === a);
+        const to = gameState.planets.find(p => p.id === b);
+        if (!from || !to) continue;
+
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+    }
+}
+
 function drawTravelRoute(group) {
     const fromPlanet = gameState.planets.find(p => p.id === group.fromPlanetId);
     const toPlanet = gameState.planets.find(p => p.id === group.targetPlanetId);
     if (!fromPlanet || !toPlanet) return;
 
-    const progress = 1 - (group.turnsRemaining / group.totalTurns);
-    const currentX = fromPlanet.x + (toPlanet.x - fromPlanet.x) * progress;
-    const currentY = fromPlanet.y + (toPlanet.y - fromPlanet.y) * progress;
+    // Rival fleets only reveal their current lane, not where they are ultimately headed
+    const remainingHops = group.owner === 'player' ? (group.route || []) : [];
+
+    const { x: currentX, y: currentY } = getFleetPosition(group);
 
     // Get ship type color (use first ship's type)
     const shipType = group.ships.length > 0 ? group.ships[0].type : 'scout';
-    const color = SHIP_TYPES[shipType].color;
+    const color = getShipType(shipType).color;
+
+    // Dotted line from start to destination (full route), one segment per waypoint leg
+    const legs = [[fromPlanet, toPlanet]];
+    const waypoints = group.owner === 'player' ? (group.waypoints || []) : [];
+    if (waypoints.includes(toPlanet.id) && remainingHops.length > 0) legs.push([toPlanet]);
+    for (const planetId of remainingHops) {
+        const hop = gameState.planets.find(p => p.id === planetId);
+        if (!hop) continue;
+        legs[legs.length - 1].push(hop);
+        if (waypoints.includes(planetId) && planetId !== remainingHops[remainingHops.length - 1]) {
+            legs.push([hop]);
+        }
+    }
 
-    // Dotted line from start to destination (full route)
     ctx.strokeStyle = color;
     ctx.lineWidth = 2;
-    ctx.setLineDash([8, 8]);
-    ctx.beginPath();
-    ctx.moveTo(fromPlanet.x, fromPlanet.y);
-    ctx.lineTo(toPlanet.x, toPlanet.y);
-    ctx.stroke();
+    legs.forEach((leg, index) => {
+        // Alternate dash patterns so consecutive legs stay distinguishable
+        ctx.setLineDash(index % 2 === 0 ? [8, 8] : [3, 6]);
+        ctx.beginPath();
+        ctx.moveTo(leg[0].x, leg[0].y);
+        for (const point of leg.slice(1)) {
+            ctx.lineTo(point.x, point.y);
+        }
+        ctx.stroke();
+    });
     ctx.setLineDash([]);
 
+    // Waypoint rings with the turns until each stop is reached
+    if (waypoints.length > 1) {
+        getWaypointETAs(group).forEach(({ planetId, turns }, index) => {
+            const stop = gameState.planets.find(p => p.id === planetId);
+            if (stop) drawWaypointMarker(stop, color, `${index + 1} · ${turns}t`);
+        });
+    }
+
     // Ship position (moving dot)
     ctx.fillStyle = color;
     ctx.shadowColor = color;
@@ -283,6 +349,45 @@ function drawTravelRoute(group) {
     ctx.fillText(group.turnsRemaining.toString(), currentX, currentY + 22);
 }
 
+function drawWaypointMarker(planet, color, label) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(planet.x, planet.y, planet.size + 8, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.font = 'bold 11px Orbitron';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, planet.x, planet.y - planet.size - 14);
+}
+
+// Chain of shift-clicked stops, from the source planet (or the redirected fleet)
+function drawPendingWaypoints() {
+    if (gameState.pendingWaypoints.length === 0) return;
+
+    const group = gameState.travelingShips.find(g => g.id === gameState.redirectGroupId);
+    const start = group ? getFleetPosition(group) : gameState.sourcePlanet;
+    if (!start) return;
+
+    ctx.strokeStyle = 'rgba(168, 85, 247, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 6]);
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    for (const planetId of gameState.pendingWaypoints) {
+        const stop = gameState.planets.find(p => p.id === planetId);
+        if (stop) ctx.lineTo(stop.x, stop.y);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    gameState.pendingWaypoints.forEach((planetId, index) => {
+        const stop = gameState.planets.find(p => p.id === planetId);
+        if (stop) drawWaypointMarker(stop, '#a855f7', `${index + 1}`);
+    });
+}
+
 function drawDestinationIndicator(planet) {
     const atmosphereGrad = ctx.createRadialGradient(
         planet.x, planet.y, planet.size,
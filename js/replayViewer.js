@@ -0,0 +1,168 @@
+// ============================================
+// REPLAY VIEWER
+// ============================================
+// Version: 1.1.0
+//
+// This module plays back a recorded game on the main canvas. The game is
+// re-simulated from its seed and command log (simulation.replayGame), and each
+// turn snapshot is shown by making it the active gameState, so the normal
+// renderer draws it without any replay-specific drawing code.
+//
+// Core Responsibilities:
+// - Rebuild per-turn snapshots from replay data (seed + settings + commands)
+// - Swap the displayed snapshot into the active gameState and refit the camera
+// - Show the whole map (replays ignore fog of war)
+// - Play/pause, step forward/back and scrub through turns with the replay controls
+// - Restore the previous game state, camera and screens when the replay closes
+//
+// Exports:
+// - startReplay(replay, onClose): Opens the viewer for getReplayData() output
+// - stopReplay(): Closes the viewer and restores the previous state
+// - isReplayActive(): True while the viewer is open (input handler ignores planet clicks)
+// - setupReplayControls(): Binds the play/pause, step, scrub and close controls
+//
+// Used by: main.js (leaderboard map viewer "Watch Replay" button)
+
+import { gameState, camera, canvas, setGameState, generateBackgroundStars, constrainCamera } from './gameState.js';
+import { replayGame } from './simulation.js';
+import { invalidateZoneCache } from './influenceZones.js';
+import { updateZoomIndicator } from './camera.js';
+
+// Delay between turns while playing (ms)
+const PLAYBACK_INTERVAL = 600;
+
+let frames = [];
+let frameIndex = 0;
+let playTimer = null;
+let previousState = null;
+let previousCamera = null;
+let previousZoomIndicatorDisplay = 'none';
+let closeCallback = null;
+
+export function isReplayActive() {
+    return previousState !== null;
+}
+
+export function startReplay(replay, onClose = null) {
+    if (isReplayActive()) {
+        stopReplay();
+    }
+
+    frames = replayGame(replay);
+    previousState = gameState;
+    previousCamera = { x: camera.x, y: camera.y, zoom: camera.zoom, fitToScreenZoom: camera.fitToScreenZoom };
+    closeCallback = onClose;
+    previousZoomIndicatorDisplay = document.getElementById('zoomIndicator').style.display;
+
+    const scrubber = document.getElementById('replayScrubber');
+    scrubber.max = frames.length - 1;
+
+    showFrame(0);
+    generateBackgroundStars();
+    fitCameraToWorld();
+
+    document.getElementById('replayControls').style.display = 'flex';
+    document.getElementById('zoomIndicator').style.display = 'block';
+}
+
+export function stopReplay() {
+    if (!isReplayActive()) return;
+
+    pauseReplay();
+    setGameState(previousState);
+    Object.assign(camera, previousCamera);
+    generateBackgroundStars();
+    invalidateZoneCache();
+
+    frames = [];
+    frameIndex = 0;
+    previousState = null;
+    previousCamera = null;
+
+    document.getElementById('replayControls').style.display = 'none';
+    document.getElementById('zoomIndicator').style.display = previousZoomIndicatorDisplay;
+
+    if (closeCallback) {
+        const callback = closeCallback;
+        closeCallback = null;
+        callback();
+    }
+}
+
+// Bind the replay control buttons (called once during initialization)
+export function setupReplayControls() {
+    document.getElementById('replayPlayBtn').addEventListener('click', () => {
+        if (playTimer) {
+            pauseReplay();
+        } else {
+            playReplay();
+        }
+    });
+    document.getElementById('replayStepBackBtn').addEventListener('click', () => {
+        pauseReplay();
+        showFrame(frameIndex - 1);
+    });
+    document.getElementById('replayStepForwardBtn').addEventListener('click', () => {
+        pauseReplay();
+        showFrame(frameIndex + 1);
+    });
+    document.getElementById('replayScrubber').addEventListener('input', (e) => {
+        pauseReplay();
+        showFrame(parseInt(e.target.value));
+    });
+    document.getElementById('replayCloseBtn').addEventListener('click', stopReplay);
+}
+
+function playReplay() {
+    // Restart from the beginning when play is pressed on the last turn
+    if (frameIndex >= frames.length - 1) {
+        showFrame(0);
+    }
+
+    playTimer = setInterval(() => {
+        if (frameIndex >= frames.length - 1) {
+            pauseReplay();
+            return;
+        }
+        showFrame(frameIndex + 1);
+    }, PLAYBACK_INTERVAL);
+
+    document.getElementById('replayPlayBtn').textContent = '⏸';
+}
+
+function pauseReplay() {
+    if (playTimer) {
+        clearInterval(playTimer);
+        playTimer = null;
+    }
+    document.getElementById('replayPlayBtn').textContent = '▶';
+}
+
+function showFrame(index) {
+    frameIndex = Math.max(0, Math.min(index, frames.length - 1));
+
+    // Show a copy so nothing the UI does can alter the recorded snapshots
+    const frame = structuredClone(frames[frameIndex]);
+    frame.revealMap = true;
+    setGameState(frame);
+    invalidateZoneCache();
+
+    const state = frames[frameIndex];
+    document.getElementById('replayScrubber').value = frameIndex;
+    document.getElementById('replayTurnLabel').textContent =
+        `Turn ${state.turn} / ${frames[frames.length - 1].turn}`;
+}
+
+// Same fit-to-screen zoom as a new game, centered on the world
+function fitCameraToWorld() {
+    const fitZoomX = canvas.width / gameState.worldWidth;
+    const fitZoomY = canvas.height / gameState.worldHeight;
+    camera.zoom = Math.max(fitZoomX, fitZoomY);
+    camera.fitToScreenZoom = camera.zoom;
+
+    camera.x = (gameState.worldWidth - canvas.width / camera.zoom) / 2;
+    camera.y = (gameState.worldHeight - canvas.height / camera.zoom) / 2;
+
+    constrainCamera();
+    updateZoomIndicator();
+}
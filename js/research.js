@@ -0,0 +1,189 @@
+// ============================================
+// RESEARCH - TECH TREE
+// ============================================
+// Version: 1.1.0
+//
+// This module runs the research subsystem. Every empire researches one technology
+// at a time and invests energy into it each turn; completed technologies unlock
+// new ship types and permanently improve ship stats, build times, repairs and
+// planet yields. All bonuses are derived from the completed list, so the rules
+// modules ask this module for effective values instead of reading SHIP_TYPES
+// (ship designs included, see shipDesigns.js).
+//
+// Core Responsibilities:
+// - Track the current technology and progress of every empire
+// - Invest RESEARCH_ENERGY_PER_PLANET energy per owned planet each turn (capped by stock)
+// - Complete technologies and refit existing ships when max HP increases
+// - Compute effective ship stats, heal rate and planet yields per empire
+// - Record the player's research choice in the command log (replays)
+//
+// Research State:
+// - gameState.players[empireId].research = { current: techId | null, progress, completed: [techId] }
+//
+// Exports:
+// - getShipStats(owner, type): Ship type (stock or design) with the owner's technology bonuses applied
+// - isShipUnlocked(owner, type): True when the ship type needs no technology or it is researched
+// - hasTech(owner, techId): True once the empire has completed the technology
+// - getHealRate(owner): HP stationed ships regain per turn
+// - getPlanetYield(owner, planet): Planet income including technology bonuses
+// - getAvailableTechs(owner): Technologies whose prerequisites are met and that are not completed
+// - setResearch(owner, techId): Switches an empire's research (progress is kept per empire, not per tech)
+// - startPlayerResearch(techId): Player research choice (setResearch + command log)
+// - processResearch(): Invests energy for every active empire (called once per turn)
+//
+// Events emitted: researchCompleted { empireId, techId }, notification (human empires)
+//
+// Used by: turnSystem (research, healing, yields, new ships), shipSystem (build times,
+//          speeds, unlocks), combatSystem (attack), aiSystem (research choice, builds),
+//          uiManager (research panel, shipyard), shipDesigns (hull unlocks), simulation (player commands)
+
+import { gameState, getActiveEmpires, isHumanEmpire, recordCommand } from './gameState.js';
+import { TECHNOLOGIES, RESEARCH_ENERGY_PER_PLANET } from './config.js';
+import { getShipType } from './shipDesigns.js';
+import { emitGameEvent } from './gameEvents.js';
+
+// HP a stationed ship regains per turn before technology bonuses
+const BASE_HEAL_RATE = 0.2;
+
+function getResearch(owner) {
+    return gameState.players[owner]?.research || null;
+}
+
+export function hasTech(owner, techId) {
+    return getResearch(owner)?.completed.includes(techId) ?? false;
+}
+
+// Sum of the effects of every technology the owner has completed
+function getTechBonuses(owner) {
+    const bonuses = {
+        attack: 0,
+        maxHitPoints: 0,
+        speed: 0,
+        buildTimeMultiplier: 1,
+        healRate: 0,
+        yield: { energy: 0, minerals: 0, food: 0 }
+    };
+
+    for (const techId of getResearch(owner)?.completed || []) {
+        const effects = TECHNOLOGIES[techId].effects;
+        bonuses.attack += effects.attack || 0;
+        bonuses.maxHitPoints += effects.maxHitPoints || 0;
+        bonuses.speed += effects.speed || 0;
+        bonuses.buildTimeMultiplier *= effects.buildTimeMultiplier || 1;
+        bonuses.healRate += effects.healRate || 0;
+        for (const resource in effects.yield || {}) {
+            bonuses.yield[resource] += effects.yield[resource];
+        }
+    }
+
+    return bonuses;
+}
+
+export function getShipStats(owner, type) {
+    const ship = getShipType(type);
+    const bonuses = getTechBonuses(owner);
+
+    return {
+        ...ship,
+        // Weapon upgrades only apply to ships that carry weapons
+        attack: ship.attack > 0 ? ship.attack + bonuses.attack : 0,
+        maxHitPoints: ship.maxHitPoints + bonuses.maxHitPoints,
+        speed: ship.speed + bonuses.speed,
+        baseBuildTime: Math.max(1, Math.round(ship.baseBuildTime * bonuses.buildTimeMultiplier)),
+        minBuildTime: Math.max(1, Math.round(ship.minBuildTime * bonuses.buildTimeMultiplier))
+    };
+}
+
+export function isShipUnlocked(owner, type) {
+    const requiredTech = getShipType(type).requiresTech;
+    return !requiredTech || hasTech(owner, requiredTech);
+}
+
+export function getHealRate(owner) {
+    return BASE_HEAL_RATE + getTechBonuses(owner).healRate;
+}
+
+export function getPlanetYield(owner, planet) {
+    const bonus = getTechBonuses(owner).yield;
+    return {
+        energy: planet.resources.energy + bonus.energy,
+        minerals: planet.resources.minerals + bonus.minerals,
+        food: planet.resources.food + bonus.food
+    };
+}
+
+export function getAvailableTechs(owner) {
+    return Object.keys(TECHNOLOGIES).filter(techId =>
+        !hasTech(owner, techId) &&
+        TECHNOLOGIES[techId].requires.every(required => hasTech(owner, required))
+    );
+}
+
+// Switching technologies keeps the invested progress, so changing one's mind is not punished
+export function setResearch(owner, techId) {
+    const research = getResearch(owner);
+    if (!research || !getAvailableTechs(owner).includes(techId)) return false;
+
+    research.current = techId;
+    return true;
+}
+
+export function startPlayerResearch(techId) {
+    if (!setResearch('player', techId)) return false;
+
+    recordCommand({ type: 'research', techId: techId });
+    return true;
+}
+
+export function processResearch() {
+    for (const empire of getActiveEmpires()) {
+        const player = gameState.players[empire.id];
+        const research = player.research;
+        if (!research.current) continue;
+
+        const ownedPlanets = gameState.planets.filter(p => p.owner === empire.id).length;
+        const investment = Math.min(Math.floor(player.energy), ownedPlanets * RESEARCH_ENERGY_PER_PLANET);
+        if (investment <= 0) continue;
+
+        player.energy -= investment;
+        research.progress += investment;
+
+        if (research.progress >= TECHNOLOGIES[research.current].cost) {
+            completeTech(empire.id, research.current);
+        }
+    }
+}
+
+function completeTech(owner, techId) {
+    const research = getResearch(owner);
+    research.completed.push(techId);
+    research.current = null;
+    research.progress = 0;
+
+    // Armor upgrades refit the existing fleet, not just new hulls
+    const hitPointBonus = TECHNOLOGIES[techId].effects.maxHitPoints || 0;
+    if (hitPointBonus > 0) {
+        for (const ship of getOwnedShips(owner)) {
+            ship.maxHitPoints += hitPointBonus;
+            ship.hitPoints += hitPointBonus;
+        }
+    }
+
+    emitGameEvent('researchCompleted', { empireId: owner, techId: techId });
+
+    if (isHumanEmpire(owner)) {
+        const tech = TECHNOLOGIES[techId];
+        emitGameEvent('notification', { message: `🔬 Research complete: ${tech.icon} ${tech.name}` });
+    }
+}
+
+function getOwnedShips(owner) {
+    const ships = [];
+    for (const planet of gameState.planets) {
+        ships.push(...planet.ships.filter(s => s.owner === owner));
+    }
+    for (const group of gameState.travelingShips) {
+        if (group.owner === owner) ships.push(...group.ships);
+    }
+    return ships;
+}
@@ -0,0 +1,240 @@
+// ============================================
+// SAVE BACKENDS - LOCAL (INDEXEDDB) & CLOUD (SUPABASE)
+// ============================================
+// Version: 1.0.0
+//
+// This module holds the storage backends behind saveSystem.js. Every backend stores
+// the same save records and answers the same four calls, so the save system does not
+// care whether a game lives in the browser or in the user's Supabase account:
+//
+//   list()          -> { data: [summary...], error }   newest first, without gameState
+//   load(id)        -> { data: record, error }         record including gameState
+//   write(record)   -> { data: record, error }         inserts when record.id is null
+//   remove(ids)     -> { error }                       deletes one id or an array of ids
+//
+// Save record: { id, gameId, kind ('autosave' | 'manual'), name, turn, mapSeed, mapSize,
+//                difficulty, playerColor, aiColor, score, playerPlanets, enemyPlanets,
+//                createdAt, updatedAt, gameState }
+//
+// Exports:
+// - localBackend: IndexedDB saves of this browser (guests and offline play)
+// - cloudBackend: saved_games table of the signed-in Supabase user
+// - createSaveId(): Unique id for local save records and new games
+//
+// Used by: saveSystem (backend selection, slots and autosave rotation)
+
+import { supabase } from './supabaseClient.js';
+import { gameState } from './gameState.js';
+
+const DB_NAME = '4xSpaceSaves';
+const DB_VERSION = 1;
+const STORE = 'saves';
+
+export function createSaveId() {
+    if (globalThis.crypto?.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Record without the (large) game state, as shown in save lists
+function toSummary(record) {
+    const { gameState: _state, ...summary } = record;
+    return summary;
+}
+
+// ============================================
+// LOCAL BACKEND (IndexedDB)
+// ============================================
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('gameId', 'gameId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later retry if the browser refused (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+}
+
+// Run requests against the saves store; resolves with the returned request's result
+// once the transaction has committed
+async function storeRequest(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = makeRequest(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export const localBackend = {
+    name: 'local',
+    label: 'This browser',
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    async list() {
+        try {
+            const records = await storeRequest('readonly', store => store.getAll());
+            const saves = records
+                .map(toSummary)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+            return { data: saves, error: null };
+        } catch (error) {
+            return { data: [], error };
+        }
+    },
+
+    async load(id) {
+        try {
+            const record = await storeRequest('readonly', store => store.get(id));
+            return { data: record || null, error: null };
+        } catch (error) {
+            return { data: null, error };
+        }
+    },
+
+    async write(record) {
+        const now = new Date().toISOString();
+        const stored = {
+            ...record,
+            id: record.id || createSaveId(),
+            createdAt: record.createdAt || now,
+            updatedAt: now
+        };
+        try {
+            await storeRequest('readwrite', store => store.put(stored));
+            return { data: stored, error: null };
+        } catch (error) {
+            return { data: null, error };
+        }
+    },
+
+    async remove(ids) {
+        const list = Array.isArray(ids) ? ids : [ids];
+        try {
+            await storeRequest('readwrite', store => {
+                for (const id of list) store.delete(id);
+            });
+            return { error: null };
+        } catch (error) {
+            return { error };
+        }
+    }
+};
+
+// ============================================
+// CLOUD BACKEND (Supabase saved_games)
+// ============================================
+
+const SUMMARY_COLUMNS = 'id, game_id, save_kind, save_name, map_seed, map_size, difficulty, player_color, ai_color, current_turn, player_score, player_planets, enemy_planets, created_at, updated_at';
+
+// saved_games row -> save record. Rows from before v2.15.0 have no game_id
+// (one autosave per game), so the row id stands in for it.
+function fromRow(row) {
+    const record = {
+        id: row.id,
+        gameId: row.game_id || row.id,
+        kind: row.save_kind || 'autosave',
+        name: row.save_name || null,
+        turn: row.current_turn,
+        mapSeed: row.map_seed,
+        mapSize: row.map_size,
+        difficulty: row.difficulty,
+        playerColor: row.player_color,
+        aiColor: row.ai_color,
+        score: row.player_score,
+        playerPlanets: row.player_planets,
+        enemyPlanets: row.enemy_planets,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+    if (row.game_state) {
+        record.gameState = row.game_state;
+    }
+    return record;
+}
+
+function toRow(record) {
+    return {
+        user_id: gameState.userId,
+        game_id: record.gameId,
+        save_kind: record.kind,
+        save_name: record.name,
+        map_seed: record.mapSeed,
+        map_size: record.mapSize,
+        difficulty: record.difficulty,
+        player_color: record.playerColor,
+        ai_color: record.aiColor,
+        current_turn: record.turn,
+        player_score: record.score,
+        player_planets: record.playerPlanets,
+        enemy_planets: record.enemyPlanets,
+        game_state: record.gameState,
+        updated_at: new Date().toISOString()
+    };
+}
+
+export const cloudBackend = {
+    name: 'cloud',
+    label: 'Cloud',
+
+    isAvailable() {
+        return gameState.userId !== null;
+    },
+
+    async list() {
+        const { data, error } = await supabase
+            .from('saved_games')
+            .select(SUMMARY_COLUMNS)
+            .eq('user_id', gameState.userId)
+            .order('updated_at', { ascending: false });
+
+        return { data: (data || []).map(fromRow), error };
+    },
+
+    async load(id) {
+        const { data, error } = await supabase
+            .from('saved_games')
+            .select('*')
+            .eq('id', id)
+            .eq('user_id', gameState.userId)
+            .single();
+
+        return { data: data ? fromRow(data) : null, error };
+    },
+
+    async write(record) {
+        const query = record.id
+            ? supabase.from('saved_games').update(toRow(record)).eq('id', record.id).eq('user_id', gameState.userId)
+            : supabase.from('saved_games').insert(toRow(record));
+
+        const { data, error } = await query.select().single();
+        return { data: data ? fromRow(data) : null, error };
+    },
+
+    async remove(ids) {
+        const list = Array.isArray(ids) ? ids : [ids];
+        const { error } = await supabase
+            .from('saved_games')
+            .delete()
+            .in('id', list)
+            .eq('user_id', gameState.userId);
+
+        return { error };
+    }
+};
@@ -0,0 +1,294 @@
+// ============================================
+// SAVE MIGRATIONS & VALIDATION
+// ============================================
+// Version: 1.7.1
+//
+// This module upgrades serialized game states from older versions of the game and
+// checks them before they are loaded. Every save carries a `schemaVersion`; saves
+// written before versioning have none and count as version 0. Loading runs the
+// migrations from the save's version up to SAVE_SCHEMA_VERSION in order, then
+// validates the result, so a save is either loaded completely or rejected with a
+// message - never half-loaded. Validation checks every list and entry before reading
+// from it, and a check that throws anyway rejects the save as corrupt.
+//
+// Adding a field to the saved state:
+// 1. Append a migration to MIGRATIONS that fills the field in on older saves
+// 2. Extend validateSaveState() if the field must hold certain values
+// (SAVE_SCHEMA_VERSION follows the number of migrations automatically)
+//
+// Exports:
+// - SAVE_SCHEMA_VERSION: Schema version written by serializeGameState()
+// - upgradeSaveState(data): Migrated and validated copy of a serialized state { state, error }
+// - validateSaveState(state): List of problems found in a current-version state (empty when valid)
+//
+// Used by: gameState (deserializeGameState)
+
+import { createEmpires } from './gameState.js';
+import { createRandomStreams, RANDOM_STREAMS } from './seededRandom.js';
+import { MAP_GENERATORS, LEGACY_MAP_SHAPE } from './mapGenerators.js';
+import { MAP_SIZES, SHIP_TYPES, HULL_SIZES, SHIP_COMPONENTS, BUILDING_TYPES, TREATY_TYPES, VICTORY_TYPES, GAME_LENGTHS } from './config.js';
+
+// MIGRATIONS[n] upgrades a version n save to version n + 1. Migrations describe the
+// state as it was at their version, so they never change once released.
+const MIGRATIONS = [
+    // 0 -> 1: Unversioned saves (v2.2.0 - v2.16.0). Fills in everything added since
+    // the first cloud saves; the newest saves already have all of it.
+    function migrateUnversioned(state) {
+        // v2.3.0: seeded random streams and pending battles
+        state.randomStreams ??= createRandomStreams(state.mapSeed);
+        state.battleQueue ??= [];
+        // v2.4.0: command log (older games cannot be replayed)
+        state.commandLog ??= null;
+        // v2.5.0: empire registry (older saves are player vs. one AI)
+        state.empires ??= createEmpires({
+            playerColor: state.playerColor,
+            aiColor: state.aiColor,
+            difficulty: state.difficulty
+        });
+        // v2.6.0: remembered intel
+        state.intel ??= {};
+        for (const player of Object.values(state.players || {})) {
+            // v2.7.0: research; v2.10.0: default fleet name counter
+            player.research ??= { current: null, progress: 0, completed: [] };
+            player.fleetsCreated ??= 0;
+        }
+        // v2.8.0: buildings
+        for (const planet of state.planets || []) {
+            planet.buildings ??= [];
+            planet.buildingQueue ??= [];
+        }
+        // v2.9.0: travel mode (older saves use free travel)
+        state.travelMode ??= 'free';
+        state.hyperlanes ??= [];
+        // v2.10.0: named fleets; v2.11.0: routes and waypoints of groups in flight
+        state.fleets ??= [];
+        for (const group of state.travelingShips || []) {
+            group.fleetId ??= null;
+            group.route ??= [];
+            group.waypoints ??= [];
+        }
+        // v2.12.0: treaties (older saves are at war with everyone)
+        state.treaties ??= [];
+        // v2.13.0: victory conditions (older saves only know conquest) and capitals
+        state.victoryTypes ??= [];
+        state.gameLength ??= 'standard';
+        for (const empire of state.empires) {
+            empire.capitalPlanetId ??= null;
+        }
+        // v2.15.0: game id (older saves take the id of their save record)
+        state.gameId ??= null;
+        // UI state that some early saves left out
+        state.pendingConquests ??= [];
+        state.selectedShipIds ??= [];
+        state.selectedPlanetId ??= null;
+        state.fleetTab ??= 'stationed';
+    },
+
+    // 1 -> 2: v2.19.0 battle log (older games start with an empty history)
+    function addBattleHistory(state) {
+        state.battleHistory ??= [];
+    },
+
+    // 2 -> 3: v2.20.0 planetary defenses (shields recharge from zero) and bombardment orders
+    function addPlanetDefenses(state) {
+        for (const planet of state.planets || []) {
+            planet.shields ??= 0;
+        }
+        for (const conquest of state.pendingConquests || []) {
+            conquest.bombard ??= false;
+        }
+    },
+
+    // 3 -> 4: v2.21.0 ship designs (older games have none)
+    function addShipDesigns(state) {
+        state.shipDesigns ??= [];
+    },
+
+    // 4 -> 5: v2.22.0 veterancy (ships of older games start without experience)
+    function addShipExperience(state) {
+        const ships = [
+            ...(state.planets || []).flatMap(p => p.ships || []),
+            ...(state.travelingShips || []).flatMap(g => g.ships || [])
+        ];
+        for (const ship of ships) {
+            ship.battles ??= 0;
+            ship.kills ??= 0;
+            ship.captain ??= null;
+        }
+    },
+
+    // 5 -> 6: v2.25.0 galaxy shapes (older maps are Classic maps: scattered, old start planets)
+    function addMapShape(state) {
+        state.mapShape ??= LEGACY_MAP_SHAPE;
+    },
+
+    // 6 -> 7: v2.26.0 start fairness (unknown for older maps)
+    function addMapFairness(state) {
+        state.mapFairness ??= null;
+    },
+
+    // 7 -> 8: v2.26.5 attacks remembered for AI counter-attacks (older games remember none)
+    function addRecentAttacks(state) {
+        state.recentAttacks ??= [];
+    }
+];
+
+export const SAVE_SCHEMA_VERSION = MIGRATIONS.length;
+
+export function upgradeSaveState(data) {
+    if (!isObject(data)) {
+        return { state: null, error: 'Save data is missing or not a game' };
+    }
+
+    const version = data.schemaVersion ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+        return { state: null, error: 'Save data has an invalid version' };
+    }
+    if (version > SAVE_SCHEMA_VERSION) {
+        return { state: null, error: 'Save is from a newer version of the game' };
+    }
+
+    // Work on a copy so a rejected save leaves nothing behind
+    const state = structuredClone(data);
+    try {
+        for (let v = version; v < SAVE_SCHEMA_VERSION; v++) {
+            MIGRATIONS[v](state);
+        }
+    } catch (err) {
+        return { state: null, error: `Save data is corrupt (upgrade from version ${version} failed)` };
+    }
+    state.schemaVersion = SAVE_SCHEMA_VERSION;
+
+    // A check that trips over data of an unexpected shape means a corrupt save as well
+    let problems;
+    try {
+        problems = validateSaveState(state);
+    } catch (err) {
+        console.error('Rejected save:', err);
+        return { state: null, error: 'Save data is corrupt' };
+    }
+    if (problems.length > 0) {
+        console.error('Rejected save:', problems);
+        return { state: null, error: `Save data is corrupt: ${problems[0]}` };
+    }
+
+    return { state, error: null };
+}
+
+// Structural checks of a current-version state. Catches truncated, hand-edited and
+// mixed-up saves before they reach the rules core; it does not judge game balance.
+export function validateSaveState(state) {
+    const problems = [];
+    const check = (ok, message) => {
+        if (!ok) problems.push(message);
+        return ok;
+    };
+
+    check(Number.isInteger(state.turn) && state.turn >= 1, 'turn is not a positive number');
+    check(state.mapSize in MAP_SIZES, `unknown map size "${state.mapSize}"`);
+    check(state.mapShape in MAP_GENERATORS, `unknown galaxy shape "${state.mapShape}"`);
+    check(state.mapFairness === null || (isFiniteNumber(state.mapFairness) && state.mapFairness >= 0 && state.mapFairness <= 1),
+        'map fairness is invalid');
+    check(isFiniteNumber(state.worldWidth) && isFiniteNumber(state.worldHeight), 'world size is missing');
+    check(typeof state.mapSeed === 'string' && state.mapSeed.length > 0, 'map seed is missing');
+    check(state.travelMode === 'free' || state.travelMode === 'hyperlanes', `unknown travel mode "${state.travelMode}"`);
+    check(state.gameLength in GAME_LENGTHS, `unknown game length "${state.gameLength}"`);
+    check(Array.isArray(state.victoryTypes) && state.victoryTypes.every(v => v in VICTORY_TYPES), 'unknown victory condition');
+    check(isObject(state.randomStreams) && RANDOM_STREAMS.every(s => Number.isInteger(state.randomStreams[s])), 'random streams are missing');
+    check(state.commandLog === null || Array.isArray(state.commandLog), 'command log is not a list');
+
+    // Empires and their resources
+    if (!check(Array.isArray(state.empires) && state.empires.length >= 2 && state.empires.every(isObject), 'empire list is missing')) {
+        return problems;
+    }
+    const empireIds = new Set(state.empires.map(e => e.id));
+    check(empireIds.size === state.empires.length, 'empire ids are not unique');
+    check(empireIds.has('player'), 'the player empire is missing');
+    if (!check(isObject(state.players), 'empire resources are missing')) {
+        return problems;
+    }
+    for (const id of empireIds) {
+        const player = state.players[id];
+        if (!check(isObject(player), `resources of empire "${id}" are missing`)) continue;
+        check(['energy', 'minerals', 'food'].every(r => isFiniteNumber(player[r]) && player[r] >= 0),
+            `resources of empire "${id}" are invalid`);
+        check(isObject(player.research) && Array.isArray(player.research.completed), `research of empire "${id}" is invalid`);
+    }
+
+    // Ship designs (design ids are ship types too)
+    if (!check(Array.isArray(state.shipDesigns) && state.shipDesigns.every(d =>
+        isObject(d) && typeof d.id === 'string' && empireIds.has(d.owner) && d.hull in HULL_SIZES &&
+        isObject(d.components) && Object.keys(d.components).every(c => c in SHIP_COMPONENTS)
+    ), 'a ship design is invalid')) {
+        return problems;
+    }
+    const shipTypes = new Set([...Object.keys(SHIP_TYPES), ...state.shipDesigns.map(d => d.id)]);
+
+    // Planets, their ships and queues
+    if (!check(Array.isArray(state.planets) && state.planets.length > 0 && state.planets.every(isObject), 'planet list is missing')) {
+        return problems;
+    }
+    const planetIds = new Set(state.planets.map(p => p.id));
+    check(planetIds.size === state.planets.length, 'planet ids are not unique');
+    const isOwner = owner => owner === null || empireIds.has(owner);
+
+    for (const planet of state.planets) {
+        const label = `planet ${planet.id}`;
+        check(isFiniteNumber(planet.x) && isFiniteNumber(planet.y) && isFiniteNumber(planet.size), `${label} has no position or size`);
+        check(isOwner(planet.owner), `${label} has an unknown owner`);
+        check(isFiniteNumber(planet.population) && planet.population >= 0, `${label} has an invalid population`);
+        check(isFiniteNumber(planet.shields) && planet.shields >= 0, `${label} has invalid shields`);
+        check(isObject(planet.resources), `${label} has no resources`);
+        check(Array.isArray(planet.ships) && planet.ships.every(s => isValidShip(s, empireIds, shipTypes)), `${label} has invalid ships`);
+        check(Array.isArray(planet.buildQueue) && planet.buildQueue.every(b => isObject(b) && shipTypes.has(b.type)), `${label} has an invalid build queue`);
+        check(Array.isArray(planet.buildings) && planet.buildings.every(b => isObject(b) && b.type in BUILDING_TYPES), `${label} has invalid buildings`);
+        check(Array.isArray(planet.buildingQueue) && planet.buildingQueue.every(b => isObject(b) && b.type in BUILDING_TYPES), `${label} has an invalid building queue`);
+    }
+
+    // Everything that points at planets or empires
+    const arePlanetIds = ids => Array.isArray(ids) && ids.every(id => planetIds.has(id));
+    check(Array.isArray(state.travelingShips) && state.travelingShips.every(g =>
+        isObject(g) && empireIds.has(g.owner) &&
+        planetIds.has(g.fromPlanetId) && planetIds.has(g.targetPlanetId) &&
+        Number.isInteger(g.turnsRemaining) &&
+        Array.isArray(g.ships) && g.ships.every(s => isValidShip(s, empireIds, shipTypes)) &&
+        arePlanetIds(g.route) && arePlanetIds(g.waypoints)
+    ), 'a fleet in flight is invalid');
+    check(Array.isArray(state.hyperlanes) && state.hyperlanes.every(lane => arePlanetIds(lane) && lane.length === 2),
+        'a hyperlane links unknown planets');
+    check(Array.isArray(state.fleets) && state.fleets.every(f => isObject(f) && empireIds.has(f.owner)), 'a named fleet has an unknown owner');
+    check(Array.isArray(state.treaties) && state.treaties.every(t =>
+        isObject(t) && t.type in TREATY_TYPES && Array.isArray(t.empireIds) && t.empireIds.every(id => empireIds.has(id))
+    ), 'a treaty is invalid');
+    check(Array.isArray(state.pendingConquests) && state.pendingConquests.every(c =>
+        isObject(c) && planetIds.has(c.planetId) && empireIds.has(c.newOwner)
+    ), 'a conquest is invalid');
+    check(Array.isArray(state.battleQueue) && state.battleQueue.every(b => isObject(b) && planetIds.has(b.planetId)),
+        'a pending battle is at an unknown planet');
+    check(Array.isArray(state.recentAttacks) && state.recentAttacks.every(a =>
+        isObject(a) && planetIds.has(a.planetId) && empireIds.has(a.attackerId) && Number.isInteger(a.turn)
+    ), 'a recent attack is invalid');
+    check(Array.isArray(state.battleHistory) && state.battleHistory.every(r => isObject(r) && Array.isArray(r.rounds)),
+        'the battle history is invalid');
+
+    return problems;
+}
+
+function isValidShip(ship, empireIds, shipTypes) {
+    return isObject(ship) &&
+        shipTypes.has(ship.type) &&
+        empireIds.has(ship.owner) &&
+        isFiniteNumber(ship.hitPoints) &&
+        isFiniteNumber(ship.maxHitPoints) && ship.maxHitPoints > 0 &&
+        Number.isInteger(ship.battles) && ship.battles >= 0 &&
+        Number.isInteger(ship.kills) && ship.kills >= 0 &&
+        (ship.captain === null || typeof ship.captain === 'string');
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
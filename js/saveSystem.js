@@ -3,27 +3,73 @@
 // ============================================
 //
 // This module handles all game save/load operations including:
-// - Auto-saving game state after each turn
-// - Loading saved games
+// - Auto-saving game state after each turn (keeping the last AUTOSAVE_ROTATION turns)
+// - Saving to named slots
+// - Loading saved games (a save that cannot be restored is reported, never thrown)
 // - Deleting saves
 // - Moving completed games to leaderboard
+// - Exporting the current game to a save file and importing such files (no account needed)
+//
+// Saves go to a storage backend (see saveBackends.js): the signed-in user's Supabase
+// account, or this browser's IndexedDB for guests. Both hold the same save records, so
+// everything below works the same for either.
 //
 // Exports:
-// - autoSaveGame() - Upsert current game state to saved_games
+// - getSaveBackend() - Backend saves currently go to (cloud, local or null)
+// - autoSaveGame() - Write an autosave of the current game and drop its older autosaves
+// - saveGameToSlot(name) - Write (or overwrite) a named save slot
 // - loadSavedGame(saveId) - Restore full game state
 // - deleteSavedGame(saveId) - Remove a save
-// - listSavedGames() - Get user's saves for menu
-// - completeGame(victory) - Move to completed_games, delete save
+// - listSavedGames() - Get the backend's saves for menu
+// - completeGame(victory, condition) - Move to completed_games (with replay data, victory type and map fairness), delete autosaves
+// - exportSaveFile() - Current game as a versioned JSON save file { fileName, contents }
+// - importSaveFile(text) - Restore a game from the contents of an exported save file
+//
+// Loading and importing return { success: false, error } for every save they cannot
+// restore, so the start screen can show the reason under the saved games list.
 
 import { supabase } from './supabaseClient.js';
-import { gameState, serializeGameState, deserializeGameState, getMinimalMapState, calculateScore } from './gameState.js';
+import { gameState, serializeGameState, deserializeGameState, getMinimalMapState, getReplayData, calculateScore } from './gameState.js';
+import { localBackend, cloudBackend, createSaveId } from './saveBackends.js';
+import { AUTOSAVE_ROTATION, MAX_SAVE_SLOTS, SAVE_FILE_FORMAT, SAVE_FILE_VERSION } from './config.js';
+
+// Signed-in users save to the cloud, guests to this browser
+export function getSaveBackend() {
+    if (cloudBackend.isAvailable()) return cloudBackend;
+    if (localBackend.isAvailable()) return localBackend;
+    return null;
+}
+
+// Save record of the current game (see saveBackends.js)
+function createSaveRecord(kind, name = null) {
+    // Games started before v2.15.0 (or loaded from such a save) get their id here
+    gameState.gameId ??= createSaveId();
+
+    return {
+        id: null,
+        gameId: gameState.gameId,
+        kind,
+        name,
+        turn: gameState.turn,
+        mapSeed: gameState.mapSeed,
+        mapSize: gameState.mapSize,
+        difficulty: gameState.difficulty,
+        playerColor: gameState.playerColor,
+        aiColor: gameState.aiColor,
+        score: calculateScore('player'),
+        playerPlanets: countPlanets('player'),
+        enemyPlanets: gameState.planets.filter(p => p.owner && p.owner !== 'player').length, // All AI empires combined
+        gameState: serializeGameState()
+    };
+}
 
 // Auto-save the current game state
-// Called after each turn ends (for authenticated users only)
+// Called after each turn ends. Every turn gets its own autosave; only the newest
+// AUTOSAVE_ROTATION autosaves of this game are kept.
 export async function autoSaveGame() {
-    // Don't save if user is not authenticated
-    if (!gameState.userId) {
-        return { success: false, error: 'Not authenticated' };
+    const backend = getSaveBackend();
+    if (!backend) {
+        return { success: false, error: 'No save storage available' };
     }
 
     // Don't save if game is over
@@ -31,56 +77,81 @@ export async function autoSaveGame() {
         return { success: false, error: 'Game is over' };
     }
 
-    const serializedState = serializeGameState();
+    const { data, error } = await backend.write(createSaveRecord('autosave'));
+    if (error) {
+        console.error('Error saving game:', error);
+        return { success: false, error };
+    }
+
+    gameState.currentSaveId = data.id;
+    await pruneAutosaves(backend, data.gameId, AUTOSAVE_ROTATION);
 
-    const saveData = {
-        user_id: gameState.userId,
-        map_seed: gameState.mapSeed,
-        map_size: gameState.mapSize,
-        difficulty: gameState.difficulty,
-        player_color: gameState.playerColor,
-        ai_color: gameState.aiColor,
-        current_turn: gameState.turn,
-        player_score: calculateScore('player'),
-        player_planets: countPlanets('player'),
-        enemy_planets: countPlanets('enemy'),
-        game_state: serializedState,
-        updated_at: new Date().toISOString()
-    };
+    return { success: true, saveId: data.id };
+}
+
+// Delete all but the newest `keep` autosaves of a game
+async function pruneAutosaves(backend, gameId, keep) {
+    const { data, error } = await backend.list();
+    if (error) {
+        console.error('Error listing autosaves:', error);
+        return;
+    }
 
-    let result;
-
-    if (gameState.currentSaveId) {
-        // Update existing save
-        const { data, error } = await supabase
-            .from('saved_games')
-            .update(saveData)
-            .eq('id', gameState.currentSaveId)
-            .eq('user_id', gameState.userId)
-            .select()
-            .single();
-
-        result = { data, error };
-    } else {
-        // Create new save
-        const { data, error } = await supabase
-            .from('saved_games')
-            .insert(saveData)
-            .select()
-            .single();
-
-        if (data) {
-            gameState.currentSaveId = data.id;
+    const expired = data
+        .filter(save => save.gameId === gameId && save.kind === 'autosave')
+        .slice(keep)
+        .map(save => save.id);
+
+    if (expired.length > 0) {
+        const { error: removeError } = await backend.remove(expired);
+        if (removeError) {
+            console.error('Error removing old autosaves:', removeError);
         }
-        result = { data, error };
+    }
+}
+
+// Save the current game to a named slot. A slot with the same name is overwritten;
+// a new name needs one of the MAX_SAVE_SLOTS slots to be free.
+export async function saveGameToSlot(name) {
+    const backend = getSaveBackend();
+    if (!backend) {
+        return { success: false, error: 'No save storage available' };
+    }
+
+    const slotName = name.trim();
+    if (!slotName) {
+        return { success: false, error: 'Enter a name for the save' };
+    }
+
+    if (gameState.gameOver) {
+        return { success: false, error: 'Game is over' };
+    }
+
+    const { data: saves, error: listError } = await backend.list();
+    if (listError) {
+        console.error('Error listing saved games:', listError);
+        return { success: false, error: listError };
     }
 
-    if (result.error) {
-        console.error('Error saving game:', result.error);
-        return { success: false, error: result.error };
+    const slots = saves.filter(save => save.kind === 'manual');
+    const existing = slots.find(save => save.name === slotName);
+    if (!existing && slots.length >= MAX_SAVE_SLOTS) {
+        return { success: false, error: `All ${MAX_SAVE_SLOTS} save slots are in use` };
     }
 
-    return { success: true, saveId: result.data.id };
+    const record = createSaveRecord('manual', slotName);
+    if (existing) {
+        record.id = existing.id;
+        record.createdAt = existing.createdAt;
+    }
+
+    const { data, error } = await backend.write(record);
+    if (error) {
+        console.error('Error saving game:', error);
+        return { success: false, error };
+    }
+
+    return { success: true, saveId: data.id, overwritten: !!existing };
 }
 
 // Count planets owned by a specific owner
@@ -90,16 +161,12 @@ function countPlanets(owner) {
 
 // Load a saved game by ID
 export async function loadSavedGame(saveId) {
-    if (!gameState.userId) {
-        return { success: false, error: 'Not authenticated' };
+    const backend = getSaveBackend();
+    if (!backend) {
+        return { success: false, error: 'No save storage available' };
     }
 
-    const { data, error } = await supabase
-        .from('saved_games')
-        .select('*')
-        .eq('id', saveId)
-        .eq('user_id', gameState.userId)
-        .single();
+    const { data, error } = await backend.load(saveId);
 
     if (error) {
         console.error('Error loading saved game:', error);
@@ -110,8 +177,13 @@ export async function loadSavedGame(saveId) {
         return { success: false, error: 'Save not found' };
     }
 
-    // Restore the game state
-    deserializeGameState(data.game_state);
+    // Restore the game state (rejected if it is corrupt or from a newer version)
+    const restored = restoreGameState(data.gameState);
+    if (!restored.success) {
+        console.error('Error loading saved game:', restored.error);
+        return restored;
+    }
+    gameState.gameId = data.gameId;
     gameState.currentSaveId = data.id;
 
     return { success: true, data };
@@ -119,15 +191,12 @@ export async function loadSavedGame(saveId) {
 
 // Delete a saved game by ID
 export async function deleteSavedGame(saveId) {
-    if (!gameState.userId) {
-        return { success: false, error: 'Not authenticated' };
+    const backend = getSaveBackend();
+    if (!backend) {
+        return { success: false, error: 'No save storage available' };
     }
 
-    const { error } = await supabase
-        .from('saved_games')
-        .delete()
-        .eq('id', saveId)
-        .eq('user_id', gameState.userId);
+    const { error } = await backend.remove(saveId);
 
     if (error) {
         console.error('Error deleting saved game:', error);
@@ -142,43 +211,38 @@ export async function deleteSavedGame(saveId) {
     return { success: true };
 }
 
-// List all saved games for the current user
+// List all saved games of the active backend (newest first)
 export async function listSavedGames() {
-    if (!gameState.userId) {
-        return { success: false, saves: [], error: 'Not authenticated' };
+    const backend = getSaveBackend();
+    if (!backend) {
+        return { success: false, saves: [], error: 'No save storage available' };
     }
 
-    const { data, error } = await supabase
-        .from('saved_games')
-        .select('id, map_seed, map_size, difficulty, player_color, ai_color, current_turn, player_score, player_planets, enemy_planets, created_at, updated_at')
-        .eq('user_id', gameState.userId)
-        .order('updated_at', { ascending: false });
+    const { data, error } = await backend.list();
 
     if (error) {
         console.error('Error listing saved games:', error);
         return { success: false, saves: [], error };
     }
 
-    return { success: true, saves: data || [] };
+    return { success: true, saves: data, backend: backend.name };
 }
 
 // Complete a game (victory or defeat)
-// Moves game to completed_games table and deletes the save
-export async function completeGame(victory) {
-    // Only save to leaderboard for authenticated users who won
-    if (!gameState.userId) {
-        return { success: false, error: 'Not authenticated' };
-    }
+// Moves game to completed_games table and deletes the game's autosaves (named
+// slots stay until the player deletes them).
+// `condition` is the VICTORY_TYPES key that ended the game (leaderboard filter)
+export async function completeGame(victory, condition = 'elimination') {
+    // Only save victories of authenticated users to leaderboard (per user requirement)
+    if (victory && gameState.userId) {
+        // Calculate final statistics
+        const finalStats = calculateFinalStats();
 
-    // Calculate final statistics
-    const finalStats = calculateFinalStats();
-
-    // Only save victories to leaderboard (per user requirement)
-    if (victory) {
         const completedData = {
             user_id: gameState.userId,
             username: gameState.username,
             map_seed: gameState.mapSeed,
+            map_fairness: gameState.mapFairness, // Start fairness of the seed's map (lopsided map flag)
             map_size: gameState.mapSize,
             difficulty: gameState.difficulty,
             player_color: gameState.playerColor,
@@ -187,10 +251,12 @@ export async function completeGame(victory) {
             final_score: calculateScore('player'),
             final_turn: gameState.turn,
             victory: victory,
+            victory_type: condition,
             planets_owned: finalStats.planetsOwned,
             ships_built: finalStats.shipsBuilt,
             enemy_ships_destroyed: finalStats.enemyShipsDestroyed,
-            final_map_state: getMinimalMapState()
+            final_map_state: getMinimalMapState(),
+            replay: getReplayData() // Seed + command log for the replay viewer (null if incomplete)
         };
 
         const { error: insertError } = await supabase
@@ -199,28 +265,84 @@ export async function completeGame(victory) {
 
         if (insertError) {
             console.error('Error saving completed game:', insertError);
-            // Continue to delete save even if leaderboard insert fails
+            // Continue to delete autosaves even if leaderboard insert fails
         }
     }
 
-    // Delete the saved game
-    if (gameState.currentSaveId) {
-        const { error: deleteError } = await supabase
-            .from('saved_games')
-            .delete()
-            .eq('id', gameState.currentSaveId)
-            .eq('user_id', gameState.userId);
+    // Delete the game's autosaves
+    const backend = getSaveBackend();
+    if (backend && gameState.gameId) {
+        await pruneAutosaves(backend, gameState.gameId, 0);
+    }
+    gameState.currentSaveId = null;
 
-        if (deleteError) {
-            console.error('Error deleting save after game completion:', deleteError);
-        }
+    return { success: true };
+}
 
-        gameState.currentSaveId = null;
+// Export the current game as a save file. The wrapper carries a format tag and
+// version so files can be recognised (and upgraded) when they are imported again.
+export function exportSaveFile() {
+    const file = {
+        format: SAVE_FILE_FORMAT,
+        version: SAVE_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        // Readable summary for people sharing files; import only uses gameState
+        game: {
+            mapSeed: gameState.mapSeed,
+            mapFairness: gameState.mapFairness,
+            mapSize: gameState.mapSize,
+            difficulty: gameState.difficulty,
+            turn: gameState.turn,
+            score: calculateScore('player')
+        },
+        gameState: serializeGameState()
+    };
+
+    return {
+        fileName: `4xspace-${gameState.mapSeed}-turn${gameState.turn}.json`,
+        contents: JSON.stringify(file)
+    };
+}
+
+// Restore a game from the text of an exported save file.
+// The imported game starts its own autosaves (it gets a new game id on the first save).
+export function importSaveFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        return { success: false, error: 'Not a valid save file' };
     }
 
+    if (file?.format !== SAVE_FILE_FORMAT) {
+        return { success: false, error: 'Not a 4X Space save file' };
+    }
+    if (typeof file.version !== 'number' || file.version > SAVE_FILE_VERSION) {
+        return { success: false, error: 'Save file is from a newer version of the game' };
+    }
+
+    // Older game states are upgraded; corrupt or tampered ones are rejected
+    const restored = restoreGameState(file.gameState);
+    if (!restored.success) {
+        return restored;
+    }
+    gameState.gameId = null;
+    gameState.currentSaveId = null;
+
     return { success: true };
 }
 
+// deserializeGameState() that reports damage the save checks did not foresee as a failed
+// load instead of throwing
+function restoreGameState(saved) {
+    try {
+        return deserializeGameState(saved);
+    } catch (err) {
+        console.error('Error restoring game state:', err);
+        return { success: false, error: 'Save data is corrupt' };
+    }
+}
+
 // Calculate final game statistics
 function calculateFinalStats() {
     const playerPlanets = gameState.planets.filter(p => p.owner === 'player');
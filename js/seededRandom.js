@@ -1,5 +1,19 @@
 // Seeded Random Number Generator using Mulberry32 algorithm
-// Provides reproducible random numbers for map generation replay
+// Provides reproducible random numbers for map generation replay and for the
+// per-game random streams (combat, AI, ids) that make every turn deterministic
+
+// Independent streams derived from the map seed. Each subsystem draws from its own
+// stream so that, e.g., an extra AI decision never shifts later combat rolls.
+export const RANDOM_STREAMS = ['combat', 'ai', 'ids'];
+
+// Advance a Mulberry32 state by one step; returns { state, value } with value in [0, 1)
+export function mulberry32(state) {
+    const nextState = (state + 0x6D2B79F5) >>> 0;
+    let t = nextState;
+    t = Math.imul(t ^ t >>> 15, t | 1);
+    t ^= t + Math.imul(t ^ t >>> 7, t | 61);
+    return { state: nextState, value: ((t ^ t >>> 14) >>> 0) / 4294967296 };
+}
 
 export class SeededRandom {
     constructor(seed) {
@@ -25,10 +39,9 @@ export class SeededRandom {
 
     // Mulberry32 PRNG - fast and high quality
     random() {
-        let t = this.state += 0x6D2B79F5;
-        t = Math.imul(t ^ t >>> 15, t | 1);
-        t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+        const { state, value } = mulberry32(this.state);
+        this.state = state;
+        return value;
     }
 
     // Get random integer between min (inclusive) and max (exclusive)
@@ -53,3 +66,13 @@ export function generateMapSeed() {
     const randomPart = Math.random().toString(36).substring(2, 8);
     return `${timestamp}-${randomPart}`;
 }
+
+// Create the initial state of every game random stream for a map seed.
+// The result is plain numbers so it survives JSON saves and structuredClone.
+export function createRandomStreams(mapSeed) {
+    const streams = {};
+    for (const name of RANDOM_STREAMS) {
+        streams[name] = new SeededRandom(`${mapSeed}:${name}`).state;
+    }
+    return streams;
+}
@@ -0,0 +1,210 @@
+// ============================================
+// SHIP DESIGNS - HULLS & COMPONENTS
+// ============================================
+// Version: 1.0.0
+//
+// This module lets empires design their own ship types. A design is a hull (HULL_SIZES)
+// fitted with components (SHIP_COMPONENTS); its stats are derived from both and have the
+// same shape as a SHIP_TYPES entry. A ship built from a design carries the design's id as
+// its type, so every module that looks ship types up through getShipType() (build costs
+// and times, fleet power, speed, sensors, upkeep, icons and colors) handles designs and
+// stock ships alike. Technology bonuses are applied on top by research.getShipStats().
+//
+// Designs never change once created: a new loadout is a new design. Designs are retired
+// instead of deleted, so ships already built (and remembered intel) keep their stats.
+//
+// Core Responsibilities:
+// - Derive a design's stats, cost, build time, icon and color from its hull and components
+// - Check designs (unlocked hull, free slots, component limits, colony ships unarmed, design limit)
+// - Create and retire designs (player commands, recorded for replays; the AI designs its own)
+// - Tell colony ships (stock colonizers and designs with a colony pod) from the rest
+//
+// Design State:
+// - gameState.shipDesigns = [{ id, owner, name, hull, components: { componentType: count }, retired }]
+// - Design ids are '<owner>-design-<n>' and never collide with SHIP_TYPES keys
+//
+// Exports:
+// - getShipType(type): SHIP_TYPES entry or derived design stats (null for unknown types)
+// - getDesign(designId), getShipDesigns(owner): Designs by id / an empire's designs in service
+// - getDesignStats(hull, components): Stats of a loadout (designer preview)
+// - getDesignProblem(owner, hull, components): Why a loadout cannot be saved (null when it can)
+// - createDesign(owner, name, hull, components): New design (shared by player and AI)
+// - createPlayerDesign(name, hull, components), retireDesign(designId): Player commands
+// - canBuildShipType(owner, type): Stock types and the owner's own designs in service
+// - isColonyShip(ship): True for ships that can colonize (and do not fight)
+//
+// Used by: research (ship stats, unlocks), shipSystem (costs, build checks), combatSystem,
+//          turnSystem, fleets, aiSystem (colony ships, designs), economy (upkeep), visibility
+//          (sensors), renderer and uiManager (icons, colors, designer), simulation (player commands)
+
+import { gameState, recordCommand } from './gameState.js';
+import { SHIP_TYPES, HULL_SIZES, SHIP_COMPONENTS, MAX_SHIP_DESIGNS, TECHNOLOGIES } from './config.js';
+import { hasTech } from './research.js';
+
+const MAX_DESIGN_NAME_LENGTH = 24;
+
+// Derived stats per design object (designs never change, so they are computed once)
+const designStatsCache = new WeakMap();
+
+export function getShipType(type) {
+    if (type in SHIP_TYPES) return SHIP_TYPES[type];
+
+    const design = getDesign(type);
+    if (!design) return null;
+
+    let stats = designStatsCache.get(design);
+    if (!stats) {
+        stats = { ...getDesignStats(design.hull, design.components), name: design.name };
+        designStatsCache.set(design, stats);
+    }
+    return stats;
+}
+
+export function getDesign(designId) {
+    return gameState.shipDesigns.find(d => d.id === designId) || null;
+}
+
+export function getShipDesigns(owner) {
+    return gameState.shipDesigns.filter(d => d.owner === owner && !d.retired);
+}
+
+export function getDesignStats(hull, components) {
+    const hullType = HULL_SIZES[hull];
+    const stats = {
+        name: hullType.name,
+        icon: hullType.icon,
+        color: getDesignColor(components),
+        hull: hull,
+        speed: hullType.speed,
+        attack: 0,
+        defense: 0,
+        maxHitPoints: hullType.maxHitPoints,
+        sensorRange: hullType.sensorRange,
+        cost: { ...hullType.cost },
+        upkeep: hullType.upkeep,
+        baseBuildTime: hullType.baseBuildTime,
+        minBuildTime: hullType.minBuildTime,
+        colonyPods: 0
+    };
+    if (hullType.requiresTech) stats.requiresTech = hullType.requiresTech;
+
+    for (const [type, count] of Object.entries(components)) {
+        const component = SHIP_COMPONENTS[type];
+        stats.attack += (component.attack || 0) * count;
+        stats.maxHitPoints += (component.maxHitPoints || 0) * count;
+        stats.speed += (component.speed || 0) * count;
+        stats.sensorRange += (component.sensorRange || 0) * count;
+        stats.colonyPods += (component.colonyPods || 0) * count;
+        stats.baseBuildTime += component.buildTime * count;
+        for (const resource in stats.cost) {
+            stats.cost[resource] += component.cost[resource] * count;
+        }
+    }
+
+    // Rounded so designs show the same kind of numbers as stock ships
+    stats.speed = Math.round(stats.speed * 100) / 100;
+    stats.baseBuildTime = Math.max(stats.minBuildTime, Math.round(stats.baseBuildTime));
+    return stats;
+}
+
+// The color of the component the design carries most of (the first one on ties);
+// colony ships always take the colony pod's color so they read as colonizers on the map
+function getDesignColor(components) {
+    if (components.colonyPod > 0) return SHIP_COMPONENTS.colonyPod.color;
+
+    let color = '#ffffff';
+    let most = 0;
+    for (const [type, count] of Object.entries(components)) {
+        if (count > most) {
+            most = count;
+            color = SHIP_COMPONENTS[type].color;
+        }
+    }
+    return color;
+}
+
+export function getDesignProblem(owner, hull, components) {
+    const hullType = HULL_SIZES[hull];
+    if (!hullType) return 'Unknown hull';
+    if (hullType.requiresTech && !hasTech(owner, hullType.requiresTech)) {
+        return `Needs research: ${TECHNOLOGIES[hullType.requiresTech].name}`;
+    }
+    if (!isObject(components)) return 'No components';
+
+    let used = 0;
+    for (const [type, count] of Object.entries(components)) {
+        const component = SHIP_COMPONENTS[type];
+        if (!component) return 'Unknown component';
+        if (!Number.isInteger(count) || count < 0) return 'Invalid component count';
+        if (component.maxPerDesign && count > component.maxPerDesign) {
+            return `At most ${component.maxPerDesign} ${component.name} per design`;
+        }
+        used += count;
+    }
+
+    if (used === 0) return 'Fit at least one component';
+    if (used > hullType.slots) return `Too many components (${used}/${hullType.slots} slots)`;
+    if (components.colonyPod > 0 && components.weapon > 0) return 'Colony ships cannot carry weapons';
+    if (getShipDesigns(owner).length >= MAX_SHIP_DESIGNS) return `Design limit reached (${MAX_SHIP_DESIGNS})`;
+    return null;
+}
+
+export function createDesign(owner, name, hull, components) {
+    if (getDesignProblem(owner, hull, components)) return null;
+
+    // Only fitted components are kept, in SHIP_COMPONENTS order
+    const fitted = {};
+    for (const type of Object.keys(SHIP_COMPONENTS)) {
+        if (components[type] > 0) fitted[type] = components[type];
+    }
+
+    // Designs are never deleted, so the count of an empire's designs numbers the next one
+    const number = gameState.shipDesigns.filter(d => d.owner === owner).length + 1;
+    const design = {
+        id: `${owner}-design-${number}`,
+        owner: owner,
+        name: cleanDesignName(name) || `${HULL_SIZES[hull].name} Mk ${number}`,
+        hull: hull,
+        components: fitted,
+        retired: false
+    };
+    gameState.shipDesigns.push(design);
+    return design;
+}
+
+export function createPlayerDesign(name, hull, components) {
+    const design = createDesign('player', name, hull, components);
+    if (!design) return null;
+
+    recordCommand({ type: 'createDesign', name: name, hull: hull, components: components });
+    return design;
+}
+
+export function retireDesign(designId) {
+    const design = getDesign(designId);
+    if (!design || design.owner !== 'player' || design.retired) return false;
+
+    design.retired = true;
+    recordCommand({ type: 'retireDesign', designId: designId });
+    return true;
+}
+
+export function canBuildShipType(owner, type) {
+    if (type in SHIP_TYPES) return true;
+
+    const design = getDesign(type);
+    return !!design && design.owner === owner && !design.retired;
+}
+
+export function isColonyShip(ship) {
+    return getShipType(ship.type).colonyPods > 0;
+}
+
+function cleanDesignName(name) {
+    const cleaned = typeof name === 'string' ? name.trim().slice(0, MAX_DESIGN_NAME_LENGTH) : '';
+    return cleaned || null;
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
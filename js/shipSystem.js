@@ -1,69 +1,106 @@
 // ============================================
 // SHIP BUILDING & MOVEMENT
 // ============================================
+// Version: 2.13.1
 //
 // This module manages ship construction, build queues, and fleet movement
 // between planets, including destination selection and fleet composition.
 //
 // Core Responsibilities:
 // - Check if player can afford to build specific ship types
-// - Calculate build times based on ship type and planet population
+// - Calculate build times based on ship type, planet population, shipyard upgrades and the owner's research
+// - Refuse ship types the owner has not unlocked through research
+// - Build the owner's ship designs like stock ship types (stats and costs via getShipType)
 // - Add ships to planet build queues and deduct resources
 // - Cancel builds and refund 50% of resources
 // - Initiate fleet movement with destination selection mode
-// - Create traveling ship groups with travel time calculations
+// - Create traveling ship groups with travel time calculations (faster through friendly territory)
+// - Route fleets along hyperlanes (one lane per leg) when the map uses lane travel
 // - Handle fleet composition and individual ship selection
+// - Keep named fleets together in flight (group.fleetId) and route fleet targeting to fleets.js
+// - Chain waypoints (shift-click) into one order with travel time computed per leg
+// - Recall, redirect and edit the waypoints of groups already in flight
+// - Stay DOM-free: destination selection mode is reported through game events
+// - Record player build, cancel and fleet orders in the command log (replays)
 //
 // Exports:
-// - buildShip(type): Builds a ship at selected planet
+// - buildShip(type, planet): Builds a ship (stock type or own design id) at a planet (defaults to selected planet)
 // - canAffordShip(owner, type): Checks resource availability
-// - calculateBuildTime(type, population): Computes build duration
+// - calculateBuildTime(type, planet, owner): Computes build duration (owner defaults to the planet owner)
 // - cancelBuild(planetId, buildId): Cancels and refunds build
+// - dispatchFleet(owner, fromPlanet, ships, targetPlanet, waypointIds): Launches a traveling group (null if the order goes nowhere)
+// - getOrderStops(fromPlanet, targetPlanet, waypointIds): Stops a fleet order flies to (empty if it never leaves)
+// - calculateTravelTurns(owner, ships, fromPlanet, toPlanet): Turns to fly one leg
+// - getRemainingTravelTurns(group): Estimated turns until a group reaches its final destination
+// - getWaypointETAs(group): Estimated turns until each remaining waypoint [{ planetId, turns }]
+// - orderPlayerFleet(fromPlanet, ships, targetPlanet, waypointIds): Player fleet order (dispatch + command log)
 // - sendShips(), sendSelectedShips(), completeShipSend(): Fleet movement functions
+// - addPendingWaypoint(planet): Adds a stop to the order being targeted (shift-click)
 // - cancelDestinationSelection(): Exits destination selection mode
+// - recallGroup(groupId), redirectGroup(groupId, targetPlanetId, waypointIds), cancelWaypoint(groupId, index):
+//   Player orders for groups in flight
+// - startRedirectSelection(groupId): Map targeting for a redirect
 //
-// Used by: uiManager (build buttons, fleet UI), turnSystem (processes build queues)
+// Waypoints:
+// - group.waypoints = remaining stops the player picked, final destination last
+// - A group passes through its waypoints like hyperlane hops: a rival at a waypoint stops it there
+// - Groups in flight cannot stop in deep space: a new order either finishes the current leg
+//   or turns around on it (taking as long as the group has flown so far), whichever is sooner
+//
+// Events emitted: destinationSelectionStarted, destinationSelectionEnded
+//
+// Used by: uiManager (build buttons, fleet UI), turnSystem (processes build queues),
+//          aiSystem (fleet dispatch), simulation (player commands)
 
-import { gameState, generateId } from './gameState.js';
-import { SHIP_TYPES } from './config.js';
+import { gameState, generateId, recordCommand } from './gameState.js';
+import { getShipStats, isShipUnlocked } from './research.js';
+import { getBuildTimeMultiplier } from './buildings.js';
+import { getShipType, canBuildShipType } from './shipDesigns.js';
+import { findRouteThrough, getFinalDestinationId } from './hyperlanes.js';
+import { prepareFleetsForDeparture, completeFleetDestination } from './fleets.js';
+import { getTerritoryTravelFactor } from './supply.js';
+import { emitGameEvent } from './gameEvents.js';
 
 export function canAffordShip(owner, type) {
-    const cost = SHIP_TYPES[type].cost;
+    const cost = getShipType(type).cost;
     const player = gameState.players[owner];
     return player.energy >= cost.energy &&
            player.minerals >= cost.minerals &&
            player.food >= cost.food;
 }
 
-export function calculateBuildTime(type, population) {
-    const ship = SHIP_TYPES[type];
-    const popFactor = Math.max(0.5, 1 - (population / 200));
-    return Math.max(ship.minBuildTime, Math.ceil(ship.baseBuildTime * popFactor));
+export function calculateBuildTime(type, planet, owner = planet.owner) {
+    const ship = getShipStats(owner, type);
+    const popFactor = Math.max(0.5, 1 - (planet.population / 200));
+    return Math.max(ship.minBuildTime, Math.ceil(ship.baseBuildTime * popFactor * getBuildTimeMultiplier(planet)));
 }
 
-export function buildShip(type) {
-    if (!gameState.selectedPlanet) return;
+export function buildShip(type, planet = gameState.selectedPlanet) {
+    if (!planet) return;
 
     // Neutral planets cannot build ships
-    if (gameState.selectedPlanet.owner === null) return false;
+    if (planet.owner === null) return false;
 
-    if (gameState.selectedPlanet.owner !== 'player') return;
+    if (planet.owner !== 'player') return;
+    if (!canBuildShipType('player', type)) return;
+    if (!isShipUnlocked('player', type)) return;
     if (!canAffordShip('player', type)) return;
 
-    const cost = SHIP_TYPES[type].cost;
+    const cost = getShipType(type).cost;
     const player = gameState.players.player;
 
     player.energy -= cost.energy;
     player.minerals -= cost.minerals;
     player.food -= cost.food;
 
-    const buildTime = calculateBuildTime(type, gameState.selectedPlanet.population);
+    const buildTime = calculateBuildTime(type, planet);
 
-    gameState.selectedPlanet.buildQueue.push({
+    planet.buildQueue.push({
         id: generateId(),
         type: type,
         turnsRemaining: buildTime
     });
+    recordCommand({ type: 'build', planetId: planet.id, shipType: type });
 
     // Notification will be handled by uiManager
     return true;
@@ -76,7 +113,7 @@ export function cancelBuild(planetId, buildId) {
     const idx = planet.buildQueue.findIndex(b => b.id === buildId);
     if (idx !== -1) {
         const item = planet.buildQueue[idx];
-        const cost = SHIP_TYPES[item.type].cost;
+        const cost = getShipType(item.type).cost;
 
         // Refund 50%
         gameState.players.player.energy += Math.floor(cost.energy * 0.5);
@@ -84,6 +121,7 @@ export function cancelBuild(planetId, buildId) {
         gameState.players.player.food += Math.floor(cost.food * 0.5);
 
         planet.buildQueue.splice(idx, 1);
+        recordCommand({ type: 'cancelBuild', planetId: planet.id, buildId: buildId });
         return true;
     }
     return false;
@@ -92,10 +130,10 @@ export function cancelBuild(planetId, buildId) {
 export function sendShips(sourcePlanet, ships) {
     gameState.sourcePlanet = sourcePlanet;
     gameState.shipsToSend = ships;
+    gameState.pendingWaypoints = [];
     gameState.selectingDestination = true;
 
-    document.getElementById('destinationHint').style.display = 'block';
-    document.getElementById('gameContainer').classList.add('selecting-destination');
+    emitGameEvent('destinationSelectionStarted', { sourcePlanetId: sourcePlanet.id });
 }
 
 export function sendSelectedShips() {
@@ -118,44 +156,256 @@ export function cancelDestinationSelection() {
     gameState.selectingDestination = false;
     gameState.sourcePlanet = null;
     gameState.shipsToSend = null;
+    gameState.fleetDestination = null;
+    gameState.redirectGroupId = null;
+    gameState.pendingWaypoints = [];
     gameState.selectedShipIds.clear();
 
-    document.getElementById('destinationHint').style.display = 'none';
-    document.getElementById('gameContainer').classList.remove('selecting-destination');
+    emitGameEvent('destinationSelectionEnded');
+}
+
+// Shift-click during destination selection: the planet becomes the next stop of the order
+export function addPendingWaypoint(planet) {
+    if (!gameState.selectingDestination) return false;
+
+    const previousId = gameState.pendingWaypoints.at(-1) ?? gameState.sourcePlanet?.id;
+    if (planet.id === previousId) return false;
+
+    gameState.pendingWaypoints.push(planet.id);
+    return true;
 }
 
 export function completeShipSend(targetPlanet) {
-    if (!gameState.sourcePlanet || !gameState.shipsToSend || !targetPlanet) return;
-    if (targetPlanet === gameState.sourcePlanet) {
+    if (!targetPlanet) return;
+    const waypointIds = [...gameState.pendingWaypoints];
+
+    if (gameState.redirectGroupId) {
+        redirectGroup(gameState.redirectGroupId, targetPlanet.id, waypointIds);
         cancelDestinationSelection();
         return;
     }
 
-    const distance = Math.sqrt(
-        (targetPlanet.x - gameState.sourcePlanet.x) ** 2 +
-        (targetPlanet.y - gameState.sourcePlanet.y) ** 2
-    );
+    if (!gameState.sourcePlanet || !gameState.shipsToSend) return;
+    // Clicking the source planet cancels, unless it closes a round trip through waypoints
+    if (targetPlanet === gameState.sourcePlanet && waypointIds.length === 0) {
+        cancelDestinationSelection();
+        return;
+    }
+
+    // Named fleet targeting (move or patrol) started from the fleet panel
+    if (gameState.fleetDestination) {
+        completeFleetDestination(targetPlanet, waypointIds);
+        return;
+    }
+
+    orderPlayerFleet(gameState.sourcePlanet, gameState.shipsToSend, targetPlanet, waypointIds);
+
+    cancelDestinationSelection();
+}
 
-    const avgSpeed = gameState.shipsToSend.reduce((sum, s) => sum + SHIP_TYPES[s.type].speed, 0) / gameState.shipsToSend.length;
-    const turnsToTravel = Math.max(1, Math.ceil(distance / (avgSpeed * 100)));
+// Player fleet order: launch the ships and record the order for replays
+export function orderPlayerFleet(fromPlanet, ships, targetPlanet, waypointIds = []) {
+    const command = {
+        type: 'sendShips',
+        fromPlanetId: fromPlanet.id,
+        shipIds: ships.map(s => s.id),
+        targetPlanetId: targetPlanet.id
+    };
+    if (waypointIds.length > 0) {
+        command.waypointIds = [...waypointIds];
+    }
+    if (getOrderStops(fromPlanet, targetPlanet, waypointIds).length === 0) return null;
+    recordCommand(command);
+
+    return dispatchFleet('player', fromPlanet, ships, targetPlanet, waypointIds);
+}
+
+export function startRedirectSelection(groupId) {
+    const group = getPlayerGroup(groupId);
+    if (!group) return false;
+
+    gameState.redirectGroupId = group.id;
+    gameState.sourcePlanet = null;
+    gameState.shipsToSend = null;
+    gameState.pendingWaypoints = [];
+    gameState.selectingDestination = true;
+
+    emitGameEvent('destinationSelectionStarted', { groupId: group.id, purpose: 'redirect' });
+    return true;
+}
 
-    gameState.travelingShips.push({
+function getPlayerGroup(groupId) {
+    return gameState.travelingShips.find(g => g.id === groupId && g.owner === 'player') || null;
+}
+
+// Return to the planet the group last left
+export function recallGroup(groupId) {
+    const group = getPlayerGroup(groupId);
+    if (!group || !rerouteGroup(group, [group.fromPlanetId])) return false;
+
+    recordCommand({ type: 'recall', groupId: group.id });
+    return true;
+}
+
+// Replace every remaining stop of a group in flight
+export function redirectGroup(groupId, targetPlanetId, waypointIds = []) {
+    const group = getPlayerGroup(groupId);
+    if (!group || !rerouteGroup(group, [...waypointIds, targetPlanetId])) return false;
+
+    const command = { type: 'redirect', groupId: group.id, targetPlanetId: targetPlanetId };
+    if (waypointIds.length > 0) {
+        command.waypointIds = [...waypointIds];
+    }
+    recordCommand(command);
+    return true;
+}
+
+// Drop one remaining stop (index into group.waypoints); the last stop cannot be dropped, recall instead
+export function cancelWaypoint(groupId, index) {
+    const group = getPlayerGroup(groupId);
+    if (!group) return false;
+
+    const waypoints = getGroupWaypoints(group);
+    if (waypoints.length < 2 || index < 0 || index >= waypoints.length) return false;
+
+    const stops = waypoints.filter((_, i) => i !== index);
+    if (!rerouteGroup(group, stops)) return false;
+
+    recordCommand({ type: 'cancelWaypoint', groupId: group.id, index: index });
+    return true;
+}
+
+// Groups launched before v2.11.0 (and AI groups) only know their final destination
+function getGroupWaypoints(group) {
+    return group.waypoints?.length > 0 ? group.waypoints : [getFinalDestinationId(group)];
+}
+
+// Give a group in flight new stops. It either finishes its current leg and flies on, or
+// turns around on the current leg, whichever reaches the first stop sooner.
+function rerouteGroup(group, stopIds) {
+    const stops = removeRepeatedStops(stopIds);
+    const fromPlanet = gameState.planets.find(p => p.id === group.fromPlanetId);
+    const toPlanet = gameState.planets.find(p => p.id === group.targetPlanetId);
+    if (!fromPlanet || !toPlanet || stops.length === 0) return false;
+    if (stops.some(id => !gameState.planets.some(p => p.id === id))) return false;
+
+    const onwardRoute = findRouteThrough(toPlanet.id, stops);
+    const backRoute = findRouteThrough(fromPlanet.id, stops);
+    const turnsFlown = group.totalTurns - group.turnsRemaining;
+    const turnBackTurns = Math.max(1, turnsFlown);
+
+    const onwardTurns = onwardRoute ? group.turnsRemaining + getRouteTurns(group, toPlanet, onwardRoute) : Infinity;
+    const backTurns = backRoute ? turnBackTurns + getRouteTurns(group, fromPlanet, backRoute) : Infinity;
+    if (onwardTurns === Infinity && backTurns === Infinity) return false;
+
+    if (backTurns < onwardTurns) {
+        group.fromPlanetId = toPlanet.id;
+        group.targetPlanetId = fromPlanet.id;
+        group.turnsRemaining = turnBackTurns;
+        group.route = backRoute;
+    } else {
+        group.route = onwardRoute;
+    }
+
+    // Arriving at the leg's end planet counts as reaching a first stop there
+    group.waypoints = stops;
+    return true;
+}
+
+function removeRepeatedStops(stopIds) {
+    return stopIds.filter((id, i) => i === 0 || id !== stopIds[i - 1]);
+}
+
+// Waypoints then target, without repeats or the source planet as first stop
+export function getOrderStops(fromPlanet, targetPlanet, waypointIds = []) {
+    return removeRepeatedStops([...waypointIds, targetPlanet.id]).filter((id, i) => i > 0 || id !== fromPlanet.id);
+}
+
+function getRouteTurns(group, startPlanet, route) {
+    let turns = 0;
+    let previous = startPlanet;
+    for (const planetId of route) {
+        const next = gameState.planets.find(p => p.id === planetId);
+        turns += calculateTravelTurns(group.owner, group.ships, previous, next);
+        previous = next;
+    }
+    return turns;
+}
+
+// Launch a traveling group from one planet to another and remove the ships from the source.
+// Shared by player orders and the AI so both follow the same travel rules.
+// With hyperlanes the group flies the first lane of the route; turnSystem starts each
+// following leg when the group reaches the intermediate planet.
+// Escort fleets at the source planet join departing colonizers (see fleets.js).
+// Waypoints are flown in order before the target, one leg each.
+export function dispatchFleet(owner, fromPlanet, ships, targetPlanet, waypointIds = []) {
+    // An order whose every stop is the source planet goes nowhere
+    const stops = getOrderStops(fromPlanet, targetPlanet, waypointIds);
+    if (stops.length === 0) return null;
+
+    ships = prepareFleetsForDeparture(owner, fromPlanet, ships);
+    const route = findRouteThrough(fromPlanet.id, stops) || stops;
+    const firstHop = gameState.planets.find(p => p.id === route[0]);
+    const turnsToTravel = calculateTravelTurns(owner, ships, fromPlanet, firstHop);
+
+    const group = {
         id: generateId(),
-        ships: gameState.shipsToSend,
-        fromPlanetId: gameState.sourcePlanet.id,
-        targetPlanetId: targetPlanet.id,
+        ships: ships,
+        fromPlanetId: fromPlanet.id,
+        targetPlanetId: firstHop.id,
+        fleetId: ships.find(s => s.fleetId)?.fleetId ?? null, // Named fleet flying in this group
+        route: route.slice(1), // Remaining hops after targetPlanetId (empty for direct flights)
+        waypoints: stops, // Remaining stops the order asked for (final destination last)
         turnsRemaining: turnsToTravel,
         totalTurns: turnsToTravel,
-        owner: 'player'
-    });
+        owner: owner
+    };
+    gameState.travelingShips.push(group);
 
     // Remove ships from source planet
-    for (const ship of gameState.shipsToSend) {
-        const idx = gameState.sourcePlanet.ships.findIndex(s => s.id === ship.id);
+    for (const ship of ships) {
+        const idx = fromPlanet.ships.findIndex(s => s.id === ship.id);
         if (idx !== -1) {
-            gameState.sourcePlanet.ships.splice(idx, 1);
+            fromPlanet.ships.splice(idx, 1);
         }
     }
 
-    cancelDestinationSelection();
+    return group;
+}
+
+// A group flies at the average speed of its ships, faster where the leg crosses friendly territory
+export function calculateTravelTurns(owner, ships, fromPlanet, toPlanet) {
+    const distance = Math.sqrt(
+        (toPlanet.x - fromPlanet.x) ** 2 +
+        (toPlanet.y - fromPlanet.y) ** 2
+    ) * getTerritoryTravelFactor(owner, fromPlanet, toPlanet);
+
+    const avgSpeed = ships.reduce((sum, s) => sum + getShipStats(owner, s.type).speed, 0) / ships.length;
+    return Math.max(1, Math.ceil(distance / (avgSpeed * 100)));
+}
+
+export function getRemainingTravelTurns(group) {
+    const toPlanet = gameState.planets.find(p => p.id === group.targetPlanetId);
+    return group.turnsRemaining + getRouteTurns(group, toPlanet, group.route || []);
+}
+
+export function getWaypointETAs(group) {
+    const waypoints = [...getGroupWaypoints(group)];
+    const etas = [];
+    let turns = group.turnsRemaining;
+    let previous = gameState.planets.find(p => p.id === group.targetPlanetId);
+
+    if (waypoints[0] === previous.id) {
+        etas.push({ planetId: waypoints.shift(), turns: turns });
+    }
+    for (const planetId of group.route || []) {
+        const next = gameState.planets.find(p => p.id === planetId);
+        turns += calculateTravelTurns(group.owner, group.ships, previous, next);
+        previous = next;
+        if (waypoints[0] === planetId) {
+            etas.push({ planetId: waypoints.shift(), turns: turns });
+        }
+    }
+
+    return etas;
 }
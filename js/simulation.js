@@ -0,0 +1,292 @@
+// ============================================
+// SIMULATION - HEADLESS RULES CORE
+// ============================================
+// Version: 1.12.3
+//
+// This module exposes the game rules as a pure "state + commands → next state + events"
+// function. It only depends on DOM-free modules (gameState, turnSystem, combatSystem,
+// shipSystem, aiSystem, research, buildings, fleets, diplomacy, planetDefenses, shipDesigns), so the same endTurn/resolveCombat/
+// processAITurn logic used by the browser can run in Node for tests, bots and balance sweeps.
+//
+// Core Responsibilities:
+// - Create a new game state from a seed and settings (size, galaxy shape, empires, ...) without a canvas
+// - Apply serializable player commands (build, cancel, buildings, send ships, fleets, research, diplomacy, bombardment,
+//   ship designs, battle choices, end turn)
+// - Run a command list against a copy of a state and collect the emitted game events
+// - Temporarily swap the active gameState so the existing rules modules operate on it
+// - Re-simulate a recorded game (seed + command log) into per-turn snapshots for replays
+//
+// Commands:
+// - { type: 'build', planetId, shipType }
+// - { type: 'cancelBuild', planetId, buildId }
+// - { type: 'buildBuilding', planetId, buildingType }
+// - { type: 'cancelBuilding', planetId, buildId }
+// - { type: 'sendShips', fromPlanetId, shipIds, targetPlanetId, waypointIds? }
+// - { type: 'recall', groupId }
+// - { type: 'redirect', groupId, targetPlanetId, waypointIds? }
+// - { type: 'cancelWaypoint', groupId, index }
+// - { type: 'createFleet', planetId, shipIds, name }
+// - { type: 'splitFleet', fleetId, shipIds, name }
+// - { type: 'addShipsToFleet', fleetId, shipIds }
+// - { type: 'mergeFleets', fleetId, intoFleetId }
+// - { type: 'renameFleet', fleetId, name }
+// - { type: 'disbandFleet', fleetId }
+// - { type: 'fleetOrder', fleetId, orderType: null | 'patrol' | 'guard' | 'escort' | 'repair', targetPlanetId }
+// - { type: 'sendFleet', fleetId, targetPlanetId, waypointIds? }
+// - { type: 'research', techId }
+// - { type: 'propose', empireId, treaty: null | 'ceasefire' | 'pact' | 'alliance', offer, request }
+//   (offer/request = { energy, minerals, food, planetIds })
+// - { type: 'declareWar', empireId }
+// - { type: 'bombard', planetId, enabled }
+// - { type: 'createDesign', name, hull, components } (components = { componentType: count })
+// - { type: 'retireDesign', designId }
+// - { type: 'battleChoice', choice: 'fight' | 'withdraw' }
+// - { type: 'retreat', planetId }
+// - { type: 'endTurn' }
+//
+// Exports:
+// - createGame(options): Builds the initial state for a seeded game (seeds are strings like in the browser;
+//   numbers are converted, so createGame({ seed: 42 }) plays the map of seed '42')
+// - applyCommand(command): Applies one command to the active gameState (returns true if accepted)
+// - runCommands(state, commands): Returns { state, events } without mutating the input state
+// - withGameState(state, fn): Runs fn with `state` as the active gameState
+// - replayGame(replay): Re-runs getReplayData() output; returns one state snapshot per turn
+//
+// Events emitted: commandRejected { command, reason } (plus all rules-core events)
+//
+// Used by: Node scripts (bots, balance sweeps), replayViewer; browser code keeps calling
+//          the rules modules directly and subscribes to events through uiManager
+
+import { gameState, createGameState, setGameState, generatePlanets, createEmpires } from './gameState.js';
+import { MAP_SIZES, MIN_EMPIRES } from './config.js';
+import { DEFAULT_MAP_SHAPE, LEGACY_MAP_SHAPE } from './mapGenerators.js';
+import { SeededRandom, generateMapSeed } from './seededRandom.js';
+import { buildShip, cancelBuild, orderPlayerFleet, getOrderStops, recallGroup, redirectGroup, cancelWaypoint } from './shipSystem.js';
+import { resolveBattleChoice, completeRetreat } from './combatSystem.js';
+import { endTurn } from './turnSystem.js';
+import { startPlayerResearch } from './research.js';
+import { buildBuilding, cancelBuilding } from './buildings.js';
+import { createFleet, splitFleet, addShipsToFleet, mergeFleets, renameFleet, disbandFleet, setFleetOrder, sendFleet } from './fleets.js';
+import { makeProposal, declareWar } from './diplomacy.js';
+import { setBombardment } from './planetDefenses.js';
+import { createPlayerDesign, retireDesign, getDesignProblem } from './shipDesigns.js';
+import { emitGameEvent, captureGameEvents } from './gameEvents.js';
+
+// Default world aspect ratio for headless games (matches the ~1500x1200 compact map)
+const HEADLESS_ASPECT_RATIO = 1.25;
+
+// worldWidth/worldHeight override aspectRatio (replays must match the recorded world exactly).
+// `empires` (a createEmpires() list, e.g. from a replay) overrides empireCount.
+export function createGame({ seed = null, mapSize = 'compact', mapShape = DEFAULT_MAP_SHAPE, difficulty = 'easy', planetNameTheme = 'greek', aspectRatio = HEADLESS_ASPECT_RATIO, worldWidth = null, worldHeight = null, playerColor = 'blue', aiColor = 'red', empireCount = MIN_EMPIRES, empires = null, travelMode = 'free', victoryTypes = [], gameLength = 'standard' } = {}) {
+    const sizeConfig = MAP_SIZES[mapSize];
+    const state = createGameState({
+        mapSize,
+        mapShape,
+        difficulty,
+        planetNameTheme,
+        playerColor,
+        aiColor,
+        empireCount,
+        travelMode,
+        victoryTypes,
+        gameLength,
+        empires: (empires || createEmpires({ count: empireCount, mapSize, playerColor, aiColor, difficulty }))
+            .map(e => ({ ...e, eliminated: false })),
+        mapSeed: seed === null || seed === '' ? generateMapSeed() : String(seed), // Saves only accept string seeds
+        worldWidth: worldWidth ?? Math.sqrt(sizeConfig.baseArea * aspectRatio),
+        worldHeight: worldHeight ?? Math.sqrt(sizeConfig.baseArea / aspectRatio)
+    });
+
+    withGameState(state, () => {
+        generatePlanets(sizeConfig.planets, new SeededRandom(state.mapSeed));
+    });
+
+    return state;
+}
+
+export function withGameState(state, fn) {
+    const previousState = gameState;
+    setGameState(state);
+
+    try {
+        return fn();
+    } finally {
+        setGameState(previousState);
+    }
+}
+
+export function runCommands(state, commands) {
+    const nextState = structuredClone(state);
+
+    const { events } = captureGameEvents(() => {
+        withGameState(nextState, () => {
+            for (const command of commands) {
+                applyCommand(command);
+            }
+        });
+    });
+
+    return { state: nextState, events };
+}
+
+// Snapshot index 0 is turn 1 before any orders; each endTurn command adds the next turn.
+export function replayGame(replay) {
+    const state = createGame({
+        seed: replay.mapSeed,
+        mapSize: replay.mapSize,
+        mapShape: replay.mapShape || LEGACY_MAP_SHAPE, // Replays from before v2.25.0 are Classic maps (old start planets)
+        difficulty: replay.difficulty,
+        planetNameTheme: replay.planetNameTheme,
+        worldWidth: replay.worldWidth,
+        worldHeight: replay.worldHeight,
+        playerColor: replay.playerColor,
+        aiColor: replay.aiColor,
+        empires: replay.empires, // Absent in replays from before v2.5.0 (player vs. one AI)
+        travelMode: replay.travelMode || 'free',
+        victoryTypes: replay.victoryTypes || [], // Replays from before v2.13.0 only know conquest
+        gameLength: replay.gameLength || 'standard'
+    });
+    const frames = [structuredClone(state)];
+
+    captureGameEvents(() => {
+        withGameState(state, () => {
+            for (const command of replay.commands) {
+                applyCommand(command);
+                if (command.type === 'endTurn') {
+                    frames.push(structuredClone(state));
+                }
+            }
+        });
+    });
+
+    return frames;
+}
+
+export function applyCommand(command) {
+    const reason = executeCommand(command);
+    if (reason) {
+        emitGameEvent('commandRejected', { command, reason });
+        return false;
+    }
+    return true;
+}
+
+// Returns null on success or a rejection reason string
+function executeCommand(command) {
+    if (gameState.gameOver && command.type !== 'retreat') {
+        return 'Game is over';
+    }
+
+    switch (command.type) {
+        case 'build': {
+            const planet = findPlanet(command.planetId);
+            if (!planet) return 'Unknown planet';
+            return buildShip(command.shipType, planet) ? null : 'Cannot build here';
+        }
+
+        case 'cancelBuild':
+            return cancelBuild(command.planetId, command.buildId) ? null : 'Unknown build item';
+
+        case 'buildBuilding': {
+            const planet = findPlanet(command.planetId);
+            if (!planet) return 'Unknown planet';
+            return buildBuilding(command.buildingType, planet) ? null : 'Cannot build here';
+        }
+
+        case 'cancelBuilding':
+            return cancelBuilding(command.planetId, command.buildId) ? null : 'Unknown building item';
+
+        case 'sendShips': {
+            const fromPlanet = findPlanet(command.fromPlanetId);
+            const targetPlanet = findPlanet(command.targetPlanetId);
+            const waypointIds = command.waypointIds || [];
+            if (!fromPlanet || !targetPlanet || waypointIds.some(id => !findPlanet(id))) return 'Unknown planet';
+            if (getOrderStops(fromPlanet, targetPlanet, waypointIds).length === 0) return 'The order never leaves the source planet';
+
+            const shipIds = new Set(command.shipIds);
+            const ships = fromPlanet.ships.filter(s => shipIds.has(s.id) && s.owner === 'player');
+            if (ships.length === 0) return 'No player ships selected';
+
+            orderPlayerFleet(fromPlanet, ships, targetPlanet, waypointIds);
+            return null;
+        }
+
+        case 'recall':
+            return recallGroup(command.groupId) ? null : 'Unknown traveling group';
+
+        case 'redirect':
+            return redirectGroup(command.groupId, command.targetPlanetId, command.waypointIds || []) ? null : 'Cannot redirect group';
+
+        case 'cancelWaypoint':
+            return cancelWaypoint(command.groupId, command.index) ? null : 'Cannot cancel waypoint';
+
+        case 'createFleet':
+            return createFleet(command.planetId, command.shipIds, command.name) ? null : 'No player ships selected';
+
+        case 'splitFleet':
+            return splitFleet(command.fleetId, command.shipIds, command.name) ? null : 'Cannot split fleet';
+
+        case 'addShipsToFleet':
+            return addShipsToFleet(command.fleetId, command.shipIds) ? null : 'Cannot add ships to fleet';
+
+        case 'mergeFleets':
+            return mergeFleets(command.fleetId, command.intoFleetId) ? null : 'Cannot merge fleets';
+
+        case 'renameFleet':
+            return renameFleet(command.fleetId, command.name) ? null : 'Invalid fleet name';
+
+        case 'disbandFleet':
+            return disbandFleet(command.fleetId) ? null : 'Unknown fleet';
+
+        case 'fleetOrder':
+            return setFleetOrder(command.fleetId, command.orderType, command.targetPlanetId) ? null : 'Invalid fleet order';
+
+        case 'sendFleet':
+            return sendFleet(command.fleetId, command.targetPlanetId, command.waypointIds || []) ? null : 'Fleet cannot move';
+
+        case 'research':
+            return startPlayerResearch(command.techId) ? null : 'Technology not available';
+
+        case 'propose':
+            return makeProposal(command.empireId, command) ? null : 'Invalid proposal';
+
+        case 'declareWar':
+            return declareWar(command.empireId) ? null : 'No treaty to break';
+
+        case 'bombard':
+            return setBombardment(command.planetId, command.enabled) ? null : 'No conquest of this planet';
+
+        case 'createDesign':
+            return createPlayerDesign(command.name, command.hull, command.components)
+                ? null
+                : getDesignProblem('player', command.hull, command.components);
+
+        case 'retireDesign':
+            return retireDesign(command.designId) ? null : 'Unknown design';
+
+        case 'battleChoice':
+            // Headless callers answer battles in queue order (the browser shows them one by one)
+            if (!gameState.battlePending) {
+                gameState.battlePending = gameState.battleQueue.shift() || null;
+            }
+            if (!gameState.battlePending) return 'No battle pending';
+            resolveBattleChoice(command.choice);
+            return null;
+
+        case 'retreat':
+            if (!gameState.retreatingShips) return 'No retreat pending';
+            completeRetreat(command.planetId);
+            return null;
+
+        case 'endTurn':
+            endTurn();
+            return null;
+
+        default:
+            return `Unknown command type: ${command.type}`;
+    }
+}
+
+function findPlanet(planetId) {
+    return gameState.planets.find(p => p.id === planetId);
+}
@@ -0,0 +1,225 @@
+// ============================================
+// START BALANCING - FAIR START POSITIONS
+// ============================================
+// Version: 1.1.0
+//
+// This module picks the start planets of a new map so that no empire starts in a rich
+// cluster while another starts in a desert. Every empire has a few candidate planets near
+// its anchor of the galaxy shape (mapGenerators.getStartCandidates). Each combination of
+// candidates is scored and the one with the most even starts wins. The resources around
+// the chosen starts are then evened out until every start is worth about as much as the
+// average start.
+//
+// Start score of a planet:
+// - Resources and maxPopulation (weighted by START_POPULATION_WEIGHT) of every planet within
+//   START_RICHNESS_SPACINGS, the home planet included; a neighbour at the edge of the radius
+//   counts half
+// - Times a rival factor: a start whose nearest rival is closer than START_RIVAL_SPACINGS
+//   loses up to half its score (less room to grow, earlier wars)
+//
+// Both distances are in average planet spacings (see getPlanetSpacing), so a start is judged
+// alike on compact and vast maps.
+//
+// Fairness of a map is the weakest start's score divided by the average start's (1 = all
+// starts alike). Against the average, one rich start does not make a map with many empires
+// look lopsided. It is stored with the game (gameState.mapFairness) and with leaderboard
+// records, which flag maps below LOPSIDED_MAP_FAIRNESS as lopsided.
+//
+// Evening out (after the pick): while the weakest start scores below START_EVEN_FAIRNESS of
+// the average, one resource of a planet in its area (planets within its richness radius that
+// are nearer to it than to any other start) goes up by 1, nearest planet first and never
+// above the range planets are generated with. When its area is maxed out, one resource of a
+// planet around the strongest start goes down instead (never below that range, and never on a
+// planet the weakest start counts).
+//
+// Search: every combination of the EXHAUSTIVE_CANDIDATES nearest candidates is tried (ties go
+// to the candidates nearest the anchors), then single starts are swapped for any of their
+// candidates while that makes the map fairer. Nothing here draws random numbers, so a seed
+// still gives the same map.
+//
+// Exports:
+// - balanceStartPlanets(planets, candidates): { starts, scores, fairness } for the candidate lists
+//   (evens out the resources of planets around the starts)
+// - getStartScore(home, planets, rivals): Score of one start given the other starts
+// - isLopsidedMap(fairness): True for recorded fairness below LOPSIDED_MAP_FAIRNESS (false when unknown)
+//
+// Used by: gameState (generatePlanets), leaderboard (lopsided map flag)
+
+import { START_RICHNESS_SPACINGS, START_POPULATION_WEIGHT, START_RIVAL_SPACINGS, START_EVEN_FAIRNESS, LOPSIDED_MAP_FAIRNESS } from './config.js';
+
+// Candidates per empire (nearest first) whose every combination is tried; the rest of the
+// candidates only come in through swaps
+const EXHAUSTIVE_CANDIDATES = 4;
+
+// Range of each resource of a planet at generation (see gameState.generatePlanets)
+const PLANET_RESOURCE_MIN = 5;
+const PLANET_RESOURCE_MAX = 14;
+const RESOURCES = ['energy', 'minerals', 'food'];
+
+export function balanceStartPlanets(planets, candidates) {
+    const spacing = getPlanetSpacing(planets);
+
+    // Richness does not depend on the other starts, so it is worked out once per candidate
+    const richness = new Map();
+    for (const planet of candidates.flat()) {
+        if (!richness.has(planet)) richness.set(planet, getStartRichness(planet, planets, spacing));
+    }
+
+    let best = null;
+    const chosen = [];
+    const search = (index, distanceRank) => {
+        if (index === candidates.length) {
+            const scores = chosen.map(home => richness.get(home) * getRivalFactor(home, chosen, spacing));
+            const fairness = getFairness(scores);
+            if (!best || fairness > best.fairness || (fairness === best.fairness && distanceRank < best.distanceRank)) {
+                best = { starts: [...chosen], fairness, distanceRank };
+            }
+            return;
+        }
+        candidates[index].slice(0, EXHAUSTIVE_CANDIDATES).forEach((planet, rank) => {
+            if (chosen.includes(planet)) return;
+            chosen.push(planet);
+            search(index + 1, distanceRank + rank);
+            chosen.pop();
+        });
+    };
+    search(0, 0);
+
+    if (best) improveStarts(planets, candidates, best, spacing);
+
+    // Anchors sharing their only candidates: every empire takes the free planet nearest its
+    // first candidate instead
+    let starts = best?.starts;
+    if (!starts) {
+        starts = [];
+        for (const list of candidates) {
+            const free = planets.filter(p => !starts.includes(p));
+            starts.push(free.reduce((nearest, p) =>
+                Math.hypot(p.x - list[0].x, p.y - list[0].y) < Math.hypot(nearest.x - list[0].x, nearest.y - list[0].y) ? p : nearest
+            ));
+        }
+    }
+
+    evenOutStarts(planets, starts, spacing);
+
+    const scores = getScores(planets, starts, spacing);
+    return { starts, scores, fairness: Math.round(getFairness(scores) * 1000) / 1000 };
+}
+
+// `rivals` may include the home itself
+export function getStartScore(home, planets, rivals) {
+    const spacing = getPlanetSpacing(planets);
+    return getStartRichness(home, planets, spacing) * getRivalFactor(home, rivals, spacing);
+}
+
+export function isLopsidedMap(fairness) {
+    return typeof fairness === 'number' && fairness < LOPSIDED_MAP_FAIRNESS;
+}
+
+// Side of the square each planet has to itself on average (planets' bounding box / count),
+// so starts are judged alike on dense and sparse maps
+function getPlanetSpacing(planets) {
+    const xs = planets.map(p => p.x);
+    const ys = planets.map(p => p.y);
+    const area = (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+    return Math.sqrt(area / planets.length) || 1;
+}
+
+function getStartRichness(home, planets, spacing) {
+    const radius = START_RICHNESS_SPACINGS * spacing;
+    let richness = 0;
+    for (const planet of planets) {
+        const dist = Math.hypot(planet.x - home.x, planet.y - home.y);
+        if (dist > radius) continue;
+        const { energy, minerals, food } = planet.resources;
+        const value = energy + minerals + food + planet.maxPopulation * START_POPULATION_WEIGHT;
+        richness += value * (1 - dist / radius / 2);
+    }
+    return richness;
+}
+
+// 1 when the nearest rival start is at least START_RIVAL_SPACINGS away, down to 0.5 next door
+function getRivalFactor(home, rivals, spacing) {
+    let nearest = Infinity;
+    for (const rival of rivals) {
+        if (rival !== home) nearest = Math.min(nearest, Math.hypot(rival.x - home.x, rival.y - home.y));
+    }
+    return 0.5 + 0.5 * Math.min(1, nearest / (START_RIVAL_SPACINGS * spacing));
+}
+
+// Swaps one empire's start for another of its candidates while that makes the map fairer
+function improveStarts(planets, candidates, best, spacing) {
+    let improved = true;
+    while (improved) {
+        improved = false;
+        candidates.forEach((list, index) => {
+            for (const planet of list) {
+                if (best.starts.includes(planet)) continue;
+                const starts = best.starts.map((start, i) => i === index ? planet : start);
+                const fairness = getFairness(getScores(planets, starts, spacing));
+                if (fairness > best.fairness) {
+                    best.starts = starts;
+                    best.fairness = fairness;
+                    improved = true;
+                }
+            }
+        });
+    }
+}
+
+function getScores(planets, starts, spacing) {
+    return starts.map(home => getStartRichness(home, planets, spacing) * getRivalFactor(home, starts, spacing));
+}
+
+function getFairness(scores) {
+    const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    return average > 0 ? Math.min(...scores) / average : 1;
+}
+
+function evenOutStarts(planets, starts, spacing) {
+    const radius = START_RICHNESS_SPACINGS * spacing;
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const nearestFirst = home => (a, b) => distance(a, home) - distance(b, home);
+
+    // Every step moves one resource by 1, so there are never more steps than resource units
+    const maxSteps = planets.length * RESOURCES.length * (PLANET_RESOURCE_MAX - PLANET_RESOURCE_MIN + 1);
+    for (let step = 0; step < maxSteps; step++) {
+        const scores = getScores(planets, starts, spacing);
+        if (getFairness(scores) >= START_EVEN_FAIRNESS) return;
+
+        // Raise the planets of the weakest start that are nearer to it than to any other start
+        const weakest = starts[scores.indexOf(Math.min(...scores))];
+        const weakArea = planets
+            .filter(p => distance(p, weakest) <= radius && starts.every(s => distance(p, s) >= distance(p, weakest)))
+            .sort(nearestFirst(weakest));
+        if (adjustAreaResource(weakArea, 1)) continue;
+
+        // Weakest area maxed out: lower the planets of the strongest start above the average that
+        // has room, leaving those the weakest start counts alone
+        const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        const strongFirst = starts
+            .map((home, i) => ({ home, score: scores[i] }))
+            .filter(start => start.score > average)
+            .sort((a, b) => b.score - a.score);
+        const lowered = strongFirst.some(({ home }) => adjustAreaResource(planets
+            .filter(p => distance(p, home) <= radius && distance(p, weakest) > radius)
+            .sort(nearestFirst(home)), -1));
+        if (!lowered) return;
+    }
+}
+
+// Raises the lowest (direction 1) or lowers the highest (direction -1) resource of the first
+// planet in the area that still has room; false when the whole area is at the limit
+function adjustAreaResource(area, direction) {
+    for (const planet of area) {
+        const room = RESOURCES.filter(r => direction > 0
+            ? planet.resources[r] < PLANET_RESOURCE_MAX
+            : planet.resources[r] > PLANET_RESOURCE_MIN);
+        if (room.length === 0) continue;
+
+        const pick = room.reduce((a, b) => (planet.resources[b] - planet.resources[a]) * direction < 0 ? b : a);
+        planet.resources[pick] += direction;
+        return true;
+    }
+    return false;
+}
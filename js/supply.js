@@ -0,0 +1,119 @@
+// ============================================
+// SUPPLY - TERRITORY, REPAIRS & ATTRITION
+// ============================================
+// Version: 1.0.0
+//
+// This module turns the influence zones into a gameplay layer. Every point of the map
+// belongs to the territory of its nearest planet's owner (influenceZones.ownerAt). An
+// empire's own and allied territory supplies its ships: they repair there, even in flight,
+// and fly faster through it. Outside friendly territory ships cannot repair, and ships
+// farther than SUPPLY_RANGE from every own or allied planet wear down every turn until
+// they are back in range (attrition never destroys a ship).
+//
+// Supply states of an empire at a point:
+// - 'supplied': Own or allied territory (repairs)
+// - 'limited': Outside friendly territory, within SUPPLY_RANGE of an own or allied planet (no repairs)
+// - 'unsupplied': Deep in neutral or rival space (no repairs, attrition)
+//
+// Core Responsibilities:
+// - Tell friendly territory and the supply state of an empire at any point
+// - Share of a flight leg that crosses friendly territory (travel speed bonus)
+// - Repair groups in flight through friendly territory (stationed ships: turnSystem.healStationedShips)
+// - Wear down unsupplied ships at planets and in flight once per turn
+//
+// Exports:
+// - isFriendlyTerritory(owner, x, y): True in the territory of the empire or one of its allies
+// - getSupplyStatus(owner, x, y): 'supplied' | 'limited' | 'unsupplied'
+// - getTerritoryTravelFactor(owner, fromPlanet, toPlanet): Multiplier on a leg's travel distance
+// - processSupply(): Repairs and attrition for the turn (called once per turn)
+//
+// Events emitted: notification (human empires with ships wearing down)
+//
+// Used by: turnSystem (repairs, attrition), shipSystem (travel times), uiManager (fleet panel)
+
+import { gameState, isHumanEmpire } from './gameState.js';
+import { SUPPLY_RANGE, SUPPLY_ATTRITION, SUPPLY_ATTRITION_FLOOR, TERRITORY_SPEED_BONUS } from './config.js';
+import { ownerAt } from './influenceZones.js';
+import { getAllies } from './diplomacy.js';
+import { getHealRate } from './research.js';
+import { getFleetPosition } from './visibility.js';
+import { emitGameEvent } from './gameEvents.js';
+
+// Points checked along a flight leg to measure how much of it crosses friendly territory
+const TERRITORY_SAMPLES = 10;
+
+export function isFriendlyTerritory(owner, x, y) {
+    const territoryOwner = ownerAt(x, y);
+    return territoryOwner !== null && (territoryOwner === owner || getAllies(owner).includes(territoryOwner));
+}
+
+export function getSupplyStatus(owner, x, y) {
+    if (isFriendlyTerritory(owner, x, y)) return 'supplied';
+
+    const friends = [owner, ...getAllies(owner)];
+    const inRange = gameState.planets.some(p =>
+        friends.includes(p.owner) && Math.hypot(p.x - x, p.y - y) <= SUPPLY_RANGE
+    );
+    return inRange ? 'limited' : 'unsupplied';
+}
+
+// The friendly share of a leg is flown TERRITORY_SPEED_BONUS faster, which the travel time
+// calculation sees as a shorter distance (1 = no friendly territory on the way)
+export function getTerritoryTravelFactor(owner, fromPlanet, toPlanet) {
+    let friendlySamples = 0;
+    for (let i = 0; i < TERRITORY_SAMPLES; i++) {
+        const t = (i + 0.5) / TERRITORY_SAMPLES;
+        const x = fromPlanet.x + (toPlanet.x - fromPlanet.x) * t;
+        const y = fromPlanet.y + (toPlanet.y - fromPlanet.y) * t;
+        if (isFriendlyTerritory(owner, x, y)) friendlySamples++;
+    }
+
+    const share = friendlySamples / TERRITORY_SAMPLES;
+    return (1 - share) + share / (1 + TERRITORY_SPEED_BONUS);
+}
+
+export function processSupply() {
+    const wornDown = {}; // Ships worn down this turn per owner
+
+    for (const planet of gameState.planets) {
+        const owners = new Set(planet.ships.map(s => s.owner));
+        for (const owner of owners) {
+            if (getSupplyStatus(owner, planet.x, planet.y) !== 'unsupplied') continue;
+            for (const ship of planet.ships.filter(s => s.owner === owner)) {
+                if (wearDownShip(ship)) wornDown[owner] = (wornDown[owner] || 0) + 1;
+            }
+        }
+    }
+
+    for (const group of gameState.travelingShips) {
+        const position = getFleetPosition(group);
+        if (!position) continue;
+
+        const status = getSupplyStatus(group.owner, position.x, position.y);
+        if (status === 'supplied') {
+            const healRate = getHealRate(group.owner);
+            for (const ship of group.ships) {
+                ship.hitPoints = Math.min(ship.maxHitPoints, ship.hitPoints + healRate);
+            }
+        } else if (status === 'unsupplied') {
+            for (const ship of group.ships) {
+                if (wearDownShip(ship)) wornDown[group.owner] = (wornDown[group.owner] || 0) + 1;
+            }
+        }
+    }
+
+    for (const [owner, count] of Object.entries(wornDown)) {
+        if (isHumanEmpire(owner)) {
+            emitGameEvent('notification', { message: `⛽ ${count} ship${count > 1 ? 's' : ''} out of supply ${count > 1 ? 'are' : 'is'} wearing down` });
+        }
+    }
+}
+
+// Attrition stops at SUPPLY_ATTRITION_FLOOR of max HP; returns true if the ship lost HP
+function wearDownShip(ship) {
+    const floor = ship.maxHitPoints * SUPPLY_ATTRITION_FLOOR;
+    if (ship.hitPoints <= floor) return false;
+
+    ship.hitPoints = Math.max(floor, ship.hitPoints - ship.maxHitPoints * SUPPLY_ATTRITION);
+    return true;
+}
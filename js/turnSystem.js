@@ -1,7 +1,7 @@
 // ============================================
 // TURN SYSTEM
 // ============================================
-// Version: 2.0.12
+// Version: 2.18.0
 //
 // This module orchestrates the end-turn sequence, processing all game events
 // that occur each turn including builds, movement, healing, and resource collection.
@@ -9,61 +9,117 @@
 // Core Responsibilities:
 // - Coordinate turn progression and increment turn counter
 // - Process ship build queues and complete construction
+// - Process building queues and repair damaged buildings
 // - Move traveling ship groups and handle arrivals (combat or friendly landing)
-// - Heal stationed ships at owned planets (20% HP per turn)
-// - Collect resources from owned planets and apply population growth
-// - Process conquest timers for planets being captured
+// - Continue multi-hop hyperlane routes and waypoint chains; hostile planets on the way stop the fleet (encounter)
+// - Heal stationed ships at own and allied planets (0.2 HP per turn, more with research)
+// - Repair ships in flight through friendly territory and wear down ships out of supply (supply.js)
+// - Collect resources from owned planets (including building output) and apply population growth
+// - Charge upkeep after income: ships cost energy, population eats food (shortages starve or wear down)
+// - Process conquest timers for planets being captured (bombarding them when ordered)
+// - Recharge planetary shields before conquests are processed (bombardment keeps them down)
 // - Neutralize planets that lose all defending ships (with protection for newly colonized planets)
 // - Handle ship arrivals including colonization of neutral planets
 // - Trigger combat when enemy ships encounter each other
-// - Check for victory/defeat conditions
+// - Check for victory/defeat conditions (conquest plus the optional conditions in victory.js)
 // - Consolidate multiple ship arrivals at same planet into single battle
+// - Run the AI turn and the victory check so a full turn needs no browser code
+// - Record what every empire's sensors see at the end of the turn (fog of war intel)
+// - Invest energy into each empire's current research after income is collected
+// - Carry out standing fleet orders (patrol, guard, repair) before the AI acts
+// - Respect treaties: ships arriving at a treaty partner's planet are turned away instead of fighting
+// - Expire ceasefires and let AI empires break treaties before the AI acts
 //
 // Exports:
-// - endTurn(): Main turn processing function called by "End Turn" button
+// - endTurn(): Main turn processing function, returns the checkGameEnd() result
 // - processBuildQueues(): Completes ship construction
 // - processTravelingShips(): Moves fleets and handles arrivals
-// - healStationedShips(): Restores HP to ships at friendly planets
+// - healStationedShips(): Restores HP to ships at own and allied planets
 // - collectResources(): Gathers resources and grows populations
 // - handleShipArrival(group): Processes fleet arrival events
 // - processEmptyPlanets(): Neutralizes abandoned planets (skips planets with population > 0)
-// - checkGameEnd(): Evaluates win/loss conditions
+// - checkGameEnd(): Marks eliminated empires and evaluates win/loss conditions
+//   (returns { gameOver, victory, winner, condition })
 //
-// Used by: main.js and uiManager (End Turn button), called once per turn
+// Events emitted:
+// - battleQueued { planetId, isDefending, empireId }: A battle awaits a human empire's fight/withdraw choice
+// - empireEliminated { empireId }: An empire lost its last planet and colonizer
+// - turnEnded { turn }: All turn phases (including the AI) have been processed
+// - gameOver { victory, winner, condition }: The victory check ended the game this turn
+//
+// Used by: inputHandler (End Turn button), simulation (endTurn command), called once per turn
 //
 // Version History:
+// - 2.18.0: Supply - ships repair at allied planets too; supply repairs and attrition after healing
+// - 2.17.0: Veterancy - new ships start without experience
+// - 2.16.0: Ship designs - designs with a colony pod colonize like colonizers
+// - 2.15.0: Planetary defenses - shields recharged each turn before the conquest timers (and bombardment)
+// - 2.14.0: Upkeep - ship energy upkeep and population food consumption charged after income
+// - 2.13.0: Alternative victory conditions - the game over result names the condition that ended it
+// - 2.12.0: Diplomacy - no battles with treaty partners; treaties processed after fleet orders
+// - 2.11.0: Waypoints - groups fly on through the stops of a waypoint chain
+// - 2.10.0: Named fleets - standing orders processed after empty planets, before the AI turn
+// - 2.9.0: Hyperlanes - fleets fly their route lane by lane and fight at hostile planets on the way
+// - 2.8.0: Planetary buildings - building queues processed after ship queues; building output collected
+// - 2.7.0: Research - processed after resource collection; heal rate, yields and new ship HP include technologies
+// - 2.6.0: Fog of war - intel updated after the AI turn
+// - 2.5.0: Any number of empires - victory when one empire remains, eliminations reported as events
+// - 2.4.0: endTurn() is recorded in the command log (replays)
+// - 2.2.0: DOM-free core - endTurn() now runs the AI turn and victory check; auto-save moved to inputHandler
 // - 2.0.12: Fixed battle consolidation - multiple arrivals at same planet now trigger single battle
 // - 1.0.2: Added retreat options to battlePending for tactical withdrawals
 // - 1.0.1: Fixed colonization bug where newly colonized planets were incorrectly neutralized
 // - 1.0.7: Added auto-save integration for authenticated users
 
-import { gameState, generateId } from './gameState.js';
-import { SHIP_TYPES } from './config.js';
+import { gameState, generateId, recordCommand, isHumanEmpire, getActiveEmpires } from './gameState.js';
+import { getShipStats, getHealRate, processResearch } from './research.js';
+import { processBuildingQueues } from './buildings.js';
+import { getIncome, processUpkeep } from './economy.js';
+import { processPlanetShields } from './planetDefenses.js';
+import { isColonyShip } from './shipDesigns.js';
+import { calculateTravelTurns } from './shipSystem.js';
 import { resolveCombat, processPendingConquests } from './combatSystem.js';
-import { autoSaveGame } from './saveSystem.js';
-
-export async function endTurn() {
+import { processAITurn } from './aiSystem.js';
+import { emitGameEvent } from './gameEvents.js';
+import { updateIntel } from './visibility.js';
+import { processFleetOrders } from './fleets.js';
+import { isAtWar, isClosedByTreaty, turnAwayShips, processDiplomacy } from './diplomacy.js';
+import { checkVictoryConditions } from './victory.js';
+import { isFriendlyTerritory, processSupply } from './supply.js';
+
+export function endTurn() {
+    recordCommand({ type: 'endTurn' });
     gameState.turn++;
 
     processBuildQueues();
+    processBuildingQueues();
     processTravelingShips();
     healStationedShips();
+    processSupply();
     collectResources();
+    processUpkeep();
+    processResearch();
+    processPlanetShields();
     processPendingConquests();
     processEmptyPlanets();
+    processFleetOrders();
+    processDiplomacy();
 
-    // Process AI turn (will be imported from aiSystem)
-    // processAITurn();
+    // AI acts on the post-turn state
+    processAITurn();
+    updateIntel();
 
-    // Check victory/defeat (will be handled by main or uiManager)
-    // checkGameEnd();
+    emitGameEvent('turnEnded', { turn: gameState.turn });
 
-    // Auto-save for authenticated users (runs async, doesn't block)
-    if (gameState.userId && !gameState.gameOver) {
-        autoSaveGame().catch(err => console.error('Auto-save failed:', err));
+    // Check victory/defeat
+    const result = checkGameEnd();
+    if (result.gameOver) {
+        gameState.gameOver = true;
+        emitGameEvent('gameOver', { victory: result.victory, winner: result.winner, condition: result.condition });
     }
 
-    // UI updates will be handled by uiManager
+    // UI updates, auto-save and leaderboard are handled by the browser layer
+    return result;
 }
 
 export function processBuildQueues() {
@@ -78,9 +134,12 @@ export function processBuildQueues() {
             const newShip = {
                 id: generateId(),
                 type: item.type,
-                hitPoints: SHIP_TYPES[item.type].maxHitPoints,
-                maxHitPoints: SHIP_TYPES[item.type].maxHitPoints,
-                owner: planet.owner
+                hitPoints: getShipStats(planet.owner, item.type).maxHitPoints,
+                maxHitPoints: getShipStats(planet.owner, item.type).maxHitPoints,
+                owner: planet.owner,
+                battles: 0, // Veterancy (see veterancy.js)
+                kills: 0,
+                captain: null
             };
 
             planet.buildQueue.shift();
@@ -89,8 +148,7 @@ export function processBuildQueues() {
             gameState.players[planet.owner].shipsBuilt++;
 
             // Check if enemy ships are occupying
-            const enemyOwner = planet.owner === 'player' ? 'enemy' : 'player';
-            const enemyShips = planet.ships.filter(s => s.owner === enemyOwner);
+            const enemyShips = planet.ships.filter(s => s.owner !== planet.owner);
 
             if (enemyShips.length > 0) {
                 // New ship needs to fight occupiers - show battle dialog
@@ -101,12 +159,13 @@ export function processBuildQueues() {
                     gameState.pendingConquests.splice(conquestIdx, 1);
                 }
 
-                // Set up battle dialog for player's planet being defended
-                if (planet.owner === 'player') {
-                    gameState.battleQueue.push({
+                // Set up battle dialog for a human empire's planet being defended
+                if (isHumanEmpire(planet.owner)) {
+                    queuePlayerBattle({
                         attackingShips: enemyShips,
                         planet: planet,
-                        isDefending: true
+                        isDefending: true,
+                        empireId: planet.owner
                     });
                 } else {
                     // AI planet - auto-resolve
@@ -129,6 +188,12 @@ export function processTravelingShips() {
         group.turnsRemaining--;
 
         if (group.turnsRemaining <= 0) {
+            // Hyperlane hops and waypoints: fleets pass through quiet planets and fly on
+            if (group.route?.length > 0 && !hasEncounter(group)) {
+                startNextLeg(group);
+                continue;
+            }
+
             // Consolidate ships arriving at same planet from same owner
             const key = `${group.targetPlanetId}_${group.owner}`;
 
@@ -155,23 +220,46 @@ export function processTravelingShips() {
     }
 }
 
-export function healStationedShips() {
-    const HEAL_RATE = 0.2;
+// A rival planet or rival ships at the planet a group just reached stop it there
+// (treaty partners let it pass through)
+function hasEncounter(group) {
+    const planet = gameState.planets.find(p => p.id === group.targetPlanetId);
+    if (!planet) return false;
+
+    return (planet.owner && isAtWar(group.owner, planet.owner)) ||
+        planet.ships.some(s => isAtWar(group.owner, s.owner));
+}
+
+function startNextLeg(group) {
+    const fromPlanet = gameState.planets.find(p => p.id === group.targetPlanetId);
+    const nextPlanet = gameState.planets.find(p => p.id === group.route[0]);
+    const turns = calculateTravelTurns(group.owner, group.ships, fromPlanet, nextPlanet);
 
+    // A waypoint reached on the way is done
+    if (group.waypoints?.[0] === fromPlanet.id) {
+        group.waypoints.shift();
+    }
+
+    group.fromPlanetId = fromPlanet.id;
+    group.targetPlanetId = nextPlanet.id;
+    group.route = group.route.slice(1);
+    group.turnsRemaining = turns;
+    group.totalTurns = turns;
+}
+
+export function healStationedShips() {
     for (const planet of gameState.planets) {
         if (!planet.owner) continue; // Only heal at owned planets
 
         for (const ship of planet.ships) {
-            // Only heal ships owned by the planet owner
-            if (ship.owner !== planet.owner) continue;
-
-            const shipType = SHIP_TYPES[ship.type];
+            // Only heal ships of the planet owner and its allies (the planet's territory supplies them)
+            if (!isFriendlyTerritory(ship.owner, planet.x, planet.y)) continue;
 
             // Heal the ship
-            if (ship.hitPoints < shipType.maxHitPoints) {
+            if (ship.hitPoints < ship.maxHitPoints) {
                 ship.hitPoints = Math.min(
-                    shipType.maxHitPoints,
-                    ship.hitPoints + HEAL_RATE
+                    ship.maxHitPoints,
+                    ship.hitPoints + getHealRate(ship.owner)
                 );
             }
         }
@@ -182,13 +270,19 @@ export function handleShipArrival(shipGroup) {
     const targetPlanet = gameState.planets.find(p => p.id === shipGroup.targetPlanetId);
     if (!targetPlanet) return;
 
+    // Treaty partners never fight: their planets (and planets their ships hold) turn the ships away
+    if (isClosedByTreaty(shipGroup.owner, targetPlanet)) {
+        turnAwayShips(shipGroup.owner, targetPlanet, shipGroup.ships, shipGroup.fromPlanetId);
+        return;
+    }
+
     // Check for colonizer on neutral planet FIRST (before any enemy checks)
     // Only colonize if no enemy ships are present
     if (!targetPlanet.owner) {
         const hasEnemyShips = targetPlanet.ships.some(s => s.owner !== shipGroup.owner);
 
         if (!hasEnemyShips) {
-            const colonizer = shipGroup.ships.find(s => s.type === 'colonizer');
+            const colonizer = shipGroup.ships.find(isColonyShip);
             if (colonizer) {
                 targetPlanet.owner = shipGroup.owner;
                 targetPlanet.population = 10;
@@ -204,30 +298,36 @@ export function handleShipArrival(shipGroup) {
 
     if (isHostile || hasDefenders) {
         // Battle scenario
-        if (shipGroup.owner === 'player') {
-            // Player ships attacking - show battle dialog with retreat options
+        if (isHumanEmpire(shipGroup.owner)) {
+            // Human ships attacking - show battle dialog with retreat options
             const fromPlanet = gameState.planets.find(p => p.id === shipGroup.fromPlanetId);
             const retreatOptions = gameState.planets.filter(p =>
-                p.owner === 'player' && p.id !== targetPlanet.id
+                p.owner === shipGroup.owner && p.id !== targetPlanet.id
             );
             // Include origin planet as first option if it's still friendly
-            if (fromPlanet && fromPlanet.owner === 'player' && !retreatOptions.includes(fromPlanet)) {
+            if (fromPlanet && fromPlanet.owner === shipGroup.owner && !retreatOptions.includes(fromPlanet)) {
                 retreatOptions.unshift(fromPlanet);
             }
 
-            gameState.battleQueue.push({
+            queuePlayerBattle({
                 attackingShips: shipGroup.ships,
                 planet: targetPlanet,
                 isDefending: false,
-                retreatOptions: retreatOptions
+                retreatOptions: retreatOptions,
+                empireId: shipGroup.owner
             });
         } else {
-            // Enemy ships attacking player planet - show battle dialog
-            if (targetPlanet.owner === 'player' || targetPlanet.ships.some(s => s.owner === 'player')) {
-                gameState.battleQueue.push({
+            // AI ships attacking a human planet (or human ships stationed there) - show battle dialog
+            const defenderId = isHumanEmpire(targetPlanet.owner)
+                ? targetPlanet.owner
+                : targetPlanet.ships.find(s => isHumanEmpire(s.owner))?.owner;
+
+            if (defenderId) {
+                queuePlayerBattle({
                     attackingShips: shipGroup.ships,
                     planet: targetPlanet,
-                    isDefending: true
+                    isDefending: true,
+                    empireId: defenderId
                 });
             } else {
                 // AI vs AI - auto-resolve
@@ -240,17 +340,18 @@ export function handleShipArrival(shipGroup) {
     }
 }
 
+// Queue a battle that needs a human empire's fight/withdraw decision
+function queuePlayerBattle(battle) {
+    gameState.battleQueue.push(battle);
+    emitGameEvent('battleQueued', { planetId: battle.planet.id, isDefending: battle.isDefending, empireId: battle.empireId });
+}
+
 export function collectResources() {
-    for (const owner of ['player', 'enemy']) {
+    for (const owner of gameState.empires.map(e => e.id)) {
         const ownedPlanets = gameState.planets.filter(p => p.owner === owner);
-
-        let energy = 0, minerals = 0, food = 0;
+        const income = getIncome(owner);
 
         for (const planet of ownedPlanets) {
-            energy += planet.resources.energy;
-            minerals += planet.resources.minerals;
-            food += planet.resources.food;
-
             // Population growth
             if (planet.population < planet.maxPopulation) {
                 const foodBonus = planet.resources.food / 5;
@@ -259,9 +360,9 @@ export function collectResources() {
             }
         }
 
-        gameState.players[owner].energy += energy;
-        gameState.players[owner].minerals += minerals;
-        gameState.players[owner].food += food;
+        gameState.players[owner].energy += income.energy;
+        gameState.players[owner].minerals += income.minerals;
+        gameState.players[owner].food += income.food;
     }
 }
 
@@ -278,6 +379,7 @@ export function processEmptyPlanets() {
                 // No defenders - planet becomes neutral
                 planet.owner = null;
                 planet.buildQueue = []; // Ensure build queue is cleared
+                planet.buildingQueue = [];
             }
         }
         // Clear the attacked planets list after processing
@@ -303,6 +405,7 @@ export function processEmptyPlanets() {
         // Check if ships are arriving next turn
         const arrivingShips = gameState.travelingShips.some(group =>
             group.targetPlanetId === planet.id &&
+            !group.route?.length && // Passing through on a hyperlane route does not count
             group.owner === planet.owner &&
             group.turnsRemaining === 1
         );
@@ -310,9 +413,9 @@ export function processEmptyPlanets() {
 
         // Check if the owner still has colonizers anywhere that could reclaim this planet
         const ownerHasColonizers = gameState.planets.some(p =>
-            p.ships.some(s => s.owner === planet.owner && s.type === 'colonizer')
+            p.ships.some(s => s.owner === planet.owner && isColonyShip(s))
         ) || gameState.travelingShips.some(g =>
-            g.owner === planet.owner && g.ships.some(s => s.type === 'colonizer')
+            g.owner === planet.owner && g.ships.some(isColonyShip)
         );
 
         // If owner has colonizers, keep the planet owned (they can reclaim it)
@@ -324,30 +427,37 @@ export function processEmptyPlanets() {
 }
 
 export function checkGameEnd() {
-    const playerPlanets = gameState.planets.filter(p => p.owner === 'player');
-    const enemyPlanets = gameState.planets.filter(p => p.owner === 'enemy');
-
-    // Check for colonizer ships (stationed or traveling)
-    const hasPlayerColonizer = gameState.planets.some(p =>
-        p.ships.some(s => s.owner === 'player' && s.type === 'colonizer')
-    ) || gameState.travelingShips.some(g =>
-        g.owner === 'player' && g.ships.some(s => s.type === 'colonizer')
-    );
-
-    const hasEnemyColonizer = gameState.planets.some(p =>
-        p.ships.some(s => s.owner === 'enemy' && s.type === 'colonizer')
-    ) || gameState.travelingShips.some(g =>
-        g.owner === 'enemy' && g.ships.some(s => s.type === 'colonizer')
-    );
-
-    // Player loses if no planets AND no colonizers
-    if (playerPlanets.length === 0 && !hasPlayerColonizer) {
-        return { gameOver: true, victory: false };
+    // An empire is out once it has no planets AND no colonizers (stationed or traveling)
+    for (const empire of getActiveEmpires()) {
+        const hasPlanets = gameState.planets.some(p => p.owner === empire.id);
+        const hasColonizer = gameState.planets.some(p =>
+            p.ships.some(s => s.owner === empire.id && isColonyShip(s))
+        ) || gameState.travelingShips.some(g =>
+            g.owner === empire.id && g.ships.some(isColonyShip)
+        );
+
+        if (!hasPlanets && !hasColonizer) {
+            empire.eliminated = true;
+            emitGameEvent('empireEliminated', { empireId: empire.id });
+            emitGameEvent('notification', { message: `💀 The ${empire.name} has been eliminated!` });
+        }
+    }
+
+    // Human players lose as soon as they are eliminated; otherwise the last empire standing wins
+    const survivors = getActiveEmpires();
+    const humanEmpires = gameState.empires.filter(e => e.controller === 'human');
+    if (humanEmpires.every(e => e.eliminated)) {
+        return { gameOver: true, victory: false, winner: survivors.length === 1 ? survivors[0].id : null, condition: 'elimination' };
+    }
+
+    if (survivors.length === 1) {
+        return { gameOver: true, victory: survivors[0].controller === 'human', winner: survivors[0].id, condition: 'elimination' };
     }
 
-    // Enemy loses if no planets AND no colonizers
-    if (enemyPlanets.length === 0 && !hasEnemyColonizer) {
-        return { gameOver: true, victory: true };
+    // Optional conditions picked on the start screen (domination, score, economic, capital, wonder)
+    const alternative = checkVictoryConditions();
+    if (alternative) {
+        return { gameOver: true, victory: isHumanEmpire(alternative.winner), winner: alternative.winner, condition: alternative.condition };
     }
 
     return { gameOver: false };
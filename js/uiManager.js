@@ -1,36 +1,135 @@
 // ============================================
 // UI MANAGER
 // ============================================
+// Version: 2.23.0
 //
 // This module manages all UI panels, displays, and user interactions including
 // planet details, fleet management, shipyard controls, and notifications.
 //
 // Core Responsibilities:
-// - Update resource displays (energy, minerals, food, score, turn counter)
+// - Update resource displays (energy, minerals, food with per-turn income minus upkeep, score, turn counter)
 // - Manage unified planet panel (stats, ownership, production)
-// - Display fleet information (stationed ships, ships in transit)
+// - Display fleet information (stationed ships, ships in transit with final destination and ETA)
+// - List the waypoints of groups in transit (ETA per stop) with recall, redirect and remove-stop controls
+// - Show named fleets at the selected planet (ships, HP, standing order, fleet actions)
 // - Handle shipyard UI (build options, build queue visualization)
+// - Show planet buildings with build options and the building queue
 // - Enable ship selection with visual feedback (checkboxes, highlighting)
 // - Show/hide panels based on planet selection and ownership
-// - Display battle dialogs with combat information
+// - Display battle dialogs with combat information and a Monte-Carlo prediction (win chance, expected losses)
+// - Show the combat calculator for the hovered planet while choosing a destination
 // - Show battle results with detailed casualties
 // - Generate notifications for game events
 // - Manage tab switching (stationed vs transit fleets)
-// - Handle game over screen (victory/defeat)
+// - Handle game over screen (victory/defeat and the victory condition that ended the game)
+// - Show the turn limit and the player's progress towards each active victory condition
+// - Translate rules-core game events into notifications, dialogs and hints
+// - Show rival planets and ships only as far as the player's sensors (or intel) reach
+// - Render the research panel (tech tree state and current progress)
+// - Render the diplomacy panel (relations, treaty proposals, trades and tribute demands)
+// - Render the battle log (past battles by turn and planet, round-by-round reports)
+// - Show planetary defenses and conquests under way, with the bombardment toggle for the player's conquests
+// - Render the ship designer (hulls, components, live stats, designs in service) and offer designs in the shipyard
+// - Show veterancy: rank badges and captains in the fleet panel and battle reports, veterans at stake in the
+//   battle dialog, promotions and veterans lost in the battle results
+// - Show the supply state of the player's ships at the selected planet and of every group in transit
 //
 // Exports:
 // - updateDisplay(): Refreshes resource and score displays
-// - updatePlanetPanel(), updateFleetPanel(), updateShipyardPanel(): Panel updates
+// - updatePlanetPanel(), updateFleetPanel(), updateShipyardPanel(), updateResearchPanel(), updateDiplomacyPanel(): Panel updates
+// - updateBattleLogPanel(view): Battle log overlay (filters { turn, planetId } or report { number })
+// - updateShipDesignerPanel(draft), getShipDesignerDraft(): Ship designer overlay (draft changes { hull, components, name })
 // - selectPlanet(planet): Opens panels for selected planet
 // - showNotification(message): Displays temporary notification
-// - showBattleDialog(), showGameOver(): Modal dialogs
+// - showBattleDialog(), showGameOver(victory, condition, winner): Modal dialogs
+// - showBattleResults(result, isDefending), showRetreatDialog(planets, casualties): Battle dialogs
+// - showCombatCalculator(planet, screenX, screenY), hideCombatCalculator(): Prediction for a hovered target
 // - closePlanetPanel(), switchFleetTab(): Panel controls
+// - setupGameEventHandlers(): Subscribes the UI to rules-core game events
 //
 // Used by: inputHandler (planet selection), turnSystem (auto-updates), main.js
 
-import { gameState, calculateScore } from './gameState.js';
-import { buildShip, cancelBuild } from './shipSystem.js';
-import { SHIP_TYPES } from './config.js';
+import { gameState, calculateScore, getEmpire, getOwnerColor } from './gameState.js';
+import { buildShip, cancelBuild, getRemainingTravelTurns, getWaypointETAs } from './shipSystem.js';
+import { SHIP_TYPES, HULL_SIZES, SHIP_COMPONENTS, VETERANCY_RANKS, TECHNOLOGIES, RESEARCH_ENERGY_PER_PLANET, BUILDING_TYPES, FLEET_ORDERS, TREATY_TYPES, VICTORY_TYPES } from './config.js';
+import { onGameEvent } from './gameEvents.js';
+import { getPlanetView, getFleetPosition } from './visibility.js';
+import { isShipUnlocked, getPlanetYield, getAvailableTechs, hasTech } from './research.js';
+import { getBuildingYield, isBuildingAvailable, canQueueBuilding, canAffordBuilding } from './buildings.js';
+import { getFinalDestinationId } from './hyperlanes.js';
+import { getFleet, getFleetsAt } from './fleets.js';
+import { getTreaty, getRelation } from './diplomacy.js';
+import { predictBattle, getPlanetBattleDefense } from './combatSystem.js';
+import { getTurnLimit, getVictoryProgress } from './victory.js';
+import { getIncome, getUpkeep } from './economy.js';
+import { getPlanetDefenses } from './planetDefenses.js';
+import { getShipType, getShipDesigns, getDesignStats, getDesignProblem } from './shipDesigns.js';
+import { getShipRank, getShipAttack, getShipExperience, describeShip } from './veterancy.js';
+import { getSupplyStatus } from './supply.js';
+
+// Subscribe the browser UI to events emitted by the rules core
+export function setupGameEventHandlers() {
+    onGameEvent('notification', (event) => showNotification(event.message));
+
+    onGameEvent('destinationSelectionStarted', (event) => {
+        const hint = document.getElementById('destinationHint');
+        const hints = {
+            patrol: 'Select planet to patrol to',
+            redirect: 'Select new destination (Shift+click adds waypoints)'
+        };
+        hint.textContent = hints[event.purpose] || 'Select destination planet (Shift+click adds waypoints)';
+        hint.style.display = 'block';
+        document.getElementById('gameContainer').classList.add('selecting-destination');
+    });
+
+    onGameEvent('destinationSelectionEnded', () => {
+        hideCombatCalculator();
+        document.getElementById('destinationHint').style.display = 'none';
+        document.getElementById('gameContainer').classList.remove('selecting-destination');
+    });
+
+    onGameEvent('battleChoiceMade', () => {
+        document.getElementById('battleDialog').style.display = 'none';
+    });
+
+    onGameEvent('battleResult', (event) => showBattleResults(event.result, event.isDefending));
+
+    onGameEvent('retreatDestinationRequired', (event) => {
+        const planets = event.planetIds.map(id => gameState.planets.find(p => p.id === id));
+        showRetreatDialog(planets, event.casualties);
+    });
+
+    onGameEvent('retreatCompleted', () => {
+        document.getElementById('battleDialog').style.display = 'none';
+    });
+
+    // Completed buildings change the planet's income and options
+    onGameEvent('buildingCompleted', (event) => {
+        if (gameState.selectedPlanet?.id === event.planetId && event.owner === 'player') {
+            updatePlanetPanel(gameState.selectedPlanet);
+            updateShipyardPanel();
+        }
+    });
+
+    // New hulls and bonuses show up in the open panels right away
+    onGameEvent('researchCompleted', (event) => {
+        if (event.empireId !== 'player') return;
+
+        if (document.getElementById('researchOverlay').classList.contains('active')) {
+            updateResearchPanel();
+        }
+        if (gameState.selectedPlanet?.owner === 'player') {
+            updateShipyardPanel();
+        }
+    });
+
+    // Treaties run out or are broken during the turn
+    onGameEvent('treatyEnded', () => {
+        if (document.getElementById('diplomacyOverlay').classList.contains('active')) {
+            updateDiplomacyPanel();
+        }
+    });
+}
 
 // Export functions used by other modules and HTML onclick handlers
 export function closePlanetPanel() {
@@ -43,11 +142,434 @@ export function updateDisplay() {
     document.getElementById('energyCount').textContent = Math.floor(gameState.players.player.energy);
     document.getElementById('mineralsCount').textContent = Math.floor(gameState.players.player.minerals);
     document.getElementById('foodCount').textContent = Math.floor(gameState.players.player.food);
-    document.getElementById('turnCount').textContent = gameState.turn;
+
+    // Per-turn change: income minus upkeep (ships cost energy, population eats food)
+    const income = getIncome('player');
+    const upkeep = getUpkeep('player');
+    for (const resource of ['energy', 'minerals', 'food']) {
+        const net = income[resource] - upkeep[resource];
+        const rate = document.getElementById(`${resource}Rate`);
+        rate.textContent = `${net >= 0 ? '+' : ''}${Math.round(net * 10) / 10}`;
+        rate.classList.toggle('negative', net < 0);
+        rate.parentElement.title = `Income +${Math.round(income[resource] * 10) / 10}, upkeep -${Math.round(upkeep[resource] * 10) / 10} per turn`;
+    }
+    const turnLimit = getTurnLimit();
+    document.getElementById('turnCount').textContent = turnLimit ? `${gameState.turn}/${turnLimit}` : gameState.turn;
+
+    // Progress towards the active victory conditions (tooltip on the turn counter)
+    const progress = getVictoryProgress('player');
+    document.getElementById('turnLabel').title = progress.length > 0
+        ? `Victory progress:\n${progress.join('\n')}`
+        : 'Victory: conquer the galaxy';
 
     // Update score
     const score = calculateScore('player');
     document.getElementById('scoreCount').textContent = score;
+
+    // Research progress on the research button
+    const research = gameState.players.player.research;
+    document.getElementById('researchStatus').textContent = research.current
+        ? `${Math.floor(research.progress / TECHNOLOGIES[research.current].cost * 100)}%`
+        : '—';
+}
+
+// Research overlay: every technology with its state (completed, researching, available, locked)
+export function updateResearchPanel() {
+    const panel = document.getElementById('researchContent');
+    const research = gameState.players.player.research;
+    const available = getAvailableTechs('player');
+    const ownedPlanets = gameState.planets.filter(p => p.owner === 'player').length;
+
+    let content = `
+        <div class="research-summary">
+            Investing up to ⚡${ownedPlanets * RESEARCH_ENERGY_PER_PLANET} per turn
+            (${RESEARCH_ENERGY_PER_PLANET} per planet)
+        </div>
+        <div class="research-list">
+    `;
+
+    for (const [techId, tech] of Object.entries(TECHNOLOGIES)) {
+        let status;
+        if (research.completed.includes(techId)) {
+            status = 'completed';
+        } else if (research.current === techId) {
+            status = 'researching';
+        } else if (available.includes(techId)) {
+            status = 'available';
+        } else {
+            status = 'locked';
+        }
+
+        const requires = tech.requires.map(id => TECHNOLOGIES[id].name).join(', ');
+        let detail;
+        if (status === 'completed') {
+            detail = '✔ Researched';
+        } else if (status === 'researching') {
+            detail = `${Math.floor(research.progress)}/${tech.cost}`;
+        } else if (status === 'locked') {
+            detail = `🔒 Requires ${requires}`;
+        } else {
+            detail = `⚡${tech.cost}`;
+        }
+
+        content += `
+            <button class="research-item ${status}" ${status === 'available' ? '' : 'disabled'}
+                onclick="window.selectResearch('${techId}')">
+                <div class="research-name">${tech.icon} ${tech.name}</div>
+                <div class="research-description">${tech.description}</div>
+                <div class="research-detail">${detail}</div>
+                ${status === 'researching' ? `
+                <div class="research-progress">
+                    <div class="research-progress-fill" style="width: ${Math.min(100, research.progress / tech.cost * 100)}%"></div>
+                </div>` : ''}
+            </button>
+        `;
+    }
+
+    content += '</div>';
+    panel.innerHTML = content;
+}
+
+// Relation marker next to a rival empire's name (nothing for the player or at war)
+function getRelationBadge(empireId) {
+    const treaty = empireId && empireId !== 'player' ? getTreaty('player', empireId) : null;
+    return treaty ? ` <span title="${TREATY_TYPES[treaty.type].name}">${TREATY_TYPES[treaty.type].icon}</span>` : '';
+}
+
+// Diplomacy overlay: one card per rival AI empire plus a free-form proposal (trade, planet
+// exchange, tribute demand and/or treaty)
+export function updateDiplomacyPanel() {
+    const panel = document.getElementById('diplomacyContent');
+    const rivals = gameState.empires.filter(e => e.id !== 'player' && e.controller === 'ai' && !e.eliminated);
+    const player = gameState.players.player;
+    if (rivals.length === 0) {
+        panel.innerHTML = '<div class="research-summary">No rival empires left.</div>';
+        return;
+    }
+
+    let content = '<div class="diplomacy-list">';
+    for (const empire of rivals) {
+        const treaty = getTreaty('player', empire.id);
+        const relation = getRelation('player', empire.id);
+        const relationText = treaty
+            ? `${TREATY_TYPES[relation].icon} ${TREATY_TYPES[relation].name}${treaty.turnsRemaining !== null ? ` (${treaty.turnsRemaining} turns)` : ''}`
+            : '⚔️ War';
+        const currentRank = treaty ? TREATY_TYPES[relation].rank : 0;
+
+        const treatyButtons = Object.entries(TREATY_TYPES)
+            .filter(([, type]) => type.rank > currentRank)
+            .map(([treatyId, type]) => `
+                <button class="diplomacy-btn" title="${type.description}"
+                    onclick="window.proposeTreatyTo('${empire.id}', '${treatyId}')">${type.icon} ${type.name}</button>
+            `).join('');
+
+        content += `
+            <div class="diplomacy-empire">
+                <div class="diplomacy-empire-header">
+                    <span class="diplomacy-empire-name" style="color: ${getOwnerColor(empire.id)?.hex || '#fff'}">${empire.name}</span>
+                    <span class="diplomacy-relation ${relation}">${relationText}</span>
+                </div>
+                <div class="diplomacy-actions">
+                    ${treatyButtons}
+                    ${treaty ? `<button class="diplomacy-btn war" onclick="window.declareWarOn('${empire.id}')">⚔️ Declare War</button>` : ''}
+                </div>
+            </div>
+        `;
+    }
+    content += '</div>';
+
+    // Planets the player may offer (never the last one) and rival planets as far as the player knows
+    const ownPlanets = gameState.planets.filter(p => p.owner === 'player');
+    const rivalPlanets = gameState.planets
+        .map(p => ({ planet: p, owner: getPlanetView('player', p).owner }))
+        .filter(({ owner }) => owner && owner !== 'player');
+
+    const resourceInputs = (prefix, max) => `
+        <label>⚡ <input type="number" id="${prefix}Energy" min="0" ${max ? `max="${Math.floor(max.energy)}"` : ''} value="0"></label>
+        <label>⛏️ <input type="number" id="${prefix}Minerals" min="0" ${max ? `max="${Math.floor(max.minerals)}"` : ''} value="0"></label>
+        <label>🌿 <input type="number" id="${prefix}Food" min="0" ${max ? `max="${Math.floor(max.food)}"` : ''} value="0"></label>
+    `;
+
+    content += `
+        <div class="diplomacy-proposal">
+            <h3>Proposal</h3>
+            <div class="proposal-row">
+                <select id="proposalEmpire">
+                    ${rivals.map(e => `<option value="${e.id}">${e.name}</option>`).join('')}
+                </select>
+                <select id="proposalTreaty">
+                    <option value="">No treaty</option>
+                    ${Object.entries(TREATY_TYPES).map(([id, type]) => `<option value="${id}">${type.icon} ${type.name}</option>`).join('')}
+                </select>
+            </div>
+            <div class="proposal-columns">
+                <div class="proposal-column">
+                    <h4>You give</h4>
+                    ${resourceInputs('offer', player)}
+                    <select id="offerPlanet">
+                        <option value="">No planet</option>
+                        ${ownPlanets.length > 1 ? ownPlanets.map(p => `<option value="${p.id}">${p.name}</option>`).join('') : ''}
+                    </select>
+                </div>
+                <div class="proposal-column">
+                    <h4>You ask for</h4>
+                    ${resourceInputs('request', null)}
+                    <select id="requestPlanet">
+                        <option value="">No planet</option>
+                        ${rivalPlanets.map(({ planet, owner }) => `<option value="${planet.id}">${planet.name} (${getEmpire(owner)?.name || owner})</option>`).join('')}
+                    </select>
+                </div>
+            </div>
+            <button class="diplomacy-btn send" onclick="window.sendProposal()">SEND PROPOSAL</button>
+        </div>
+    `;
+
+    panel.innerHTML = content;
+}
+
+// Battle log filters and the report being shown (null: newest matching battle)
+const battleLogView = { turn: 'all', planetId: 'all', number: null };
+
+const BATTLE_OUTCOMES = {
+    conquered: 'Planet colonized',
+    conquering: 'Conquest started',
+    occupied: 'Planet occupied',
+    cleared: 'Orbit cleared',
+    repelled: 'Attack repelled',
+    stalemate: 'Both fleets held (round limit)'
+};
+
+// Battle log: the player's recent battles filtered by turn and planet, and the selected
+// report round by round. `view` changes the filters ({ turn, planetId }) or the report ({ number }).
+export function updateBattleLogPanel(view = {}) {
+    Object.assign(battleLogView, view);
+    const panel = document.getElementById('battleLogContent');
+    const history = gameState.battleHistory;
+    if (history.length === 0) {
+        panel.innerHTML = '<div class="research-summary">No battles fought yet.</div>';
+        return;
+    }
+
+    const turns = [...new Set(history.map(r => r.turn))].sort((a, b) => b - a);
+    const planets = [...new Map(history.map(r => [r.planetId, r.planetName])).entries()]
+        .sort((a, b) => a[1].localeCompare(b[1]));
+    const reports = history
+        .filter(r => battleLogView.turn === 'all' || r.turn === Number(battleLogView.turn))
+        .filter(r => battleLogView.planetId === 'all' || r.planetId === Number(battleLogView.planetId))
+        .reverse();
+    const selected = reports.find(r => r.number === battleLogView.number) || reports[0] || null;
+
+    const option = (value, label, current) =>
+        `<option value="${value}" ${String(current) === String(value) ? 'selected' : ''}>${label}</option>`;
+
+    let content = `
+        <div class="battle-log-filters">
+            <select id="battleLogTurn" onchange="window.filterBattleLog()">
+                ${option('all', 'All turns', battleLogView.turn)}
+                ${turns.map(turn => option(turn, `Turn ${turn}`, battleLogView.turn)).join('')}
+            </select>
+            <select id="battleLogPlanet" onchange="window.filterBattleLog()">
+                ${option('all', 'All planets', battleLogView.planetId)}
+                ${planets.map(([id, name]) => option(id, name, battleLogView.planetId)).join('')}
+            </select>
+        </div>
+        <div class="battle-log-body">
+            <div class="battle-log-list">
+    `;
+
+    for (const report of reports) {
+        const won = didPlayerWin(report);
+        content += `
+            <button class="battle-log-item ${report === selected ? 'selected' : ''}" onclick="window.showBattleReport(${report.number})">
+                <span class="battle-log-item-title">Turn ${report.turn} · ${report.planetName}</span>
+                <span class="battle-log-item-result ${won === null ? 'even' : won ? 'good' : 'bad'}">
+                    ${won === null ? 'Undecided' : won ? 'Victory' : 'Defeat'}
+                </span>
+            </button>
+        `;
+    }
+    if (reports.length === 0) {
+        content += '<div class="prediction-note">No battles match the filters.</div>';
+    }
+
+    content += `
+            </div>
+            <div class="battle-log-report">${selected ? renderBattleReport(selected) : ''}</div>
+        </div>
+    `;
+
+    panel.innerHTML = content;
+}
+
+// Whether the player's side won a reported battle (null when both sides held)
+function didPlayerWin(report) {
+    const playerAttacked = report.attackers.some(s => s.owner === 'player');
+    if (report.attackersSurvived > 0 && report.defendersSurvived > 0) return null;
+    return playerAttacked ? report.defendersSurvived === 0 : report.attackersSurvived === 0;
+}
+
+// Rank badge and captain of a ship in a battle report (reports from before v2.22.0 have no ranks)
+function getReportRankHtml(ship) {
+    if (!ship.rank) return '';
+    const captain = ship.captain ? ` Capt. ${escapeHtml(ship.captain)}` : '';
+    return ` <span class="rank-badge" title="${VETERANCY_RANKS[ship.rank].name}">${VETERANCY_RANKS[ship.rank].badge}${captain}</span>`;
+}
+
+function renderBattleReport(report) {
+    // Ships are named by type and number within their side ("Fighter 2")
+    const shipNames = new Map();
+    for (const side of [report.attackers, report.defenders]) {
+        const counts = {};
+        for (const ship of side) {
+            counts[ship.type] = (counts[ship.type] || 0) + 1;
+            shipNames.set(ship.id, `${getShipType(ship.type).icon} ${escapeHtml(getShipType(ship.type).name)} ${counts[ship.type]}`);
+        }
+    }
+    const sideName = owner => owner === 'player' ? 'Your forces' : `${getEmpire(owner)?.name || 'Unknown'}`;
+    const sideLabel = owner => `<span style="color: ${getOwnerColor(owner)?.hex || '#fff'}">${sideName(owner)}</span>`;
+    const firingSide = { attackers: report.attacker, defenders: report.defender };
+
+    const fleetList = (ships, colonizersLost) => `
+        <div class="battle-log-fleet">
+            ${ships.map(ship => `<div>${shipNames.get(ship.id)}${getReportRankHtml(ship)} <span class="prediction-note">${ship.hitPoints}/${ship.maxHitPoints} HP</span></div>`).join('')}
+            ${colonizersLost > 0 ? `<div class="prediction-note">${colonizersLost} unescorted colonizer(s) lost before the fight</div>` : ''}
+        </div>
+    `;
+
+    const bonuses = [];
+    if (report.planetOwner) bonuses.push('+10% hull');
+    if (report.shieldBonus > 0) bonuses.push(`+${Math.round(report.shieldBonus * 100)}% shields (planet owner's ships)`);
+    // Reports from before v2.20.0 have no planet defenses
+    const planetDefense = report.planetDefense ? `
+        <div class="prediction-row"><span>Planet defenses (${report.planetDefense.side})</span>
+            <span>🛡️${report.planetDefense.shields}/${report.planetDefense.maxShields} shields · 🎯${report.planetDefense.batteries} batteries</span></div>` : '';
+
+    let content = `
+        <h3>Battle #${report.number}: ${report.planetName}, turn ${report.turn}</h3>
+        <div class="prediction-row"><span>Outcome</span><span>${BATTLE_OUTCOMES[report.outcome]}</span></div>
+        <div class="prediction-row"><span>Ships lost</span><span>${report.attackersDestroyed} attacking · ${report.defendersDestroyed} defending</span></div>
+        ${planetDefense}
+        <div class="proposal-columns">
+            <div class="proposal-column">
+                <h4>Attackers: ${sideLabel(report.attacker)}</h4>
+                ${fleetList(report.attackers, report.colonizersLost.attackers)}
+            </div>
+            <div class="proposal-column">
+                <h4>Defenders: ${sideLabel(report.defender)}</h4>
+                ${fleetList(report.defenders, report.colonizersLost.defenders)}
+                ${bonuses.length > 0 ? `<div class="prediction-note">Defender bonus: ${bonuses.join(', ')}</div>` : ''}
+            </div>
+        </div>
+    `;
+
+    for (const { round, volleys } of report.rounds) {
+        content += `<div class="battle-log-round"><h4>Round ${round}</h4>`;
+        for (const volley of volleys) {
+            content += `
+                <div class="battle-log-volley">
+                    ${sideLabel(firingSide[volley.side])} fire ${volley.firepower}${volley.batteries > 0 ? ` (🎯${volley.batteries} batteries)` : ''} × ${volley.roll.toFixed(3)} roll = <strong>${volley.damage}</strong> damage
+                    ${volley.absorbed > 0 ? `<div class="battle-log-hit">🛡️ Planet shields absorb ${volley.absorbed} (${volley.planetShields} left)</div>` : ''}
+                    ${volley.hits.map(hit => `
+                        <div class="battle-log-hit ${hit.destroyed ? 'destroyed' : ''}">
+                            ${shipNames.get(hit.shipId) || escapeHtml(getShipType(hit.type).name)}: ${hit.hpBefore} → ${hit.hpAfter} HP${hit.destroyed ? ' 💥' : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `;
+        }
+        content += '</div>';
+    }
+
+    return content;
+}
+
+// Ship designer draft: the hull and components being fitted and the design's name
+const designerDraft = { hull: 'medium', components: {}, name: '' };
+
+export function getShipDesignerDraft() {
+    return { ...designerDraft, components: { ...designerDraft.components } };
+}
+
+// What one component adds to a design, e.g. "+3 ⚔️"
+function describeComponent(component) {
+    const effects = [];
+    if (component.attack) effects.push(`+${component.attack} ⚔️`);
+    if (component.maxHitPoints) effects.push(`+${component.maxHitPoints} ❤️`);
+    if (component.speed) effects.push(`+${component.speed} 🚀`);
+    if (component.sensorRange) effects.push(`+${component.sensorRange} 👁️`);
+    if (component.colonyPods) effects.push('colonizes');
+    return effects.join(' ');
+}
+
+// Ship designer overlay: hull choice, components, live stats of the draft and the player's
+// designs in service. `draft` changes the hull ({ hull }), loadout ({ components }) or name.
+export function updateShipDesignerPanel(draft = {}) {
+    // Keep the name typed so far when the panel is redrawn
+    const nameInput = document.getElementById('designName');
+    if (nameInput) designerDraft.name = nameInput.value;
+    Object.assign(designerDraft, draft);
+
+    const panel = document.getElementById('shipDesignerContent');
+    const { hull, components } = designerDraft;
+    const hullType = HULL_SIZES[hull];
+    const used = Object.values(components).reduce((sum, count) => sum + count, 0);
+    const stats = getDesignStats(hull, components);
+    const problem = getDesignProblem('player', hull, components);
+    const cost = stats.cost;
+
+    const hullButtons = Object.entries(HULL_SIZES).map(([id, type]) => {
+        const locked = type.requiresTech && !hasTech('player', type.requiresTech);
+        return `
+            <button class="designer-hull ${id === hull ? 'selected' : ''}" ${locked ? 'disabled' : ''}
+                title="${locked ? `Requires ${TECHNOLOGIES[type.requiresTech].name}` : `${type.slots} slots`}"
+                onclick="window.selectDesignHull('${id}')">
+                <div>${type.icon} ${type.name}</div>
+                <div class="prediction-note">${locked ? '🔒' : `${type.slots} slots · ❤️${type.maxHitPoints} 🚀${type.speed}`}</div>
+            </button>
+        `;
+    }).join('');
+
+    const componentRows = Object.entries(SHIP_COMPONENTS).map(([id, component]) => `
+        <div class="designer-component">
+            <span>${component.icon} ${component.name} <span class="prediction-note">${describeComponent(component)}</span></span>
+            <span class="designer-count">
+                <button class="designer-count-btn" ${components[id] > 0 ? '' : 'disabled'} onclick="window.changeDesignComponent('${id}', -1)">−</button>
+                <span>${components[id] || 0}</span>
+                <button class="designer-count-btn" ${used < hullType.slots ? '' : 'disabled'} onclick="window.changeDesignComponent('${id}', 1)">+</button>
+            </span>
+        </div>
+    `).join('');
+
+    const designs = getShipDesigns('player').map(design => {
+        const type = getShipType(design.id);
+        return `
+            <div class="designer-design">
+                <span><span style="color: ${type.color}">${type.icon}</span> ${escapeHtml(design.name)}
+                    <span class="prediction-note">⚔️${type.attack} ❤️${type.maxHitPoints} 🚀${type.speed} · ⚡${type.cost.energy} ⛏️${type.cost.minerals} 🌿${type.cost.food}</span></span>
+                <button class="designer-count-btn" title="Retire (ships already built keep flying)" onclick="window.retireShipDesign('${design.id}')">Retire</button>
+            </div>
+        `;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="designer-hulls">${hullButtons}</div>
+        <h4>Components (${used}/${hullType.slots} slots)</h4>
+        <div class="designer-components">${componentRows}</div>
+        <div class="designer-preview">
+            <div class="prediction-row"><span>Attack / HP</span><span>⚔️${stats.attack} ❤️${stats.maxHitPoints}</span></div>
+            <div class="prediction-row"><span>Speed / Sensors</span><span>🚀${stats.speed} 👁️${stats.sensorRange}</span></div>
+            <div class="prediction-row"><span>Cost</span><span>⚡${cost.energy} ⛏️${cost.minerals} 🌿${cost.food}</span></div>
+            <div class="prediction-row"><span>Build time / Upkeep</span><span>${stats.baseBuildTime} turns · ⚡${stats.upkeep} per turn</span></div>
+            <div class="prediction-note">Before research bonuses; build time shrinks with population and shipyards</div>
+        </div>
+        <div class="save-slot-row">
+            <input type="text" id="designName" maxlength="24" placeholder="${hullType.name} Mk …" value="${escapeHtml(designerDraft.name)}">
+            <button class="resume-btn" ${problem ? 'disabled' : ''} onclick="window.saveShipDesign()">SAVE DESIGN</button>
+        </div>
+        ${problem ? `<p class="save-slot-hint">${problem}</p>` : ''}
+        <h4>Your Designs</h4>
+        <div class="designer-designs">${designs || '<div class="research-summary">No designs yet.</div>'}</div>
+    `;
 }
 
 export function updatePlanetPanel(planet) {
@@ -58,30 +580,77 @@ export function updatePlanetPanel(planet) {
     // Update planet name in header
     planetName.textContent = planet.name;
 
+    // Out-of-sight planets show last-known intel; never-seen planets are unexplored
+    const view = getPlanetView('player', planet);
+    const explored = view.lastSeenTurn !== null;
+    // The player's own planets show income including research and building bonuses
+    const production = planet.owner === 'player' ? getPlayerPlanetIncome(planet) : planet.resources;
+    // Defenses and conquests are only known while the planet is in sensor range
+    const defenses = view.visible && view.owner ? getPlanetDefenses(planet) : null;
+    const conquest = view.visible ? gameState.pendingConquests.find(c => c.planetId === planet.id) : null;
+
     const content = `
         <div class="planet-stats">
             <div class="stat">
                 <div class="stat-label">Owner</div>
-                <div>${planet.owner || 'Neutral'}</div>
+                <div>${!explored ? 'Unknown' : view.owner ? getEmpire(view.owner)?.name || view.owner : 'Neutral'}${getRelationBadge(view.owner)}</div>
             </div>
             <div class="stat">
                 <div class="stat-label">Population</div>
-                <div>${planet.population}/${planet.maxPopulation}</div>
+                <div>${explored ? view.population : '?'}/${planet.maxPopulation}</div>
             </div>
             <div class="stat">
                 <div class="stat-label">Ships</div>
-                <div>${planet.ships.length}</div>
+                <div>${explored ? view.ships.length : '?'}</div>
             </div>
+            ${view.visible ? '' : `
+            <div class="stat">
+                <div class="stat-label">Last Seen</div>
+                <div>${explored ? `Turn ${view.lastSeenTurn}` : 'Never'}</div>
+            </div>`}
             <div class="stat">
                 <div class="stat-label">Production</div>
-                <div>⚡${planet.resources.energy} ⛏️${planet.resources.minerals} 🌿${planet.resources.food}</div>
+                <div>⚡${production.energy} ⛏️${production.minerals} 🌿${production.food}</div>
             </div>
+            ${defenses ? `
+            <div class="stat" title="Shields absorb enemy fire first; batteries fire while the shields hold">
+                <div class="stat-label">Defenses</div>
+                <div>🛡️${Math.round(planet.shields)}/${Math.round(defenses.maxShields)} 🎯${Math.round(defenses.batteries)}</div>
+            </div>` : ''}
         </div>
+        ${conquest ? getConquestHtml(conquest) : ''}
     `;
 
     panel.innerHTML = content;
 }
 
+// Conquest under way at a planet; the player's own conquests can be bombarded
+function getConquestHtml(conquest) {
+    const conqueror = conquest.newOwner === 'player' ? 'Your forces' : getEmpire(conquest.newOwner)?.name || 'Unknown';
+    const status = conquest.bombard ? '☄️ Bombarding' : 'Occupying';
+
+    return `
+        <div class="conquest-status">
+            <div>${status}: ${conqueror} take over in ${conquest.turnsRemaining} turn(s)</div>
+            ${conquest.newOwner === 'player' ? `
+            <button class="bombard-btn ${conquest.bombard ? 'active' : ''}" onclick="window.toggleBombardment('${conquest.planetId}')"
+                title="Each turn of bombardment kills population, brings the shields down and knocks out a defense building">
+                ${conquest.bombard ? 'Cease bombardment' : '☄️ Bombard'}
+            </button>` : ''}
+        </div>
+    `;
+}
+
+function getPlayerPlanetIncome(planet) {
+    const planetYield = getPlanetYield('player', planet);
+    const buildingYield = getBuildingYield(planet);
+    return {
+        energy: planetYield.energy + buildingYield.energy,
+        minerals: planetYield.minerals + buildingYield.minerals,
+        food: planetYield.food + buildingYield.food
+    };
+}
+
 export function updateFleetPanel() {
     const panel = document.getElementById('fleetContent');
     const tab = gameState.fleetTab;
@@ -90,43 +659,23 @@ export function updateFleetPanel() {
 
     if (tab === 'stationed') {
         // Show ships grouped by type with click-to-select
-        if (gameState.selectedPlanet && gameState.selectedPlanet.ships.length > 0) {
+        // Rival ships as far as the player knows (player ships are only ever at visible planets)
+        const knownShips = gameState.selectedPlanet ? getPlanetView('player', gameState.selectedPlanet).ships : [];
+        if (knownShips.length > 0) {
             // Separate player ships and enemy ships
-            const playerShips = gameState.selectedPlanet.ships.filter(s => s.owner === 'player');
-            const enemyShips = gameState.selectedPlanet.ships.filter(s => s.owner !== 'player');
-
-            // Group player ships by type
-            const shipGroups = {};
-            for (const ship of playerShips) {
-                if (!shipGroups[ship.type]) {
-                    shipGroups[ship.type] = { ships: [], selectedCount: 0 };
-                }
-                shipGroups[ship.type].ships.push(ship);
-                if (gameState.selectedShipIds.has(ship.id)) {
-                    shipGroups[ship.type].selectedCount++;
-                }
+            const playerShips = knownShips.filter(s => s.owner === 'player');
+            const enemyShips = knownShips.filter(s => s.owner !== 'player');
+
+            if (playerShips.length > 0) {
+                const planet = gameState.selectedPlanet;
+                content += getSupplyHtml(getSupplyStatus('player', planet.x, planet.y));
             }
 
-            // Show player ship groups (click to select/deselect)
-            for (const [type, group] of Object.entries(shipGroups)) {
-                const shipType = SHIP_TYPES[type];
-                const totalCount = group.ships.length;
-                const selectedCount = group.selectedCount;
-                const availableCount = totalCount - selectedCount;
-                const hasSelection = selectedCount > 0;
+            // Loose player ships grouped by type; fleet ships are listed on their fleet's card
+            content += getShipGroupsHtml(playerShips.filter(s => !s.fleetId), null);
 
-                content += `
-                    <div class="ship-group ${hasSelection ? 'has-selection' : ''}" onclick="window.toggleShipTypeSelection('${type}')">
-                        <div class="ship-group-icon">${shipType.icon}</div>
-                        <div class="ship-group-info">
-                            <span class="ship-group-name">${shipType.name}</span>
-                            <span class="ship-group-counts">
-                                <span class="available-count">${availableCount}</span>
-                                ${selectedCount > 0 ? `<span class="selected-count">+${selectedCount}</span>` : ''}
-                            </span>
-                        </div>
-                    </div>
-                `;
+            for (const fleet of getFleetsAt(gameState.selectedPlanet, 'player')) {
+                content += getFleetCardHtml(fleet, playerShips.filter(s => s.fleetId === fleet.id));
             }
 
             // Show enemy ships grouped (not selectable)
@@ -140,12 +689,12 @@ export function updateFleetPanel() {
                 }
 
                 for (const [type, count] of Object.entries(enemyGroups)) {
-                    const shipType = SHIP_TYPES[type];
+                    const shipType = getShipType(type);
                     content += `
                         <div class="ship-group enemy">
                             <div class="ship-group-icon">${shipType.icon}</div>
                             <div class="ship-group-info">
-                                <span class="ship-group-name">${shipType.name}</span>
+                                <span class="ship-group-name">${escapeHtml(shipType.name)}</span>
                                 <span class="ship-group-counts">
                                     <span class="enemy-count">${count}</span>
                                 </span>
@@ -162,6 +711,7 @@ export function updateFleetPanel() {
                         SEND ${gameState.selectedShipIds.size} SHIP${gameState.selectedShipIds.size > 1 ? 'S' : ''}
                     </button>
                 `;
+                content += getSelectionFleetActionsHtml(playerShips.filter(s => gameState.selectedShipIds.has(s.id)));
             }
         }
     } else if (tab === 'transit') {
@@ -169,13 +719,25 @@ export function updateFleetPanel() {
 
         for (const group of playerShips) {
             const fromPlanet = gameState.planets.find(p => p.id === group.fromPlanetId);
-            const toPlanet = gameState.planets.find(p => p.id === group.targetPlanetId);
+            const toPlanet = gameState.planets.find(p => p.id === getFinalDestinationId(group));
+            const hopsLeft = group.route?.length || 0;
+            const viaText = hopsLeft > 0 ? ` (${hopsLeft} more hop${hopsLeft > 1 ? 's' : ''})` : '';
+
+            const fleet = group.fleetId ? getFleet(group.fleetId) : null;
+            const position = getFleetPosition(group);
 
             // Show route header spanning both columns
             content += `
                 <div style="grid-column: 1 / -1; font-size:0.85rem; margin-bottom: 4px;">
+                    ${fleet ? `<div class="fleet-transit-name">⚑ ${escapeHtml(fleet.name)}</div>` : ''}
                     <div style="color:#0af;">${fromPlanet?.name || '?'} → ${toPlanet?.name || '?'}</div>
-                    <div style="font-size:0.75rem;color:#888;">ETA: ${group.turnsRemaining} turns</div>
+                    <div style="font-size:0.75rem;color:#888;">ETA: ${getRemainingTravelTurns(group)} turns${viaText}</div>
+                    ${position ? getSupplyHtml(getSupplyStatus('player', position.x, position.y)) : ''}
+                    ${getWaypointListHtml(group)}
+                    <div class="fleet-card-actions">
+                        <button class="fleet-card-btn" onclick="window.recallTravelingGroup('${group.id}')">↩ Recall</button>
+                        <button class="fleet-card-btn" onclick="window.redirectTravelingGroup('${group.id}')">➜ Redirect</button>
+                    </div>
                 </div>
             `;
 
@@ -185,12 +747,12 @@ export function updateFleetPanel() {
             }
 
             for (const [type, count] of Object.entries(shipCounts)) {
-                const shipType = SHIP_TYPES[type];
+                const shipType = getShipType(type);
                 content += `
                     <div class="ship-group">
                         <div class="ship-group-icon">${shipType.icon}</div>
                         <div class="ship-group-info">
-                            <span class="ship-group-name">${shipType.name}</span>
+                            <span class="ship-group-name">${escapeHtml(shipType.name)}</span>
                             <span class="ship-group-counts">
                                 <span class="available-count">${count}</span>
                             </span>
@@ -204,6 +766,161 @@ export function updateFleetPanel() {
     panel.innerHTML = content || '<p style="color:#888;text-align:center;padding:20px;grid-column: 1 / -1;">No ships</p>';
 }
 
+const SUPPLY_LABELS = {
+    supplied: '🟢 Supplied: repairing',
+    limited: '🟡 Supply range: no repairs',
+    unsupplied: '🔴 Out of supply: attrition'
+};
+
+function getSupplyHtml(status) {
+    return `<div class="supply-status ${status}">${SUPPLY_LABELS[status]}</div>`;
+}
+
+// Remaining stops of a waypoint chain with the ETA of each; any stop can be dropped while two remain
+function getWaypointListHtml(group) {
+    const etas = getWaypointETAs(group);
+    if (etas.length < 2) return '';
+
+    const stops = etas.map((eta, index) => {
+        const planet = gameState.planets.find(p => p.id === eta.planetId);
+        return `
+            <span class="waypoint-stop">
+                ${index + 1}. ${planet?.name || '?'} (${eta.turns})
+                <button class="waypoint-remove-btn" title="Remove stop" onclick="window.cancelGroupWaypoint('${group.id}', ${index})">✕</button>
+            </span>
+        `;
+    });
+    return `<div class="waypoint-list">${stops.join('')}</div>`;
+}
+
+// Ship type tiles for loose ships (fleetId null) or one fleet's ships; clicking a tile
+// selects one more ship of that type
+function getShipGroupsHtml(ships, fleetId) {
+    const shipGroups = {};
+    for (const ship of ships) {
+        if (!shipGroups[ship.type]) {
+            shipGroups[ship.type] = { ships: [], selectedCount: 0 };
+        }
+        shipGroups[ship.type].ships.push(ship);
+        if (gameState.selectedShipIds.has(ship.id)) {
+            shipGroups[ship.type].selectedCount++;
+        }
+    }
+
+    let html = '';
+    for (const [type, group] of Object.entries(shipGroups)) {
+        const shipType = getShipType(type);
+        const selectedCount = group.selectedCount;
+        const availableCount = group.ships.length - selectedCount;
+        const fleetArg = fleetId ? `, '${fleetId}'` : '';
+
+        html += `
+            <div class="ship-group ${selectedCount > 0 ? 'has-selection' : ''}" onclick="window.toggleShipTypeSelection('${type}'${fleetArg})">
+                <div class="ship-group-icon">${shipType.icon}</div>
+                <div class="ship-group-info">
+                    <span class="ship-group-name">${escapeHtml(shipType.name)}</span>
+                    <span class="ship-group-counts">
+                        <span class="available-count">${availableCount}</span>
+                        ${selectedCount > 0 ? `<span class="selected-count">+${selectedCount}</span>` : ''}
+                    </span>
+                    ${getRankBadgesHtml(group.ships)}
+                </div>
+            </div>
+        `;
+    }
+    return html;
+}
+
+// Rank badges of the promoted ships in a group ("★★×2"), with their captains and experience on hover
+function getRankBadgesHtml(ships) {
+    const byRank = {};
+    for (const ship of ships) {
+        const rank = getShipRank(ship);
+        if (rank > 0) (byRank[rank] ??= []).push(ship);
+    }
+
+    const badges = Object.entries(byRank).reverse().map(([rank, rankShips]) => {
+        const details = rankShips.map(s => `${s.captain ? `Capt. ${s.captain}` : VETERANCY_RANKS[rank].name}: ${s.kills || 0} kills, ${s.battles || 0} battles (${getShipExperience(s)} XP)`);
+        return `<span class="rank-badge" title="${escapeHtml(details.join('\n'))}">${VETERANCY_RANKS[rank].badge}${rankShips.length > 1 ? `×${rankShips.length}` : ''}</span>`;
+    });
+    return badges.length > 0 ? `<span class="ship-group-ranks">${badges.join('')}</span>` : '';
+}
+
+function getFleetOrderText(order) {
+    if (!order) return 'Idle';
+
+    const info = FLEET_ORDERS[order.type];
+    const planetName = (id) => gameState.planets.find(p => p.id === id)?.name || '?';
+    if (order.type === 'patrol') {
+        return `${info.icon} ${info.name}: ${order.planetIds.map(planetName).join(' ⇄ ')}`;
+    }
+    if (order.type === 'guard') {
+        return `${info.icon} ${info.name}: ${planetName(order.planetId)}`;
+    }
+    return `${info.icon} ${info.name}`;
+}
+
+function getFleetCardHtml(fleet, ships) {
+    const isSelected = gameState.selectedFleetId === fleet.id;
+    const hitPoints = ships.reduce((sum, s) => sum + s.hitPoints, 0);
+    const maxHitPoints = ships.reduce((sum, s) => sum + s.maxHitPoints, 0);
+
+    const orderButtons = Object.entries(FLEET_ORDERS).map(([type, order]) => `
+        <button class="fleet-order-btn ${fleet.order?.type === type ? 'active' : ''}" title="${order.description}" onclick="window.setFleetOrderType('${fleet.id}', '${type}')">${order.icon} ${order.name}</button>
+    `).join('');
+
+    // Another fleet highlighted at this planet can absorb this one
+    const selectedFleet = !isSelected && gameState.selectedFleetId ? getFleet(gameState.selectedFleetId) : null;
+    const canMerge = selectedFleet && getFleetsAt(gameState.selectedPlanet, 'player').includes(selectedFleet);
+
+    return `
+        <div class="fleet-card ${isSelected ? 'selected' : ''}">
+            <div class="fleet-card-header">
+                <button class="fleet-select-btn" title="Highlight fleet (merge and add-ship target)" onclick="window.selectFleet('${fleet.id}')">⚑</button>
+                <input class="fleet-name-input" value="${escapeHtml(fleet.name)}" maxlength="24" onchange="window.renameFleetTo('${fleet.id}', this.value)">
+            </div>
+            <div class="fleet-card-status">${ships.length} ship${ships.length !== 1 ? 's' : ''} · HP ${hitPoints.toFixed(1)}/${maxHitPoints} · ${getFleetOrderText(fleet.order)}</div>
+            <div class="fleet-card-ships">${getShipGroupsHtml(ships, fleet.id)}</div>
+            <div class="fleet-card-orders">${orderButtons}</div>
+            <div class="fleet-card-actions">
+                <button class="fleet-card-btn" onclick="window.moveFleetTo('${fleet.id}')">➜ Move</button>
+                ${canMerge ? `<button class="fleet-card-btn" onclick="window.mergeFleetInto('${fleet.id}', '${selectedFleet.id}')">Merge into ${escapeHtml(selectedFleet.name)}</button>` : ''}
+                <button class="fleet-card-btn" onclick="window.disbandFleetById('${fleet.id}')">Disband</button>
+            </div>
+        </div>
+    `;
+}
+
+// Fleet buttons for the current ship selection: loose ships can form a new fleet or join the
+// highlighted fleet; part of a single fleet can be split off into a new one
+function getSelectionFleetActionsHtml(selectedShips) {
+    const fleetIds = new Set(selectedShips.map(s => s.fleetId || null));
+    const buttons = [];
+
+    if (fleetIds.size === 1 && fleetIds.has(null)) {
+        buttons.push(`<button class="fleet-card-btn" onclick="window.createFleetFromSelection()">NEW FLEET</button>`);
+        const selectedFleet = gameState.selectedFleetId ? getFleet(gameState.selectedFleetId) : null;
+        if (selectedFleet && getFleetsAt(gameState.selectedPlanet, 'player').includes(selectedFleet)) {
+            buttons.push(`<button class="fleet-card-btn" onclick="window.addSelectionToFleet('${selectedFleet.id}')">ADD TO ${escapeHtml(selectedFleet.name)}</button>`);
+        }
+    } else if (fleetIds.size === 1) {
+        const fleetId = [...fleetIds][0];
+        const fleetSize = gameState.selectedPlanet.ships.filter(s => s.fleetId === fleetId).length;
+        if (selectedShips.length < fleetSize) {
+            buttons.push(`<button class="fleet-card-btn" onclick="window.splitSelectionFromFleet('${fleetId}')">SPLIT OFF</button>`);
+        }
+    }
+
+    return buttons.length > 0 ? `<div class="fleet-selection-actions">${buttons.join('')}</div>` : '';
+}
+
+// Fleet names are player input and also end up in attribute values
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+}
+
 export function updateShipyardPanel() {
     const planet = gameState.selectedPlanet;
     if (!planet || planet.owner !== 'player') return;
@@ -213,7 +930,12 @@ export function updateShipyardPanel() {
     // Build options section (always visible)
     let content = '<div class="build-options-section"><h4>Build Ships</h4><div class="build-options">';
 
-    for (const [type, shipType] of Object.entries(SHIP_TYPES)) {
+    const buildableTypes = [...Object.keys(SHIP_TYPES), ...getShipDesigns('player').map(d => d.id)];
+    for (const type of buildableTypes) {
+        // Research-locked hulls only appear once the technology is complete
+        if (!isShipUnlocked('player', type)) continue;
+
+        const shipType = getShipType(type);
         const cost = shipType.cost;
         const canAfford =
             gameState.players.player.energy >= cost.energy &&
@@ -221,11 +943,11 @@ export function updateShipyardPanel() {
             gameState.players.player.food >= cost.food;
 
         content += `
-            <button class="build-btn" ${canAfford ? '' : 'disabled'}
+            <button class="build-btn" ${canAfford ? '' : 'disabled'} title="⚔️${shipType.attack} ❤️${shipType.maxHitPoints} 🚀${shipType.speed} · Upkeep: ⚡${shipType.upkeep} per turn"
                 onclick="window.buildShipType('${type}')">
                 <div>
-                    <span>${shipType.icon}</span>
-                    <span>${shipType.name}</span>
+                    <span style="color: ${shipType.color}">${shipType.icon}</span>
+                    <span>${escapeHtml(shipType.name)}</span>
                 </div>
                 <div class="build-cost">
                     ⚡${cost.energy} ⛏️${cost.minerals} 🌿${cost.food}
@@ -242,7 +964,7 @@ export function updateShipyardPanel() {
 
         let cumulativeTurns = 0;
         for (const item of planet.buildQueue) {
-            const shipType = SHIP_TYPES[item.type];
+            const shipType = getShipType(item.type);
             cumulativeTurns += item.turnsRemaining;
             content += `
                 <div class="queue-item">
@@ -255,9 +977,73 @@ export function updateShipyardPanel() {
         content += '</div></div>';
     }
 
+    content += getBuildingsSection(planet);
+
     panel.innerHTML = content;
 }
 
+// Existing buildings, build options and building queue of a player planet
+function getBuildingsSection(planet) {
+    let content = '<div class="build-options-section buildings-section"><h4>Buildings</h4>';
+
+    if (planet.buildings.length > 0) {
+        content += '<div class="building-list">';
+        for (const building of planet.buildings) {
+            const buildingType = BUILDING_TYPES[building.type];
+            const damaged = building.damagedTurns > 0;
+            content += `
+                <span class="building-chip ${damaged ? 'damaged' : ''}"
+                    title="${buildingType.name}: ${damaged ? `damaged, repaired in ${building.damagedTurns} turns` : buildingType.description}">
+                    ${buildingType.icon}
+                </span>
+            `;
+        }
+        content += '</div>';
+    }
+
+    content += '<div class="build-options">';
+    for (const [type, buildingType] of Object.entries(BUILDING_TYPES)) {
+        if (!isBuildingAvailable(type)) continue;
+
+        const cost = buildingType.cost;
+        const count = planet.buildings.filter(b => b.type === type).length;
+        const canBuild = canQueueBuilding(planet, type) && canAffordBuilding('player', type);
+
+        content += `
+            <button class="build-btn" ${canBuild ? '' : 'disabled'} title="${buildingType.description}"
+                onclick="window.buildBuildingType('${type}')">
+                <div>
+                    <span>${buildingType.icon}</span>
+                    <span>${buildingType.name} (${count}/${buildingType.maxPerPlanet})</span>
+                </div>
+                <div class="build-cost">
+                    ⚡${cost.energy} ⛏️${cost.minerals} 🌿${cost.food}
+                </div>
+            </button>
+        `;
+    }
+    content += '</div></div>';
+
+    if (planet.buildingQueue.length > 0) {
+        content += '<div class="build-queue"><h4>Construction (' + planet.buildingQueue.length + ')</h4><div class="queue-grid">';
+
+        let cumulativeTurns = 0;
+        for (const item of planet.buildingQueue) {
+            cumulativeTurns += item.turnsRemaining;
+            content += `
+                <div class="queue-item">
+                    <span>${BUILDING_TYPES[item.type].icon} ${cumulativeTurns}t</span>
+                    <button class="queue-cancel" onclick="window.cancelBuildingItem('${planet.id}', '${item.id}')">&times;</button>
+                </div>
+            `;
+        }
+
+        content += '</div></div>';
+    }
+
+    return content;
+}
+
 export function selectPlanet(planet) {
     gameState.selectedPlanet = planet;
 
@@ -320,18 +1106,33 @@ export function showNotification(message) {
 
 export function showBattleDialog(attackingShips, planet, isDefending = false) {
     const dialog = document.getElementById('battleDialog');
-    const attackPower = attackingShips.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
-    const defensePower = planet.ships.reduce((sum, s) => sum + SHIP_TYPES[s.type].attack, 0);
+    // Same split as resolveBattleChoice: occupiers already on the planet fight as attackers
+    const defendingShips = planet.ships.filter(s => !attackingShips.includes(s));
+    const attackPower = Math.round(attackingShips.reduce((sum, s) => sum + getShipAttack(s), 0));
+    const defensePower = Math.round(defendingShips.reduce((sum, s) => sum + getShipAttack(s), 0));
+    const prediction = renderBattlePrediction(
+        predictBattle(attackingShips, defendingShips, planet),
+        isDefending ? 'defenders' : 'attackers'
+    );
+    const defense = getPlanetBattleDefense(planet, attackingShips, defendingShips);
+    const planetDefense = defense ? `
+                <p><strong>Planet Defenses:</strong> 🛡️${Math.round(defense.shields)}/${Math.round(defense.maxShields)} shields · 🎯${Math.round(defense.batteries)} batteries (${defense.side === 'defenders' ? 'defending' : 'with the attackers'})</p>` : '';
+    // The player's veterans in this battle: lost for good if the fight goes wrong
+    const veterans = (isDefending ? defendingShips : attackingShips).filter(s => s.owner === 'player' && getShipRank(s) > 0);
+    const veteransAtStake = veterans.length > 0 ? `
+                <p><strong>🎖️ Veterans at stake:</strong> ${veterans.map(s => escapeHtml(describeShip(s))).join(', ')}</p>` : '';
 
     if (isDefending) {
         // Enemy is attacking player's planet
+        const attackerName = getEmpire(attackingShips[0]?.owner)?.name || 'Enemy';
         dialog.innerHTML = `
             <h2>🚨 UNDER ATTACK!</h2>
             <div class="battle-info">
                 <p><strong>Location:</strong> ${planet.name}</p>
-                <p><strong>Enemy Fleet:</strong> ${attackingShips.length} ships (Power: ${attackPower})</p>
-                <p><strong>Your Defenders:</strong> ${planet.ships.length} ships (Power: ${defensePower})</p>
+                <p><strong>${attackerName} Fleet:</strong> ${attackingShips.length} ships (Power: ${attackPower})</p>
+                <p><strong>Your Defenders:</strong> ${defendingShips.length} ships (Power: ${defensePower})</p>${planetDefense}${veteransAtStake}
             </div>
+            ${prediction}
             <div class="battle-buttons">
                 <button class="battle-btn fight" onclick="window.resolveBattle('fight')">🛡️ DEFEND</button>
                 <button class="battle-btn withdraw" onclick="window.resolveBattle('withdraw')">🏃 RETREAT</button>
@@ -344,8 +1145,9 @@ export function showBattleDialog(attackingShips, planet, isDefending = false) {
             <div class="battle-info">
                 <p><strong>Target:</strong> ${planet.name}</p>
                 <p><strong>Your Fleet:</strong> ${attackingShips.length} ships (Power: ${attackPower})</p>
-                <p><strong>Defenders:</strong> ${planet.ships.length} ships (Power: ${defensePower})</p>
+                <p><strong>Defenders:</strong> ${defendingShips.length} ships (Power: ${defensePower})</p>${planetDefense}${veteransAtStake}
             </div>
+            ${prediction}
             <div class="battle-buttons">
                 <button class="battle-btn fight" onclick="window.resolveBattle('fight')">⚔️ ATTACK</button>
                 <button class="battle-btn withdraw" onclick="window.resolveBattle('withdraw')">🏃 WITHDRAW</button>
@@ -356,7 +1158,201 @@ export function showBattleDialog(attackingShips, planet, isDefending = false) {
     dialog.style.display = 'block';
 }
 
-export function showGameOver(victory) {
+// Prediction block for the battle dialog and the combat calculator.
+// `playerSide` is 'attackers' or 'defenders' (the side the win chance is shown for).
+function renderBattlePrediction(prediction, playerSide) {
+    const own = prediction[playerSide];
+    const enemy = prediction[playerSide === 'attackers' ? 'defenders' : 'attackers'];
+    const winChance = playerSide === 'attackers' ? prediction.attackerWinChance : prediction.defenderWinChance;
+    const lossChance = playerSide === 'attackers' ? prediction.defenderWinChance : prediction.attackerWinChance;
+    const rating = winChance >= 0.75 ? 'good' : winChance >= 0.4 ? 'even' : 'bad';
+
+    const formatLosses = (losses) => {
+        const entries = Object.entries(losses).filter(([, count]) => count >= 0.05);
+        if (entries.length === 0) return 'none';
+        return entries.map(([type, count]) => `${getShipType(type).icon} ${count.toFixed(1)} ${escapeHtml(getShipType(type).name)}`).join(', ');
+    };
+
+    const drawChance = 1 - winChance - lossChance;
+    return `
+        <div class="battle-prediction">
+            <div class="prediction-chance ${rating}">Win chance: ${Math.round(winChance * 100)}%</div>
+            ${drawChance >= 0.005 ? `<div class="prediction-row">Stalemate: ${Math.round(drawChance * 100)}%</div>` : ''}
+            <div class="prediction-row"><span>Your expected losses:</span> ${formatLosses(own.lossesByType)}</div>
+            <div class="prediction-row"><span>Your expected survivors:</span> ${own.expectedSurvivors.toFixed(1)} of ${own.ships}</div>
+            <div class="prediction-row"><span>Enemy expected losses:</span> ${formatLosses(enemy.lossesByType)}</div>
+            <div class="prediction-note">Estimate from ${prediction.simulations} simulated battles</div>
+        </div>
+    `;
+}
+
+// Combat calculator shown while choosing a destination: predicts a fight against what the
+// player knows of the hovered planet (current sensors or remembered intel).
+let combatCalculatorKey = null;
+
+export function showCombatCalculator(planet, screenX, screenY) {
+    const calculator = document.getElementById('combatCalculator');
+    const group = gameState.redirectGroupId
+        ? gameState.travelingShips.find(g => g.id === gameState.redirectGroupId)
+        : null;
+    const ships = gameState.shipsToSend || group?.ships || [];
+    const view = getPlanetView('player', planet);
+    const defenders = view.ships.filter(s => s.owner !== 'player');
+    const hostileOwner = view.owner && view.owner !== 'player';
+
+    if (ships.length === 0 || planet === gameState.sourcePlanet || (defenders.length === 0 && !hostileOwner)) {
+        hideCombatCalculator();
+        return;
+    }
+
+    const key = `${planet.id}|${ships.length}|${defenders.length}|${gameState.turn}`;
+    if (key !== combatCalculatorKey) {
+        combatCalculatorKey = key;
+        const rivals = [view.owner, ...defenders.map(s => s.owner)].filter(id => id && id !== 'player');
+        const atPeace = rivals.some(id => getTreaty('player', id));
+        const seen = view.visible ? '' : `<div class="prediction-note">Last seen ${view.lastSeenTurn !== null ? `turn ${view.lastSeenTurn}` : 'never'}</div>`;
+
+        let body;
+        if (atPeace) {
+            body = '<div class="prediction-row">Closed by treaty: your ships will be turned away</div>';
+        } else {
+            // Hidden planets are judged by their remembered owner and population, without their
+            // buildings and with full shields
+            const target = view.visible ? planet : { id: planet.id, owner: view.owner, population: view.population ?? 0, buildings: [] };
+            body = renderBattlePrediction(predictBattle(ships, defenders, target), 'attackers');
+        }
+
+        calculator.innerHTML = `<h4>⚔️ ${planet.name}: ${ships.length} vs ${defenders.length} ships</h4>${seen}${body}`;
+    }
+
+    calculator.style.left = `${screenX + 18}px`;
+    calculator.style.top = `${screenY + 18}px`;
+    calculator.style.display = 'block';
+}
+
+export function hideCombatCalculator() {
+    combatCalculatorKey = null;
+    document.getElementById('combatCalculator').style.display = 'none';
+}
+
+export function showBattleResults(result, isDefending) {
+    const dialog = document.getElementById('battleResultsDialog');
+
+    let title = '';
+    let summary = '';
+
+    if (isDefending) {
+        if (result.victory) {
+            // Attackers won (enemy won)
+            title = '⚔️ DEFEAT!';
+            summary = `Enemy forces have overwhelmed your defenses!`;
+        } else {
+            // Defenders won (player won)
+            title = '🛡️ VICTORY!';
+            summary = `You successfully repelled the attack!`;
+        }
+    } else {
+        if (result.victory) {
+            title = '⚔️ VICTORY!';
+            summary = `Your forces prevailed!`;
+            if (result.conquered) {
+                summary += ' Planet conquered!';
+            } else if (result.conquering) {
+                summary += ' Conquest in progress!';
+            }
+        } else {
+            title = '⚔️ DEFEAT!';
+            summary = `Your attack was repelled!`;
+        }
+    }
+
+    let casualties = '<div class="casualties-grid">';
+
+    // Attacker casualties
+    casualties += '<div class="casualty-side">';
+    casualties += `<h4>${isDefending ? 'Enemy' : 'Your'} Forces</h4>`;
+    casualties += `<div class="casualty-stat"><span>Ships Destroyed:</span> <span class="stat-value">${result.attackersDestroyed}</span></div>`;
+    casualties += `<div class="casualty-stat"><span>Ships Survived:</span> <span class="stat-value">${result.attackersSurvived}</span></div>`;
+
+    if (result.damagedAttackers.length > 0) {
+        casualties += '<div class="damaged-ships"><strong>Damaged Ships:</strong>';
+        for (const ship of result.damagedAttackers) {
+            const shipType = getShipType(ship.type);
+            const healthPercent = Math.round((ship.hitPoints / ship.maxHitPoints) * 100);
+            casualties += `<div>${shipType.icon} ${escapeHtml(shipType.name)} (${healthPercent}% HP)</div>`;
+        }
+        casualties += '</div>';
+    }
+    casualties += '</div>';
+
+    // Defender casualties
+    casualties += '<div class="casualty-side">';
+    casualties += `<h4>${isDefending ? 'Your' : 'Enemy'} Forces</h4>`;
+    casualties += `<div class="casualty-stat"><span>Ships Destroyed:</span> <span class="stat-value">${result.defendersDestroyed}</span></div>`;
+    casualties += `<div class="casualty-stat"><span>Ships Survived:</span> <span class="stat-value">${result.defendersSurvived}</span></div>`;
+
+    if (result.damagedDefenders.length > 0) {
+        casualties += '<div class="damaged-ships"><strong>Damaged Ships:</strong>';
+        for (const ship of result.damagedDefenders) {
+            const shipType = getShipType(ship.type);
+            const healthPercent = Math.round((ship.hitPoints / ship.maxHitPoints) * 100);
+            casualties += `<div>${shipType.icon} ${escapeHtml(shipType.name)} (${healthPercent}% HP)</div>`;
+        }
+        casualties += '</div>';
+    }
+    casualties += '</div>';
+
+    casualties += '</div>';
+
+    // Veterancy: the player's promotions and lost veterans (results from before v2.22.0 have neither)
+    const promoted = (result.promotions || []).filter(p => p.owner === 'player');
+    const veteransLost = [...result.destroyedAttackers, ...result.destroyedDefenders].filter(s => s.owner === 'player' && s.rank > 0);
+    if (promoted.length > 0) {
+        casualties += `<div class="veterancy-result"><strong>🎖️ Promoted:</strong> ${promoted.map(p => `${escapeHtml(describeShip(p))} → ${VETERANCY_RANKS[p.rank].name}`).join(', ')}</div>`;
+    }
+    if (veteransLost.length > 0) {
+        casualties += `<div class="veterancy-result lost"><strong>💀 Veterans lost:</strong> ${veteransLost.map(s => escapeHtml(describeShip(s))).join(', ')}</div>`;
+    }
+
+    dialog.innerHTML = `
+        <h2>${title}</h2>
+        <p class="battle-summary">${summary}</p>
+        ${casualties}
+        ${result.reportNumber ? `<button class="battle-log-link" onclick="window.closeBattleResults(); window.openBattleLog(${result.reportNumber})">📜 Round-by-round report</button>` : ''}
+        <button class="battle-results-btn" onclick="window.closeBattleResults()">CONTINUE</button>
+    `;
+
+    dialog.style.display = 'block';
+}
+
+export function showRetreatDialog(friendlyPlanets, casualties) {
+    const dialog = document.getElementById('battleDialog');
+
+    let planetsHtml = '';
+    for (const planet of friendlyPlanets) {
+        planetsHtml += `
+            <button class="battle-btn" style="width: 100%; margin: 5px 0;"
+                onclick="window.completeRetreat(${planet.id})">
+                Retreat to ${planet.name}
+            </button>
+        `;
+    }
+
+    dialog.innerHTML = `
+        <h2>🏃 SELECT RETREAT DESTINATION</h2>
+        <div class="battle-info">
+            <p>${casualties} ships were destroyed during the retreat.</p>
+            <p>Choose a friendly planet to retreat to:</p>
+        </div>
+        <div class="battle-buttons" style="flex-direction: column;">
+            ${planetsHtml}
+        </div>
+    `;
+
+    dialog.style.display = 'block';
+}
+
+export function showGameOver(victory, condition = 'elimination', winner = null) {
     // Close any open battle dialogs first - game is over, only show game over screen
     document.getElementById('battleDialog').style.display = 'none';
     document.getElementById('battleResultsDialog').style.display = 'none';
@@ -369,9 +1365,17 @@ export function showGameOver(victory) {
 
     // Update title and message
     document.getElementById('gameOverTitle').textContent = victory ? 'VICTORY!' : 'DEFEAT';
-    document.getElementById('gameOverMessage').textContent = victory
-        ? 'You have conquered the galaxy!'
-        : 'Your empire has fallen...';
+    const victoryType = VICTORY_TYPES[condition] || VICTORY_TYPES.elimination;
+    const winnerEmpire = winner ? getEmpire(winner) : null;
+    let message;
+    if (victory) {
+        message = victoryType.victoryMessage;
+    } else if (condition !== 'elimination' && winnerEmpire) {
+        message = `The ${winnerEmpire.name} won a ${victoryType.name} victory...`;
+    } else {
+        message = 'Your empire has fallen...';
+    }
+    document.getElementById('gameOverMessage').textContent = message;
 
     // Calculate and display final score
     const finalScore = calculateScore('player');
@@ -379,6 +1383,7 @@ export function showGameOver(victory) {
     scoreDiv.innerHTML = `
         <div class="final-score">Final Score: <span class="score-value">${finalScore.toLocaleString()}</span></div>
         <div class="final-turn">Turn: ${gameState.turn}</div>
+        ${victory || condition !== 'elimination' ? `<div class="final-condition">${victoryType.icon} ${victoryType.name} victory</div>` : ''}
     `;
 
     // Show/hide leaderboard button based on login status
@@ -387,5 +1392,8 @@ export function showGameOver(victory) {
         leaderboardBtn.style.display = gameState.userId ? 'block' : 'none';
     }
 
+    // Replays need the full command log (missing for games loaded from older saves)
+    document.getElementById('gameOverWatchReplayBtn').style.display = gameState.commandLog ? 'block' : 'none';
+
     screen.style.display = 'flex';
 }
@@ -0,0 +1,133 @@
+// ============================================
+// VETERANCY - SHIP EXPERIENCE, RANKS & CAPTAINS
+// ============================================
+// Version: 1.0.0
+//
+// This module lets warships learn from the battles they live through. Every warship counts
+// the battles it survived and the enemy ships it destroyed; together they make up its
+// experience, which promotes it through VETERANCY_RANKS. Higher ranks fire harder and, from
+// Veteran on, soak up extra damage in battle (see combatSystem.js). Ships reaching
+// CAPTAIN_RANK are given a named captain. A lost veteran takes all of that with it, so
+// withdrawing a veteran fleet from a battle it cannot win is worth the retreat damage.
+//
+// Experience never decreases and nothing here draws random numbers: each kill goes to the
+// firing ship with the fewest kills, and captains are named from the ship's id.
+//
+// Core Responsibilities:
+// - Derive a ship's experience and rank from its battles and kills
+// - Effective attack and battle HP bonus of a ship (used by combat and predictions)
+// - Award experience to the survivors of a battle, promote them and name their captains
+// - Tell human empires about promotions and lost veterans
+//
+// Ship Fields:
+// - ship.battles: Battles survived (only battles with at least one round of fire count)
+// - ship.kills: Enemy ships destroyed
+// - ship.captain: Captain's name, or null below CAPTAIN_RANK
+// - ship.battleKills: Kills in the battle being fought (only on combat copies, removed afterwards)
+//
+// Exports:
+// - getShipExperience(ship), getShipRank(ship): Experience points and rank index (VETERANCY_RANKS)
+// - getShipAttack(ship): Attack including the owner's technologies and the ship's rank
+// - getBattleHitPointBonus(ship): Extra HP the ship fights with
+// - describeShip(ship): Display name with rank badge and captain, e.g. "★★ Frigate (Capt. Vance)"
+// - awardBattleExperience(ships, planet): Survivors of a battle gain experience (may promote them)
+// - reportLostVeterans(destroyedShips, planet): Notifies human empires of veterans lost
+//
+// Events emitted: shipPromoted { shipId, owner, rank, captain }, notification (human empires)
+//
+// Used by: combatSystem (battle bonuses, experience, losses), aiSystem (target strength),
+//          uiManager (fleet panel badges, battle dialog and results)
+
+import { gameState, isHumanEmpire } from './gameState.js';
+import { VETERANCY_RANKS, KILL_EXPERIENCE, CAPTAIN_RANK, CAPTAIN_NAMES } from './config.js';
+import { getShipStats } from './research.js';
+import { getShipType } from './shipDesigns.js';
+import { emitGameEvent } from './gameEvents.js';
+
+export function getShipExperience(ship) {
+    return (ship.battles || 0) + (ship.kills || 0) * KILL_EXPERIENCE;
+}
+
+export function getShipRank(ship) {
+    const experience = getShipExperience(ship);
+    let rank = 0;
+    while (rank + 1 < VETERANCY_RANKS.length && experience >= VETERANCY_RANKS[rank + 1].experience) {
+        rank++;
+    }
+    return rank;
+}
+
+export function getShipAttack(ship) {
+    return getShipStats(ship.owner, ship.type).attack * (1 + VETERANCY_RANKS[getShipRank(ship)].attackBonus);
+}
+
+export function getBattleHitPointBonus(ship) {
+    return ship.maxHitPoints * VETERANCY_RANKS[getShipRank(ship)].hitPointBonus;
+}
+
+// Also works for destroyed-ship entries ({ type, owner, rank, captain })
+export function describeShip(ship) {
+    const badge = VETERANCY_RANKS[ship.rank ?? getShipRank(ship)].badge;
+    const name = getShipType(ship.type)?.name ?? ship.type;
+    return `${badge ? badge + ' ' : ''}${name}${ship.captain ? ` (Capt. ${ship.captain})` : ''}`;
+}
+
+// `ships` are a battle's surviving warships, carrying the kills they scored in it
+export function awardBattleExperience(ships, planet) {
+    const promotions = [];
+    for (const ship of ships) {
+        const rankBefore = getShipRank(ship);
+        ship.battles = (ship.battles || 0) + 1;
+        ship.kills = (ship.kills || 0) + (ship.battleKills || 0);
+        delete ship.battleKills;
+
+        const rank = getShipRank(ship);
+        if (rank === rankBefore) continue;
+
+        if (rank >= CAPTAIN_RANK && !ship.captain) {
+            ship.captain = chooseCaptainName(ship);
+        }
+        promotions.push({ shipId: ship.id, type: ship.type, owner: ship.owner, rank, captain: ship.captain ?? null });
+        emitGameEvent('shipPromoted', { shipId: ship.id, owner: ship.owner, rank, captain: ship.captain ?? null });
+        if (isHumanEmpire(ship.owner)) {
+            const captainText = rank === CAPTAIN_RANK && ship.captain ? ` - Captain ${ship.captain} takes command` : '';
+            emitGameEvent('notification', {
+                message: `🎖️ ${getShipType(ship.type).name} at ${planet.name} promoted to ${VETERANCY_RANKS[rank].name}${captainText}`
+            });
+        }
+    }
+    return promotions;
+}
+
+export function reportLostVeterans(destroyedShips, planet) {
+    const lostByOwner = {};
+    for (const ship of destroyedShips) {
+        if (!ship.rank || !isHumanEmpire(ship.owner)) continue;
+        (lostByOwner[ship.owner] ??= []).push(describeShip(ship));
+    }
+    for (const lost of Object.values(lostByOwner)) {
+        emitGameEvent('notification', { message: `💀 Veterans lost at ${planet.name}: ${lost.join(', ')}` });
+    }
+}
+
+// The name picked by the ship's id, or the next one no other ship of the owner carries
+function chooseCaptainName(ship) {
+    const inUse = new Set();
+    const ships = [
+        ...gameState.planets.flatMap(p => p.ships),
+        ...gameState.travelingShips.flatMap(g => g.ships)
+    ];
+    for (const other of ships) {
+        if (other.owner === ship.owner && other.captain) inUse.add(other.captain);
+    }
+
+    let hash = 0;
+    for (const char of String(ship.id)) {
+        hash = (Math.imul(hash, 31) + char.charCodeAt(0)) >>> 0;
+    }
+    for (let i = 0; i < CAPTAIN_NAMES.length; i++) {
+        const name = CAPTAIN_NAMES[(hash + i) % CAPTAIN_NAMES.length];
+        if (!inUse.has(name)) return name;
+    }
+    return CAPTAIN_NAMES[hash % CAPTAIN_NAMES.length];
+}
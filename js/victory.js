@@ -0,0 +1,136 @@
+// ============================================
+// VICTORY - ALTERNATIVE VICTORY CONDITIONS
+// ============================================
+// Version: 1.0.0
+//
+// This module evaluates the optional victory conditions picked on the start screen.
+// Conquest (the last empire standing wins) is always active and stays in checkGameEnd();
+// every other condition only counts when it is listed in gameState.victoryTypes.
+//
+// Conditions:
+// - domination: Own at least VICTORY_TYPES.domination.planetShare of all planets
+// - score: Highest score when the game length's turn limit is reached
+// - economic: Stockpile VICTORY_TYPES.economic.stockpile of every resource
+// - capital: Own the capital (starting planet) of every other empire
+// - wonder: Complete the wonder building (only buildable when this condition is active)
+//
+// State:
+// - gameState.victoryTypes = ['domination', 'score', ...] (elimination is implicit)
+// - gameState.gameLength = GAME_LENGTHS key (turn limit of score victories)
+// - empire.capitalPlanetId = starting planet id (set during map generation)
+//
+// Exports:
+// - isVictoryEnabled(type): True when the active game uses a victory condition
+// - getTurnLimit(): Turn limit of the game, or null when score victory is off
+// - checkVictoryConditions(): { winner, condition } of the first empire meeting a condition, or null
+// - getVictoryProgress(empireId): One line per active condition describing the empire's progress
+//
+// Used by: turnSystem (checkGameEnd), buildings (wonder availability), uiManager (turn display)
+
+import { gameState, getActiveEmpires, calculateScore } from './gameState.js';
+import { VICTORY_TYPES, GAME_LENGTHS } from './config.js';
+
+export function isVictoryEnabled(type) {
+    return type === 'elimination' || (gameState.victoryTypes || []).includes(type);
+}
+
+export function getTurnLimit() {
+    if (!isVictoryEnabled('score')) return null;
+    return GAME_LENGTHS[gameState.gameLength]?.turnLimit ?? null;
+}
+
+function getPlanetTarget() {
+    return Math.ceil(gameState.planets.length * VICTORY_TYPES.domination.planetShare);
+}
+
+function getRivalCapitals(empireId) {
+    return gameState.empires
+        .filter(e => e.id !== empireId && e.capitalPlanetId !== undefined)
+        .map(e => gameState.planets.find(p => p.id === e.capitalPlanetId))
+        .filter(Boolean);
+}
+
+function hasWonder(empireId) {
+    return gameState.planets.some(p =>
+        p.owner === empireId && p.buildings.some(b => b.type === 'wonder' && b.damagedTurns === 0)
+    );
+}
+
+// Checks run per empire in registry order, so the player wins ties
+const CONDITION_CHECKS = {
+    domination: (empire) =>
+        gameState.planets.filter(p => p.owner === empire.id).length >= getPlanetTarget(),
+    economic: (empire) => {
+        const player = gameState.players[empire.id];
+        const stockpile = VICTORY_TYPES.economic.stockpile;
+        return Object.keys(stockpile).every(resource => player[resource] >= stockpile[resource]);
+    },
+    capital: (empire) => {
+        const capitals = getRivalCapitals(empire.id);
+        return capitals.length > 0 && capitals.every(p => p.owner === empire.id);
+    },
+    wonder: (empire) => hasWonder(empire.id)
+};
+
+export function checkVictoryConditions() {
+    const empires = getActiveEmpires();
+
+    for (const empire of empires) {
+        for (const [condition, check] of Object.entries(CONDITION_CHECKS)) {
+            if (isVictoryEnabled(condition) && check(empire)) {
+                return { winner: empire.id, condition };
+            }
+        }
+    }
+
+    // Turn limit reached: the highest score wins
+    const turnLimit = getTurnLimit();
+    if (turnLimit !== null && gameState.turn >= turnLimit) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const empire of empires) {
+            const score = calculateScore(empire.id);
+            if (score > bestScore) {
+                bestScore = score;
+                best = empire;
+            }
+        }
+        return best ? { winner: best.id, condition: 'score' } : null;
+    }
+
+    return null;
+}
+
+export function getVictoryProgress(empireId) {
+    const lines = [];
+    const types = VICTORY_TYPES;
+    const player = gameState.players[empireId];
+
+    if (isVictoryEnabled('domination')) {
+        const owned = gameState.planets.filter(p => p.owner === empireId).length;
+        lines.push(`${types.domination.icon} ${types.domination.name}: ${owned}/${getPlanetTarget()} planets`);
+    }
+    if (isVictoryEnabled('score')) {
+        lines.push(`${types.score.icon} ${types.score.name}: ${calculateScore(empireId)} points, turn ${gameState.turn}/${getTurnLimit()}`);
+    }
+    if (isVictoryEnabled('economic')) {
+        const stockpile = types.economic.stockpile;
+        const parts = Object.keys(stockpile).map(resource => `${Math.floor(player[resource])}/${stockpile[resource]} ${resource}`);
+        lines.push(`${types.economic.icon} ${types.economic.name}: ${parts.join(', ')}`);
+    }
+    if (isVictoryEnabled('capital')) {
+        const capitals = getRivalCapitals(empireId);
+        const held = capitals.filter(p => p.owner === empireId).length;
+        lines.push(`${types.capital.icon} ${types.capital.name}: ${held}/${capitals.length} rival capitals`);
+    }
+    if (isVictoryEnabled('wonder')) {
+        const queued = gameState.planets
+            .filter(p => p.owner === empireId)
+            .flatMap(p => p.buildingQueue)
+            .find(item => item.type === 'wonder');
+        const status = hasWonder(empireId) ? 'completed' : queued ? 'under construction' : 'not started';
+        lines.push(`${types.wonder.icon} ${types.wonder.name}: ${status}`);
+    }
+
+    return lines;
+}
@@ -0,0 +1,163 @@
+// ============================================
+// VISIBILITY - FOG OF WAR
+// ============================================
+// Version: 1.3.0
+//
+// This module decides what each empire can see. Sensors are the empire's own
+// planets, its stationed ships and its fleets in transit (plus those of its allies);
+// everything inside a sensor's range is visible. Planets that drop out of sight keep the intel from
+// the last time they were seen, and enemy fleets in transit are only visible
+// while a sensor covers their current position.
+//
+// Core Responsibilities:
+// - Collect sensor positions and ranges for an empire (planets, sensor arrays and ships, sensor components of designs)
+// - Share sensors between allied empires (diplomacy)
+// - Answer planet and fleet visibility queries per empire
+// - Remember last-known owner, population and ships of planets out of sight
+// - Provide the planet list an empire actually knows (used by the honest AI)
+//
+// Intel Storage:
+// - gameState.intel[empireId][planetId] = { owner, population, ships: [{ type, owner }], turn }
+// - Planets that were never seen have no entry and are shown as unexplored
+// - gameState.revealMap (replay viewer) makes everything visible
+//
+// Exports:
+// - getFleetPosition(group): Current world position of a traveling group
+// - isPlanetVisible(empireId, planet), isFleetVisible(empireId, group): Visibility checks
+// - getPlanetView(empireId, planet): What an empire knows about a planet right now
+// - getKnownPlanets(empireId): Planet list as an empire sees it (live or remembered)
+// - updateIntel(): Records what every active empire currently sees
+//
+// Used by: turnSystem, combatSystem (intel updates), aiSystem (honest AI),
+//          renderer, uiManager, influenceZones (player's view)
+
+import { gameState, getActiveEmpires } from './gameState.js';
+import { getPlanetSensorRange } from './buildings.js';
+import { getShipType } from './shipDesigns.js';
+import { getAllies } from './diplomacy.js';
+
+export function getFleetPosition(group) {
+    const fromPlanet = gameState.planets.find(p => p.id === group.fromPlanetId);
+    const toPlanet = gameState.planets.find(p => p.id === group.targetPlanetId);
+    if (!fromPlanet || !toPlanet) return null;
+
+    const progress = 1 - (group.turnsRemaining / group.totalTurns);
+    return {
+        x: fromPlanet.x + (toPlanet.x - fromPlanet.x) * progress,
+        y: fromPlanet.y + (toPlanet.y - fromPlanet.y) * progress
+    };
+}
+
+// Every sensor of an empire and its allies as { x, y, range }
+function getSensors(empireId) {
+    return [empireId, ...getAllies(empireId)].flatMap(getOwnSensors);
+}
+
+function getOwnSensors(empireId) {
+    const sensors = [];
+
+    for (const planet of gameState.planets) {
+        if (planet.owner === empireId) {
+            sensors.push({ x: planet.x, y: planet.y, range: getPlanetSensorRange(planet) });
+        }
+
+        const range = getSensorRange(planet.ships.filter(s => s.owner === empireId));
+        if (range > 0) {
+            sensors.push({ x: planet.x, y: planet.y, range });
+        }
+    }
+
+    for (const group of gameState.travelingShips) {
+        if (group.owner !== empireId) continue;
+
+        const position = getFleetPosition(group);
+        if (position) {
+            sensors.push({ ...position, range: getSensorRange(group.ships) });
+        }
+    }
+
+    return sensors;
+}
+
+// A group of ships sees as far as its longest-ranged ship
+function getSensorRange(ships) {
+    return ships.reduce((max, s) => Math.max(max, getShipType(s.type).sensorRange), 0);
+}
+
+function isInSensorRange(sensors, x, y) {
+    return sensors.some(s => (s.x - x) ** 2 + (s.y - y) ** 2 <= s.range ** 2);
+}
+
+export function isPlanetVisible(empireId, planet) {
+    if (gameState.revealMap) return true;
+    return isInSensorRange(getSensors(empireId), planet.x, planet.y);
+}
+
+export function isFleetVisible(empireId, group) {
+    if (gameState.revealMap || group.owner === empireId) return true;
+
+    const position = getFleetPosition(group);
+    return position !== null && isInSensorRange(getSensors(empireId), position.x, position.y);
+}
+
+// Returns { visible, owner, population, ships, lastSeenTurn }. Planets never seen have
+// owner null, population null and lastSeenTurn null.
+export function getPlanetView(empireId, planet) {
+    if (isPlanetVisible(empireId, planet)) {
+        return {
+            visible: true,
+            owner: planet.owner,
+            population: planet.population,
+            ships: planet.ships,
+            lastSeenTurn: gameState.turn
+        };
+    }
+
+    const intel = gameState.intel[empireId]?.[planet.id];
+    return {
+        visible: false,
+        owner: intel ? intel.owner : null,
+        population: intel ? intel.population : null,
+        ships: intel ? intel.ships : [],
+        lastSeenTurn: intel ? intel.turn : null
+    };
+}
+
+// Visible planets are returned as-is; the rest are planet-shaped copies carrying the
+// remembered owner, population and ships (ids and positions match the real planets).
+export function getKnownPlanets(empireId) {
+    const sensors = getSensors(empireId);
+
+    return gameState.planets.map(planet => {
+        if (isInSensorRange(sensors, planet.x, planet.y)) return planet;
+
+        const intel = gameState.intel[empireId]?.[planet.id];
+        return {
+            ...planet,
+            owner: intel ? intel.owner : null,
+            population: intel ? intel.population : 0,
+            ships: intel ? intel.ships : [],
+            buildQueue: [],
+            buildingQueue: []
+        };
+    });
+}
+
+// Called whenever the map changes in ways an empire could observe (end of turn, battles)
+export function updateIntel() {
+    for (const empire of getActiveEmpires()) {
+        const sensors = getSensors(empire.id);
+        const intel = gameState.intel[empire.id] || (gameState.intel[empire.id] = {});
+
+        for (const planet of gameState.planets) {
+            if (!isInSensorRange(sensors, planet.x, planet.y)) continue;
+
+            intel[planet.id] = {
+                owner: planet.owner,
+                population: planet.population,
+                ships: planet.ships.map(s => ({ type: s.type, owner: s.owner })),
+                turn: gameState.turn
+            };
+        }
+    }
+}
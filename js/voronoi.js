@@ -0,0 +1,137 @@
+// ============================================
+// VORONOI - TERRITORY GEOMETRY
+// ============================================
+// Version: 1.0.0
+//
+// This module computes Voronoi diagrams: for every site (planet) the polygon of all points
+// closer to it than to any other site, clipped to a bounding rectangle. Each cell starts as
+// the bounds and is cut by the perpendicular bisector towards every other site, nearest
+// first, until no farther site can reach the cell any more. With the few dozen planets of a
+// map this is exact, needs no library and takes well under a millisecond per cell.
+//
+// Every cell edge remembers which neighbouring site produced it, so shared borders between
+// cells (and the empires owning them) can be found without comparing coordinates.
+//
+// Cell Format:
+// - polygon: [[x, y], ...] vertices in order (convex, never self-intersecting)
+// - neighbors: [siteIndex, ...] one entry per edge polygon[i] -> polygon[i + 1] (wrapping
+//   around), the index of the site on the other side or -1 for an edge on the bounds
+//
+// Exports:
+// - computeVoronoiCells(sites, bounds): Cell of every { x, y } site inside { width, height }
+// - polygonArea(polygon): Area of a polygon
+// - pointInPolygon(x, y, polygon): True if the point lies inside (or on the edge of) a polygon
+//
+// Used by: influenceZones (territory polygons, borders, areas and hit-testing)
+
+// Vertices closer than this are merged (degenerate edges left over from clipping)
+const EPSILON = 1e-6;
+
+export function computeVoronoiCells(sites, bounds) {
+    return sites.map((site, index) => computeCell(sites, index, bounds));
+}
+
+function computeCell(sites, index, bounds) {
+    const site = sites[index];
+    let cell = {
+        polygon: [[0, 0], [bounds.width, 0], [bounds.width, bounds.height], [0, bounds.height]],
+        neighbors: [-1, -1, -1, -1]
+    };
+
+    // Nearest sites first: once a site is farther than twice the cell's reach, its bisector
+    // (and every later one) lies outside the cell
+    const others = sites
+        .map((other, otherIndex) => ({ otherIndex, dist: Math.hypot(other.x - site.x, other.y - site.y) }))
+        .filter(o => o.otherIndex !== index && o.dist > 0)
+        .sort((a, b) => a.dist - b.dist);
+
+    for (const { otherIndex, dist } of others) {
+        if (dist / 2 > getCellReach(site, cell.polygon)) break;
+        cell = clipToBisector(cell, site, sites[otherIndex], otherIndex);
+        if (cell.polygon.length === 0) break;
+    }
+
+    return removeDegenerateEdges(cell);
+}
+
+// Farthest vertex of a cell from its site
+function getCellReach(site, polygon) {
+    let reach = 0;
+    for (const [x, y] of polygon) {
+        reach = Math.max(reach, Math.hypot(x - site.x, y - site.y));
+    }
+    return reach;
+}
+
+// Keeps the part of the cell closer to `site` than to `other` (Sutherland-Hodgman with one
+// half-plane). The new edge along the bisector is labelled with the other site's index.
+function clipToBisector(cell, site, other, otherIndex) {
+    const dx = other.x - site.x;
+    const dy = other.y - site.y;
+    const midX = (site.x + other.x) / 2;
+    const midY = (site.y + other.y) / 2;
+    const side = ([x, y]) => (x - midX) * dx + (y - midY) * dy; // <= 0 on the site's side
+
+    const polygon = [];
+    const neighbors = [];
+    const count = cell.polygon.length;
+    for (let i = 0; i < count; i++) {
+        const a = cell.polygon[i];
+        const b = cell.polygon[(i + 1) % count];
+        const sideA = side(a);
+        const sideB = side(b);
+
+        if (sideA <= 0) {
+            polygon.push(a);
+            neighbors.push(cell.neighbors[i]);
+        }
+        if ((sideA <= 0) !== (sideB <= 0)) {
+            const t = sideA / (sideA - sideB);
+            polygon.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t]);
+            // Leaving the half-plane: the bisector runs from here to where the cell re-enters it;
+            // entering it: the original edge continues to b
+            neighbors.push(sideA <= 0 ? otherIndex : cell.neighbors[i]);
+        }
+    }
+
+    return { polygon, neighbors };
+}
+
+function removeDegenerateEdges(cell) {
+    const polygon = [];
+    const neighbors = [];
+    const count = cell.polygon.length;
+    for (let i = 0; i < count; i++) {
+        const a = cell.polygon[i];
+        const b = cell.polygon[(i + 1) % count];
+        if (Math.abs(a[0] - b[0]) < EPSILON && Math.abs(a[1] - b[1]) < EPSILON) continue;
+        polygon.push(a);
+        neighbors.push(cell.neighbors[i]);
+    }
+    return { polygon, neighbors };
+}
+
+export function polygonArea(polygon) {
+    let twiceArea = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x1, y1] = polygon[i];
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        twiceArea += x1 * y2 - x2 * y1;
+    }
+    return Math.abs(twiceArea) / 2;
+}
+
+// Convex polygons only (every Voronoi cell is convex): the point must lie on the same side
+// of every edge
+export function pointInPolygon(x, y, polygon) {
+    let sign = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x1, y1] = polygon[i];
+        const [x2, y2] = polygon[(i + 1) % polygon.length];
+        const cross = (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1);
+        if (Math.abs(cross) < EPSILON) continue;
+        if (sign === 0) sign = Math.sign(cross);
+        else if (Math.sign(cross) !== sign) return false;
+    }
+    return polygon.length > 0;
+}
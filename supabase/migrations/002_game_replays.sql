@@ -0,0 +1,11 @@
+-- ============================================
+-- 4X SPACE CONQUEST - GAME REPLAYS (v2.4.0)
+-- ============================================
+-- Run this migration in Supabase SQL Editor after 001_initial_schema.sql
+--
+-- Stores the replay data (map seed, settings and the full player command log)
+-- with each completed game so the leaderboard can replay it turn by turn.
+-- Saved games need no change: the command log is part of saved_games.game_state.
+
+ALTER TABLE completed_games
+    ADD COLUMN IF NOT EXISTS replay JSONB; -- NULL for games finished before v2.4.0
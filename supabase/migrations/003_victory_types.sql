@@ -0,0 +1,13 @@
+-- ============================================
+-- 4X SPACE CONQUEST - VICTORY TYPES (v2.13.0)
+-- ============================================
+-- Run this migration in Supabase SQL Editor after 002_game_replays.sql
+--
+-- Records which victory condition ended each completed game (elimination, domination,
+-- score, economic, capital, wonder) so the leaderboard can be filtered by it.
+-- Games finished before v2.13.0 could only end by elimination.
+
+ALTER TABLE completed_games
+    ADD COLUMN IF NOT EXISTS victory_type TEXT NOT NULL DEFAULT 'elimination';
+
+CREATE INDEX IF NOT EXISTS idx_completed_games_victory_type ON completed_games(victory_type);
@@ -0,0 +1,15 @@
+-- ============================================
+-- 4X SPACE CONQUEST - SAVE SLOTS (v2.15.0)
+-- ============================================
+-- Run this migration in Supabase SQL Editor after 003_victory_types.sql
+--
+-- A game can now have several saves: one autosave per turn (the last few are kept) and
+-- named slots saved from the settings overlay. game_id groups the saves of one game.
+-- Saves from before v2.15.0 have no game_id; the client uses the row id instead.
+
+ALTER TABLE saved_games
+    ADD COLUMN IF NOT EXISTS game_id TEXT,
+    ADD COLUMN IF NOT EXISTS save_kind TEXT NOT NULL DEFAULT 'autosave',
+    ADD COLUMN IF NOT EXISTS save_name TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_saved_games_game_id ON saved_games(game_id);
@@ -0,0 +1,12 @@
+-- ============================================
+-- 4X SPACE CONQUEST - MAP FAIRNESS (v2.26.0)
+-- ============================================
+-- Run this migration in Supabase SQL Editor after 004_save_slots.sql
+--
+-- Records the start fairness of each completed game's map (weakest start score divided by
+-- the strongest, 0-1, see js/startBalancing.js) next to its seed, so the leaderboard can
+-- flag victories on lopsided maps. Games finished before v2.26.0 have no fairness (NULL).
+
+ALTER TABLE completed_games
+    ADD COLUMN IF NOT EXISTS map_fairness REAL
+    CHECK (map_fairness IS NULL OR (map_fairness >= 0 AND map_fairness <= 1));
@@ -0,0 +1,33 @@
+// Start balancing on standard maps: every shape offered on the start screen must give a
+// fair map (weakest start at least LOPSIDED_MAP_FAIRNESS of the average) for 2-8 empires.
+//
+// Run from the repository root: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame } from '../js/simulation.js';
+import { MAP_GENERATORS } from '../js/mapGenerators.js';
+import { LOPSIDED_MAP_FAIRNESS, MIN_EMPIRES, MAX_EMPIRES } from '../js/config.js';
+
+const SEEDS = ['fair-a', 'fair-b', 'fair-c', 'fair-d', 'fair-e'];
+const SHAPES = Object.keys(MAP_GENERATORS).filter(shape => !MAP_GENERATORS[shape].hidden);
+
+for (let empireCount = MIN_EMPIRES; empireCount <= MAX_EMPIRES; empireCount++) {
+    test(`standard maps with ${empireCount} empires are not lopsided`, () => {
+        for (const mapShape of SHAPES) {
+            for (const seed of SEEDS) {
+                const state = createGame({ seed, mapSize: 'standard', mapShape, empireCount });
+                assert.ok(state.mapFairness >= LOPSIDED_MAP_FAIRNESS,
+                    `${mapShape} map '${seed}' has fairness ${state.mapFairness}`);
+            }
+        }
+    });
+}
+
+test('the same seed gives the same balanced map', () => {
+    const a = createGame({ seed: 'fair-a', mapSize: 'standard', mapShape: 'spiral', empireCount: 6 });
+    const b = createGame({ seed: 'fair-a', mapSize: 'standard', mapShape: 'spiral', empireCount: 6 });
+    assert.deepEqual(b.planets.map(p => p.resources), a.planets.map(p => p.resources));
+    assert.deepEqual(b.empires.map(e => e.capitalPlanetId), a.empires.map(e => e.capitalPlanetId));
+    assert.equal(b.mapFairness, a.mapFairness);
+});